@@ -13,6 +13,7 @@ class AdminPage {
         this.refreshInterval = null;
         this.isRefreshing = false; // Prevent overlapping refreshes
         this.autoRefreshActive = false; // Prevent multiple auto-refresh timers
+        this.unsubscribeContractEvents = null; // Contract event subscription (see startAutoRefresh)
 
         // PERFORMANCE OPTIMIZATION: Proposal state management
         this.proposalsCache = new Map(); // Cache proposals by ID for O(1) access
@@ -32,6 +33,28 @@ class AdminPage {
         // UI state: remember proposal filter preference across refreshes
         this.proposalFilter = 'pending';
 
+        // Proposal detail view, opened from a deep link (?action=ID) or the proposal list
+        this.detailActionId = window.DeepLink?.parse()?.action || null;
+        // Change set labels shared by another signer (?actions=…&label=…); saved only after the signer confirms
+        const sharedLink = window.DeepLink?.parse();
+        this.pendingLabelImport = sharedLink?.actions && sharedLink.label
+            ? { actions: sharedLink.actions, label: sharedLink.label }
+            : null;
+        this.proposalExpirySeconds = 7 * 24 * 60 * 60; // Contract expires actions 7 days after proposal
+
+        // Change set builder (see showChangeSetModal); loaded from localStorage when opened
+        this.changeSet = { label: '', steps: [] };
+        this.isSubmittingChangeSet = false;
+
+        // Weight rebalancer inside the Update Pair Weights modal (see toggleWeightRebalancer)
+        this.weightRebalance = null;
+        this.weightRebalanceResult = null;
+
+        // Reward runway monitor (see loadTreasuryMonitor); risks keyed by pending action ID
+        this.treasury = null;
+        this.treasuryRisks = new Map();
+        this.notifiedTreasuryRisks = new Set();
+
         // Shared selectors for address copy functionality
         this.addressCopySelectors = [
             '.address-display',
@@ -379,9 +402,18 @@ class AdminPage {
         // Load info card (initializes layout and pulls live contract data)
         await this.loadInfoCard();
 
+        // A linked proposal is shown before the (slower) paginated list loads behind it
+        if (this.detailActionId) {
+            await this.showProposalDetail(this.detailActionId);
+        }
+
         // Load main components after contract info so pair metadata is ready
         await this.loadMultiSignPanel();
 
+        if (this.pendingLabelImport) {
+            this.showLabelImportModal();
+        }
+
         // Setup network selector
         this.setupNetworkSelector();
 
@@ -666,6 +698,30 @@ class AdminPage {
         window.addEventListener('transactionFailed', (event) => {
             this.handleTransactionFailed(event.detail);
         });
+
+        // Proposals and votes sent before a reload, settled in the background
+        document.addEventListener('pendingTransactionsUpdated', (event) => {
+            const { event: type, entry, recovered } = event.detail || {};
+            if (type === 'resolved' && recovered && entry) {
+                this.handleRecoveredTransaction(entry);
+            }
+        });
+    }
+
+    /**
+     * Report the outcome of a transaction that was still pending when the page was last closed
+     */
+    handleRecoveredTransaction(entry) {
+        const description = window.pendingTransactions.describe(entry);
+
+        if (entry.status === 'confirmed') {
+            this.showSuccess(`${description} confirmed`);
+            this.refreshAdminDataOnce();
+        } else if (entry.status === 'failed') {
+            this.showError(`${description} failed`, 'The transaction was mined but reverted.');
+        } else {
+            window.notificationManager?.warning(`${description} was dropped: ${entry.reason}`);
+        }
     }
 
     /**
@@ -706,6 +762,9 @@ class AdminPage {
                     case 'withdraw-rewards':
                         this.showWithdrawalModal();
                         break;
+                    case 'change-set':
+                        this.showChangeSetModal();
+                        break;
                     default:
                         console.warn(`Unknown modal type: ${modalType}`);
                 }
@@ -849,6 +908,9 @@ class AdminPage {
             case 'proposals':
                 this.refreshData();
                 break;
+            case 'proposal-detail':
+                this.refreshProposalDetail();
+                break;
             default:
                 this.refreshData();
         }
@@ -1166,6 +1228,12 @@ class AdminPage {
     }
 
     stopAutoRefresh() {
+        if (this.unsubscribeContractEvents) {
+            this.unsubscribeContractEvents();
+            this.unsubscribeContractEvents = null;
+            this.autoRefreshActive = false;
+        }
+
         if (this.refreshInterval) {
             clearInterval(this.refreshInterval);
             this.refreshInterval = null;
@@ -1185,6 +1253,9 @@ class AdminPage {
                     <div class="admin-grid">
                         <!-- Grid item xs={12} md={9} - MultiSign Panel -->
                         <div class="admin-grid-main">
+                            <div id="proposal-detail" style="display: none;">
+                                <!-- Single proposal view (deep link) will be loaded here -->
+                            </div>
                             <div id="multisign-panel">
                                 <!-- MultiSign Panel will be loaded here -->
                             </div>
@@ -1216,6 +1287,9 @@ class AdminPage {
                                 <button class="proposal-btn" data-modal="withdraw-rewards" type="button">
                                     Withdraw Rewards
                                 </button>
+                                <button class="proposal-btn" data-modal="change-set" type="button">
+                                    Change Set
+                                </button>
                             </div>
                         </div>
                     </div>
@@ -1506,6 +1580,17 @@ class AdminPage {
 
                     <hr class="contract-info-separator">
 
+                    <div class="runway-section">
+                        <div class="section-header">
+                            <h6>Reward Runway &amp; Solvency</h6>
+                        </div>
+                        <div data-info="runway">
+                            <div class="info-value">Loading runway...</div>
+                        </div>
+                    </div>
+
+                    <hr class="contract-info-separator">
+
                     <div class="pairs-section">
                         <div class="section-header">
                             <h6>Eligible Pairs</h6>
@@ -1602,8 +1687,10 @@ class AdminPage {
                 </td>
                 <td>
                     <div class="proposal-id-container">
-                        <span class="proposal-id">#${proposal.id}</span>
+                        ${this.renderProposalIdLink(proposal.id)}
                         <div class="proposal-summary">${proposalSummary}</div>
+                            ${this.renderProposalLabel(proposal.id)}
+                            ${this.renderTreasuryWarning(proposal.id)}
                     </div>
                 </td>
                 <td>
@@ -1690,6 +1777,20 @@ class AdminPage {
                     ▶
                 </button>
             ` : ''}
+            <button
+                class="btn btn-icon-compact btn-outline"
+                onclick="adminPage.simulateProposalActions('${proposal.id}')"
+                title="Simulate approve / reject / execute without sending a transaction"
+            >
+                🧪
+            </button>
+            <button
+                class="btn btn-icon-compact btn-outline"
+                onclick="adminPage.showOfflineSigningModal('${proposal.id}')"
+                title="Sign offline: export an unsigned transaction or broadcast a signed one"
+            >
+                📤
+            </button>
             ${hasAlreadyApproved ? `
                 <span class="approval-badge" title="You ${isProposer ? 'created and ' : ''}approved this">👤</span>
             ` : ''}
@@ -1724,6 +1825,7 @@ class AdminPage {
             // ALWAYS do full refresh to ensure we get latest data from blockchain
             // Selective updates are disabled during manual refresh to guarantee fresh data
             await this.loadMultiSignPanel();
+            await this.refreshProposalDetail();
 
         } catch (error) {
             console.error('❌ Failed to refresh data:', error);
@@ -2338,10 +2440,13 @@ class AdminPage {
      */
     async loadSingleProposal(contractManager, actionId) {
         try {
-            const [action, pairs, weights] = await Promise.all([
+            // The actions() getter omits the approver array, so read it separately
+            const [action, pairs, weights, approvedBy, expiredOverride] = await Promise.all([
                 contractManager.stakingContract.actions(BigInt(actionId)),
                 contractManager.stakingContract.getActionPairs(actionId),
-                contractManager.stakingContract.getActionWeights(actionId)
+                contractManager.stakingContract.getActionWeights(actionId),
+                contractManager.stakingContract.getActionApproval(actionId).catch(() => []),
+                contractManager.stakingContract.isActionExpired(actionId).catch(() => undefined)
             ]);
 
             return {
@@ -2358,9 +2463,9 @@ class AdminPage {
                 recipient: action.recipient,
                 withdrawAmount: action.withdrawAmount.toString(),
                 executed: action.executed,
-                expired: action.expired,
+                expired: expiredOverride !== undefined ? !!expiredOverride : action.expired,
                 approvals: action.approvals,
-                approvedBy: action.approvedBy,
+                approvedBy: approvedBy,
                 proposedTime: action.proposedTime.toNumber(),
                 rejected: action.rejected
             };
@@ -2450,8 +2555,10 @@ class AdminPage {
                     </td>
                     <td>
                         <div class="proposal-id-container">
-                            <span class="proposal-id">#${proposal.id}</span>
+                            ${this.renderProposalIdLink(proposal.id)}
                             <div class="proposal-summary">${proposalSummary}</div>
+                            ${this.renderProposalLabel(proposal.id)}
+                            ${this.renderTreasuryWarning(proposal.id)}
                         </div>
                     </td>
                     <td>
@@ -2975,6 +3082,14 @@ class AdminPage {
         this.autoRefreshActive = true;
         this.autoRefreshPaused = false;
 
+        // Prefer targeted refreshes driven by staking contract events
+        if (window.contractManager?.subscribeToContractEvents) {
+            this.unsubscribeContractEvents = window.contractManager.subscribeToContractEvents(
+                batch => this.handleContractEvents(batch)
+            );
+            return;
+        }
+
         // Refresh data every 30 seconds
         this.refreshInterval = setInterval(() => {
             // Only refresh if authorized, content exists, and not paused
@@ -2986,6 +3101,89 @@ class AdminPage {
         }, 30000);
     }
 
+    /**
+     * Apply a batch of staking contract events: proposal events refresh only those proposals,
+     * configuration changes reload contract info, and a fallback batch (logs unavailable)
+     * does the full refresh the timer used to do.
+     * @param {Object} batch - From ContractManager.subscribeToContractEvents()
+     */
+    handleContractEvents({ events, fallback }) {
+        if (!this.isAuthorized ||
+            !document.getElementById('admin-section-content') ||
+            this.autoRefreshPaused ||
+            this.isRefreshing) {
+            return;
+        }
+
+        // Unattributable logs, and new proposals whose ID couldn't be resolved, need the full reload
+        if (fallback || events.some(event => event.kind === 'unknown' || (event.kind === 'proposal' && event.actionId === null))) {
+            this.refreshData();
+            return;
+        }
+
+        const actionIds = [...new Set(events
+            .filter(event => event.kind === 'proposal')
+            .map(event => event.actionId))];
+        const configChanged = events.some(event => event.name === 'executeAction');
+        const statsChanged = configChanged || events.some(event => event.kind === 'user');
+
+        if (actionIds.length > 0) {
+            this.refreshProposals(actionIds);
+        }
+        if (configChanged) {
+            this.loadContractInformation().catch(error => {
+                console.warn('⚠️ Failed to refresh contract info after event:', error.message);
+            });
+        }
+        if (statsChanged) {
+            this.loadContractStats().catch(error => {
+                console.warn('⚠️ Failed to refresh contract stats after event:', error.message);
+            });
+        }
+    }
+
+    /**
+     * Re-read specific proposals and update them in the cached list without reloading the panel
+     * @param {Array<number>} actionIds
+     */
+    async refreshProposals(actionIds) {
+        try {
+            const contractManager = await this.ensureContractReady();
+            const proposals = await Promise.all(actionIds.map(async (actionId) => {
+                const action = await contractManager.getAction(actionId);
+                if (!action) return null;
+
+                const [pairs, weights] = await Promise.all([
+                    contractManager.stakingContract.getActionPairs(actionId),
+                    contractManager.stakingContract.getActionWeights(actionId)
+                ]).catch(() => [[], []]);
+
+                return { ...action, id: actionId, pairs, weights };
+            }));
+
+            const formatted = this.formatRealProposals(proposals.filter(Boolean));
+            formatted.forEach(proposal => {
+                this.cacheProposalState(proposal);
+                this.proposalsCache.set(proposal.id, proposal);
+            });
+
+            const highestId = Math.max(...actionIds);
+            if (highestId > (this.totalProposalCount || 0)) {
+                this.totalProposalCount = highestId;
+                this.lastKnownProposalCount = highestId;
+            }
+
+            await this.applyProposalFilter();
+            if (actionIds.includes(this.detailActionId)) {
+                await this.refreshProposalDetail();
+            }
+            console.log(`🔄 Refreshed proposals ${actionIds.map(id => `#${id}`).join(', ')} from contract events`);
+        } catch (error) {
+            console.warn('⚠️ Targeted proposal refresh failed, reloading all proposals:', error.message);
+            this.refreshAdminDataOnce();
+        }
+    }
+
 
 
     // Placeholder methods for other sections (to be implemented)
@@ -3037,6 +3235,252 @@ class AdminPage {
         `;
     }
 
+    /**
+     * Proposal ID rendered as a link to its detail view (middle-click opens it in a new tab)
+     */
+    renderProposalIdLink(proposalId) {
+        if (!Number.isInteger(Number(proposalId))) {
+            return `<span class="proposal-id">#${proposalId}</span>`;
+        }
+
+        return `
+            <a class="proposal-id proposal-id-link" href="${this.getProposalLink(proposalId)}"
+               onclick="adminPage.showProposalDetail(${proposalId}); return false;" title="Open proposal #${proposalId}">#${proposalId}</a>
+        `;
+    }
+
+    getProposalLink(actionId) {
+        return window.DeepLink
+            ? window.DeepLink.build({ network: window.networkSelector?.getSelectedNetworkKey(), action: actionId })
+            : `?action=${actionId}`;
+    }
+
+    /**
+     * Show a single proposal in place of the list. The proposal is read straight from the
+     * contract, so linked IDs outside the loaded page of proposals still open.
+     * @param {number|string} actionId
+     */
+    async showProposalDetail(actionId) {
+        const id = Number(actionId);
+        const detailDiv = document.getElementById('proposal-detail');
+        if (!Number.isInteger(id) || id <= 0 || !detailDiv) {
+            return;
+        }
+
+        this.detailActionId = id;
+        window.history.replaceState(window.history.state, '', this.getProposalLink(id));
+
+        const listDiv = document.getElementById('multisign-panel');
+        if (listDiv) listDiv.style.display = 'none';
+        detailDiv.style.display = 'block';
+        detailDiv.innerHTML = `
+            <div class="multisign-panel">
+                <div class="panel-header">
+                    <h2>Proposal #${id}</h2>
+                </div>
+                <div class="loading-container" style="text-align: center; padding: 40px;">
+                    <div class="loading-spinner inline"></div>
+                    <div style="margin-top: 15px; color: #666;">Loading proposal...</div>
+                </div>
+            </div>
+        `;
+
+        await this.refreshProposalDetail();
+    }
+
+    /**
+     * Return from the detail view to the proposal list
+     */
+    closeProposalDetail() {
+        this.detailActionId = null;
+        window.DeepLink?.clear();
+
+        const detailDiv = document.getElementById('proposal-detail');
+        if (detailDiv) {
+            detailDiv.style.display = 'none';
+            detailDiv.innerHTML = '';
+        }
+
+        const listDiv = document.getElementById('multisign-panel');
+        if (listDiv) listDiv.style.display = '';
+    }
+
+    /**
+     * Re-read the open proposal (approvers, expiry) and re-render the detail view
+     */
+    async refreshProposalDetail() {
+        const actionId = this.detailActionId;
+        const detailDiv = document.getElementById('proposal-detail');
+        if (!actionId || !detailDiv) {
+            return;
+        }
+
+        try {
+            const contractManager = await this.ensureContractReady();
+            const [action, latestBlock] = await Promise.all([
+                this.loadSingleProposal(contractManager, actionId),
+                contractManager.provider?.getBlock('latest').catch(() => null)
+            ]);
+
+            // The user may have gone back to the list while this loaded
+            if (this.detailActionId !== actionId) {
+                return;
+            }
+
+            // Unused action IDs read back as an empty struct
+            if (!action || !action.proposedTime) {
+                detailDiv.innerHTML = this.renderProposalDetailMessage(actionId, `Proposal #${actionId} was not found on this network.`);
+                return;
+            }
+
+            const [proposal] = this.formatRealProposals([action]);
+            const now = latestBlock?.timestamp || Math.floor(Date.now() / 1000);
+            detailDiv.innerHTML = this.renderProposalDetail(proposal, now);
+        } catch (error) {
+            console.error(`❌ Failed to load proposal #${actionId}:`, error);
+            if (this.detailActionId === actionId) {
+                detailDiv.innerHTML = this.renderProposalDetailMessage(actionId, `Could not load proposal #${actionId}: ${error.message}`, true);
+            }
+        }
+    }
+
+    renderProposalDetailMessage(actionId, message, canRetry = false) {
+        return `
+            <div class="multisign-panel">
+                <div class="panel-header">
+                    <div class="panel-title-row">
+                        <h2>Proposal #${actionId}</h2>
+                        <button class="btn btn-outline" type="button" onclick="adminPage.closeProposalDetail()">← All proposals</button>
+                    </div>
+                </div>
+                <div class="error-panel">
+                    <p class="error-message">${message}</p>
+                    ${canRetry ? `
+                        <div class="error-actions">
+                            <button class="btn btn-secondary" onclick="adminPage.refreshProposalDetail()">🔄 Retry</button>
+                        </div>
+                    ` : ''}
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Full view of one proposal: parameters, approvers, time left and vote controls
+     * @param {Object} proposal - From formatRealProposals()
+     * @param {number} now - Latest block timestamp (seconds)
+     */
+    renderProposalDetail(proposal, now) {
+        const canExecute = proposal.approvals >= proposal.requiredApprovals && !proposal.executed && !proposal.rejected && !proposal.expired;
+        const statusClass = proposal.executed ? 'executed' : proposal.rejected ? 'rejected' : proposal.expired ? 'expired' : canExecute ? 'ready' : 'pending';
+        const statusText = proposal.executed ? '✅ Executed' : proposal.rejected ? '❌ Rejected' : proposal.expired ? '⏰ Expired' : canExecute ? '🚀 Ready to Execute' : '⏳ Pending';
+        const isOpen = !proposal.executed && !proposal.rejected && !proposal.expired;
+
+        const expiresAt = proposal.proposedTime + this.proposalExpirySeconds;
+        const timeLeft = !isOpen ? '—'
+            : expiresAt > now ? `${this.formatTimeRemaining(expiresAt - now)} left`
+            : 'Expired';
+
+        const userAddress = this.userAddress?.toLowerCase();
+        const approvedBy = proposal.approvedBy || [];
+        const approvedSet = new Set(approvedBy.map(address => address.toLowerCase()));
+        const awaiting = (this.contractStats?.signers || []).filter(signer => !approvedSet.has(signer.toLowerCase()));
+
+        const renderSigner = (address, tags = []) => `
+            <li class="proposal-approver">
+                <span class="signer-address" title="Click to copy">${address}</span>
+                ${address.toLowerCase() === userAddress ? '<span class="approver-tag">You</span>' : ''}
+                ${tags.map(tag => `<span class="approver-tag">${tag}</span>`).join('')}
+            </li>
+        `;
+
+        return `
+            <div class="multisign-panel proposal-detail">
+                <div class="panel-header">
+                    <div class="panel-title-row">
+                        <h2>Proposal #${proposal.id}</h2>
+                        <div class="panel-refresh">
+                            <button class="btn btn-outline" type="button" onclick="adminPage.closeProposalDetail()">← All proposals</button>
+                            <button class="proposal-link-button" type="button" onclick="adminPage.copyProposalLink(${proposal.id})" aria-label="Copy link" title="Copy link to this proposal">
+                                <span class="material-icons" aria-hidden="true">link</span>
+                            </button>
+                            <button class="refresh-button" type="button" data-refresh-target="proposal-detail" aria-label="Refresh proposal" title="Refresh proposal">
+                                <span class="material-icons" aria-hidden="true">refresh</span>
+                            </button>
+                        </div>
+                    </div>
+                    <div class="panel-stats">
+                        <span class="action-type ${proposal.actionType.toLowerCase()}">${this.getActionTypeDisplay(proposal.actionType)}</span>
+                        <span class="status-badge ${statusClass}">${statusText}</span>
+                        <span class="stat-chip">Proposed ${new Date(proposal.proposedTime * 1000).toLocaleString()}</span>
+                        <span class="stat-chip">⏱ ${timeLeft}</span>
+                        ${this.renderProposalLabel(proposal.id)}
+                        ${this.renderTreasuryWarning(proposal.id)}
+                    </div>
+                </div>
+
+                <div class="proposal-detail-section">
+                    <h4>📋 Proposal Details</h4>
+                    ${this.renderProposalParameters(proposal.actionType, proposal)}
+                </div>
+
+                <div class="proposal-detail-section">
+                    <h4>👥 Approvals</h4>
+                    <div class="approval-progress">
+                        <div class="approval-bar">
+                            <div class="approval-fill" style="width: ${Math.min(100, (proposal.approvals / proposal.requiredApprovals) * 100)}%"></div>
+                        </div>
+                        <span class="approval-text">${proposal.approvals} / ${proposal.requiredApprovals}</span>
+                    </div>
+                    <ul class="proposal-approver-list">
+                        ${approvedBy.length > 0
+                            ? approvedBy.map((address, index) => renderSigner(address, index === 0 ? ['Proposer'] : [])).join('')
+                            : '<li class="text-muted">No approvals recorded</li>'}
+                    </ul>
+                    ${isOpen && awaiting.length > 0 ? `
+                        <div class="proposal-awaiting-label">Awaiting</div>
+                        <ul class="proposal-approver-list awaiting">
+                            ${awaiting.map(address => renderSigner(address)).join('')}
+                        </ul>
+                    ` : ''}
+                </div>
+
+                ${isOpen ? `
+                    <div class="proposal-detail-section">
+                        <h4>🗳️ Your Vote</h4>
+                        <div class="action-buttons">
+                            ${this.renderProposalActionButtons(proposal, canExecute)}
+                        </div>
+                    </div>
+                ` : ''}
+            </div>
+        `;
+    }
+
+    async copyProposalLink(actionId) {
+        try {
+            await navigator.clipboard.writeText(this.getProposalLink(actionId));
+            window.notificationManager.success(`Link to proposal #${actionId} copied to clipboard`);
+        } catch (error) {
+            console.error('Failed to copy proposal link:', error);
+            window.notificationManager.error('Failed to copy link');
+        }
+    }
+
+    /**
+     * @param {number} seconds
+     * @returns {string} e.g. "3d 4h", "5h 12m", "12m"
+     */
+    formatTimeRemaining(seconds) {
+        const days = Math.floor(seconds / 86400);
+        const hours = Math.floor((seconds % 86400) / 3600);
+        const minutes = Math.max(1, Math.floor((seconds % 3600) / 60));
+
+        if (days > 0) return `${days}d ${hours}h`;
+        if (hours > 0) return `${hours}h ${minutes}m`;
+        return `${minutes}m`;
+    }
+
     toggleProposal(proposalId) {
         const detailsRow = document.getElementById(`details-${proposalId}`);
         const expandBtn = document.querySelector(`[onclick="adminPage.toggleProposal('${proposalId}')"]`) ||
@@ -3592,8 +4036,9 @@ class AdminPage {
                             <div class="form-group">
                                 <label for="new-rate">New Hourly Rate (${this.contractStats?.rewardTokenSymbol || 'USDC'})</label>
                                 <input type="number" id="new-rate" class="form-input" step="0.01" min="0" required
-                                       placeholder="Enter new hourly rate">
+                                       placeholder="Enter new hourly rate" oninput="adminPage.updateRateRunwayHint(this.value)">
                                 <small class="form-help">Current rate: ${this.contractStats?.hourlyRewardRate != null ? `${this.contractStats.hourlyRewardRate} ${this.contractStats?.rewardTokenSymbol || 'USDC'}/hour` : 'N/A'}</small>
+                                <small class="form-help" id="new-rate-runway"></small>
                             </div>
 
                             <div class="proposal-info">
@@ -3613,6 +4058,9 @@ class AdminPage {
                         <button type="button" class="btn btn-secondary modal-cancel">
                             Cancel
                         </button>
+                        <button type="button" class="btn btn-outline" onclick="adminPage.simulateProposalForm('hourly-rate')" title="Dry-run this proposal without sending a transaction">
+                            🧪 Simulate
+                        </button>
                         <button type="submit" form="hourly-rate-form" class="btn btn-primary">
                             Create Proposal
                         </button>
@@ -3698,6 +4146,9 @@ class AdminPage {
                         <button type="button" class="btn btn-secondary modal-cancel">
                             Cancel
                         </button>
+                        <button type="button" class="btn btn-outline" onclick="adminPage.simulateProposalForm('add-pair')" title="Dry-run this proposal without sending a transaction">
+                            🧪 Simulate
+                        </button>
                         <button type="submit" form="add-pair-form" class="btn btn-primary" id="add-pair-btn">
                             <span class="btn-text">Create Proposal</span>
                             <span class="btn-loading" style="display: none;">
@@ -3753,7 +4204,13 @@ class AdminPage {
                         <div id="validation-messages" class="validation-messages"></div>
                         <form id="update-weights-form" class="admin-form">
                             <div class="form-group">
-                                <label style="display: block; margin-bottom: 12px; font-weight: 600; font-size: 16px;">Pair Weight Updates</label>
+                                <div class="weight-rebalancer-header">
+                                    <label style="display: block; margin-bottom: 12px; font-weight: 600; font-size: 16px;">Pair Weight Updates</label>
+                                    <button type="button" class="btn btn-outline" onclick="adminPage.toggleWeightRebalancer()" title="Compute weights from target reward shares or APRs">
+                                        🎯 Rebalance by Target
+                                    </button>
+                                </div>
+                                <div id="weight-rebalancer" style="display: none;"></div>
                                 <div id="weights-list" style="margin-bottom: 16px;">
                                     <div class="modal-loading-container" style="padding: 40px; text-align: center;">
                                         <div class="modal-loading-spinner" style="width: 40px; height: 40px; border: 4px solid rgba(33, 150, 243, 0.3); border-top-color: var(--primary-main); border-radius: 50%; animation: spin 0.8s linear infinite; margin: 0 auto;"></div>
@@ -3779,6 +4236,9 @@ class AdminPage {
                         <button type="button" class="btn btn-secondary modal-cancel" style="padding: 10px 24px; min-width: 100px;">
                             Cancel
                         </button>
+                        <button type="button" class="btn btn-outline" style="padding: 10px 24px;" onclick="adminPage.simulateProposalForm('update-weights')" title="Dry-run this proposal without sending a transaction">
+                            🧪 Simulate
+                        </button>
                         <button type="submit" form="update-weights-form" class="btn btn-primary" id="update-weights-btn"
                                 style="padding: 10px 24px; min-width: 180px; display: flex; align-items: center; justify-content: center; gap: 8px;">
                             <span class="btn-text">Create Proposal</span>
@@ -3867,6 +4327,9 @@ class AdminPage {
                         <button type="button" class="btn btn-secondary modal-cancel" style="padding: 10px 24px; min-width: 100px;">
                             Cancel
                         </button>
+                        <button type="button" class="btn btn-outline" style="padding: 10px 24px;" onclick="adminPage.simulateProposalForm('remove-pair')" title="Dry-run this proposal without sending a transaction">
+                            🧪 Simulate
+                        </button>
                         <button type="submit" form="remove-pair-form" class="btn btn-primary" id="remove-pair-btn"
                                 title="Please select a pair and confirm to enable"
                                 style="padding: 10px 24px; min-width: 220px;">
@@ -3996,6 +4459,9 @@ class AdminPage {
                         <button type="button" class="btn btn-secondary modal-cancel">
                             Cancel
                         </button>
+                        <button type="button" class="btn btn-outline" onclick="adminPage.simulateProposalForm('change-signer')" title="Dry-run this proposal without sending a transaction">
+                            🧪 Simulate
+                        </button>
                         <button type="submit" form="change-signer-form" class="btn btn-primary">
                             Create Signer Change Proposal
                         </button>
@@ -4063,6 +4529,9 @@ class AdminPage {
                         <button type="button" class="btn btn-secondary modal-cancel">
                             Cancel
                         </button>
+                        <button type="button" class="btn btn-outline" onclick="adminPage.simulateProposalForm('withdraw-rewards')" title="Dry-run this proposal without sending a transaction">
+                            🧪 Simulate
+                        </button>
                         <button type="submit" form="withdrawal-form" class="btn btn-primary">
                             Create Withdrawal Proposal
                         </button>
@@ -4380,24 +4849,13 @@ class AdminPage {
                 null
             );
 
-            // Calculate reward runway
-            contractInfo.rewardRunway = await this.safeContractCall(
-                async () => {
-                    if (balanceBig && obligationBig && rateBig && rateBig.gt(0)) {
-                        const effectiveBalance = balanceBig.sub(obligationBig);
-                        if (effectiveBalance.gt(0)) {
-                            const runwayHoursBig = effectiveBalance.div(rateBig);
-                            const runwayHours = Number(ethers.utils.formatEther(runwayHoursBig));
-                            const runwayDays = runwayHours / 24;
-                            return `${runwayHours.toFixed(1)} hours (${runwayDays.toFixed(1)} days)`;
-                        } else {
-                            return '0.0 hours (0.0 days)';
-                        }
-                    }
-                    return 'N/A';
-                },
-                'N/A'
-            );
+            // Reward runway: balance not yet owed to stakers, divided by the hourly rate
+            this.treasury = balanceBig && obligationBig && rateBig
+                ? { available: balanceBig.sub(obligationBig), rate: rateBig, symbol: this.escapeHtml(rewardTokenSymbol) }
+                : null;
+            contractInfo.rewardRunway = this.treasury
+                ? this.formatRunway(this.getRewardRunwayHours(this.treasury.available, this.treasury.rate))
+                : 'N/A';
 
             contractInfo.totalWeight = await this.safeContractCall(
                 async () => {
@@ -4429,6 +4887,9 @@ class AdminPage {
             this.contractStats.signers = contractInfo.signers;
 
             this.displayContractInfo(contractInfo);
+            this.loadTreasuryMonitor().catch(error => {
+                console.warn('⚠️ Reward runway monitor failed:', error.message);
+            });
             return { success: true, data: contractInfo };
 
         } catch (error) {
@@ -4452,64 +4913,290 @@ class AdminPage {
             this.contractStats.stakingContractAddress = this.contractStats.stakingContractAddress || null;
             this.contractStats.rewardTokenAddress = this.contractStats.rewardTokenAddress || null;
             this.displayContractInfo(errorInfo);
+            this.treasury = null;
+            this.loadTreasuryMonitor();
             return { success: false, error };
         }
     }
 
-    // Display contract information in the UI
-    displayContractInfo(info = {}) {
-        // Update reward balance (already includes token symbol)
-        const rewardBalanceEl = document.querySelector('[data-info="reward-balance"]');
-        if (rewardBalanceEl) {
-            rewardBalanceEl.textContent = info.rewardBalance ?? 'N/A';
-        }
-
-        // Update reward obligation
-        const rewardObligationEl = document.querySelector('[data-info="reward-obligation"]');
-        if (rewardObligationEl) {
-            rewardObligationEl.textContent = info.rewardObligation ?? 'N/A';
-        }
+    // ============ REWARD RUNWAY ============
 
-        // Update reward runway
-        const rewardRunwayEl = document.querySelector('[data-info="reward-runway"]');
-        if (rewardRunwayEl) {
-            rewardRunwayEl.textContent = info.rewardRunway ?? 'N/A';
-        }
+    /**
+     * Hours the unallocated reward balance lasts at a given rate
+     * @param {ethers.BigNumber} available - Reward balance minus obligations (may be negative)
+     * @param {ethers.BigNumber} rate - Reward tokens per hour
+     * @returns {number} Infinity without emissions, 0 when nothing is left
+     */
+    getRewardRunwayHours(available, rate) {
+        if (rate.isZero()) return Infinity;
+        if (available.lte(0)) return 0;
+        return Number(ethers.utils.formatEther(available)) / Number(ethers.utils.formatEther(rate));
+    }
 
-        // Update hourly rate (already includes token symbol)
-        const hourlyRateEl = document.querySelector('[data-info="hourly-rate"]');
-        if (hourlyRateEl) {
-            hourlyRateEl.textContent = info.hourlyRate ?? 'N/A';
-        }
+    formatRunway(hours) {
+        if (hours === Infinity) return 'Unlimited (no emissions)';
+        return `${hours.toFixed(1)} hours (${(hours / 24).toFixed(1)} days)`;
+    }
 
-        // Update total weight (use innerHTML to render subscript HTML)
-        const totalWeightEl = document.querySelector('[data-info="total-weight"]');
-        if (totalWeightEl) {
-            totalWeightEl.innerHTML = info.totalWeight ?? 'N/A';
-        }
+    /**
+     * Rate and withdrawal proposals that are still open. Action IDs grow with time, so pages are
+     * read newest first until one reaches past the expiry window.
+     */
+    async loadOpenTreasuryProposals(contractManager) {
+        const pageSize = 15;
+        const cutoff = Math.floor(Date.now() / 1000) - this.proposalExpirySeconds;
+        const open = new Map();
+
+        for (let page = 0; page < 4; page++) {
+            const actions = await contractManager.getAllActionsWithPagination(page * pageSize, pageSize);
+            actions.forEach(action => {
+                const isTreasury = Number(action.actionType) === 0 || Number(action.actionType) === 5;
+                if (isTreasury && !action.executed && !action.rejected && !action.expired) {
+                    open.set(action.id, action);
+                }
+            });
 
-        const stakingAddressEl = document.querySelector('[data-info="staking-address"]');
-        if (stakingAddressEl) {
-            const stakingAddress = info.stakingAddress ?? 'N/A';
-            stakingAddressEl.textContent = stakingAddress;
-            // Add styling and data attribute for click-to-copy (handled by event delegation)
-            if (stakingAddress !== 'N/A') {
-                stakingAddressEl.style.cursor = 'pointer';
-                stakingAddressEl.title = 'Click to copy address';
-                stakingAddressEl.setAttribute('data-address', stakingAddress);
+            if (actions.length < pageSize || actions.some(action => action.proposedTime < cutoff)) {
+                break;
             }
         }
 
-        const rewardTokenAddressEl = document.querySelector('[data-info="reward-token-address"]');
-        if (rewardTokenAddressEl) {
-            const rewardTokenAddress = info.rewardTokenAddress ?? 'N/A';
-            rewardTokenAddressEl.textContent = rewardTokenAddress;
-            // Add styling and data attribute for click-to-copy (handled by event delegation)
-            if (rewardTokenAddress !== 'N/A') {
-                rewardTokenAddressEl.style.cursor = 'pointer';
-                rewardTokenAddressEl.title = 'Click to copy address';
-                rewardTokenAddressEl.setAttribute('data-address', rewardTokenAddress);
-            }
+        return [...open.values()].sort((a, b) => a.id - b.id);
+    }
+
+    /**
+     * Runway after each open rate/withdrawal proposal, and after all of them together
+     * @param {Object} treasury - this.treasury
+     * @param {Array<Object>} proposals - From loadOpenTreasuryProposals()
+     * @returns {Array<{id: number|null, change: string, hours: number, available: ethers.BigNumber, severity: string, message: string}>}
+     */
+    assessTreasuryProposals(treasury, proposals) {
+        const { available, rate, symbol } = treasury;
+        const format = (value) => `${Number(ethers.utils.formatEther(value)).toLocaleString(undefined, { maximumFractionDigits: 4 })} ${symbol}`;
+        const warningHours = (window.CONFIG?.TREASURY?.RUNWAY_WARNING_DAYS ?? 14) * 24;
+
+        const assess = (id, change, availableAfter, rateAfter) => {
+            const hours = this.getRewardRunwayHours(availableAfter, rateAfter);
+            const severity = availableAfter.lt(0) ? 'insolvent' : hours < warningHours ? 'short' : 'ok';
+            const subject = id ? `Proposal #${id}` : 'Executing every pending proposal';
+            const message = severity === 'insolvent'
+                ? `${subject} would leave the reward balance ${format(availableAfter.abs())} short of obligations`
+                : severity === 'short'
+                    ? `${subject} would leave ${this.formatRunway(hours)} of rewards`
+                    : '';
+            return { id, change, hours, available: availableAfter, severity, message };
+        };
+
+        const rows = proposals.map(proposal => Number(proposal.actionType) === 0
+            ? assess(proposal.id, `Rate → ${format(proposal.newHourlyRewardRate)}/hour`, available,
+                ethers.BigNumber.from(proposal.newHourlyRewardRate))
+            : assess(proposal.id, `Withdraw ${format(proposal.withdrawAmount)}`,
+                available.sub(proposal.withdrawAmount), rate));
+
+        if (proposals.length > 1) {
+            // Worst case: every withdrawal goes through and the highest proposed rate wins
+            const withdrawn = proposals
+                .filter(proposal => Number(proposal.actionType) === 5)
+                .reduce((total, proposal) => total.add(proposal.withdrawAmount), ethers.BigNumber.from(0));
+            const highestRate = proposals
+                .filter(proposal => Number(proposal.actionType) === 0)
+                .reduce((highest, proposal) => {
+                    const proposed = ethers.BigNumber.from(proposal.newHourlyRewardRate);
+                    return proposed.gt(highest) ? proposed : highest;
+                }, rate);
+            rows.push(assess(null, 'All of the above (highest rate)', available.sub(withdrawn), highestRate));
+        }
+
+        return rows;
+    }
+
+    /**
+     * Fill the runway panel of the info card; runs after loadContractInformation() set this.treasury
+     */
+    async loadTreasuryMonitor() {
+        const container = document.querySelector('[data-info="runway"]');
+        const treasury = this.treasury;
+        if (!container) return;
+
+        if (!treasury) {
+            container.innerHTML = '<div class="info-value">Runway unavailable (balance, obligation or rate could not be read)</div>';
+            return;
+        }
+
+        let proposals = [];
+        try {
+            const contractManager = await this.ensureContractReady();
+            proposals = await this.loadOpenTreasuryProposals(contractManager);
+        } catch (error) {
+            console.warn('⚠️ Could not load pending treasury proposals:', error.message);
+        }
+
+        const assessments = this.assessTreasuryProposals(treasury, proposals);
+        this.treasuryRisks = new Map(assessments
+            .filter(item => item.id && item.severity !== 'ok')
+            .map(item => [item.id, item]));
+
+        assessments
+            .filter(item => item.id && item.severity === 'insolvent' && !this.notifiedTreasuryRisks.has(item.id))
+            .forEach(item => {
+                this.notifiedTreasuryRisks.add(item.id);
+                window.notificationManager?.warning(item.message, { title: 'Solvency warning' });
+            });
+
+        container.innerHTML = this.renderTreasuryMonitor(treasury, assessments);
+        // The proposal list usually renders before the assessments arrive
+        this.refreshTreasuryWarnings();
+    }
+
+    renderTreasuryMonitor(treasury, assessments) {
+        const { available, rate, symbol } = treasury;
+        const format = (value) => `${Number(ethers.utils.formatEther(value)).toLocaleString(undefined, { maximumFractionDigits: 4 })} ${symbol}`;
+        const hours = this.getRewardRunwayHours(available, rate);
+        const depletes = Number.isFinite(hours) && hours > 0
+            ? new Date(Date.now() + hours * 3600 * 1000).toLocaleDateString()
+            : null;
+        const statusLabel = { insolvent: '❌ Insolvent', short: '⚠️ Low runway', ok: '✅ OK' };
+
+        return `
+            <div class="runway-summary">
+                <div class="info-item">
+                    <h6>Unallocated Balance</h6>
+                    <span class="info-value">${format(available)}</span>
+                </div>
+                <div class="info-item">
+                    <h6>At ${format(rate)}/hour</h6>
+                    <span class="info-value">${this.formatRunway(hours)}${depletes ? ` · until ${depletes}` : ''}</span>
+                </div>
+            </div>
+            ${available.lt(0) ? `
+                <div class="simulation-result failure">❌ Obligations exceed the reward balance by ${format(available.abs())}. Not every staker can claim until the contract is topped up.</div>
+            ` : ''}
+            ${assessments.length === 0
+                ? '<div class="runway-empty">No pending rate or withdrawal proposals.</div>'
+                : `
+                    <table class="simulation-diff runway-table">
+                        <thead>
+                            <tr><th>Proposal</th><th>Change</th><th>Runway after</th><th></th></tr>
+                        </thead>
+                        <tbody>
+                            ${assessments.map(item => `
+                                <tr class="${item.severity}">
+                                    <td>${item.id ? this.renderProposalIdLink(item.id) : '—'}</td>
+                                    <td>${item.change}</td>
+                                    <td>${item.available.lt(0) ? `Short ${format(item.available.abs())}` : this.formatRunway(item.hours)}</td>
+                                    <td><span class="treasury-status ${item.severity}">${statusLabel[item.severity]}</span></td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                `}
+        `;
+    }
+
+    /**
+     * Solvency chip for a pending proposal in the list and detail view. Always renders a
+     * placeholder, so refreshTreasuryWarnings() can fill it in once the runway is assessed.
+     */
+    renderTreasuryWarning(actionId) {
+        const id = Number(actionId);
+        const risk = this.treasuryRisks.get(id);
+        const label = risk?.severity === 'insolvent' ? '⚠️ Insolvent' : '⚠️ Low runway';
+
+        return `<span class="treasury-warning" data-treasury-action="${id}">${risk
+            ? `<span class="treasury-status ${risk.severity}" title="${this.escapeHtml(risk.message)}">${label}</span>`
+            : ''}</span>`;
+    }
+
+    /**
+     * Re-render the solvency chips already on the page from the latest treasuryRisks
+     */
+    refreshTreasuryWarnings() {
+        document.querySelectorAll('[data-treasury-action]').forEach(element => {
+            element.outerHTML = this.renderTreasuryWarning(element.dataset.treasuryAction);
+        });
+    }
+
+    /**
+     * Live runway hint under the new rate input of the hourly rate modal
+     */
+    updateRateRunwayHint(value) {
+        const hint = document.getElementById('new-rate-runway');
+        if (!hint) return;
+
+        // Parse the raw input: String(parseFloat(...)) turns tiny rates into "1e-7", which parseEther rejects
+        let rate = null;
+        try {
+            rate = ethers.utils.parseEther(String(value).trim());
+        } catch (error) {
+            rate = null;
+        }
+
+        if (!this.treasury || !rate || rate.isNegative()) {
+            hint.textContent = '';
+            hint.classList.remove('runway-warning');
+            return;
+        }
+
+        const hours = this.getRewardRunwayHours(this.treasury.available, rate);
+        const warningHours = (window.CONFIG?.TREASURY?.RUNWAY_WARNING_DAYS ?? 14) * 24;
+        hint.textContent = `Runway at this rate: ${this.formatRunway(hours)}`;
+        hint.classList.toggle('runway-warning', hours < warningHours);
+    }
+
+    // Display contract information in the UI
+    displayContractInfo(info = {}) {
+        // Update reward balance (already includes token symbol)
+        const rewardBalanceEl = document.querySelector('[data-info="reward-balance"]');
+        if (rewardBalanceEl) {
+            rewardBalanceEl.textContent = info.rewardBalance ?? 'N/A';
+        }
+
+        // Update reward obligation
+        const rewardObligationEl = document.querySelector('[data-info="reward-obligation"]');
+        if (rewardObligationEl) {
+            rewardObligationEl.textContent = info.rewardObligation ?? 'N/A';
+        }
+
+        // Update reward runway
+        const rewardRunwayEl = document.querySelector('[data-info="reward-runway"]');
+        if (rewardRunwayEl) {
+            rewardRunwayEl.textContent = info.rewardRunway ?? 'N/A';
+        }
+
+        // Update hourly rate (already includes token symbol)
+        const hourlyRateEl = document.querySelector('[data-info="hourly-rate"]');
+        if (hourlyRateEl) {
+            hourlyRateEl.textContent = info.hourlyRate ?? 'N/A';
+        }
+
+        // Update total weight (use innerHTML to render subscript HTML)
+        const totalWeightEl = document.querySelector('[data-info="total-weight"]');
+        if (totalWeightEl) {
+            totalWeightEl.innerHTML = info.totalWeight ?? 'N/A';
+        }
+
+        const stakingAddressEl = document.querySelector('[data-info="staking-address"]');
+        if (stakingAddressEl) {
+            const stakingAddress = info.stakingAddress ?? 'N/A';
+            stakingAddressEl.textContent = stakingAddress;
+            // Add styling and data attribute for click-to-copy (handled by event delegation)
+            if (stakingAddress !== 'N/A') {
+                stakingAddressEl.style.cursor = 'pointer';
+                stakingAddressEl.title = 'Click to copy address';
+                stakingAddressEl.setAttribute('data-address', stakingAddress);
+            }
+        }
+
+        const rewardTokenAddressEl = document.querySelector('[data-info="reward-token-address"]');
+        if (rewardTokenAddressEl) {
+            const rewardTokenAddress = info.rewardTokenAddress ?? 'N/A';
+            rewardTokenAddressEl.textContent = rewardTokenAddress;
+            // Add styling and data attribute for click-to-copy (handled by event delegation)
+            if (rewardTokenAddress !== 'N/A') {
+                rewardTokenAddressEl.style.cursor = 'pointer';
+                rewardTokenAddressEl.title = 'Click to copy address';
+                rewardTokenAddressEl.setAttribute('data-address', rewardTokenAddress);
+            }
         }
 
         // Update LP pairs with real contract data
@@ -4556,6 +5243,8 @@ class AdminPage {
                 console.error('❌ Failed to refresh proposal list:', error);
             }
 
+            await this.refreshProposalDetail();
+
             this.refreshTimeout = null;
         }, 1000);
     }
@@ -4683,6 +5372,293 @@ class AdminPage {
         }
     }
 
+    /**
+     * Show or hide the target-based rebalancer above the raw weight inputs
+     */
+    async toggleWeightRebalancer() {
+        const panel = document.getElementById('weight-rebalancer');
+        if (!panel) return;
+
+        if (panel.style.display !== 'none') {
+            panel.style.display = 'none';
+            return;
+        }
+
+        panel.style.display = 'block';
+        panel.innerHTML = '<div class="simulation-result pending">Loading pair stakes and LIB values...</div>';
+
+        try {
+            this.weightRebalance = await this.loadWeightRebalanceData();
+            this.renderWeightRebalancer();
+        } catch (error) {
+            console.error('❌ Failed to load rebalancing data:', error);
+            panel.innerHTML = `<div class="simulation-result failure">❌ ${this.escapeHtml(error.message)}</div>`;
+        }
+    }
+
+    /**
+     * Current weights plus the stake valuation calcAPR needs, per pair
+     * @returns {Promise<{mode: string, hourlyRate: number, totalWeight: number, symbol: string,
+     *   pairs: Array<{address: string, name: string, weight: number, tvl: number, libPerLp: number, apr: number|null}>}>}
+     */
+    async loadWeightRebalanceData() {
+        const contractManager = await this.ensureContractReady();
+        const calculator = window.rewardsCalculator || (window.RewardsCalculator ? new window.RewardsCalculator() : null);
+        if (!calculator) {
+            throw new Error('Rewards calculator not loaded');
+        }
+
+        const [pairs, rate] = await Promise.all([
+            contractManager.getAllPairsInfo(),
+            contractManager.stakingContract.hourlyRewardRate()
+        ]);
+        if (!pairs || pairs.length === 0) {
+            throw new Error('No pairs available for weight updates');
+        }
+
+        const hourlyRate = Number(ethers.utils.formatEther(rate)) || 0;
+        const totalWeight = pairs.reduce((sum, pair) => sum + (parseFloat(pair.weight) || 0), 0);
+        const rewardTokenAddress = contractManager.contractAddresses.get('REWARD_TOKEN');
+
+        const rows = await Promise.all(pairs.map(async pair => {
+            const weight = parseFloat(pair.weight) || 0;
+            let valuation = null;
+            try {
+                const breakdown = await contractManager.getLPStakeBreakdown(pair.address, { platform: pair.platform });
+                valuation = calculator.calcStakeValueInLib(breakdown, rewardTokenAddress);
+            } catch (error) {
+                console.warn(`⚠️ No stake valuation for ${pair.name}: ${error.message}`);
+            }
+
+            const tvl = valuation?.tvlInTokens || 0;
+            const libPerLp = valuation?.stakeValuePerLpInLib || 0;
+            return {
+                address: pair.address,
+                name: pair.name,
+                weight,
+                tvl,
+                libPerLp,
+                apr: tvl > 0 && libPerLp > 0 ? calculator.calcAPR(hourlyRate, tvl, libPerLp, weight, totalWeight) : null
+            };
+        }));
+
+        return {
+            mode: this.weightRebalance?.mode || 'share',
+            hourlyRate,
+            totalWeight,
+            symbol: this.contractStats?.rewardTokenSymbol || 'LIB',
+            pairs: rows
+        };
+    }
+
+    setWeightRebalanceMode(mode) {
+        if (!this.weightRebalance) return;
+        this.weightRebalance.mode = mode;
+        this.renderWeightRebalancer();
+    }
+
+    renderWeightRebalancer() {
+        const panel = document.getElementById('weight-rebalancer');
+        const data = this.weightRebalance;
+        if (!panel || !data) return;
+
+        const { mode, pairs, totalWeight, hourlyRate, symbol } = data;
+        const escape = (value) => this.escapeHtml(value);
+
+        // Targets start at today's values, so a signer only edits the pairs that should move
+        const currentTarget = (pair) => mode === 'share'
+            ? (totalWeight > 0 ? ((pair.weight / totalWeight) * 100).toFixed(2) : '')
+            : (pair.apr !== null ? pair.apr.toFixed(2) : '');
+
+        panel.innerHTML = `
+            <div class="weight-rebalancer">
+                <div class="weight-rebalancer-modes">
+                    <label><input type="radio" name="rebalance-mode" value="share" ${mode === 'share' ? 'checked' : ''}
+                                  onchange="adminPage.setWeightRebalanceMode('share')"> Reward share %</label>
+                    <label><input type="radio" name="rebalance-mode" value="apr" ${mode === 'apr' ? 'checked' : ''}
+                                  onchange="adminPage.setWeightRebalanceMode('apr')"> Target APR %</label>
+                    <span class="weight-rebalancer-rate">${hourlyRate.toLocaleString()} ${escape(symbol)}/hour total</span>
+                </div>
+                <table class="simulation-diff weight-rebalancer-table">
+                    <thead>
+                        <tr><th>Pair</th><th>Now</th><th>Target %</th><th>New weight</th><th>${escape(symbol)}/hour</th><th>APR</th></tr>
+                    </thead>
+                    <tbody>
+                        ${pairs.map((pair, index) => {
+                            const valued = pair.apr !== null;
+                            return `
+                                <tr>
+                                    <td>${escape(pair.name)}</td>
+                                    <td>
+                                        ${pair.weight.toLocaleString()}
+                                        <small>${totalWeight > 0 ? ((pair.weight / totalWeight) * 100).toFixed(1) : '0'}% · ${valued ? `${pair.apr.toFixed(1)}% APR` : 'no APR'}</small>
+                                    </td>
+                                    <td>
+                                        <input type="number" class="form-input rebalance-target" data-index="${index}" min="0" step="0.01"
+                                               value="${currentTarget(pair)}" oninput="adminPage.updateWeightRebalance()"
+                                               ${mode === 'apr' && !valued ? 'disabled placeholder="n/a" title="No staked LP to value; shares what the targets leave"' : ''}>
+                                    </td>
+                                    <td data-rebalance="weight"></td>
+                                    <td data-rebalance="hourly"></td>
+                                    <td data-rebalance="apr"></td>
+                                </tr>
+                            `;
+                        }).join('')}
+                    </tbody>
+                </table>
+                <div id="weight-rebalancer-status"></div>
+                <button type="button" class="btn btn-outline" id="weight-rebalancer-apply" onclick="adminPage.applyWeightRebalance()">
+                    Apply to New Weights
+                </button>
+            </div>
+        `;
+
+        this.updateWeightRebalance();
+    }
+
+    /**
+     * Recompute the output columns from the target inputs without re-rendering them (keeps focus)
+     */
+    updateWeightRebalance() {
+        const data = this.weightRebalance;
+        const panel = document.getElementById('weight-rebalancer');
+        if (!data || !panel) return;
+
+        const targets = Array.from(panel.querySelectorAll('.rebalance-target')).map(input => input.disabled ? '' : input.value.trim());
+        const result = this.computeWeightRebalance(data, targets);
+        this.weightRebalanceResult = result;
+
+        const rows = panel.querySelectorAll('.weight-rebalancer-table tbody tr');
+        rows.forEach((row, index) => {
+            const computed = result.rows?.[index];
+            const cell = (name) => row.querySelector(`[data-rebalance="${name}"]`);
+
+            cell('weight').textContent = computed ? computed.weight.toLocaleString() : '—';
+            cell('hourly').textContent = computed ? computed.hourly.toLocaleString(undefined, { maximumFractionDigits: 4 }) : '—';
+            cell('apr').textContent = computed && computed.apr !== null ? `${computed.apr.toFixed(1)}%` : '—';
+        });
+
+        const status = document.getElementById('weight-rebalancer-status');
+        if (status) {
+            status.innerHTML = result.error
+                ? `<div class="simulation-result failure">❌ ${this.escapeHtml(result.error)}</div>`
+                : result.notes.map(note => `<div class="simulation-result pending">ℹ️ ${this.escapeHtml(note)}</div>`).join('');
+        }
+
+        const applyBtn = document.getElementById('weight-rebalancer-apply');
+        if (applyBtn) applyBtn.disabled = !!result.error;
+    }
+
+    /**
+     * Turn target shares or APRs into whole weights (proposals accept 0-1,000 per pair).
+     * APR targets use the inverse of RewardsCalculator.calcAPR at today's stake and hourly rate;
+     * pairs left blank share whatever emissions the targets leave, by their current weights.
+     * @param {Object} data - From loadWeightRebalanceData()
+     * @param {Array<string>} targets - Raw input values, '' for blank
+     * @returns {{error?: string, notes: Array<string>, rows?: Array<{weight: number, share: number, hourly: number, apr: number|null}>}}
+     */
+    computeWeightRebalance(data, targets) {
+        const { mode, pairs, hourlyRate, totalWeight: currentTotal, symbol } = data;
+        const calculator = window.rewardsCalculator || new window.RewardsCalculator();
+        const format = (value) => value.toLocaleString(undefined, { maximumFractionDigits: 4 });
+        const values = targets.map(target => target === '' ? null : Number(target));
+        const notes = [];
+
+        if (values.some(value => value !== null && (isNaN(value) || value < 0))) {
+            return { error: 'Targets must be zero or positive percentages', notes };
+        }
+
+        let shares;
+        if (mode === 'share') {
+            const sum = values.reduce((total, value) => total + (value || 0), 0);
+            if (sum <= 0) {
+                return { error: 'Enter at least one target share', notes };
+            }
+            if (Math.abs(sum - 100) > 0.05) {
+                notes.push(`Targets add up to ${sum.toFixed(2)}%; they are scaled to 100%.`);
+            }
+            shares = values.map(value => (value || 0) / sum);
+        } else {
+            if (!hourlyRate) {
+                return { error: 'The hourly reward rate is zero, so no APR target can be reached', notes };
+            }
+
+            const needed = values.map((value, index) => value === null ? null
+                : calculator.calcHourlyRewardsForAPR(value, pairs[index].tvl, pairs[index].libPerLp));
+            const neededTotal = needed.reduce((total, value) => total + (value || 0), 0);
+            const flexible = pairs.filter((pair, index) => needed[index] === null);
+
+            if (flexible.length === 0) {
+                if (neededTotal <= 0) {
+                    return { error: 'Enter at least one target APR', notes };
+                }
+                if (Math.abs(neededTotal - hourlyRate) / hourlyRate > 0.001) {
+                    notes.push(`These APRs need ${format(neededTotal)} ${symbol}/hour but the rate is ${format(hourlyRate)}; ` +
+                        `weights keep their ratios, so every APR lands at ${((hourlyRate / neededTotal) * 100).toFixed(1)}% of its target. ` +
+                        'Propose a rate change to hit them exactly.');
+                }
+                shares = needed.map(value => value / neededTotal);
+            } else {
+                const remainder = hourlyRate - neededTotal;
+                if (remainder < 0) {
+                    return { error: `These APRs need ${format(neededTotal)} ${symbol}/hour, more than the current rate of ${format(hourlyRate)}`, notes };
+                }
+
+                const flexibleWeight = flexible.reduce((total, pair) => total + pair.weight, 0);
+                shares = pairs.map((pair, index) => needed[index] !== null
+                    ? needed[index] / hourlyRate
+                    : (remainder / hourlyRate) * (flexibleWeight > 0 ? pair.weight / flexibleWeight : 1 / flexible.length));
+                if (remainder > 0) {
+                    notes.push(`Pairs without a target share the remaining ${format(remainder)} ${symbol}/hour.`);
+                }
+            }
+        }
+
+        // Keep today's total weight when it is fine-grained enough and fits the per-pair cap,
+        // otherwise scale so the largest pair gets 1,000
+        const maxShare = Math.max(...shares);
+        const scale = currentTotal >= 100 && maxShare * currentTotal <= 1000 ? currentTotal : 1000 / maxShare;
+        const weights = shares.map(share => Math.round(share * scale));
+        const totalWeight = weights.reduce((total, weight) => total + weight, 0);
+        if (totalWeight === 0) {
+            return { error: 'Targets round to zero weight for every pair', notes };
+        }
+
+        return {
+            notes,
+            rows: pairs.map((pair, index) => ({
+                weight: weights[index],
+                share: (weights[index] / totalWeight) * 100,
+                hourly: hourlyRate * (weights[index] / totalWeight),
+                apr: pair.tvl > 0 && pair.libPerLp > 0
+                    ? calculator.calcAPR(hourlyRate, pair.tvl, pair.libPerLp, weights[index], totalWeight)
+                    : null
+            }))
+        };
+    }
+
+    /**
+     * Copy the computed weights into the New Weight inputs; the normal submit flow takes it from there
+     */
+    applyWeightRebalance() {
+        const result = this.weightRebalanceResult;
+        if (!result?.rows || !this.weightRebalance) return;
+
+        let changed = 0;
+        this.weightRebalance.pairs.forEach((pair, index) => {
+            const input = document.querySelector(`.weight-input[data-pair="${pair.address}"]`);
+            if (!input) return;
+
+            const weight = result.rows[index].weight;
+            input.value = weight !== parseInt(input.dataset.current, 10) ? String(weight) : '';
+            if (input.value) changed++;
+        });
+
+        this.showMessage(changed > 0
+            ? `Filled in ${changed} new weight${changed === 1 ? '' : 's'}. Review them below, then create the proposal.`
+            : 'The targets match the current weights; nothing to change.', 'info');
+    }
+
     // Helper methods for user feedback
     showSuccess(message) {
         const text = message || 'Action completed successfully';
@@ -5142,57 +6118,1159 @@ class AdminPage {
         `).join('');
     }
 
-    // Proposal action methods
-    async approveAction(proposalId) {
-        try {
-            if (window.notificationManager) {
-                window.notificationManager.info(`Submitting approval for proposal #${proposalId}`);
+    /**
+     * Dry-run the proposal in an open propose modal and show the result inside the modal
+     * @param {string} modalType - hourly-rate | add-pair | remove-pair | update-weights | change-signer | withdraw-rewards
+     */
+    async simulateProposalForm(modalType) {
+        const value = (id) => document.getElementById(id)?.value?.trim() || '';
+        let method;
+        let params;
+
+        switch (modalType) {
+            case 'hourly-rate':
+                method = 'proposeSetHourlyRewardRate';
+                params = [value('new-rate')];
+                break;
+            case 'add-pair':
+                method = 'proposeAddPair';
+                params = [value('pair-address'), value('pair-name'), value('pair-platform'), value('pair-weight')];
+                break;
+            case 'remove-pair':
+                method = 'proposeRemovePair';
+                params = [value('remove-pair-select')];
+                break;
+            case 'update-weights': {
+                const changed = Array.from(document.querySelectorAll('.weight-input'))
+                    .filter(input => input.value.trim() && parseInt(input.value, 10) !== parseInt(input.dataset.current, 10));
+                method = 'proposeUpdatePairWeights';
+                params = [changed.map(input => input.dataset.pair), changed.map(input => parseInt(input.value, 10))];
+                break;
             }
+            case 'change-signer':
+                method = 'proposeChangeSigner';
+                params = [value('old-signer'), value('new-signer')];
+                break;
+            case 'withdraw-rewards':
+                method = 'proposeWithdrawRewards';
+                params = [value('withdrawal-address'), value('withdrawal-amount')];
+                break;
+            default:
+                return;
+        }
 
-            // Use real contract for approval (like React version)
-            const contractManager = await this.ensureContractReady();
-            const result = await contractManager.approveAction(proposalId);
+        if (params.some(param => param === '' || (Array.isArray(param) && param.length === 0))) {
+            this.showError('Fill in the proposal before simulating');
+            return;
+        }
 
-            if (result.success) {
-                this.showSuccess(`✅ Proposal #${proposalId} approved successfully! Your vote has been recorded on the blockchain.`);
-                this.refreshAdminDataOnce();
-            } else {
-                throw result.error;
-            }
+        const modalBody = document.querySelector('#modal-container .modal-body');
+        if (!modalBody) return;
 
-        } catch (error) {
-            console.error('❌ Failed to approve proposal:', error);
-            const errorMessage = error?.userMessage?.message || error?.message || 'Unexpected error occurred while approving proposal. Please try again.';
-            window.notificationManager.error(errorMessage, {title: error?.userMessage?.title});
+        let container = document.getElementById('proposal-simulation');
+        if (!container) {
+            container = document.createElement('div');
+            container.id = 'proposal-simulation';
+            modalBody.appendChild(container);
         }
+        container.innerHTML = '<div class="simulation-result pending">🧪 Simulating against the latest block...</div>';
+
+        const result = await this.ensureContractReady()
+            .then(contractManager => contractManager.simulateAdminAction(method, params))
+            .catch(error => ({ success: false, error: error.message }));
+        container.innerHTML = this.renderSimulationResult(result);
+        container.scrollIntoView({ block: 'nearest' });
     }
 
-    async rejectAction(proposalId) {
-        try {
-            if (window.notificationManager) {
-                window.notificationManager.info(`Submitting rejection for proposal #${proposalId}`);
-            }
+    /**
+     * Dry-run approve, reject and execute for a proposal and show the outcomes together
+     */
+    async simulateProposalActions(proposalId) {
+        const modalContainer = document.getElementById('modal-container');
+        if (!modalContainer) return;
 
-            // Use real contract for rejection (like React version)
-            const contractManager = await this.ensureContractReady();
-            const result = await contractManager.rejectAction(proposalId);
+        modalContainer.innerHTML = `
+            <div class="modal-overlay">
+                <div class="modal-content" onclick="event.stopPropagation()">
+                    <div class="modal-header">
+                        <h3>Simulate Proposal #${proposalId}</h3>
+                        <button class="modal-close" type="button" onclick="adminPage.closeModal()">
+                            <span class="material-icons">close</span>
+                        </button>
+                    </div>
+                    <div class="modal-body" id="proposal-simulation">
+                        <div class="simulation-result pending">🧪 Simulating against the latest block...</div>
+                    </div>
+                </div>
+            </div>
+        `;
+        this.applyModalVisibilityFixes(modalContainer);
 
-            if (result.success) {
-                this.showSuccess(`✅ Proposal #${proposalId} rejected successfully! Your vote has been recorded on the blockchain.`);
-                this.refreshAdminDataOnce();
-            } else {
-                throw result.error;
-            }
+        const methods = [
+            ['approveAction', 'Approve'],
+            ['rejectAction', 'Reject'],
+            ['executeAction', 'Execute']
+        ];
+        const results = await this.ensureContractReady()
+            .then(contractManager => Promise.all(methods.map(([method]) => contractManager.simulateAdminAction(method, [proposalId]))))
+            .catch(error => methods.map(() => ({ success: false, error: error.message })));
+
+        const container = document.getElementById('proposal-simulation');
+        if (!container) return; // Modal closed while simulating
+
+        container.innerHTML = methods.map(([, label], index) => `
+            <div class="simulation-section">
+                <h4>${label}</h4>
+                ${this.renderSimulationResult(results[index])}
+            </div>
+        `).join('');
+    }
 
-        } catch (error) {
-            console.error('❌ Failed to reject proposal:', error);
-            const errorMessage = error?.userMessage?.message || error?.message || 'Unexpected error occurred while rejecting proposal. Please try again.';
-            window.notificationManager.error(errorMessage, {title: error?.userMessage?.title});
+    /**
+     * @param {Object} result - From ContractManager.simulateAdminAction()
+     */
+    renderSimulationResult(result) {
+        const escape = (value) => this.escapeHtml(value);
+
+        if (!result.success) {
+            const reason = result.revertReason
+                ? `Would revert: ${escape(result.revertReason)}`
+                : `Simulation failed: ${escape(result.error || 'Unknown error')}`;
+            return `<div class="simulation-result failure">❌ ${reason}</div>`;
         }
-    }
 
-    async executeAction(proposalId) {
-        try {
+        const renderRows = (changes) => changes.map(change => `
+            <tr>
+                <td>${escape(change.label)}</td>
+                <td>${escape(change.before)}</td>
+                <td>${escape(change.after)}</td>
+            </tr>
+        `).join('');
+
+        const immediate = result.changes.filter(change => !change.whenExecuted);
+        const onExecute = result.changes.filter(change => change.whenExecuted);
+
+        return `
+            <div class="simulation-result success">
+                <div>✅ Would succeed${result.gasEstimate ? ` · ~${Number(result.gasEstimate).toLocaleString()} gas` : ''} · block ${result.blockNumber}</div>
+                ${result.changes.length > 0 ? `
+                    <table class="simulation-diff">
+                        <thead><tr><th>State</th><th>Before</th><th>After</th></tr></thead>
+                        <tbody>
+                            ${renderRows(immediate)}
+                            ${onExecute.length > 0 ? `
+                                <tr class="simulation-diff-group"><td colspan="3">Once executed</td></tr>
+                                ${renderRows(onExecute)}
+                            ` : ''}
+                        </tbody>
+                    </table>
+                ` : ''}
+            </div>
+        `;
+    }
+
+    /**
+     * Offline signing for air-gapped signers: export an unsigned approve/reject/execute
+     * transaction (JSON + QR), then paste back the signed raw transaction to broadcast it
+     */
+    showOfflineSigningModal(proposalId) {
+        const modalContainer = document.getElementById('modal-container');
+        if (!modalContainer) return;
+
+        modalContainer.innerHTML = `
+            <div class="modal-overlay">
+                <div class="modal-content" onclick="event.stopPropagation()">
+                    <div class="modal-header">
+                        <h3>Offline Signing · Proposal #${proposalId}</h3>
+                        <button class="modal-close" type="button" onclick="adminPage.closeModal()">
+                            <span class="material-icons">close</span>
+                        </button>
+                    </div>
+                    <div class="modal-body">
+                        <div class="form-group">
+                            <label for="offline-action">Action</label>
+                            <select id="offline-action" class="form-input">
+                                <option value="approveAction">Approve</option>
+                                <option value="rejectAction">Reject</option>
+                                <option value="executeAction">Execute</option>
+                            </select>
+                        </div>
+                        <div class="form-group">
+                            <label for="offline-signer">Signer address (offline wallet)</label>
+                            <input type="text" id="offline-signer" class="form-input" placeholder="0x..." value="${this.userAddress || ''}">
+                        </div>
+                        <button type="button" class="btn btn-outline" onclick="adminPage.exportOfflineTransaction('${proposalId}')">
+                            📤 Export unsigned transaction
+                        </button>
+                        <div id="offline-export"></div>
+
+                        <div class="form-group offline-signed-group">
+                            <label for="offline-signed-tx">Signed raw transaction</label>
+                            <textarea id="offline-signed-tx" class="form-input" rows="4" placeholder="0x02f8..."></textarea>
+                            <small class="form-help">Paste the signed transaction from the offline device. It is checked against the action above before broadcasting.</small>
+                        </div>
+                        <button type="button" class="btn btn-primary" onclick="adminPage.broadcastOfflineTransaction('${proposalId}')">
+                            📡 Verify &amp; broadcast
+                        </button>
+                        <div id="offline-broadcast-status"></div>
+                    </div>
+                </div>
+            </div>
+        `;
+        this.applyModalVisibilityFixes(modalContainer);
+    }
+
+    async exportOfflineTransaction(proposalId) {
+        const method = document.getElementById('offline-action')?.value;
+        const from = document.getElementById('offline-signer')?.value.trim();
+        const container = document.getElementById('offline-export');
+        if (!method || !container) return;
+
+        if (!this.isValidAddress(from)) {
+            this.showError('Enter the address of the offline signer');
+            return;
+        }
+
+        container.innerHTML = '<div class="simulation-result pending">Preparing transaction...</div>';
+
+        try {
+            const contractManager = await this.ensureContractReady();
+            const bundle = await contractManager.buildUnsignedAdminTransaction(method, [proposalId], from);
+            const json = JSON.stringify(bundle, null, 2);
+            this.offlineBundle = { json, fileName: `proposal-${proposalId}-${method}.json` };
+
+            container.innerHTML = `
+                <div class="offline-bundle">
+                    <div class="offline-bundle-summary">${this.escapeHtml(bundle.description)} · nonce ${bundle.tx.nonce} · chain ${bundle.tx.chainId}</div>
+                    <textarea class="form-input offline-bundle-json" rows="8" readonly>${this.escapeHtml(json)}</textarea>
+                    <div class="offline-bundle-actions">
+                        <button type="button" class="btn btn-outline" onclick="adminPage.copyOfflineBundle()">Copy JSON</button>
+                        <button type="button" class="btn btn-outline" onclick="adminPage.downloadOfflineBundle()">Download</button>
+                    </div>
+                    <div class="offline-bundle-qr" id="offline-bundle-qr"></div>
+                </div>
+            `;
+
+            await this.renderOfflineQr(JSON.stringify(bundle));
+        } catch (error) {
+            console.error('Failed to build unsigned transaction:', error);
+            container.innerHTML = `<div class="simulation-result failure">❌ ${this.escapeHtml(error.message)}</div>`;
+        }
+    }
+
+    async renderOfflineQr(text) {
+        const target = document.getElementById('offline-bundle-qr');
+        if (!target) return;
+
+        try {
+            const qrcode = await this.loadQrLibrary();
+            if (!qrcode) return;
+
+            const qr = qrcode(0, 'L');
+            qr.addData(text);
+            qr.make();
+            target.innerHTML = qr.createSvgTag(3);
+        } catch (error) {
+            console.warn('⚠️ QR code unavailable:', error.message);
+            target.innerHTML = '<small class="form-help">QR code unavailable for this transaction; use the JSON instead.</small>';
+        }
+    }
+
+    /**
+     * Load the qrcode-generator UMD build on first use
+     * @returns {Promise<Function|null>} The global qrcode factory, or null when QR export is disabled
+     */
+    async loadQrLibrary() {
+        if (typeof window.qrcode === 'function') {
+            return window.qrcode;
+        }
+
+        const { QR_SCRIPT_URL: scriptUrl, QR_SCRIPT_INTEGRITY: integrity } = window.CONFIG?.OFFLINE_SIGNING || {};
+        if (!scriptUrl) {
+            return null;
+        }
+
+        const isRemote = /^(https?:)?\/\//.test(scriptUrl);
+        if (isRemote && !integrity) {
+            throw new Error('Remote QR code library needs QR_SCRIPT_INTEGRITY');
+        }
+
+        await new Promise((resolve, reject) => {
+            const script = document.createElement('script');
+            // Vendored copy lives in libs/, one level up from the admin page
+            script.src = !isRemote && scriptUrl.startsWith('libs/') ? `../${scriptUrl}` : scriptUrl;
+            if (integrity) {
+                script.integrity = integrity;
+                script.crossOrigin = 'anonymous';
+            }
+            script.async = true;
+            script.onload = resolve;
+            script.onerror = () => reject(new Error('Failed to load QR code library'));
+            document.head.appendChild(script);
+        });
+
+        return typeof window.qrcode === 'function' ? window.qrcode : null;
+    }
+
+    async copyOfflineBundle() {
+        if (!this.offlineBundle) return;
+
+        try {
+            await navigator.clipboard.writeText(this.offlineBundle.json);
+            window.notificationManager.success('Unsigned transaction copied to clipboard');
+        } catch (error) {
+            console.error('Failed to copy unsigned transaction:', error);
+            window.notificationManager.error('Failed to copy unsigned transaction');
+        }
+    }
+
+    downloadOfflineBundle() {
+        if (!this.offlineBundle) return;
+
+        const blob = new Blob([this.offlineBundle.json], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = this.offlineBundle.fileName;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+    }
+
+    async broadcastOfflineTransaction(proposalId) {
+        const method = document.getElementById('offline-action')?.value;
+        const rawTransaction = document.getElementById('offline-signed-tx')?.value.trim();
+        const status = document.getElementById('offline-broadcast-status');
+        if (!method || !status) return;
+
+        if (!rawTransaction) {
+            this.showError('Paste the signed raw transaction first');
+            return;
+        }
+
+        status.innerHTML = '<div class="simulation-result pending">Verifying and broadcasting...</div>';
+
+        const contractManager = await this.ensureContractReady();
+        const result = await contractManager.broadcastSignedAdminTransaction(rawTransaction, method, [proposalId]);
+
+        if (result.success) {
+            this.closeModal();
+            this.showSuccess(`✅ Offline-signed transaction for proposal #${proposalId} confirmed in block ${result.blockNumber}`);
+            this.refreshAdminDataOnce();
+            return;
+        }
+
+        const message = result.error?.userMessage?.message || result.error?.message || 'Broadcast failed';
+        status.innerHTML = `<div class="simulation-result failure">❌ ${this.escapeHtml(message)}</div>`;
+    }
+
+    // ============ CHANGE SETS ============
+
+    /**
+     * Change set builder: several add/remove/weight/rate proposals composed together, previewed
+     * as one resulting pair list, and submitted one after another under a shared label. The
+     * draft lives in localStorage per network so a run interrupted by a failed or rejected
+     * transaction can be resumed after a reload.
+     */
+    showChangeSetModal() {
+        const modalContainer = document.getElementById('modal-container');
+        if (!modalContainer) {
+            console.error('❌ Modal container not found');
+            return;
+        }
+
+        this.changeSet = this.loadChangeSet();
+
+        modalContainer.innerHTML = `
+            <div class="modal-overlay">
+                <div class="modal-content change-set-modal" onclick="event.stopPropagation()">
+                    <div class="modal-header">
+                        <h3>Change Set</h3>
+                        <button class="modal-close" type="button" onclick="adminPage.closeModal()">
+                            <span class="material-icons">close</span>
+                        </button>
+                    </div>
+
+                    <div class="modal-body">
+                        <div class="form-group">
+                            <label for="change-set-label">Label *</label>
+                            <input type="text" id="change-set-label" class="form-input" maxlength="60"
+                                   placeholder="e.g., Q3 pair onboarding" oninput="adminPage.updateChangeSetLabel(this.value)">
+                            <small class="form-help">Shown next to every proposal in this set. Labels are saved in this browser only; share the set link so other signers see them.</small>
+                        </div>
+
+                        <div class="change-set-section">
+                            <h4>📋 Steps</h4>
+                            <div id="change-set-steps"></div>
+                        </div>
+
+                        <div class="change-set-section" id="change-set-composer">
+                            <h4>➕ Add Step</h4>
+                            <div class="form-group">
+                                <select id="change-set-step-type" class="form-input" onchange="adminPage.renderChangeSetStepForm()">
+                                    <option value="add-pair">Add Pair</option>
+                                    <option value="remove-pair">Remove Pair</option>
+                                    <option value="update-weights">Update Pair Weights</option>
+                                    <option value="hourly-rate">Update Hourly Rate</option>
+                                </select>
+                            </div>
+                            <div id="change-set-step-form"></div>
+                            <button type="button" class="btn btn-outline" onclick="adminPage.addChangeSetStep()">+ Add Step</button>
+                        </div>
+
+                        <div class="change-set-section">
+                            <h4>🔍 Preview</h4>
+                            <div id="change-set-preview"></div>
+                        </div>
+                    </div>
+
+                    <div class="modal-footer">
+                        <button type="button" class="btn btn-secondary modal-cancel">
+                            Close
+                        </button>
+                        <button type="button" class="btn btn-outline" onclick="adminPage.clearChangeSet()" title="Discard this change set">
+                            Clear
+                        </button>
+                        <button type="button" class="btn btn-primary" id="change-set-submit" onclick="adminPage.submitChangeSet()"></button>
+                    </div>
+                </div>
+            </div>
+        `;
+
+        this.applyModalVisibilityFixes(modalContainer);
+        this.renderChangeSetStepForm();
+        this.renderChangeSet();
+
+        console.log('✅ Change set modal opened');
+    }
+
+    getChangeSetStorageKey() {
+        return `liberdus-admin-change-set-${window.networkSelector?.getSelectedNetworkKey() || 'default'}`;
+    }
+
+    /**
+     * @returns {{label: string, steps: Array<Object>}}
+     */
+    loadChangeSet() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.getChangeSetStorageKey()) || 'null');
+            if (saved && Array.isArray(saved.steps)) {
+                // A reload mid-transaction leaves its outcome unknown; let the signer retry it
+                saved.steps.forEach(step => {
+                    if (step.status === 'submitting') {
+                        step.status = 'failed';
+                        step.error = 'Interrupted before confirmation. Check the proposal list before retrying.';
+                    }
+                });
+                return { label: saved.label || '', steps: saved.steps };
+            }
+        } catch (error) {
+            console.warn('⚠️ Could not read saved change set:', error.message);
+        }
+        return { label: '', steps: [] };
+    }
+
+    saveChangeSet() {
+        try {
+            if (this.changeSet.steps.length === 0 && !this.changeSet.label) {
+                localStorage.removeItem(this.getChangeSetStorageKey());
+            } else {
+                localStorage.setItem(this.getChangeSetStorageKey(), JSON.stringify(this.changeSet));
+            }
+        } catch (error) {
+            console.warn('⚠️ Could not save change set:', error.message);
+        }
+    }
+
+    updateChangeSetLabel(value) {
+        this.changeSet.label = value.trim();
+        this.saveChangeSet();
+    }
+
+    clearChangeSet() {
+        if (this.isSubmittingChangeSet) return;
+
+        this.changeSet = { label: '', steps: [] };
+        this.saveChangeSet();
+        this.renderChangeSetStepForm();
+        this.renderChangeSet();
+    }
+
+    removeChangeSetStep(index) {
+        const step = this.changeSet.steps[index];
+        if (!step || step.status === 'submitted' || this.isSubmittingChangeSet) return;
+
+        this.changeSet.steps.splice(index, 1);
+        this.saveChangeSet();
+        this.renderChangeSetStepForm();
+        this.renderChangeSet();
+    }
+
+    /**
+     * Pairs, weights and rate as they would be once every step in the set has executed
+     * @param {Array<Object>} steps
+     * @returns {{pairs: Array<{address: string, name: string, platform: string, before: number|null, after: number|null}>,
+     *   rateBefore: number|null, rateAfter: number|null}}
+     */
+    projectChangeSet(steps) {
+        const pairs = (this.contractStats?.pairs || []).map(pair => ({
+            address: pair.address,
+            name: pair.name,
+            platform: pair.platform,
+            before: parseFloat(pair.weight) || 0,
+            after: parseFloat(pair.weight) || 0
+        }));
+        const find = (address) => pairs.find(pair => pair.address.toLowerCase() === address.toLowerCase());
+
+        const rateBefore = this.contractStats?.hourlyRewardRate != null ? parseFloat(this.contractStats.hourlyRewardRate) : null;
+        let rateAfter = rateBefore;
+
+        steps.forEach(step => {
+            switch (step.type) {
+                case 'add-pair': {
+                    const existing = find(step.lpToken);
+                    if (existing) {
+                        existing.after = step.weight;
+                    } else {
+                        pairs.push({ address: step.lpToken, name: step.pairName, platform: step.platform, before: null, after: step.weight });
+                    }
+                    break;
+                }
+                case 'remove-pair': {
+                    const pair = find(step.lpToken);
+                    if (pair) pair.after = null;
+                    break;
+                }
+                case 'update-weights':
+                    step.lpTokens.forEach((lpToken, index) => {
+                        const pair = find(lpToken);
+                        if (pair && pair.after !== null) pair.after = step.weights[index];
+                    });
+                    break;
+                case 'hourly-rate':
+                    rateAfter = step.rate;
+                    break;
+            }
+        });
+
+        return { pairs, rateBefore, rateAfter };
+    }
+
+    /**
+     * Inputs for the step type picked in the composer. Pair choices reflect the steps already
+     * in the set, so a pair added earlier can be reweighted or removed later in the same set.
+     */
+    renderChangeSetStepForm() {
+        const container = document.getElementById('change-set-step-form');
+        const type = document.getElementById('change-set-step-type')?.value;
+        if (!container || !type) return;
+
+        const escape = (value) => this.escapeHtml(value);
+        const activePairs = this.projectChangeSet(this.changeSet.steps).pairs.filter(pair => pair.after !== null);
+
+        switch (type) {
+            case 'add-pair':
+                container.innerHTML = `
+                    <div class="form-group">
+                        <label for="change-set-pair-address">LP Token Address *</label>
+                        <input type="text" id="change-set-pair-address" class="form-input" placeholder="0x...">
+                    </div>
+                    <div class="form-group">
+                        <label for="change-set-pair-name">Pair Name *</label>
+                        <input type="text" id="change-set-pair-name" class="form-input" placeholder="e.g., LIB/USDC" maxlength="50">
+                    </div>
+                    <div class="form-group">
+                        <label for="change-set-pair-platform">Platform *</label>
+                        <select id="change-set-pair-platform" class="form-input">
+                            <option value="">Select platform...</option>
+                            ${(window.CONFIG?.PLATFORMS?.OPTIONS || []).map(platform =>
+                                `<option value="${platform}">${platform}</option>`
+                            ).join('')}
+                        </select>
+                    </div>
+                    <div class="form-group">
+                        <label for="change-set-pair-weight">Allocation Points *</label>
+                        <input type="number" id="change-set-pair-weight" class="form-input" step="1" min="1" max="1000" placeholder="1-1,000">
+                    </div>
+                `;
+                break;
+            case 'remove-pair':
+                container.innerHTML = `
+                    <div class="form-group">
+                        <label for="change-set-remove-pair">Pair *</label>
+                        <select id="change-set-remove-pair" class="form-input">
+                            <option value="">Select pair...</option>
+                            ${activePairs.map(pair =>
+                                `<option value="${pair.address}">${escape(pair.name)} (${pair.address.slice(0, 6)}...${pair.address.slice(-4)})</option>`
+                            ).join('')}
+                        </select>
+                    </div>
+                `;
+                break;
+            case 'update-weights':
+                container.innerHTML = activePairs.length === 0
+                    ? '<p class="change-set-empty">No pairs to reweight.</p>'
+                    : `
+                        <div class="change-set-weights">
+                            ${activePairs.map(pair => `
+                                <label class="change-set-weight-row">
+                                    <span>${escape(pair.name)}</span>
+                                    <input type="number" class="form-input change-set-weight-input" step="1" min="0" max="1000"
+                                           data-pair="${pair.address}" data-current="${pair.after}" placeholder="${pair.after}">
+                                </label>
+                            `).join('')}
+                        </div>
+                        <small class="form-help">Leave a pair blank to keep its weight</small>
+                    `;
+                break;
+            case 'hourly-rate':
+                container.innerHTML = `
+                    <div class="form-group">
+                        <label for="change-set-rate">New Hourly Rate *</label>
+                        <input type="number" id="change-set-rate" class="form-input" step="0.01" min="0" placeholder="Enter new rate">
+                    </div>
+                `;
+                break;
+        }
+    }
+
+    /**
+     * Validate the composer inputs (same rules as the single-proposal modals) and append a step
+     */
+    addChangeSetStep() {
+        if (this.isSubmittingChangeSet) return;
+
+        const type = document.getElementById('change-set-step-type')?.value;
+        const activePairs = this.projectChangeSet(this.changeSet.steps).pairs.filter(pair => pair.after !== null);
+        const isActive = (address) => activePairs.some(pair => pair.address.toLowerCase() === address.toLowerCase());
+        let step;
+
+        switch (type) {
+            case 'add-pair': {
+                const lpToken = document.getElementById('change-set-pair-address').value.trim();
+                const pairName = document.getElementById('change-set-pair-name').value.trim();
+                const platform = document.getElementById('change-set-pair-platform').value;
+                const weight = parseInt(document.getElementById('change-set-pair-weight').value, 10);
+
+                if (!lpToken || !pairName || !platform) {
+                    this.showError('Please fill in all required fields: LP Address, Weight, Pair Name, and Platform');
+                    return;
+                }
+                if (!this.isValidAddress(lpToken)) {
+                    this.showError('Invalid LP token address format. Please enter a valid Ethereum address starting with 0x');
+                    return;
+                }
+                if (isActive(lpToken)) {
+                    this.showError('This pair is already active or added earlier in the change set');
+                    return;
+                }
+                if (isNaN(weight) || weight < 1 || weight > 1000) {
+                    this.showError('Weight must be a number between 1 and 1,000');
+                    return;
+                }
+                if (pairName.length < 2 || pairName.length > 50) {
+                    this.showError('Pair name must be between 2 and 50 characters');
+                    return;
+                }
+                step = { type, lpToken, pairName, platform, weight };
+                break;
+            }
+            case 'remove-pair': {
+                const lpToken = document.getElementById('change-set-remove-pair').value;
+                if (!lpToken) {
+                    this.showError('Please select a pair to remove');
+                    return;
+                }
+                step = { type, lpToken };
+                break;
+            }
+            case 'update-weights': {
+                const lpTokens = [];
+                const weights = [];
+                for (const input of document.querySelectorAll('.change-set-weight-input')) {
+                    const value = input.value.trim();
+                    if (!value) continue;
+
+                    const weight = parseInt(value, 10);
+                    if (isNaN(weight) || weight < 0 || weight > 1000) {
+                        this.showError(`Invalid weight value: ${value}. Must be between 0-1,000`);
+                        return;
+                    }
+                    if (weight !== parseFloat(input.dataset.current)) {
+                        lpTokens.push(input.dataset.pair);
+                        weights.push(weight);
+                    }
+                }
+                if (lpTokens.length === 0) {
+                    this.showError('Please specify at least one weight change');
+                    return;
+                }
+                step = { type, lpTokens, weights };
+                break;
+            }
+            case 'hourly-rate': {
+                const rate = parseFloat(document.getElementById('change-set-rate').value);
+                if (isNaN(rate) || rate < 0) {
+                    this.showError('Rate cannot be negative');
+                    return;
+                }
+                step = { type, rate };
+                break;
+            }
+            default:
+                return;
+        }
+
+        this.changeSet.steps.push({ ...step, status: 'draft', txHash: null, proposalId: null, error: null });
+        this.saveChangeSet();
+        this.renderChangeSetStepForm();
+        this.renderChangeSet();
+    }
+
+    /**
+     * Re-render the label, step list with progress, preview and submit button
+     */
+    renderChangeSet() {
+        const { label, steps } = this.changeSet;
+        const submitted = steps.filter(step => step.status === 'submitted').length;
+        const started = submitted > 0 || this.isSubmittingChangeSet;
+
+        const labelInput = document.getElementById('change-set-label');
+        if (labelInput) {
+            labelInput.value = label;
+            // Proposals already carry the label, so it can't change mid-set
+            labelInput.disabled = started;
+        }
+
+        const stepsDiv = document.getElementById('change-set-steps');
+        if (stepsDiv) {
+            stepsDiv.innerHTML = steps.length === 0
+                ? '<p class="change-set-empty">No steps yet. Add pairs, removals, weight changes or a rate change below.</p>'
+                : `
+                    ${started ? `<div class="change-set-progress">${submitted} / ${steps.length} proposals submitted</div>` : ''}
+                    <ol class="change-set-steps">
+                        ${steps.map((step, index) => this.renderChangeSetStep(step, index)).join('')}
+                    </ol>
+                    ${this.renderChangeSetShare(steps)}
+                `;
+        }
+
+        const previewDiv = document.getElementById('change-set-preview');
+        if (previewDiv) {
+            previewDiv.innerHTML = this.renderChangeSetPreview(this.projectChangeSet(steps));
+        }
+
+        const submitBtn = document.getElementById('change-set-submit');
+        if (submitBtn) {
+            const remaining = steps.length - submitted;
+            submitBtn.disabled = this.isSubmittingChangeSet || remaining === 0;
+            submitBtn.textContent = this.isSubmittingChangeSet ? 'Submitting...'
+                : remaining === 0 ? (steps.length > 0 ? 'All Submitted' : 'Submit Proposals')
+                : submitted > 0 ? `Resume (${remaining} left)`
+                : `Submit ${remaining} Proposal${remaining === 1 ? '' : 's'}`;
+        }
+    }
+
+    /**
+     * Link to the submitted proposals with the set's label. The label isn't stored on-chain,
+     * so this link is how other signers see it.
+     */
+    renderChangeSetShare(steps) {
+        const actionIds = steps.map(step => step.proposalId).filter(Boolean);
+        if (actionIds.length === 0) return '';
+
+        return `
+            <div class="change-set-share">
+                <input type="text" class="form-input" readonly value="${this.escapeHtml(this.getChangeSetLink(actionIds, this.changeSet.label))}"
+                       onclick="this.select()" aria-label="Change set link">
+                <button class="btn btn-secondary" type="button" onclick="adminPage.copyChangeSetLink(${actionIds[0]})">Copy Link</button>
+            </div>
+            <small class="form-help">Share this link so other signers see the label on proposals ${actionIds.map(id => `#${id}`).join(', ')}</small>
+        `;
+    }
+
+    renderChangeSetStep(step, index) {
+        const statusIcon = { draft: '📝', submitting: '⏳', submitted: '✅', failed: '❌' }[step.status] || '📝';
+        const canRemove = step.status !== 'submitted' && !this.isSubmittingChangeSet;
+
+        return `
+            <li class="change-set-step ${step.status}">
+                <span class="change-set-step-status">${statusIcon}</span>
+                <div class="change-set-step-body">
+                    <div>${this.describeChangeSetStep(step)}</div>
+                    ${step.status === 'submitted' ? `
+                        <small>${step.proposalId ? `
+                            <a class="proposal-id-link" href="${this.getProposalLink(step.proposalId)}"
+                               onclick="adminPage.closeModal(); adminPage.showProposalDetail(${step.proposalId}); return false;">#${step.proposalId}</a>
+                        ` : 'Proposal ID unknown'}
+                            · Tx ${step.txHash ? `${step.txHash.slice(0, 10)}...` : 'N/A'}</small>
+                    ` : ''}
+                    ${step.status === 'failed' && step.error ? `<small class="change-set-step-error">${this.escapeHtml(step.error)}</small>` : ''}
+                </div>
+                ${canRemove ? `
+                    <button class="change-set-step-remove" type="button" onclick="adminPage.removeChangeSetStep(${index})" title="Remove step" aria-label="Remove step">
+                        <span class="material-icons">close</span>
+                    </button>
+                ` : ''}
+            </li>
+        `;
+    }
+
+    describeChangeSetStep(step) {
+        const escape = (value) => this.escapeHtml(value);
+        const pairName = (address) => escape(this.getPairNameByAddress(address)
+            || this.changeSet.steps.find(other => other.type === 'add-pair' && other.lpToken.toLowerCase() === address.toLowerCase())?.pairName
+            || `${address.slice(0, 6)}...${address.slice(-4)}`);
+
+        switch (step.type) {
+            case 'add-pair':
+                return `➕ Add <strong>${escape(step.pairName)}</strong> (${escape(step.platform)}) with weight ${step.weight}`;
+            case 'remove-pair':
+                return `🗑️ Remove <strong>${pairName(step.lpToken)}</strong>`;
+            case 'update-weights':
+                return `⚖️ Set weights: ${step.lpTokens.map((lpToken, index) => `${pairName(lpToken)} → ${step.weights[index]}`).join(', ')}`;
+            case 'hourly-rate':
+                return `⏱️ Set hourly rate to ${step.rate} ${this.contractStats?.rewardTokenSymbol || 'USDC'}/hour`;
+            default:
+                return 'Unknown step';
+        }
+    }
+
+    /**
+     * Resulting pair list with weight shares before and after the set
+     * @param {Object} projection - From projectChangeSet()
+     */
+    renderChangeSetPreview({ pairs, rateBefore, rateAfter }) {
+        const escape = (value) => this.escapeHtml(value);
+        const totalBefore = pairs.reduce((sum, pair) => sum + (pair.before || 0), 0);
+        const totalAfter = pairs.reduce((sum, pair) => sum + (pair.after || 0), 0);
+        const share = (weight, total) => weight === null ? '—' : total > 0 ? `${((weight / total) * 100).toFixed(1)}%` : '0%';
+        const format = (weight) => weight === null ? '—' : weight.toLocaleString();
+
+        if (pairs.length === 0 && rateAfter === rateBefore) {
+            return '<p class="change-set-empty">No pairs loaded.</p>';
+        }
+
+        return `
+            <table class="simulation-diff change-set-preview">
+                <thead>
+                    <tr><th>Pair</th><th>Weight</th><th>Share</th><th></th></tr>
+                </thead>
+                <tbody>
+                    ${pairs.map(pair => {
+                        const state = pair.before === null ? 'added' : pair.after === null ? 'removed' : pair.before !== pair.after ? 'changed' : '';
+                        const afterShare = pair.after !== null && totalAfter > 0 ? (pair.after / totalAfter) * 100 : 0;
+                        return `
+                            <tr class="${state}">
+                                <td>${escape(pair.name)}</td>
+                                <td>${state ? `${format(pair.before)} → ${format(pair.after)}` : format(pair.after)}</td>
+                                <td>${state ? `${share(pair.before, totalBefore)} → ${share(pair.after, totalAfter)}` : share(pair.after, totalAfter)}</td>
+                                <td class="change-set-share"><div class="change-set-share-bar" style="width: ${afterShare.toFixed(1)}%"></div></td>
+                            </tr>
+                        `;
+                    }).join('')}
+                    <tr class="change-set-total">
+                        <td>Total weight</td>
+                        <td>${totalBefore !== totalAfter ? `${format(totalBefore)} → ${format(totalAfter)}` : format(totalAfter)}</td>
+                        <td></td><td></td>
+                    </tr>
+                    ${rateAfter !== rateBefore ? `
+                        <tr class="changed">
+                            <td>Hourly rate</td>
+                            <td colspan="3">${rateBefore ?? 'N/A'} → ${rateAfter} ${this.contractStats?.rewardTokenSymbol || 'USDC'}/hour</td>
+                        </tr>
+                    ` : ''}
+                </tbody>
+            </table>
+            ${this.changeSet.steps.length > 1 ? '<small class="form-help">Each step is a separate proposal. Execute them in the listed order.</small>' : ''}
+        `;
+    }
+
+    /**
+     * Submit the remaining steps one at a time. Stops at the first failure; the set is saved
+     * after every step, so the signer can fix or remove the failed step and resume.
+     */
+    async submitChangeSet() {
+        if (this.isSubmittingChangeSet) {
+            console.warn('⚠️ Change set already submitting, ignoring duplicate request');
+            return;
+        }
+
+        const { label, steps } = this.changeSet;
+        const pending = steps.filter(step => step.status !== 'submitted');
+        if (pending.length === 0) {
+            this.showError('Add at least one step to the change set');
+            return;
+        }
+        if (!label) {
+            this.showError('Please give the change set a label');
+            return;
+        }
+
+        this.isSubmittingChangeSet = true;
+        this.renderChangeSet();
+
+        try {
+            const contractManager = await this.ensureContractReady();
+
+            for (const step of pending) {
+                step.status = 'submitting';
+                step.error = null;
+                this.saveChangeSet();
+                this.renderChangeSet();
+
+                window.notificationManager?.info(`Submitting step ${steps.indexOf(step) + 1} of ${steps.length}: ${this.escapeHtml(label)}`);
+
+                const result = await this.proposeChangeSetStep(contractManager, step);
+                if (!result.success) {
+                    step.status = 'failed';
+                    step.error = result.error?.userMessage?.message || result.error?.message || String(result.error || 'Transaction failed');
+                    this.saveChangeSet();
+                    this.showError(result.error?.userMessage?.title || `Change set stopped at step ${steps.indexOf(step) + 1}`, step.error);
+                    return;
+                }
+
+                const proposalId = Number(result.proposalId) || await contractManager.getProposalIdFromTransaction(result.transactionHash);
+                step.status = 'submitted';
+                step.txHash = result.transactionHash || null;
+                step.proposalId = proposalId || null;
+                if (proposalId) {
+                    this.saveProposalLabel(proposalId, label);
+                } else {
+                    window.notificationManager?.warning(`Step ${steps.indexOf(step) + 1} was submitted, but its proposal ID could not be determined, so it was not labelled. Check the proposal list before approving.`);
+                }
+                this.saveChangeSet();
+            }
+
+            const ids = steps.map(step => step.proposalId ? `#${step.proposalId}` : '?').join(', ');
+            this.showSuccess(`✅ Change set "${this.escapeHtml(label)}" submitted as proposals ${ids}`);
+            this.refreshAdminDataOnce();
+        } catch (error) {
+            console.error('❌ Failed to submit change set:', error);
+            const step = steps.find(item => item.status === 'submitting');
+            if (step) {
+                step.status = 'failed';
+                step.error = error.userMessage?.message || error.message;
+                this.saveChangeSet();
+            }
+            this.showError(error.userMessage?.title || 'Failed to submit change set', error.userMessage?.message || error.message);
+        } finally {
+            this.isSubmittingChangeSet = false;
+            this.renderChangeSetStepForm();
+            this.renderChangeSet();
+        }
+    }
+
+    async proposeChangeSetStep(contractManager, step) {
+        switch (step.type) {
+            case 'add-pair':
+                return await contractManager.proposeAddPair(step.lpToken, step.pairName, step.platform, step.weight);
+            case 'remove-pair':
+                return await contractManager.proposeRemovePair(step.lpToken);
+            case 'update-weights':
+                return await contractManager.proposeUpdatePairWeights(step.lpTokens, step.weights);
+            case 'hourly-rate':
+                return await contractManager.proposeSetHourlyRewardRate(step.rate);
+            default:
+                return { success: false, error: new Error(`Unknown step type: ${step.type}`) };
+        }
+    }
+
+    getProposalLabelsStorageKey() {
+        return `liberdus-proposal-labels-${window.networkSelector?.getSelectedNetworkKey() || 'default'}`;
+    }
+
+    /**
+     * @returns {Object<string, string>} Change set label by action ID
+     */
+    getProposalLabels() {
+        try {
+            return JSON.parse(localStorage.getItem(this.getProposalLabelsStorageKey()) || '{}');
+        } catch (error) {
+            return {};
+        }
+    }
+
+    /**
+     * Ask before saving the label from a shared change set link. Anyone can craft such a link,
+     * so the signer sees the label and proposals first, and labels already set here are kept.
+     */
+    showLabelImportModal() {
+        const modalContainer = document.getElementById('modal-container');
+        const link = this.pendingLabelImport;
+        if (!modalContainer || !link) return;
+
+        const labels = this.getProposalLabels();
+        const newIds = link.actions.filter(actionId => !labels[actionId]);
+        const keptIds = link.actions.filter(actionId => labels[actionId]);
+
+        modalContainer.innerHTML = `
+            <div class="modal-overlay">
+                <div class="modal-content" onclick="event.stopPropagation()">
+                    <div class="modal-header">
+                        <h3>Import Change Set Label</h3>
+                        <button class="modal-close" type="button" onclick="adminPage.dismissLabelImport()">
+                            <span class="material-icons">close</span>
+                        </button>
+                    </div>
+                    <div class="modal-body">
+                        <p>This link labels proposals ${link.actions.map(id => `#${id}`).join(', ')} as:</p>
+                        <p><span class="proposal-label">🏷️ ${this.escapeHtml(link.label)}</span></p>
+                        ${keptIds.length > 0 ? `
+                            <small class="form-help">Already labelled here, kept as is: ${keptIds.map(id => `#${id} (${this.escapeHtml(labels[id])})`).join(', ')}</small>
+                        ` : ''}
+                        <small class="form-help">Labels are saved in this browser only and say nothing about what a proposal does. Import only links from signers you trust, and review each proposal before approving it.</small>
+                    </div>
+                    <div class="modal-footer">
+                        <button type="button" class="btn btn-secondary" onclick="adminPage.dismissLabelImport()">Ignore</button>
+                        <button type="button" class="btn btn-primary" onclick="adminPage.confirmLabelImport()" ${newIds.length === 0 ? 'disabled' : ''}>
+                            Label ${newIds.length} Proposal${newIds.length === 1 ? '' : 's'}
+                        </button>
+                    </div>
+                </div>
+            </div>
+        `;
+        this.applyModalVisibilityFixes(modalContainer);
+    }
+
+    /**
+     * Save the confirmed label for the linked proposals that have none yet
+     */
+    confirmLabelImport() {
+        const link = this.pendingLabelImport;
+        this.dismissLabelImport();
+        if (!link) return;
+
+        const labels = this.getProposalLabels();
+        const newIds = link.actions.filter(actionId => !labels[actionId]);
+        newIds.forEach(actionId => this.saveProposalLabel(actionId, link.label));
+        console.log(`🏷️ Imported change set label for proposals ${newIds.map(id => `#${id}`).join(', ')}`);
+
+        this.applyProposalFilter().catch(() => {});
+        if (this.detailActionId) {
+            this.refreshProposalDetail().catch(() => {});
+        }
+    }
+
+    dismissLabelImport() {
+        this.pendingLabelImport = null;
+        this.closeModal();
+    }
+
+    /**
+     * @param {number[]} actionIds
+     * @param {string} label
+     * @returns {string} Deep link that carries the label to other signers
+     */
+    getChangeSetLink(actionIds, label) {
+        if (window.DeepLink) {
+            return window.DeepLink.build({ network: window.networkSelector?.getSelectedNetworkKey(), actions: actionIds, label });
+        }
+        return `?actions=${actionIds.join(',')}&label=${encodeURIComponent(label)}`;
+    }
+
+    /**
+     * Copy the link for the change set a proposal belongs to (every proposal saved with the same label)
+     * @param {number} actionId
+     */
+    async copyChangeSetLink(actionId) {
+        const labels = this.getProposalLabels();
+        const label = labels[actionId];
+        if (!label) return;
+
+        const actionIds = Object.keys(labels)
+            .filter(id => labels[id] === label)
+            .map(Number)
+            .sort((a, b) => a - b);
+
+        try {
+            await navigator.clipboard.writeText(this.getChangeSetLink(actionIds, label));
+            window.notificationManager.success(`Link to change set "${this.escapeHtml(label)}" copied to clipboard`);
+        } catch (error) {
+            console.error('Failed to copy change set link:', error);
+            window.notificationManager.error('Failed to copy link');
+        }
+    }
+
+    saveProposalLabel(actionId, label) {
+        try {
+            const labels = this.getProposalLabels();
+            labels[actionId] = label;
+            localStorage.setItem(this.getProposalLabelsStorageKey(), JSON.stringify(labels));
+        } catch (error) {
+            console.warn('⚠️ Could not save proposal label:', error.message);
+        }
+    }
+
+    /**
+     * Change set label chip for a proposal, if it was submitted from this browser as part of one
+     * or opened from a change set link. Clicking it copies that link.
+     */
+    renderProposalLabel(actionId) {
+        const label = this.getProposalLabels()[actionId];
+        return label ? `
+            <button class="proposal-label" type="button" onclick="event.stopPropagation(); adminPage.copyChangeSetLink(${actionId})"
+                    title="Change set label, saved in this browser only. Click to copy a link that shares it.">🏷️ ${this.escapeHtml(label)}</button>
+        ` : '';
+    }
+
+    // Contract data (pair names, revert reasons) is rendered into innerHTML
+    escapeHtml(value) {
+        return String(value ?? '').replace(/[&<>"]/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[char]);
+    }
+
+    // Proposal action methods
+    async approveAction(proposalId) {
+        try {
+            if (window.notificationManager) {
+                window.notificationManager.info(`Submitting approval for proposal #${proposalId}`);
+            }
+
+            // Use real contract for approval (like React version)
+            const contractManager = await this.ensureContractReady();
+            const result = await contractManager.approveAction(proposalId);
+
+            if (result.success) {
+                this.showSuccess(`✅ Proposal #${proposalId} approved successfully! Your vote has been recorded on the blockchain.`);
+                this.refreshAdminDataOnce();
+            } else {
+                throw result.error;
+            }
+
+        } catch (error) {
+            console.error('❌ Failed to approve proposal:', error);
+            const errorMessage = error?.userMessage?.message || error?.message || 'Unexpected error occurred while approving proposal. Please try again.';
+            window.notificationManager.error(errorMessage, {title: error?.userMessage?.title});
+        }
+    }
+
+    async rejectAction(proposalId) {
+        try {
+            if (window.notificationManager) {
+                window.notificationManager.info(`Submitting rejection for proposal #${proposalId}`);
+            }
+
+            // Use real contract for rejection (like React version)
+            const contractManager = await this.ensureContractReady();
+            const result = await contractManager.rejectAction(proposalId);
+
+            if (result.success) {
+                this.showSuccess(`✅ Proposal #${proposalId} rejected successfully! Your vote has been recorded on the blockchain.`);
+                this.refreshAdminDataOnce();
+            } else {
+                throw result.error;
+            }
+
+        } catch (error) {
+            console.error('❌ Failed to reject proposal:', error);
+            const errorMessage = error?.userMessage?.message || error?.message || 'Unexpected error occurred while rejecting proposal. Please try again.';
+            window.notificationManager.error(errorMessage, {title: error?.userMessage?.title});
+        }
+    }
+
+    async executeAction(proposalId) {
+        try {
             if (window.notificationManager) {
                 window.notificationManager.info(`Executing proposal #${proposalId}`);
             }
@@ -5220,6 +7298,10 @@ class AdminPage {
             clearInterval(this.refreshInterval);
             this.refreshInterval = null;
         }
+        if (this.unsubscribeContractEvents) {
+            this.unsubscribeContractEvents();
+            this.unsubscribeContractEvents = null;
+        }
 
         // Remove event listeners
         if (window.ethereum) {
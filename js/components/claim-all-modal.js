@@ -0,0 +1,427 @@
+/**
+ * Claim All Modal - Claims rewards from every pair with a pending balance
+ * Reads claimable pairs via ContractManager.getClaimableRewards(), then sends one
+ * claimRewards() transaction per pair in sequence with a single progress view.
+ */
+
+class ClaimAllModal {
+    constructor() {
+        this.isOpen = false;
+        this.isRunning = false;
+        this.stopRequested = false;
+        this.queue = []; // [{ pair, pendingRewards, status, hash, error }]
+        this.currentIndex = -1;
+        this.loadToken = 0;
+
+        this.init();
+    }
+
+    init() {
+        this.createModal();
+        this.attachEventListeners();
+    }
+
+    createModal() {
+        if (document.getElementById('claim-all-modal')) return;
+
+        const modal = document.createElement('div');
+        modal.id = 'claim-all-modal';
+        modal.className = 'modal-overlay';
+        modal.style.display = 'none';
+        modal.innerHTML = `
+            <div class="modal-backdrop" data-claim-all-close></div>
+            <div class="modal-content claim-all-content">
+                <div class="modal-header">
+                    <div class="modal-title-section">
+                        <h2 class="modal-title">Claim All Rewards</h2>
+                        <div class="pair-info" id="claim-all-subtitle"></div>
+                    </div>
+                    <button class="modal-close" data-claim-all-close>
+                        <span class="material-icons">close</span>
+                    </button>
+                </div>
+
+                <div class="modal-body">
+                    <div id="claim-all-body"></div>
+                    <div class="claim-all-actions" id="claim-all-actions"></div>
+                </div>
+            </div>
+        `;
+
+        (document.getElementById('modal-container') || document.body).appendChild(modal);
+    }
+
+    attachEventListeners() {
+        document.addEventListener('click', (e) => {
+            if (!this.isOpen) return;
+
+            if (e.target.closest('[data-claim-all-close]')) {
+                this.close();
+                return;
+            }
+
+            if (e.target.closest('[data-claim-all-start]')) {
+                this.run();
+                return;
+            }
+
+            if (e.target.closest('[data-claim-all-stop]')) {
+                this.stopRequested = true;
+                this.renderActions();
+            }
+        });
+
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && this.isOpen) {
+                this.close();
+            }
+        });
+
+        // Mirror ContractManager's phase events onto the row being claimed
+        window.addEventListener('transaction-phase', (event) => {
+            const detail = event?.detail;
+            if (!this.isRunning || detail?.operationName !== 'claimRewards') return;
+
+            const item = this.queue[this.currentIndex];
+            if (!item) return;
+
+            if (detail.phase === 'user_approval') {
+                item.status = 'signing';
+            } else if (detail.phase === 'processing') {
+                item.status = 'processing';
+            }
+            this.renderQueue();
+        });
+    }
+
+    /**
+     * Open the modal and load claimable pairs
+     * @param {Array} pairs - LP pairs from the homepage table
+     */
+    async open(pairs) {
+        if (this.isRunning) {
+            this.show();
+            return;
+        }
+
+        const userAddress = window.walletManager?.isConnected() ? window.walletManager.getAddress() : null;
+        if (!userAddress) {
+            window.notificationManager?.warning(window.CONFIG?.ERRORS?.WALLET_NOT_CONNECTED || 'Please connect your wallet');
+            return;
+        }
+
+        if (!window.contractManager?.isReady()) {
+            window.notificationManager?.error('Contract manager not ready. Please connect your wallet first.');
+            return;
+        }
+
+        this.queue = [];
+        this.currentIndex = -1;
+        this.stopRequested = false;
+        this.show();
+
+        const token = ++this.loadToken;
+        this.renderState('hourglass_empty', 'Reading pending rewards...', true);
+        this.renderActions();
+
+        try {
+            const claimable = await window.contractManager.getClaimableRewards(userAddress, pairs);
+            if (token !== this.loadToken) return;
+
+            this.queue = claimable.map(entry => ({
+                ...entry,
+                status: 'queued',
+                hash: null,
+                error: null
+            }));
+
+            if (this.queue.length === 0) {
+                this.renderState('check_circle', 'No pending rewards to claim.');
+            } else {
+                this.renderQueue();
+            }
+            this.renderActions();
+        } catch (error) {
+            console.error('❌ Failed to read claimable rewards:', error);
+            if (token !== this.loadToken) return;
+            this.renderState('error_outline', error?.message || 'Unable to read pending rewards.');
+            this.renderActions();
+        }
+    }
+
+    show() {
+        this.createModal();
+        this.isOpen = true;
+
+        const modal = document.getElementById('claim-all-modal');
+        if (modal) {
+            modal.style.display = 'flex';
+            setTimeout(() => modal.classList.add('open'), 10);
+        }
+        document.body.style.overflow = 'hidden';
+    }
+
+    close() {
+        // Closing mid-run hides the view; the queue keeps going and can be reopened
+        const modal = document.getElementById('claim-all-modal');
+        if (modal) {
+            modal.classList.remove('open');
+            setTimeout(() => {
+                modal.style.display = 'none';
+            }, 300);
+        }
+
+        this.isOpen = false;
+        if (!this.isRunning) {
+            this.loadToken++;
+        }
+        document.body.style.overflow = '';
+    }
+
+    /**
+     * Claim each queued pair in order, one signature at a time.
+     * A wallet rejection stops the run; other failures are recorded and the run continues.
+     */
+    async run() {
+        if (this.isRunning || this.queue.length === 0) return;
+
+        this.isRunning = true;
+        this.stopRequested = false;
+        console.log(`🔒 Claim all started for ${this.queue.length} pairs`);
+        this.renderActions();
+
+        try {
+            for (let i = 0; i < this.queue.length; i++) {
+                const item = this.queue[i];
+                if (item.status !== 'queued') continue;
+
+                if (this.stopRequested) {
+                    this.markRemainingSkipped(i);
+                    break;
+                }
+
+                this.currentIndex = i;
+                item.status = 'signing';
+                this.renderQueue();
+
+                try {
+                    const result = await window.contractManager.claimRewards(item.pair.address);
+                    this.recordTransaction(item, result);
+                    if (!result?.success) {
+                        throw result?.error || new Error('Claim failed');
+                    }
+
+                    item.status = 'confirmed';
+                    item.hash = result.transactionHash || result.hash || null;
+                    console.log(`✅ Claimed rewards for ${item.pair.name}`);
+                } catch (error) {
+                    item.status = 'failed';
+                    item.error = error?.userMessage?.message || error?.message || 'Claim failed';
+                    console.error(`❌ Claim failed for ${item.pair.name}:`, error);
+
+                    if (this.isUserRejection(error)) {
+                        item.status = 'rejected';
+                        this.markRemainingSkipped(i + 1);
+                        break;
+                    }
+                }
+
+                this.renderQueue();
+            }
+        } finally {
+            this.isRunning = false;
+            this.currentIndex = -1;
+            console.log('🔓 Claim all finished');
+        }
+
+        this.renderQueue();
+        this.renderActions();
+        this.notifySummary();
+
+        // Wait for blockchain state to update before refreshing
+        if (this.queue.some(item => item.status === 'confirmed')) {
+            await new Promise(resolve => setTimeout(resolve, 2000));
+            if (window.homePage?.refreshData) {
+                await window.homePage.refreshData();
+            }
+        }
+    }
+
+    /**
+     * Add a claim outcome to the local ledger; rejected or unsent claims are not recorded
+     */
+    recordTransaction(item, result) {
+        if (!window.transactionHistory || !result) return;
+
+        const failedReceipt = result.error?.original?.receipt || result.error?.receipt || null;
+        if (!result.success && !failedReceipt) return;
+
+        window.transactionHistory.record({
+            type: 'claim',
+            pairAddress: item.pair.address,
+            pairName: item.pair.name,
+            amount: ethers.utils.formatEther(item.pendingRewards),
+            receipt: result.success ? result : failedReceipt,
+            status: result.success ? 'confirmed' : 'failed'
+        });
+    }
+
+    markRemainingSkipped(fromIndex) {
+        for (let i = fromIndex; i < this.queue.length; i++) {
+            if (this.queue[i].status === 'queued') {
+                this.queue[i].status = 'skipped';
+            }
+        }
+    }
+
+    isUserRejection(error) {
+        const code = error?.code ?? error?.original?.code;
+        return code === 4001 || code === 'ACTION_REJECTED' || code === 'USER_REJECTED';
+    }
+
+    getSummary() {
+        const claimed = this.queue.filter(item => item.status === 'confirmed');
+        const totalClaimed = claimed.reduce((sum, item) => sum.add(item.pendingRewards), ethers.BigNumber.from(0));
+
+        return {
+            claimedCount: claimed.length,
+            failedCount: this.queue.filter(item => item.status === 'failed' || item.status === 'rejected').length,
+            skippedCount: this.queue.filter(item => item.status === 'skipped').length,
+            totalClaimed: Number(ethers.utils.formatEther(totalClaimed)) || 0
+        };
+    }
+
+    notifySummary() {
+        const summary = this.getSummary();
+        const amount = window.Formatter?.formatSmallNumberWithSubscript(summary.totalClaimed) || summary.totalClaimed.toFixed(4);
+
+        if (summary.claimedCount === this.queue.length) {
+            window.notificationManager?.success(`Claimed ~${amount} LIB from ${summary.claimedCount} pairs`);
+        } else if (summary.claimedCount > 0) {
+            window.notificationManager?.warning(`Claimed ${summary.claimedCount} of ${this.queue.length} pairs (~${amount} LIB)`);
+        } else {
+            window.notificationManager?.error('No rewards were claimed');
+        }
+    }
+
+    renderState(icon, message, spinning = false) {
+        const body = document.getElementById('claim-all-body');
+        if (!body) return;
+
+        body.innerHTML = `
+            <div class="claim-all-state">
+                <span class="material-icons ${spinning ? 'claim-all-spin' : ''}">${icon}</span>
+                <p>${message}</p>
+            </div>
+        `;
+    }
+
+    renderQueue() {
+        const body = document.getElementById('claim-all-body');
+        const subtitle = document.getElementById('claim-all-subtitle');
+        if (!body) return;
+
+        const total = this.queue.reduce((sum, item) => sum.add(item.pendingRewards), ethers.BigNumber.from(0));
+        const format = value => window.Formatter?.formatSmallNumberWithSubscript(value) || String(value);
+        const done = this.queue.filter(item => !['queued', 'signing', 'processing'].includes(item.status)).length;
+
+        if (subtitle) {
+            subtitle.textContent = `${this.queue.length} pairs · ${format(ethers.utils.formatEther(total))} LIB pending`;
+        }
+
+        const explorer = window.networkSelector?.getCurrentNetworkConfig()?.BLOCK_EXPLORER;
+
+        body.innerHTML = `
+            <div class="claim-all-progress">
+                <div class="claim-all-progress-bar" style="width: ${this.queue.length ? (done / this.queue.length) * 100 : 0}%"></div>
+            </div>
+            <ul class="claim-all-list">
+                ${this.queue.map(item => `
+                    <li class="claim-all-item claim-all-${item.status}">
+                        <span class="material-icons claim-all-icon ${item.status === 'processing' ? 'claim-all-spin' : ''}">${this.getStatusIcon(item.status)}</span>
+                        <div class="claim-all-item-main">
+                            <span class="claim-all-pair">${item.pair.name || 'Unknown Pair'}</span>
+                            <span class="claim-all-status">
+                                ${this.getStatusLabel(item.status)}
+                                ${item.hash && explorer ? ` · <a href="${explorer}/tx/${item.hash}" target="_blank" rel="noopener">View tx</a>` : ''}
+                                ${item.error && item.status !== 'rejected' ? ` · ${item.error}` : ''}
+                            </span>
+                        </div>
+                        <span class="claim-all-amount">${format(ethers.utils.formatEther(item.pendingRewards))} LIB</span>
+                    </li>
+                `).join('')}
+            </ul>
+            ${this.renderSummary()}
+        `;
+    }
+
+    renderSummary() {
+        if (this.isRunning || !this.queue.some(item => item.status !== 'queued')) return '';
+
+        const summary = this.getSummary();
+        const format = value => window.Formatter?.formatSmallNumberWithSubscript(value) || String(value);
+
+        return `
+            <div class="claim-all-summary">
+                <span>Claimed <strong>${summary.claimedCount}</strong></span>
+                <span>Failed <strong>${summary.failedCount}</strong></span>
+                <span>Skipped <strong>${summary.skippedCount}</strong></span>
+                <span>Total <strong>~${format(summary.totalClaimed)} LIB</strong></span>
+            </div>
+        `;
+    }
+
+    renderActions() {
+        const actions = document.getElementById('claim-all-actions');
+        if (!actions) return;
+
+        if (this.isRunning) {
+            actions.innerHTML = `
+                <button class="btn btn-secondary" data-claim-all-stop ${this.stopRequested ? 'disabled' : ''}>
+                    ${this.stopRequested ? 'Stopping after current claim...' : 'Stop after current claim'}
+                </button>
+            `;
+            return;
+        }
+
+        const queuedCount = this.queue.filter(item => item.status === 'queued').length;
+        if (queuedCount === 0) {
+            actions.innerHTML = `<button class="btn btn-secondary" data-claim-all-close>Close</button>`;
+            return;
+        }
+
+        actions.innerHTML = `
+            <p class="claim-all-hint">Your wallet will ask you to sign ${queuedCount} transaction${queuedCount === 1 ? '' : 's'}, one per pair.</p>
+            <button class="btn btn-primary" data-claim-all-start>
+                <span class="material-icons">redeem</span>
+                Claim ${queuedCount} pair${queuedCount === 1 ? '' : 's'}
+            </button>
+        `;
+    }
+
+    getStatusIcon(status) {
+        switch (status) {
+            case 'signing': return 'draw';
+            case 'processing': return 'autorenew';
+            case 'confirmed': return 'check_circle';
+            case 'failed': return 'error_outline';
+            case 'rejected': return 'block';
+            case 'skipped': return 'remove_circle_outline';
+            default: return 'schedule';
+        }
+    }
+
+    getStatusLabel(status) {
+        switch (status) {
+            case 'signing': return 'Waiting for signature...';
+            case 'processing': return 'Processing transaction...';
+            case 'confirmed': return 'Claimed';
+            case 'failed': return 'Failed';
+            case 'rejected': return 'Rejected in wallet';
+            case 'skipped': return 'Skipped';
+            default: return 'Queued';
+        }
+    }
+}
+
+window.ClaimAllModal = ClaimAllModal;
@@ -13,12 +13,22 @@ class HomePage {
         this.isInitialized = false;
         this.isRefreshing = false; // Prevent overlapping refreshes
         this.autoRefreshActive = false; // Prevent multiple auto-refresh timers
+        this.unsubscribeContractEvents = null; // Contract event subscription (see startAutoRefresh)
+        this.pendingContractEvents = null; // Event batches that arrived mid-load, replayed afterwards
         this.hourlyRewardRate = '0.00';
         this.totalWeight = '0';
         this.lastWalletAddress = null;
         this.lastNetworkId = null;
         this.refreshDebounceTimer = null; // Prevent overlapping refreshes during rapid network changes
         this.isAdmin = false; // Track admin status
+        // USD display mode (TVL, My Share, My Reward columns)
+        this.displayCurrency = this.loadDisplayCurrency();
+        this.libUsdPrice = null; // { price, source, timestamp } from PriceService
+        this.pairBreakdowns = new Map(); // LP address -> getLPStakeBreakdown() result
+        this.rewardTickerInterval = null; // Interpolates pending rewards between refreshes
+        this.watchAddress = null; // Read-only "view as" address (see setWatchAddress)
+        this.watchName = null; // Name the watch address was resolved from, if any
+        this.pendingDeepLink = window.DeepLink?.parse() || null; // Pair/tab/amount from the URL, opened once pairs load
         // OPTIMIZATION: Simple caching for contract data that doesn't change frequently
         this.cache = {
             hourlyRewardRate: { value: null, timestamp: 0, ttl: 300000 }, // 5 minutes
@@ -35,8 +45,10 @@ class HomePage {
         console.log('🏠 Initializing HomePage component...');
         this.render();
         this.attachEventListeners();
+        this.attachFormListeners();
         this.setupContractManagerListeners();
         this.setupWalletChangeDetection();
+        this.setupPendingTransactionListeners();
         this.setupNetworkIndicator();
         this.setupNetworkSelector();
         this.loadDataWhenReady();
@@ -53,7 +65,7 @@ class HomePage {
         document.addEventListener('contractManagerReady', () => {
             console.log('🏠 HomePage: ContractManager is ready, loading data...');
             this.loadData().catch(() => {});
-            // Auto-refresh disabled - manual refresh only
+            this.startAutoRefresh();
         });
 
         // Listen for contract manager error event
@@ -68,6 +80,7 @@ class HomePage {
         document.addEventListener('contractManagerDisconnected', () => {
             console.log('🏠 HomePage: ContractManager disconnected, stopping refresh...');
             this.stopAutoRefresh();
+            this.pendingContractEvents = null;
             this.pairs = [];
             this.loading = true;
             this.error = null;
@@ -123,6 +136,7 @@ class HomePage {
     refreshDataAfterWalletChange() {
         // Cancel any pending refresh
         clearTimeout(this.refreshDebounceTimer);
+        this.pendingContractEvents = null; // Events from the previous network/wallet no longer apply
         this.loading = true;
         this.pairs = [];
         this.error = null;
@@ -168,6 +182,209 @@ class HomePage {
         }
     }
 
+    /**
+     * Address whose positions the table shows: the watched address, else the connected wallet
+     * @returns {string|null}
+     */
+    getViewedAddress() {
+        if (this.watchAddress) {
+            return this.watchAddress;
+        }
+        return this.isWalletConnected() ? (window.walletManager.currentAccount || null) : null;
+    }
+
+    isWatching() {
+        return !!this.watchAddress;
+    }
+
+    /**
+     * View any address's positions read-only. Write actions stay disabled until clearWatchAddress().
+     * @param {string} input - 0x address, or an ENS-style name resolvable on the selected network
+     */
+    async setWatchAddress(input) {
+        const value = (input || '').trim();
+        if (!value) return;
+
+        let address = null;
+        let name = null;
+
+        if (ethers.utils.isAddress(value)) {
+            address = ethers.utils.getAddress(value);
+        } else if (/^[a-z0-9-]+(\.[a-z0-9-]+)+$/i.test(value)) {
+            name = value.toLowerCase();
+            address = await this.resolveWatchName(name);
+            if (!address) {
+                const networkName = window.networkSelector?.getCurrentNetworkName() || 'this network';
+                window.notificationManager?.error(`Could not resolve ${name} on ${networkName}`);
+                return;
+            }
+        } else {
+            window.notificationManager?.error('Enter a valid address or name');
+            return;
+        }
+
+        this.watchAddress = address;
+        this.watchName = name;
+        console.log(`👁️ HomePage: Viewing ${name || address} read-only`);
+
+        document.dispatchEvent(new CustomEvent('watchAddressChanged', {
+            detail: { address, name }
+        }));
+        this.refreshDataAfterWalletChange();
+    }
+
+    clearWatchAddress() {
+        if (!this.watchAddress) return;
+
+        this.watchAddress = null;
+        this.watchName = null;
+        console.log('👁️ HomePage: Left read-only view');
+
+        document.dispatchEvent(new CustomEvent('watchAddressChanged', {
+            detail: { address: null, name: null }
+        }));
+        this.refreshDataAfterWalletChange();
+    }
+
+    /**
+     * Resolve a name through the read provider; only works on networks with an ENS registry
+     * @returns {Promise<string|null>}
+     */
+    async resolveWatchName(name) {
+        const provider = window.contractManager?.provider;
+        if (!provider || typeof provider.resolveName !== 'function') {
+            return null;
+        }
+
+        try {
+            return await provider.resolveName(name);
+        } catch (error) {
+            console.warn(`⚠️ Name resolution failed for ${name}:`, error.message);
+            return null;
+        }
+    }
+
+    /**
+     * "Viewing as" banner shown above the table while watching an address
+     */
+    renderWatchBanner() {
+        if (!this.watchAddress) return '';
+
+        const shortAddress = `${this.watchAddress.slice(0, 6)}...${this.watchAddress.slice(-4)}`;
+        const label = this.watchName ? `${this.watchName} (${shortAddress})` : shortAddress;
+
+        return `
+            <div class="watch-banner" role="status">
+                <span class="material-icons">visibility</span>
+                <span class="watch-banner-text">
+                    Viewing as <strong title="${this.watchAddress}">${label}</strong> · read-only, transactions are disabled
+                </span>
+                <button class="watch-exit-btn" type="button">
+                    <span class="material-icons">close</span>
+                    Exit
+                </button>
+            </div>
+        `;
+    }
+
+    /**
+     * Transactions sent from this wallet that are still waiting for a receipt, plus recent outcomes
+     * that were settled in the background (e.g. after a reload)
+     */
+    renderPendingTransactions() {
+        const pendingTransactions = window.pendingTransactions;
+        const entries = !this.isWatching() && pendingTransactions ? pendingTransactions.getEntries() : [];
+        if (entries.length === 0) {
+            return '<div id="pending-tx-banner"></div>';
+        }
+
+        const statusLabels = {
+            pending: 'Pending',
+            confirmed: 'Confirmed',
+            failed: 'Failed',
+            dropped: 'Dropped'
+        };
+
+        const rows = entries.map(entry => {
+            const explorerUrl = pendingTransactions.getExplorerUrl(entry.hash);
+            const shortHash = `${entry.hash.slice(0, 10)}...${entry.hash.slice(-6)}`;
+            const hashLink = explorerUrl
+                ? `<a href="${explorerUrl}" target="_blank" rel="noopener noreferrer">${shortHash}</a>`
+                : shortHash;
+            const replacements = entry.replacements || [];
+            const lastReplacement = replacements[replacements.length - 1];
+            const replacementNote = lastReplacement?.mode === 'cancel' ? 'Cancelling' : (lastReplacement ? 'Sped up' : '');
+            const detail = entry.status === 'pending'
+                ? replacementNote
+                : entry.reason || (entry.replacedBy ? 'Mined as a sped-up transaction' : '');
+
+            return `
+                <li class="pending-tx-item">
+                    <span class="pending-tx-status ${entry.status}">
+                        ${entry.status === 'pending' ? '<span class="pending-tx-spinner"></span>' : ''}
+                        ${statusLabels[entry.status] || entry.status}
+                    </span>
+                    <span class="pending-tx-text">
+                        ${this.escapeHtml(pendingTransactions.describe(entry))}
+                        <span class="pending-tx-hash">${hashLink}${detail ? ` · ${detail}` : ''}</span>
+                        ${pendingTransactions.renderActions(entry)}
+                    </span>
+                    ${entry.status !== 'pending' ? `
+                        <button class="pending-tx-dismiss" type="button" data-hash="${entry.hash}" title="Dismiss">
+                            <span class="material-icons">close</span>
+                        </button>
+                    ` : ''}
+                </li>
+            `;
+        }).join('');
+
+        return `
+            <div id="pending-tx-banner" class="pending-tx-banner" role="status">
+                <ul class="pending-tx-list">${rows}</ul>
+            </div>
+        `;
+    }
+
+    // Pair names come from the contract
+    escapeHtml(value) {
+        const div = document.createElement('div');
+        div.textContent = String(value ?? '');
+        return div.innerHTML.replace(/"/g, '&quot;');
+    }
+
+    updatePendingTransactions() {
+        const banner = document.getElementById('pending-tx-banner');
+        if (banner) {
+            banner.outerHTML = this.renderPendingTransactions();
+        }
+    }
+
+    /**
+     * Keep the pending transaction banner current, and report outcomes that settled in the
+     * background, since no modal is around to show them
+     */
+    setupPendingTransactionListeners() {
+        document.addEventListener('pendingTransactionsUpdated', (event) => {
+            this.updatePendingTransactions();
+
+            const { event: type, entry, recovered } = event.detail || {};
+            if (type !== 'resolved' || !recovered || !entry) return;
+
+            const description = window.pendingTransactions.describe(entry);
+            if (entry.status === 'confirmed') {
+                window.notificationManager?.success(`${description} confirmed`);
+            } else if (entry.status === 'failed') {
+                window.notificationManager?.error(`${description} failed on chain`);
+            } else {
+                window.notificationManager?.warning(`${description} was dropped: ${entry.reason}`);
+            }
+
+            if (entry.status === 'confirmed' && entry.pairAddress && this.pairs.length > 0) {
+                this.refreshPairs(new Set([entry.pairAddress.toLowerCase()]));
+            }
+        });
+    }
+
     render() {
         const container = document.getElementById('content-container');
         if (!container) return;
@@ -198,8 +415,12 @@ class HomePage {
         if (connectWalletBtn) {
             connectWalletBtn.onclick = async () => {
                 try {
-                    if (window.walletManager?.connectMetaMask) {
-                        await window.walletManager.connectMetaMask();
+                    // Same picker path as the header button: browser wallets (EIP-6963) and WalletConnect
+                    if (window.masterInitializer?.chooseWalletType && window.walletManager?.connectWallet) {
+                        const choice = await window.masterInitializer.chooseWalletType();
+                        if (choice) {
+                            await window.walletManager.connectWallet(choice.type, { rdns: choice.rdns });
+                        }
                     } else if (document.getElementById('connect-wallet-btn')?.click) {
                         document.getElementById('connect-wallet-btn').click();
                     } else {
@@ -215,6 +436,8 @@ class HomePage {
 
     renderSkeleton() {
         return `
+            ${this.renderWatchBanner()}
+            ${this.renderPendingTransactions()}
             <div class="table-container">
                 <table class="table">
                     <thead>
@@ -371,6 +594,9 @@ class HomePage {
         }
 
         return `
+            ${this.renderWatchBanner()}
+            ${this.renderPendingTransactions()}
+            ${this.renderCurrencyToolbar()}
             <div class="table-container">
                 <table class="table">
                     <thead>
@@ -409,6 +635,95 @@ class HomePage {
         `;
     }
 
+    /**
+     * Render the LP/USD display toggle shown above the pairs table
+     */
+    renderCurrencyToolbar() {
+        const priceAvailable = !!this.libUsdPrice;
+        const isUsd = this.isUsdDisplayActive();
+        const priceLabel = priceAvailable
+            ? `1 LIB ≈ $${this.libUsdPrice.price.toPrecision(4)} <span class="price-source">(${this.libUsdPrice.source})</span>`
+            : 'USD price unavailable';
+
+        const claimablePairs = this.isWalletConnected() && !this.isWatching()
+            ? this.pairs.filter(pair => parseFloat(pair.userEarnings || '0') > 0).length
+            : 0;
+
+        return `
+            <div class="table-toolbar">
+                <span class="price-label">${priceLabel}</span>
+                <div class="table-toolbar-actions">
+                    ${!this.isWatching() ? `
+                        <form class="watch-address-form" title="View any wallet's positions read-only">
+                            <input class="watch-address-input" type="text" placeholder="View address or name"
+                                   spellcheck="false" autocomplete="off" aria-label="Address to view">
+                            <button class="watch-address-btn" type="submit" aria-label="View address">
+                                <span class="material-icons">visibility</span>
+                            </button>
+                        </form>
+                    ` : ''}
+                    ${claimablePairs > 1 ? `
+                        <button class="claim-all-btn" type="button" title="Claim rewards from every pair">
+                            <span class="material-icons">redeem</span>
+                            Claim all (${claimablePairs})
+                        </button>
+                    ` : ''}
+                    <div class="currency-toggle" role="group" aria-label="Display currency">
+                        <button class="currency-toggle-btn ${!isUsd ? 'active' : ''}" data-currency="LIB" type="button">LP / LIB</button>
+                        <button class="currency-toggle-btn ${isUsd ? 'active' : ''}" data-currency="USD" type="button"
+                                ${!priceAvailable ? 'disabled title="No LIB/USD price source available on this network"' : ''}>USD</button>
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+
+    isUsdDisplayActive() {
+        return this.displayCurrency === 'USD' && !!this.libUsdPrice;
+    }
+
+    loadDisplayCurrency() {
+        const storageKey = window.CONFIG?.PRICING?.DISPLAY_CURRENCY_STORAGE_KEY || 'lp_staking_display_currency';
+        try {
+            return localStorage.getItem(storageKey) === 'USD' ? 'USD' : 'LIB';
+        } catch (error) {
+            return 'LIB';
+        }
+    }
+
+    setDisplayCurrency(currency) {
+        this.displayCurrency = currency === 'USD' ? 'USD' : 'LIB';
+
+        const storageKey = window.CONFIG?.PRICING?.DISPLAY_CURRENCY_STORAGE_KEY || 'lp_staking_display_currency';
+        try {
+            localStorage.setItem(storageKey, this.displayCurrency);
+        } catch (error) {
+            console.warn('Failed to save display currency:', error.message);
+        }
+
+        this.render();
+    }
+
+    /**
+     * Resolve LIB/USD from PriceService using the breakdowns loaded by calculateTVLAndAPR().
+     * APR is unit-independent, so only TVL and user values change in USD mode.
+     */
+    async loadLibUsdPrice() {
+        if (!window.priceService) {
+            this.libUsdPrice = null;
+            return;
+        }
+
+        try {
+            this.libUsdPrice = await window.priceService.getLibUsdPrice({
+                breakdowns: [...this.pairBreakdowns.values()]
+            });
+        } catch (error) {
+            console.warn('⚠️ Failed to load LIB/USD price:', error.message);
+            this.libUsdPrice = null;
+        }
+    }
+
     getDisplayPairs() {
         // Filter zero-weight pairs unless the user has an active position
         return this.pairs.filter(pair => this.shouldDisplayPair(pair));
@@ -419,7 +734,7 @@ class HomePage {
             return true;
         }
 
-        if (!this.isWalletConnected()) {
+        if (!this.getViewedAddress()) {
             return false;
         }
 
@@ -428,9 +743,20 @@ class HomePage {
 
     renderPairRow(pair) {
         const isConnected = this.isWalletConnected();
-        const canTransact = isConnected && (window.networkManager?.isOnRequiredNetwork() || false);
+        const canTransact = isConnected && !this.isWatching() && (window.networkManager?.isOnRequiredNetwork() || false);
         const userShares = pair.userShares || '0.00';
         const userEarnings = pair.userEarnings || '0.00';
+        const showUsd = this.isUsdDisplayActive();
+
+        const tvlDisplay = showUsd && pair.totalStakeValueInLib
+            ? window.Formatter.formatUsd(pair.totalStakeValueInLib * this.libUsdPrice.price)
+            : this.formatNumber(pair.tvl || 0);
+        const shareDisplay = showUsd
+            ? window.Formatter.formatUsd((pair.userStakeAmount || 0) * (pair.libPerLp || 0) * this.libUsdPrice.price)
+            : `${userShares}%`;
+        const earningsDisplay = this.formatEarningsDisplay(pair, showUsd) || (showUsd
+            ? window.Formatter.formatUsd(parseFloat(userEarnings) * this.libUsdPrice.price)
+            : `${userEarnings} LIB`);
         
         const pairNameHtml = window.Formatter?.formatPairName(pair.name, pair.address, pair.platform) || pair.name;
         const platformHtml = pair.platform ? `<div style="font-size: 12px; color: var(--text-secondary);">${pair.platform}</div>` : '';
@@ -445,6 +771,11 @@ class HomePage {
                 </td>
                 <td>
                     <span style="color: var(--success-main); font-weight: bold;">${pair.apr || '0.00'}%</span>
+                    <button class="btn-history"
+                            data-pair-id="${pair.id}"
+                            title="APR and TVL history">
+                        <span class="material-icons">show_chart</span>
+                    </button>
                 </td>
                 <td>
                     <span style="font-weight: 600;">
@@ -452,7 +783,7 @@ class HomePage {
                     </span>
                 </td>
                 <td>
-                    <span style="font-weight: 600;">${this.formatNumber(pair.tvl || 0)}</span>
+                    <span style="font-weight: 600;">${tvlDisplay}</span>
                 </td>
                 <td>
                     <button class="btn btn-primary btn-small btn-share"
@@ -463,8 +794,11 @@ class HomePage {
                             title="Stake or Unstake"
                             style="min-width: 100px;">
                         <span class="material-icons" style="font-size: 16px;">share</span>
-                        ${userShares}%
+                        ${shareDisplay}
                     </button>
+                    ${this.isWatching() && pair.userLpBalance > 0 ? `
+                        <div class="watch-lp-balance">${this.formatNumber(pair.userLpBalance)} LP in wallet</div>
+                    ` : ''}
                 </td>
                 <td>
                     <button class="btn btn-secondary btn-small btn-earnings"
@@ -475,7 +809,7 @@ class HomePage {
                             title="Claim reward"
                             style="min-width: 120px;">
                         <span class="material-icons" style="font-size: 16px;">redeem</span>
-                        ${userEarnings} LIB
+                        <span data-reward-ticker="${pair.id}">${earningsDisplay}</span>
                     </button>
                 </td>
             </tr>
@@ -496,6 +830,11 @@ class HomePage {
                 const pairId = e.target.closest('.pair-row').dataset.pairId;
                 // Don't trigger on buttons, links, or pair name links
                 if (!e.target.closest('button') && !e.target.closest('a') && !e.target.closest('.pair-name-link')) {
+                    if (this.isWatching()) {
+                        window.notificationManager?.info('Read-only view: exit it to stake from your own wallet');
+                        return;
+                    }
+
                     // Check if wallet is connected before opening modal
                     if (!this.isWalletConnected()) {
                         if (window.notificationManager) {
@@ -538,6 +877,50 @@ class HomePage {
                 this.openStakingModal(pairId, 'claim');
             }
 
+            // Handle LP/USD display toggle
+            if (e.target.closest('.currency-toggle-btn')) {
+                const button = e.target.closest('.currency-toggle-btn');
+                if (!button.disabled) {
+                    this.setDisplayCurrency(button.dataset.currency);
+                }
+            }
+
+            // Handle Claim all button click
+            if (e.target.closest('.claim-all-btn')) {
+                this.openClaimAllModal();
+            }
+
+            // Leave the read-only "view as" mode
+            if (e.target.closest('.watch-exit-btn')) {
+                this.clearWatchAddress();
+            }
+
+            // Clear a settled transaction from the pending list
+            if (e.target.closest('.pending-tx-dismiss')) {
+                window.pendingTransactions?.dismiss(e.target.closest('.pending-tx-dismiss').dataset.hash);
+            }
+
+            // Handle History button click (read-only, no wallet required)
+            if (e.target.closest('.btn-history')) {
+                e.stopPropagation();
+                const pairId = e.target.closest('.btn-history').dataset.pairId;
+                this.openHistoryModal(pairId);
+            }
+
+        });
+    }
+
+    /**
+     * Attach listeners that are not click-based (watch address form)
+     */
+    attachFormListeners() {
+        document.addEventListener('submit', (e) => {
+            const form = e.target.closest?.('.watch-address-form');
+            if (!form) return;
+
+            e.preventDefault();
+            const input = form.querySelector('.watch-address-input');
+            this.setWatchAddress(input?.value);
         });
     }
 
@@ -598,8 +981,10 @@ class HomePage {
 
             this.loading = false;
             this.render();
+            this.applyPendingDeepLink();
 
             console.log('✅ Staking data loaded successfully');
+            this.replayPendingContractEvents();
 
         } catch (error) {
             console.error('❌ Failed to load staking data:', error);
@@ -685,6 +1070,7 @@ class HomePage {
             console.log('📋 Retrieved pairs from contract:', allPairsInfo);
 
             this.pairs = [];
+            this.pairBreakdowns.clear();
 
             if (allPairsInfo.length === 0) {
                 console.log('⚠️ No pairs configured in the staking contract yet');
@@ -740,19 +1126,21 @@ class HomePage {
                 if (this.pairs.length > 0) {
                     console.log('⚡ Calculating TVL and APR for all pairs...');
                     await this.calculateTVLAndAPR();
+                    await this.loadLibUsdPrice();
                     console.log('🎨 Re-rendering after TVL/APR calculation...');
                     console.log('📊 Pairs data after calculation:', this.pairs.map(p => ({ name: p.name, tvl: p.tvl, apr: p.apr })));
                     this.render(); // Re-render with TVL and APR data
                 }
 
-                // OPTIMIZATION 3: Load user data in parallel if wallet connected (skip if no pairs)
-                if (this.pairs.length > 0 && this.isWalletConnected() && window.walletManager?.currentAccount) {
+                // OPTIMIZATION 3: Load user data in parallel if wallet connected or an address is watched (skip if no pairs)
+                const viewedAddress = this.getViewedAddress();
+                if (this.pairs.length > 0 && viewedAddress) {
                     console.log('⚡ Loading user stake data in parallel...');
-                    console.log('👛 Using wallet address:', window.walletManager.currentAccount);
+                    console.log(this.isWatching() ? '👁️ Using watched address:' : '👛 Using wallet address:', viewedAddress);
                     
                     const isOnCorrectNetwork = window.networkManager?.isOnRequiredNetwork() || false;
                     
-                    if (!isOnCorrectNetwork) {
+                    if (!isOnCorrectNetwork && !this.isWatching()) {
                         const networkName = window.networkSelector?.getCurrentNetworkName();
                         const currentChainId = window.walletManager?.getChainId();
                         const currentNetworkName = window.networkManager?.getNetworkName(currentChainId) || 'Unknown';
@@ -765,56 +1153,17 @@ class HomePage {
                         pairInfo.address && pairInfo.address !== '0x0000000000000000000000000000000000000000'
                     );
                     const userDataMap = await window.contractManager.getUserDataForAllPairs(
-                        window.walletManager.currentAccount,
+                        viewedAddress,
                         validPairsInfo
                     );
 
-                    // Process user data from Map - use address to match pairs correctly
-                    this.pairs.forEach((pair, pairIndex) => {
-                        const data = userDataMap.get(pair.address);
-                        if (!data) {
-                            return; // Skip if no user data
-                        }
-
-                        const userStake = {
-                            amount: ethers.utils.formatEther(data.stake || '0'),
-                            rewards: ethers.utils.formatEther(data.pendingRewards || '0')
-                        };
-
-                        // Update pairs with user data - EXACT React implementation
-                        // React source: lib-lp-staking-frontend/src/pages/home.tsx (Lines 59-64)
-                        if (this.pairs[pairIndex]) {
-                            // React Line 62: myShare = tvlWei > 0n ? Number((userStake.amount * 100n) / tvlWei) : 0;
-                            // Both userStake.amount and tvl are in ether format (already converted from wei)
-                            const userStakeAmount = parseFloat(userStake.amount || '0');
-                            const tvl = this.pairs[pairIndex].tvl || 0;  // This is now LP token count
-
-                            if (userStakeAmount > 0 && tvl > 0) {
-                                // Calculate share percentage: (userStake * 100) / TVL
-                                const sharePercentage = (userStakeAmount * 100) / tvl;
-                                this.pairs[pairIndex].userShares = sharePercentage.toFixed(2);
-                            } else {
-                                this.pairs[pairIndex].userShares = '0.00';
-                            }
-
-                            // React Line 63: myEarnings = Number(ethers.formatEther(await getPendingRewards(...)));
-                            // Format user earnings
-                            const earnings = parseFloat(userStake.rewards || '0');
-                            this.pairs[pairIndex].userEarnings = earnings.toFixed(4);  // React uses .toFixed(4)
-
-                            const hasUserPosition =
-                                userStakeAmount > 0 ||
-                                earnings > 0;
-                            this.pairs[pairIndex].hasUserPosition = hasUserPosition;
-
-                            console.log(`📊 Pair ${pairIndex}: SharePercentage=${this.pairs[pairIndex].userShares}%, Earnings=${this.pairs[pairIndex].userEarnings} LIB`);
-                        }
-                    });
+                    this.applyUserData(userDataMap);
 
                     console.log('⚡ User data loaded and updated');
 
                     // Re-render to show updated user data
                     this.render();
+                    this.startRewardTicker();
                     console.log('🎨 UI re-rendered with user data');
                 }
             }
@@ -837,12 +1186,67 @@ class HomePage {
         }
     }
 
+    /**
+     * Merge getUserDataForAllPairs() results into the matching pairs
+     * @param {Map<string, Object>} userDataMap - LP address -> { stake, pendingRewards, ... }
+     */
+    applyUserData(userDataMap) {
+        // Process user data from Map - use address to match pairs correctly
+        this.pairs.forEach((pair, pairIndex) => {
+            const data = userDataMap.get(pair.address);
+            if (!data) {
+                return; // Skip if no user data
+            }
+
+            // Stake and wallet balance are in LP token units; rewards are LIB (18 decimals)
+            const lpDecimals = data.decimals ?? 18;
+            const userStake = {
+                amount: ethers.utils.formatUnits(data.stake || '0', lpDecimals),
+                rewards: ethers.utils.formatEther(data.pendingRewards || '0')
+            };
+
+            // Update pairs with user data - EXACT React implementation
+            // React source: lib-lp-staking-frontend/src/pages/home.tsx (Lines 59-64)
+            if (this.pairs[pairIndex]) {
+                // React Line 62: myShare = tvlWei > 0n ? Number((userStake.amount * 100n) / tvlWei) : 0;
+                // Both userStake.amount and tvl are whole LP tokens (converted with the LP token's decimals)
+                const userStakeAmount = parseFloat(userStake.amount || '0');
+                const tvl = this.pairs[pairIndex].tvl || 0;  // This is now LP token count
+                this.pairs[pairIndex].userStakeAmount = userStakeAmount;
+                this.pairs[pairIndex].userLpBalance = parseFloat(ethers.utils.formatUnits(data.balance || '0', lpDecimals));
+
+                if (userStakeAmount > 0 && tvl > 0) {
+                    // Calculate share percentage: (userStake * 100) / TVL
+                    const sharePercentage = (userStakeAmount * 100) / tvl;
+                    this.pairs[pairIndex].userShares = sharePercentage.toFixed(2);
+                } else {
+                    this.pairs[pairIndex].userShares = '0.00';
+                }
+
+                // React Line 63: myEarnings = Number(ethers.formatEther(await getPendingRewards(...)));
+                // Format user earnings
+                const earnings = parseFloat(userStake.rewards || '0');
+                this.pairs[pairIndex].userEarnings = earnings.toFixed(4);  // React uses .toFixed(4)
+                // Re-anchor the live ticker to the on-chain value
+                this.pairs[pairIndex].rewardAnchor = { rewards: earnings, timestamp: Date.now() };
+
+                const hasUserPosition =
+                    userStakeAmount > 0 ||
+                    earnings > 0;
+                this.pairs[pairIndex].hasUserPosition = hasUserPosition;
+
+                console.log(`📊 Pair ${pairIndex}: SharePercentage=${this.pairs[pairIndex].userShares}%, Earnings=${this.pairs[pairIndex].userEarnings} LIB`);
+            }
+        });
+    }
+
     /**
      * Calculate TVL and APR for all pairs using on-chain LP composition.
      * TVL remains in LP token units, while APR now leverages the LIB-per-LP
      * ratio derived from Uniswap V2 reserve data instead of external pricing.
+     * @param {Set<string>} [pairAddresses] - Lowercased LP addresses to recalculate; all pairs when omitted
      */
-    async calculateTVLAndAPR() {
+    async calculateTVLAndAPR(pairAddresses = null) {
         if (this.pairs.length === 0) {
             return; // No pairs to calculate
         }
@@ -858,57 +1262,36 @@ class HomePage {
             const rewardTokenAddress = (window.contractManager?.contractAddresses instanceof Map)
                 ? window.contractManager.contractAddresses.get('REWARD_TOKEN')
                 : null;
-            const rewardTokenAddressLower = typeof rewardTokenAddress === 'string'
-                ? rewardTokenAddress.toLowerCase()
-                : null;
 
             const hourlyRate = Number(this.hourlyRewardRate) || 0;
             const totalWeight = Number(this.totalWeight) || 1;
 
             const calculations = this.pairs.map(async (pair, index) => {
+                if (pairAddresses && !pairAddresses.has(pair.address.toLowerCase())) {
+                    return;
+                }
+
                 try {
                     console.log(`🔍 Calculating TVL/APR for ${pair.name}...`);
 
-                    const breakdown = await window.contractManager.getLPStakeBreakdown(pair.address);
-                    const lpDecimals = Number(breakdown?.lpToken?.decimals) || 18;
-                    const stakedBn = ethers.BigNumber.from(breakdown?.lpToken?.stakedBalance?.raw || '0');
-                    const tvlInTokens = Number(ethers.utils.formatUnits(stakedBn, lpDecimals)) || 0;
-
+                    const breakdown = await window.contractManager.getLPStakeBreakdown(pair.address, { platform: pair.platform });
+                    this.pairBreakdowns.set(pair.address, breakdown);
                     const poolWeight = Number(pair.weight) || 1;
 
-                    const token0 = breakdown?.token0;
-                    const token1 = breakdown?.token1;
-                    const token0Addr = token0?.address?.toLowerCase?.();
-                    const token1Addr = token1?.address?.toLowerCase?.();
-
-                    let libToken = null;
-                    if (rewardTokenAddressLower && token0Addr === rewardTokenAddressLower) {
-                        libToken = token0;
-                    } else if (rewardTokenAddressLower && token1Addr === rewardTokenAddressLower) {
-                        libToken = token1;
-                    }
-
-                    if (!libToken) {
-                        console.warn(`⚠️ LIB token not found for ${pair.name}, skipping APR calculation`);
+                    const valuation = window.rewardsCalculator.calcStakeValueInLib(breakdown, rewardTokenAddress);
+                    if (!valuation) {
+                        console.warn(`⚠️ Cannot value ${pair.name} in LIB (no LIB side or unpriced pool tokens), skipping APR calculation`);
                         return;
                     }
 
-                    const libStaked = Number(libToken?.staked?.formatted) || 0;
-                    const libReserve = Number(libToken?.reserve?.formatted) || 0;
-
-                    const otherToken = libToken === token0 ? token1 : token0;
-                    const otherStaked = Number(otherToken?.staked?.formatted) || 0;
-                    const otherReserve = Number(otherToken?.reserve?.formatted) || 0;
-
-                    // Convert the counter token stake to a LIB-equivalent amount using the reserve ratio
-                    let otherTokenLibEquivalent = 0;
-                    if (otherStaked > 0 && otherReserve > 0 && libReserve > 0) {
-                        const otherToLibRate = libReserve / otherReserve;
-                        otherTokenLibEquivalent = otherStaked * otherToLibRate;
-                    }
-
-                    const totalStakeValueInLib = libStaked + otherTokenLibEquivalent;
-                    const stakeValuePerLpInLib = tvlInTokens > 0 ? totalStakeValueInLib / tvlInTokens : 0;
+                    const {
+                        tvlInTokens,
+                        libStaked,
+                        otherStaked,
+                        otherTokenLibEquivalent,
+                        totalStakeValueInLib,
+                        stakeValuePerLpInLib
+                    } = valuation;
 
                     if (stakeValuePerLpInLib <= 0) {
                         console.warn(`⚠️ Invalid LIB-equivalent value per LP for ${pair.name}, skipping APR calculation`);
@@ -963,17 +1346,84 @@ class HomePage {
         }
     }
 
-    openStakingModal(pairId, tab = 'stake') {
+    /**
+     * @param {string} pairId
+     * @param {string} [tab='stake'] - stake | unstake | claim
+     * @param {Object} [options]
+     * @param {string} [options.amount] - Prefilled stake/unstake amount (deep links)
+     */
+    openStakingModal(pairId, tab = 'stake', { amount = null } = {}) {
         const pair = this.pairs.find(p => p.id === pairId);
         if (!pair) return;
 
         if (window.stakingModal) {
-            window.stakingModal.open(pair, tab);
+            window.stakingModal.open(pair, tab, { amount });
         } else {
             console.warn('Staking modal not available');
         }
     }
 
+    /**
+     * Open the staking modal for a deep link once pairs are loaded.
+     * Without a wallet the link stays pending until the next load after connecting.
+     */
+    applyPendingDeepLink() {
+        const link = this.pendingDeepLink;
+        if (!link?.pair || this.pairs.length === 0) {
+            return;
+        }
+
+        const pair = this.pairs.find(p => p.address.toLowerCase() === link.pair.toLowerCase());
+        if (!pair) {
+            const networkName = window.networkSelector?.getCurrentNetworkName();
+            window.notificationManager?.warning(`The linked pair is not available on ${networkName}`);
+            this.consumeDeepLink();
+            return;
+        }
+
+        if (!this.isWalletConnected() || this.isWatching()) {
+            if (!link.notified) {
+                link.notified = true;
+                window.notificationManager?.info(`Connect your wallet to open ${pair.name}`);
+            }
+            return;
+        }
+
+        console.log(`🔗 Opening deep link: ${pair.name} (${link.tab})`);
+        this.consumeDeepLink();
+        this.openStakingModal(pair.id, link.tab, { amount: link.amount });
+    }
+
+    consumeDeepLink() {
+        this.pendingDeepLink = null;
+        window.DeepLink?.clear();
+    }
+
+    openHistoryModal(pairId) {
+        const pair = this.pairs.find(p => p.id === pairId);
+        if (!pair) return;
+
+        if (window.pairHistoryModal) {
+            window.pairHistoryModal.open(pair);
+        } else {
+            console.warn('Pair history modal not available');
+        }
+    }
+
+    openClaimAllModal() {
+        if (!(window.networkManager?.isOnRequiredNetwork() || false)) {
+            const networkName = window.networkSelector?.getCurrentNetworkName();
+            window.notificationManager?.warning(`Please switch to ${networkName} network to make transactions`);
+            return;
+        }
+
+        if (window.claimAllModal) {
+            window.claimAllModal.open(this.pairs);
+        } else {
+            console.warn('Claim all modal not available');
+        }
+    }
+
     /**
      * Public method to refresh data (called by staking modal after transactions)
      */
@@ -995,18 +1445,131 @@ class HomePage {
             throw error;
         } finally {
             this.isRefreshing = false;
+            this.replayPendingContractEvents();
         }
     }
 
     /**
-     * Auto-refresh disabled to prevent flickering and improve user experience
-     * Manual refresh is still available via the refresh button
+     * Refresh from staking contract events instead of a fixed timer.
+     * Stake/unstake/claim events refresh only the affected pairs in place (no skeleton, no flicker);
+     * ContractManager sends a fallback batch on the timed interval when logs are unavailable.
      */
     startAutoRefresh() {
-        console.log('🚫 Auto-refresh disabled - use manual refresh button instead');
-        // Auto-refresh functionality has been disabled to prevent constant flickering
-        // Users can still refresh data manually using the refresh button
-        return;
+        if (this.autoRefreshActive || !window.contractManager?.subscribeToContractEvents) {
+            return;
+        }
+
+        this.unsubscribeContractEvents = window.contractManager.subscribeToContractEvents(
+            batch => this.handleContractEvents(batch)
+        );
+        this.autoRefreshActive = true;
+        console.log('📡 HomePage: Event-driven refresh started');
+    }
+
+    /**
+     * The watcher has already moved past these blocks, so batches that arrive while a load or
+     * refresh is running are queued and replayed once it finishes rather than dropped.
+     * @param {Object} batch - From ContractManager.subscribeToContractEvents()
+     */
+    async handleContractEvents({ events, fallback }) {
+        // An executed proposal (pairs, weights, rate) or an unattributable log: reload everything
+        const configChanged = events.some(event =>
+            event.kind === 'unknown' || event.name === 'executeAction'
+        );
+        const pairAddresses = new Set(events
+            .filter(event => event.kind === 'user' && event.pairAddress)
+            .map(event => event.pairAddress.toLowerCase()));
+
+        if (this.loading || this.isRefreshing) {
+            this.queueContractEvents(pairAddresses, { configChanged, fallback });
+            return;
+        }
+
+        if (this.pairs.length === 0) {
+            return;
+        }
+
+        if (configChanged) {
+            console.log('📡 Staking configuration changed, reloading pairs...');
+            this.cache.hourlyRewardRate = { value: null, timestamp: 0, ttl: this.cache.hourlyRewardRate.ttl };
+            this.cache.totalWeight = { value: null, timestamp: 0, ttl: this.cache.totalWeight.ttl };
+            this.cache.pairsInfo = { value: null, timestamp: 0, ttl: this.cache.pairsInfo.ttl };
+            this.refreshData().catch(() => {});
+            return;
+        }
+
+        if (fallback) {
+            this.pairs.forEach(pair => pairAddresses.add(pair.address.toLowerCase()));
+        }
+
+        if (pairAddresses.size > 0) {
+            await this.refreshPairs(pairAddresses);
+        }
+    }
+
+    /**
+     * Merge a batch into the pending queue (see handleContractEvents)
+     * @param {Set<string>} pairAddresses - Lowercased LP addresses
+     * @param {Object} [flags] - configChanged and fallback of the batch
+     */
+    queueContractEvents(pairAddresses, { configChanged = false, fallback = false } = {}) {
+        const pending = this.pendingContractEvents || { pairAddresses: new Set(), configChanged: false, fallback: false };
+        pairAddresses.forEach(address => pending.pairAddresses.add(address));
+        pending.configChanged = pending.configChanged || configChanged;
+        pending.fallback = pending.fallback || !!fallback;
+        this.pendingContractEvents = pending;
+    }
+
+    /**
+     * Replay batches queued by handleContractEvents() and refreshPairs() once no load or refresh is running
+     */
+    replayPendingContractEvents() {
+        const pending = this.pendingContractEvents;
+        if (!pending || this.loading || this.isRefreshing) {
+            return;
+        }
+
+        this.pendingContractEvents = null;
+        const events = [...pending.pairAddresses].map(pairAddress => ({ kind: 'user', pairAddress }));
+        if (pending.configChanged) {
+            events.push({ kind: 'unknown' });
+        }
+        this.handleContractEvents({ events, fallback: pending.fallback }).catch(() => {});
+    }
+
+    /**
+     * Re-read TVL/APR and the connected user's stake for a subset of pairs and update the table in place
+     * @param {Set<string>} pairAddresses - Lowercased LP addresses
+     */
+    async refreshPairs(pairAddresses) {
+        if (this.isRefreshing) {
+            this.queueContractEvents(pairAddresses);
+            return;
+        }
+
+        this.isRefreshing = true;
+        try {
+            await this.calculateTVLAndAPR(pairAddresses);
+
+            const viewedAddress = this.getViewedAddress();
+            if (viewedAddress) {
+                const pairs = this.pairs.filter(pair => pairAddresses.has(pair.address.toLowerCase()));
+                const userDataMap = await window.contractManager.getUserDataForAllPairs(
+                    viewedAddress,
+                    pairs
+                );
+                this.applyUserData(userDataMap);
+            }
+
+            this.render();
+            this.startRewardTicker();
+            console.log(`🔄 Refreshed ${pairAddresses.size} pair(s) from contract events`);
+        } catch (error) {
+            console.warn('⚠️ Targeted pair refresh failed:', error.message);
+        } finally {
+            this.isRefreshing = false;
+            this.replayPendingContractEvents();
+        }
     }
 
     formatNumber(num) {
@@ -1021,9 +1584,17 @@ class HomePage {
 
 
     stopAutoRefresh() {
+        if (this.unsubscribeContractEvents) {
+            this.unsubscribeContractEvents();
+            this.unsubscribeContractEvents = null;
+        }
+
         if (this.refreshInterval) {
             clearInterval(this.refreshInterval);
             this.refreshInterval = null;
+        }
+
+        if (this.autoRefreshActive) {
             this.autoRefreshActive = false; // Reset auto-refresh flag
             console.log('⏹️ HomePage: Auto-refresh stopped');
         }
@@ -1086,7 +1657,95 @@ class HomePage {
     }
 
 
+    /**
+     * Estimated LIB accrued per second for the connected user on a pair:
+     * hourlyRewardRate split by pair weight / totalWeight, then by the user's share of staked LP.
+     * @returns {number} 0 when the pair has no emissions or the user has no stake
+     */
+    getRewardRatePerSecond(pair) {
+        const hourlyRate = Number(this.hourlyRewardRate) || 0;
+        const totalWeight = Number(this.totalWeight) || 0;
+        const pairWeight = Number(pair.weight) || 0;
+        const userStake = Number(pair.userStakeAmount) || 0;
+        const totalStaked = Number(pair.tvl) || 0;
+
+        if (!pair.stakingEnabled || hourlyRate <= 0 || totalWeight <= 0 || pairWeight <= 0 || userStake <= 0 || totalStaked <= 0) {
+            return 0;
+        }
+
+        return (hourlyRate / 3600) * (pairWeight / totalWeight) * Math.min(userStake / totalStaked, 1);
+    }
+
+    /**
+     * Pending rewards extrapolated from the last on-chain reading
+     * @returns {number|null} null when the pair has no anchor yet
+     */
+    getLiveEarnings(pair) {
+        if (!pair.rewardAnchor) return null;
+        const elapsedSeconds = Math.max(0, (Date.now() - pair.rewardAnchor.timestamp) / 1000);
+        return pair.rewardAnchor.rewards + this.getRewardRatePerSecond(pair) * elapsedSeconds;
+    }
+
+    /**
+     * "My Reward" text using the live value; ticking pairs show extra decimals so accrual is visible
+     * @returns {string|null} null when there is no live value to show
+     */
+    formatEarningsDisplay(pair, showUsd) {
+        const liveEarnings = this.getLiveEarnings(pair);
+        if (liveEarnings === null) return null;
+
+        if (showUsd) {
+            return window.Formatter.formatUsd(liveEarnings * this.libUsdPrice.price);
+        }
+
+        const decimals = this.getRewardRatePerSecond(pair) > 0
+            ? (window.CONFIG?.UI?.DECIMAL_PLACES?.TOKEN_AMOUNTS || 6)
+            : 4;
+        return `${liveEarnings.toFixed(decimals)} LIB`;
+    }
+
+    /**
+     * Tick pending rewards client-side between refreshes. Only touches the reward labels,
+     * so no RPC calls and no table re-render.
+     */
+    startRewardTicker() {
+        if (this.rewardTickerInterval) return;
+        if (!this.pairs.some(pair => pair.rewardAnchor && this.getRewardRatePerSecond(pair) > 0)) return;
+
+        const interval = window.CONFIG?.APP?.REWARD_TICK_INTERVAL || 1000;
+        this.rewardTickerInterval = setInterval(() => this.tickRewards(), interval);
+        console.log('⏱️ HomePage: Reward ticker started');
+    }
+
+    stopRewardTicker() {
+        if (this.rewardTickerInterval) {
+            clearInterval(this.rewardTickerInterval);
+            this.rewardTickerInterval = null;
+        }
+    }
+
+    tickRewards() {
+        if (document.hidden) return;
+
+        if (!this.getViewedAddress()) {
+            this.stopRewardTicker();
+            return;
+        }
+
+        const showUsd = this.isUsdDisplayActive();
+        this.pairs.forEach(pair => {
+            if (!pair.rewardAnchor || this.getRewardRatePerSecond(pair) <= 0) return;
+
+            const label = document.querySelector(`[data-reward-ticker="${pair.id}"]`);
+            const text = this.formatEarningsDisplay(pair, showUsd);
+            if (label && text && label.textContent !== text) {
+                label.textContent = text;
+            }
+        });
+    }
+
     destroy() {
+        this.stopRewardTicker();
         this.stopAutoRefresh();
         clearTimeout(this.refreshDebounceTimer);
     }
@@ -44,6 +44,23 @@ class NetworkSelector {
         return null;
     }
 
+    /**
+     * Select the network named in a deep link (?network=KEY) before anything reads the selection
+     * @returns {string|null} Network key taken from the URL
+     */
+    applyDeepLinkNetwork() {
+        const link = window.DeepLink?.parse();
+        if (!link?.network) {
+            return null;
+        }
+
+        if (link.network !== this.getSelectedNetworkKey()) {
+            localStorage.setItem('liberdus-selected-network', link.network);
+            console.log(`🔗 Deep link selected ${window.CONFIG.NETWORKS[link.network].NAME}`);
+        }
+        return link.network;
+    }
+
     /**
      * Switch to a different network
      * @param {string} networkKey - The network key to switch to
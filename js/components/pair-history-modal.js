@@ -0,0 +1,374 @@
+/**
+ * Pair History Modal - Historical APR and staked LP charts for a single pair
+ * Samples on-chain state at past blocks via ContractManager.getPairHistory()
+ * and reuses RewardsCalculator so historical APR matches the table value.
+ */
+
+class PairHistoryModal {
+    constructor() {
+        this.isOpen = false;
+        this.currentPair = null;
+        this.currentRange = null;
+        this.loadToken = 0; // Guards against out-of-order range loads
+        this.cache = new Map();
+
+        this.init();
+    }
+
+    init() {
+        this.createModal();
+        this.attachEventListeners();
+    }
+
+    getRanges() {
+        return window.CONFIG?.HISTORY?.RANGES_DAYS || [7, 30, 90];
+    }
+
+    createModal() {
+        if (document.getElementById('pair-history-modal')) return;
+
+        const modal = document.createElement('div');
+        modal.id = 'pair-history-modal';
+        modal.className = 'modal-overlay';
+        modal.style.display = 'none';
+        modal.innerHTML = `
+            <div class="modal-backdrop" data-history-close></div>
+            <div class="modal-content pair-history-content">
+                <div class="modal-header">
+                    <div class="modal-title-section">
+                        <h2 class="modal-title">Pair History</h2>
+                        <div class="pair-info" id="pair-history-pair-info"></div>
+                    </div>
+                    <button class="modal-close" data-history-close>
+                        <span class="material-icons">close</span>
+                    </button>
+                </div>
+
+                <div class="history-range-tabs">
+                    ${this.getRanges().map(days => `
+                        <button class="history-range-btn" data-range="${days}">${days}D</button>
+                    `).join('')}
+                </div>
+
+                <div class="modal-body">
+                    <div id="pair-history-body"></div>
+                </div>
+            </div>
+        `;
+
+        (document.getElementById('modal-container') || document.body).appendChild(modal);
+    }
+
+    attachEventListeners() {
+        document.addEventListener('click', (e) => {
+            if (!this.isOpen) return;
+
+            if (e.target.closest('[data-history-close]')) {
+                this.close();
+                return;
+            }
+
+            const rangeButton = e.target.closest('.history-range-btn');
+            if (rangeButton) {
+                this.loadRange(parseInt(rangeButton.dataset.range, 10));
+            }
+        });
+
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && this.isOpen) {
+                this.close();
+            }
+        });
+
+        // Cached samples belong to the network they were read from
+        document.addEventListener('contractManagerReady', () => {
+            this.cache.clear();
+        });
+    }
+
+    open(pair) {
+        if (!pair) return;
+
+        this.createModal();
+        this.currentPair = pair;
+        this.isOpen = true;
+
+        const pairInfo = document.getElementById('pair-history-pair-info');
+        if (pairInfo) {
+            pairInfo.innerHTML = `
+                <span class="material-icons" style="font-size: 16px;">swap_horiz</span>
+                ${pair.name || 'Unknown Pair'}
+                ${pair.platform ? `<span class="chip chip-primary" style="margin-left: 8px;">${pair.platform}</span>` : ''}
+            `;
+        }
+
+        const modal = document.getElementById('pair-history-modal');
+        if (modal) {
+            modal.style.display = 'flex';
+            setTimeout(() => modal.classList.add('open'), 10);
+        }
+        document.body.style.overflow = 'hidden';
+
+        this.loadRange(this.currentRange || this.getRanges()[0]);
+    }
+
+    close() {
+        const modal = document.getElementById('pair-history-modal');
+        if (modal) {
+            modal.classList.remove('open');
+            setTimeout(() => {
+                modal.style.display = 'none';
+            }, 300);
+        }
+
+        this.isOpen = false;
+        this.loadToken++;
+        document.body.style.overflow = '';
+    }
+
+    /**
+     * Load and render the series for the given lookback window
+     * @param {number} days - Lookback window in days
+     */
+    async loadRange(days) {
+        if (!this.currentPair || !Number.isFinite(days)) return;
+
+        this.currentRange = days;
+        document.querySelectorAll('.history-range-btn').forEach(btn => {
+            btn.classList.toggle('active', parseInt(btn.dataset.range, 10) === days);
+        });
+
+        const cacheKey = this.getCacheKey(this.currentPair.address, days);
+        const ttl = window.CONFIG?.HISTORY?.CACHE_TTL || 600000;
+        const cached = this.cache.get(cacheKey);
+        if (cached && (Date.now() - cached.timestamp) < ttl) {
+            this.renderSeries(cached.series, days);
+            return;
+        }
+
+        const token = ++this.loadToken;
+        this.renderLoading(days);
+
+        try {
+            if (!window.contractManager?.isReady()) {
+                throw new Error('Contract manager not ready');
+            }
+
+            const samples = window.CONFIG?.HISTORY?.SAMPLES || 15;
+            const history = await window.contractManager.getPairHistory(this.currentPair.address, days, samples);
+            const series = this.buildSeries(history);
+
+            if (token !== this.loadToken) return;
+
+            this.cache.set(cacheKey, { series, timestamp: Date.now() });
+            this.renderSeries(series, days);
+        } catch (error) {
+            console.error(`❌ Failed to load ${days}d history for ${this.currentPair.name}:`, error);
+            if (token !== this.loadToken) return;
+            this.renderError(error);
+        }
+    }
+
+    getCacheKey(address, days) {
+        const chainId = window.networkSelector?.getCurrentChainId() || 'unknown';
+        return `${chainId}:${(address || '').toLowerCase()}:${days}`;
+    }
+
+    /**
+     * Convert raw history samples into chart points
+     * @param {Array} history - Samples from ContractManager.getPairHistory()
+     * @returns {Array<{timestamp: number, blockNumber: number, apr: number|null, stakedLp: number}>}
+     */
+    buildSeries(history) {
+        const rewardTokenAddress = window.contractManager?.contractAddresses?.get('REWARD_TOKEN');
+        const calculator = window.rewardsCalculator;
+
+        return history.map(sample => {
+            const hourlyRate = Number(ethers.utils.formatEther(sample.hourlyRewardRate)) || 0;
+            const totalWeight = Number(ethers.utils.formatEther(sample.totalWeight)) || 0;
+            const pairWeight = Number(ethers.utils.formatEther(sample.pairWeight)) || 0;
+
+            const valuation = calculator?.calcStakeValueInLib(sample.breakdown, rewardTokenAddress);
+            const stakedLp = valuation
+                ? valuation.tvlInTokens
+                : Number(sample.breakdown?.lpToken?.stakedBalance?.formatted) || 0;
+
+            // APR is undefined when the stake can't be valued in LIB (no LIB side, or a pegged pool)
+            const apr = valuation && calculator
+                ? calculator.calcAPR(hourlyRate, valuation.tvlInTokens, valuation.stakeValuePerLpInLib, pairWeight, totalWeight)
+                : null;
+
+            return {
+                timestamp: sample.timestamp,
+                blockNumber: sample.blockNumber,
+                apr,
+                stakedLp
+            };
+        });
+    }
+
+    renderLoading(days) {
+        const body = document.getElementById('pair-history-body');
+        if (!body) return;
+
+        body.innerHTML = `
+            <div class="history-state">
+                <span class="material-icons history-spin">hourglass_empty</span>
+                <p>Reading ${days} days of on-chain history...</p>
+            </div>
+        `;
+    }
+
+    renderError(error) {
+        const body = document.getElementById('pair-history-body');
+        if (!body) return;
+
+        body.innerHTML = `
+            <div class="history-state">
+                <span class="material-icons" style="color: var(--error-main);">error_outline</span>
+                <p>Unable to load history for this pair.</p>
+                <p class="history-hint">${error?.message || 'Unknown error'}</p>
+                <p class="history-hint">Historical reads require an RPC endpoint with archive state.</p>
+            </div>
+        `;
+    }
+
+    renderSeries(series, days) {
+        const body = document.getElementById('pair-history-body');
+        if (!body) return;
+
+        if (series.length < 2) {
+            body.innerHTML = `
+                <div class="history-state">
+                    <span class="material-icons" style="opacity: 0.5;">timeline</span>
+                    <p>Not enough history in the last ${days} days to draw a chart.</p>
+                </div>
+            `;
+            return;
+        }
+
+        const aprPoints = series.filter(point => point.apr !== null);
+
+        body.innerHTML = `
+            <div class="history-chart-section">
+                <div class="history-chart-header">
+                    <span class="history-chart-title">
+                        <span class="material-icons">trending_up</span>
+                        APR
+                    </span>
+                    ${this.renderStats(aprPoints.map(point => point.apr), value => `${value.toFixed(1)}%`)}
+                </div>
+                ${aprPoints.length >= 2
+                    ? this.renderLineChart(aprPoints, 'apr', value => `${value.toFixed(1)}%`, 'history-line-apr')
+                    : '<div class="history-state"><p class="history-hint">APR is only available for pairs that include LIB.</p></div>'}
+            </div>
+
+            <div class="history-chart-section">
+                <div class="history-chart-header">
+                    <span class="history-chart-title">
+                        <span class="material-icons">account_balance</span>
+                        Staked LP
+                    </span>
+                    ${this.renderStats(series.map(point => point.stakedLp), value => this.formatCompact(value))}
+                </div>
+                ${this.renderLineChart(series, 'stakedLp', value => this.formatCompact(value), 'history-line-tvl')}
+            </div>
+
+            <p class="history-hint">
+                ${series.length} samples from block ${series[0].blockNumber} to ${series[series.length - 1].blockNumber}.
+                Block times are estimated from the recent average.
+            </p>
+        `;
+    }
+
+    renderStats(values, format) {
+        if (values.length === 0) return '';
+
+        const min = Math.min(...values);
+        const max = Math.max(...values);
+        const avg = values.reduce((sum, value) => sum + value, 0) / values.length;
+        const current = values[values.length - 1];
+
+        return `
+            <span class="history-stats">
+                <span>Now <strong>${format(current)}</strong></span>
+                <span>Avg <strong>${format(avg)}</strong></span>
+                <span>Min <strong>${format(min)}</strong></span>
+                <span>Max <strong>${format(max)}</strong></span>
+            </span>
+        `;
+    }
+
+    /**
+     * Render a responsive SVG line chart
+     * @param {Array} points - Chart points sorted by timestamp
+     * @param {string} key - Property of each point to plot
+     * @param {Function} format - Value formatter for axis labels
+     * @param {string} lineClass - CSS class controlling the line colour
+     * @returns {string} SVG markup
+     */
+    renderLineChart(points, key, format, lineClass) {
+        const width = 560;
+        const height = 180;
+        const padding = { top: 12, right: 12, bottom: 24, left: 56 };
+        const plotWidth = width - padding.left - padding.right;
+        const plotHeight = height - padding.top - padding.bottom;
+
+        const values = points.map(point => point[key]);
+        let min = Math.min(...values);
+        let max = Math.max(...values);
+        if (min === max) {
+            // Flat series: pad the range so the line sits mid-chart
+            const pad = Math.abs(min) * 0.1 || 1;
+            min -= pad;
+            max += pad;
+        }
+
+        const firstTs = points[0].timestamp;
+        const lastTs = points[points.length - 1].timestamp;
+        const spanTs = Math.max(lastTs - firstTs, 1);
+
+        const x = ts => padding.left + ((ts - firstTs) / spanTs) * plotWidth;
+        const y = value => padding.top + (1 - (value - min) / (max - min)) * plotHeight;
+
+        const linePath = points.map((point, i) => `${i === 0 ? 'M' : 'L'}${x(point.timestamp).toFixed(1)},${y(point[key]).toFixed(1)}`).join(' ');
+        const baseline = (padding.top + plotHeight).toFixed(1);
+        const areaPath = `${linePath} L${x(lastTs).toFixed(1)},${baseline} L${x(firstTs).toFixed(1)},${baseline} Z`;
+
+        const markers = points.map(point => `
+            <circle cx="${x(point.timestamp).toFixed(1)}" cy="${y(point[key]).toFixed(1)}" r="3">
+                <title>${this.formatDate(point.timestamp, true)} · ${format(point[key])} (block ${point.blockNumber})</title>
+            </circle>
+        `).join('');
+
+        return `
+            <svg class="history-chart ${lineClass}" viewBox="0 0 ${width} ${height}" preserveAspectRatio="none" role="img">
+                <line class="history-grid" x1="${padding.left}" y1="${padding.top}" x2="${width - padding.right}" y2="${padding.top}"></line>
+                <line class="history-grid" x1="${padding.left}" y1="${baseline}" x2="${width - padding.right}" y2="${baseline}"></line>
+                <text class="history-axis" x="${padding.left - 6}" y="${padding.top + 4}" text-anchor="end">${format(max)}</text>
+                <text class="history-axis" x="${padding.left - 6}" y="${baseline}" text-anchor="end">${format(min)}</text>
+                <text class="history-axis" x="${padding.left}" y="${height - 6}" text-anchor="start">${this.formatDate(firstTs)}</text>
+                <text class="history-axis" x="${width - padding.right}" y="${height - 6}" text-anchor="end">${this.formatDate(lastTs)}</text>
+                <path class="history-area" d="${areaPath}"></path>
+                <path class="history-line" d="${linePath}"></path>
+                ${markers}
+            </svg>
+        `;
+    }
+
+    formatDate(timestamp, withTime = false) {
+        const options = withTime
+            ? { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' }
+            : { month: 'short', day: 'numeric' };
+        return new Date(timestamp * 1000).toLocaleString(undefined, options);
+    }
+
+    formatCompact(num) {
+        if (!Number.isFinite(num)) return '0';
+        if (Math.abs(num) >= 1000000) return (num / 1000000).toFixed(2) + 'M';
+        if (Math.abs(num) >= 1000) return (num / 1000).toFixed(2) + 'K';
+        return num.toFixed(2);
+    }
+}
+
+window.PairHistoryModal = PairHistoryModal;
@@ -0,0 +1,403 @@
+/**
+ * Portfolio View - Connected wallet's positions across every configured network
+ * Reads each network through ContractManager.getUserPortfolio() and shows staked LP,
+ * underlying token amounts, wallet LP, pending rewards, APR and estimated daily earnings.
+ */
+
+class PortfolioView {
+    constructor() {
+        this.isOpen = false;
+        this.loadToken = 0; // Guards against stale loads after reopen or account change
+        this.results = new Map(); // networkKey -> { portfolio } | { error }
+
+        this.init();
+    }
+
+    init() {
+        this.createModal();
+        this.attachEventListeners();
+        this.updateButtonVisibility();
+    }
+
+    createModal() {
+        if (document.getElementById('portfolio-modal')) return;
+
+        const modal = document.createElement('div');
+        modal.id = 'portfolio-modal';
+        modal.className = 'modal-overlay';
+        modal.style.display = 'none';
+        modal.innerHTML = `
+            <div class="modal-backdrop" data-portfolio-close></div>
+            <div class="modal-content portfolio-content">
+                <div class="modal-header">
+                    <div class="modal-title-section">
+                        <h2 class="modal-title">My Portfolio</h2>
+                        <div class="pair-info" id="portfolio-address"></div>
+                    </div>
+                    <div class="portfolio-header-actions">
+                        <button class="portfolio-refresh-btn" data-portfolio-refresh title="Refresh">
+                            <span class="material-icons">refresh</span>
+                        </button>
+                        <button class="modal-close" data-portfolio-close>
+                            <span class="material-icons">close</span>
+                        </button>
+                    </div>
+                </div>
+
+                <div class="modal-body">
+                    <div id="portfolio-body"></div>
+                </div>
+            </div>
+        `;
+
+        (document.getElementById('modal-container') || document.body).appendChild(modal);
+    }
+
+    attachEventListeners() {
+        document.addEventListener('click', (e) => {
+            if (e.target.closest('#portfolio-btn')) {
+                e.preventDefault();
+                this.open();
+                return;
+            }
+
+            if (!this.isOpen) return;
+
+            if (e.target.closest('[data-portfolio-close]')) {
+                this.close();
+                return;
+            }
+
+            if (e.target.closest('[data-portfolio-refresh]')) {
+                this.load();
+            }
+        });
+
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && this.isOpen) {
+                this.close();
+            }
+        });
+
+        document.addEventListener('walletConnected', () => {
+            this.updateButtonVisibility();
+        });
+
+        document.addEventListener('walletDisconnected', () => {
+            this.updateButtonVisibility();
+            if (this.isOpen && !this.getUserAddress()) this.close();
+        });
+
+        document.addEventListener('walletAccountChanged', () => {
+            if (this.isOpen) this.load();
+        });
+
+        document.addEventListener('watchAddressChanged', () => {
+            this.updateButtonVisibility();
+            if (this.isOpen) this.load();
+        });
+    }
+
+    getUserAddress() {
+        // Follow the homepage's read-only "view as" address when one is set
+        const watchedAddress = window.homePage?.isWatching?.() ? window.homePage.getViewedAddress() : null;
+        if (watchedAddress) {
+            return watchedAddress;
+        }
+        return window.walletManager?.isConnected() ? window.walletManager.getAddress() : null;
+    }
+
+    updateButtonVisibility() {
+        const button = document.getElementById('portfolio-btn');
+        if (button) {
+            button.style.display = this.getUserAddress() ? 'flex' : 'none';
+        }
+    }
+
+    /**
+     * Networks that have a staking contract deployed, selected network first
+     * @returns {Array<string>} Keys into CONFIG.NETWORKS
+     */
+    getNetworkKeys() {
+        const networks = window.CONFIG?.NETWORKS || {};
+        const selectedKey = window.networkSelector?.getSelectedNetworkKey();
+
+        return Object.keys(networks)
+            .filter(key => window.contractManager?.isValidContractAddress(networks[key].CONTRACTS?.STAKING_CONTRACT))
+            .sort((a, b) => (a === selectedKey ? -1 : b === selectedKey ? 1 : 0));
+    }
+
+    open() {
+        const address = this.getUserAddress();
+        if (!address) {
+            window.notificationManager?.warning(window.CONFIG?.ERRORS?.WALLET_NOT_CONNECTED || 'Please connect your wallet');
+            return;
+        }
+
+        this.createModal();
+        this.isOpen = true;
+
+        const modal = document.getElementById('portfolio-modal');
+        if (modal) {
+            modal.style.display = 'flex';
+            setTimeout(() => modal.classList.add('open'), 10);
+        }
+        document.body.style.overflow = 'hidden';
+
+        this.load();
+    }
+
+    close() {
+        const modal = document.getElementById('portfolio-modal');
+        if (modal) {
+            modal.classList.remove('open');
+            setTimeout(() => {
+                modal.style.display = 'none';
+            }, 300);
+        }
+
+        this.isOpen = false;
+        this.loadToken++;
+        document.body.style.overflow = '';
+    }
+
+    /**
+     * Load every network in parallel and re-render as each one settles
+     */
+    async load() {
+        const address = this.getUserAddress();
+        if (!address || !window.contractManager) return;
+
+        const token = ++this.loadToken;
+        const networkKeys = this.getNetworkKeys();
+        this.results.clear();
+
+        const addressEl = document.getElementById('portfolio-address');
+        if (addressEl) {
+            addressEl.innerHTML = `
+                <span class="material-icons" style="font-size: 16px;">account_balance_wallet</span>
+                ${this.formatAddress(address)}
+            `;
+        }
+
+        this.render(networkKeys);
+
+        await Promise.all(networkKeys.map(async (networkKey) => {
+            try {
+                const portfolio = await window.contractManager.getUserPortfolio(address, networkKey);
+                if (token !== this.loadToken) return;
+                this.results.set(networkKey, { portfolio });
+            } catch (error) {
+                console.error(`❌ Failed to load portfolio on ${networkKey}:`, error);
+                if (token !== this.loadToken) return;
+                this.results.set(networkKey, { error });
+            }
+            this.render(networkKeys);
+        }));
+    }
+
+    render(networkKeys) {
+        const body = document.getElementById('portfolio-body');
+        if (!body) return;
+
+        if (networkKeys.length === 0) {
+            body.innerHTML = `
+                <div class="portfolio-state">
+                    <span class="material-icons" style="opacity: 0.5;">cloud_off</span>
+                    <p>No networks with a staking contract are configured.</p>
+                </div>
+            `;
+            return;
+        }
+
+        body.innerHTML = networkKeys.map(networkKey => this.renderNetwork(networkKey)).join('');
+    }
+
+    renderNetwork(networkKey) {
+        const networkName = window.CONFIG?.NETWORKS?.[networkKey]?.NAME || networkKey;
+        const result = this.results.get(networkKey);
+
+        if (!result) {
+            return `
+                <section class="portfolio-network">
+                    <div class="portfolio-network-header">
+                        <h3>${networkName}</h3>
+                    </div>
+                    <div class="portfolio-state">
+                        <span class="material-icons portfolio-spin">hourglass_empty</span>
+                        <p>Loading positions...</p>
+                    </div>
+                </section>
+            `;
+        }
+
+        if (result.error) {
+            return `
+                <section class="portfolio-network">
+                    <div class="portfolio-network-header">
+                        <h3>${networkName}</h3>
+                    </div>
+                    <div class="portfolio-state">
+                        <span class="material-icons" style="color: var(--error-main);">error_outline</span>
+                        <p>Unable to load positions on ${networkName}.</p>
+                        <p class="portfolio-hint">${result.error?.message || 'Unknown error'}</p>
+                    </div>
+                </section>
+            `;
+        }
+
+        const rows = this.buildRows(result.portfolio);
+        const totals = rows.reduce((sum, row) => {
+            // Underlying amounts are summed per token symbol across pairs
+            (row.underlying || []).forEach(token => {
+                sum.underlying[token.symbol] = (sum.underlying[token.symbol] || 0) + token.amount;
+            });
+            return {
+                staked: sum.staked + row.staked,
+                wallet: sum.wallet + row.wallet,
+                underlying: sum.underlying,
+                pending: sum.pending + row.pending,
+                daily: sum.daily + row.daily
+            };
+        }, { staked: 0, wallet: 0, underlying: {}, pending: 0, daily: 0 });
+
+        return `
+            <section class="portfolio-network">
+                <div class="portfolio-network-header">
+                    <h3>${networkName}</h3>
+                    ${this.renderSummary(networkKey, totals, rows.length)}
+                </div>
+                ${rows.length === 0
+                    ? `<div class="portfolio-state"><p class="portfolio-hint">No positions on ${networkName}.</p></div>`
+                    : this.renderTable(rows)}
+            </section>
+        `;
+    }
+
+    renderSummary(networkKey, totals, positionCount) {
+        const format = value => window.Formatter?.formatSmallNumberWithSubscript(value) || value.toFixed(4);
+
+        // USD is only resolved for the selected network's LIB price
+        const isSelected = networkKey === window.networkSelector?.getSelectedNetworkKey();
+        const pendingUsd = isSelected ? window.priceService?.toUsd(totals.pending) : null;
+
+        const underlying = Object.entries(totals.underlying)
+            .map(([symbol, amount]) => `${format(amount)} ${symbol}`)
+            .join(' + ');
+
+        return `
+            <div class="portfolio-summary">
+                <span>Staked <strong>${format(totals.staked)} LP</strong></span>
+                ${underlying ? `<span>Underlying <strong>${underlying}</strong></span>` : ''}
+                <span>Wallet <strong>${format(totals.wallet)} LP</strong></span>
+                <span>Pending <strong>${format(totals.pending)} LIB</strong>${pendingUsd !== null && pendingUsd !== undefined
+                    ? ` <span class="portfolio-hint">(${window.Formatter.formatUsd(pendingUsd)})</span>`
+                    : ''}</span>
+                <span>Est. daily <strong>${format(totals.daily)} LIB</strong></span>
+                <span>Positions <strong>${positionCount}</strong></span>
+            </div>
+        `;
+    }
+
+    renderTable(rows) {
+        const format = value => window.Formatter?.formatSmallNumberWithSubscript(value) || String(value);
+
+        return `
+            <div class="portfolio-table-wrapper">
+                <table class="portfolio-table">
+                    <thead>
+                        <tr>
+                            <th>Pair</th>
+                            <th>Staked LP</th>
+                            <th>Underlying</th>
+                            <th>Wallet LP</th>
+                            <th>Pending LIB</th>
+                            <th>APR</th>
+                            <th>Est. Daily LIB</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${rows.map(row => `
+                            <tr>
+                                <td>
+                                    <div class="portfolio-pair">${row.name}</div>
+                                    ${row.platform ? `<span class="chip chip-primary">${row.platform}</span>` : ''}
+                                </td>
+                                <td>${format(row.staked)}</td>
+                                <td class="portfolio-underlying">
+                                    ${row.underlying
+                                        ? row.underlying.map(token => `<div>${format(token.amount)} ${token.symbol}</div>`).join('')
+                                        : '<span class="portfolio-hint">—</span>'}
+                                </td>
+                                <td>${format(row.wallet)}</td>
+                                <td>${format(row.pending)}</td>
+                                <td>${row.apr !== null ? `${row.apr.toFixed(2)}%` : '<span class="portfolio-hint">—</span>'}</td>
+                                <td>${format(row.daily)}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    }
+
+    /**
+     * Derive display values for each position of a network portfolio
+     * @param {Object} portfolio - Result of ContractManager.getUserPortfolio()
+     * @returns {Array<Object>} Rows with numeric staked, wallet, pending, underlying, apr and daily values
+     */
+    buildRows(portfolio) {
+        const calculator = window.rewardsCalculator;
+        const hourlyRate = Number(ethers.utils.formatEther(portfolio.hourlyRewardRate)) || 0;
+        const totalWeight = Number(ethers.utils.formatEther(portfolio.totalWeight)) || 0;
+
+        return portfolio.positions.map(position => {
+            const breakdown = position.breakdown;
+            const lpDecimals = position.decimals ?? breakdown?.lpToken?.decimals ?? 18;
+            const staked = Number(ethers.utils.formatUnits(position.stake, lpDecimals)) || 0;
+            const wallet = Number(ethers.utils.formatUnits(position.balance, lpDecimals)) || 0;
+            const pending = Number(ethers.utils.formatEther(position.pendingRewards)) || 0;
+            const pairWeight = Number(ethers.utils.formatEther(position.pair.weight)) || 0;
+
+            // Underlying amounts follow the user's share of total LP supply
+            let underlying = null;
+            const totalSupply = Number(breakdown?.lpToken?.totalSupply?.formatted) || 0;
+            if (breakdown && totalSupply > 0) {
+                const share = staked / totalSupply;
+                underlying = (breakdown.tokens || [breakdown.token0, breakdown.token1]).map(token => ({
+                    symbol: token.symbol,
+                    amount: (Number(token.reserve?.formatted) || 0) * share
+                }));
+            }
+
+            const valuation = calculator?.calcStakeValueInLib(breakdown, portfolio.rewardToken);
+            const apr = valuation && position.pair.isActive
+                ? calculator.calcAPR(hourlyRate, valuation.tvlInTokens, valuation.stakeValuePerLpInLib, pairWeight, totalWeight)
+                : null;
+
+            // Daily rewards: the pair's share of emissions split pro rata by staked LP
+            const totalStaked = Number(breakdown?.lpToken?.stakedBalance?.formatted) || 0;
+            const daily = position.pair.isActive && totalWeight > 0 && totalStaked > 0
+                ? hourlyRate * 24 * (pairWeight / totalWeight) * (staked / totalStaked)
+                : 0;
+
+            return {
+                name: position.pair.name || 'Unknown Pair',
+                platform: position.pair.platform,
+                staked,
+                wallet,
+                pending,
+                underlying,
+                apr,
+                daily
+            };
+        });
+    }
+
+    formatAddress(address) {
+        if (!address) return '';
+        return `${address.slice(0, 6)}...${address.slice(-4)}`;
+    }
+}
+
+window.PortfolioView = PortfolioView;
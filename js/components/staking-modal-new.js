@@ -16,7 +16,7 @@ class StakingModalNew {
         this.userBalanceRaw = window.ethers?.BigNumber.from(0);
         this.userBalanceDecimals = 18; // Updated once token metadata loads
         this.userStakedRaw = window.ethers?.BigNumber.from(0);
-        this.userStakedDecimals = 18; // Staking contract uses 18 decimals
+        this.userStakedDecimals = 18; // Staked amounts are in LP token units; updated with the stake info
 
         // Approval state
         this.needsApproval = false;
@@ -45,6 +45,14 @@ class StakingModalNew {
         // Claim rewards on unstake
         this.claimRewardsOnUnstake = true;
 
+        // Compound (claim + zap into LP + stake) state
+        this.compoundSlippageBps = window.CONFIG?.COMPOUND?.DEFAULT_SLIPPAGE_BPS || 50;
+        this.compoundQuote = null;
+        this.compoundQuoteError = null;
+        this.compoundQuoteToken = 0;
+        this.compoundSteps = null;
+        this.isExecutingCompound = false;
+
         this.transactionPhaseHandler = this.handleTransactionPhase.bind(this);
         if (typeof window !== 'undefined') {
             window.addEventListener('transaction-phase', this.transactionPhaseHandler);
@@ -166,6 +174,9 @@ class StakingModalNew {
                                 <!-- Pair info will be populated -->
                             </div>
                         </div>
+                        <button class="modal-copy-link" data-copy-pair-link title="Copy link to this pair and tab" aria-label="Copy link">
+                            <span class="material-icons">link</span>
+                        </button>
                         <button class="modal-close" onclick="safeModalClose()">
                             <span class="material-icons">close</span>
                         </button>
@@ -211,6 +222,17 @@ class StakingModalNew {
                 const percentage = parseInt(e.target.closest('.percentage-btn').dataset.percentage);
                 this.setPercentage(percentage);
             }
+
+            // Copy a deep link to the current pair/tab
+            if (e.target.closest('[data-copy-pair-link]')) {
+                this.copyPairLink();
+            }
+
+            // Compound slippage buttons
+            if (e.target.closest('.compound-slippage-btn') && !this.isExecutingCompound) {
+                this.compoundSlippageBps = parseInt(e.target.closest('.compound-slippage-btn').dataset.slippage, 10);
+                this.loadCompoundQuote();
+            }
         });
 
         // Input changes
@@ -222,6 +244,7 @@ class StakingModalNew {
                 }
                 this.stakeAmount = sanitizedValue;
                 this.updateSlider('stake');
+                this.updateStakeProjection();
 
                 // Reset approval state when amount changes
                 this.isApproved = false;
@@ -316,7 +339,13 @@ class StakingModalNew {
         return decimalPart ? `${integerPart}.${decimalPart}` : `${integerPart}.`;
     }
 
-    async open(pair, tab = 'stake') {
+    /**
+     * @param {Object} pair - Pair data from the homepage table
+     * @param {string} [tab='stake'] - stake | unstake | claim
+     * @param {Object} [options]
+     * @param {string} [options.amount] - Prefill the stake/unstake amount (deep links)
+     */
+    async open(pair, tab = 'stake', { amount = null } = {}) {
         this.currentPair = pair;
         this.currentTab = tab;
         this.isOpen = true;
@@ -338,6 +367,12 @@ class StakingModalNew {
         this.isExecutingUnstake = false;
         this.isExecutingClaim = false;
 
+        // Reset compound state
+        this.compoundQuote = null;
+        this.compoundQuoteError = null;
+        this.compoundSteps = null;
+        this.isExecutingCompound = false;
+
         // Update pair info
         this.updatePairInfo();
 
@@ -354,8 +389,19 @@ class StakingModalNew {
         // Load user balances if contract manager is ready
         await this.loadUserBalances();
 
+        // Prefill after balances load so the amount is trimmed to the token's decimals
+        if (amount && tab === 'stake') {
+            this.stakeAmount = this.applyDecimalLimit(String(amount), this.userBalanceDecimals);
+        } else if (amount && tab === 'unstake') {
+            this.unstakeAmount = this.applyDecimalLimit(String(amount), this.userStakedDecimals);
+        }
+
         // Re-render the tab to reflect fresh data
         this.switchTab(tab);
+        if (amount && (tab === 'stake' || tab === 'unstake')) {
+            this.updateSlider(tab);
+            this.updateButtonStates();
+        }
 
         // Prevent body scroll
         document.body.style.overflow = 'hidden';
@@ -463,10 +509,10 @@ class StakingModalNew {
             const allowance = await lpTokenContract.allowance(userAddress, stakingAddress);
             console.log(`✅ Allowance retrieved: ${allowance.toString()}`);
 
-            this.currentAllowance = this.formatTokenAmount(allowance, 18);
+            this.currentAllowance = this.formatTokenAmount(allowance, this.userBalanceDecimals);
 
             // Check if we need approval
-            const amountWei = window.ethers.utils.parseEther(this.stakeAmount.toString());
+            const amountWei = window.ethers.utils.parseUnits(this.stakeAmount.toString(), this.userBalanceDecimals);
             const needsApproval = allowance.lt(amountWei);
 
             console.log(`🔍 Approval check result:`, {
@@ -550,6 +596,8 @@ class StakingModalNew {
                 this.setActionPhase('approve', 'processing');
             }
 
+            this.recordTransaction('approve', approveTx, this.stakeAmount);
+
             if (!approveTx.success) {
                 throw approveTx.error;
             }
@@ -672,7 +720,7 @@ class StakingModalNew {
             return;
         }
 
-        const shouldDisable = this.isExecutingClaim || !hasRewards;
+        const shouldDisable = this.isExecutingClaim || this.isExecutingCompound || !hasRewards;
         claimButton.disabled = shouldDisable;
 
         if (buttonIcon) buttonIcon.textContent = 'redeem';
@@ -747,10 +795,10 @@ class StakingModalNew {
                 const stakeInfo = await window.contractManager.getUserStake(userAddress, tokenAddress);
                 if (stakeInfo) {
                     // Format with ethers v5/v6 compatibility
-                    this.userStaked = this.formatTokenAmount(stakeInfo.amount || '0', 18);
+                    this.userStaked = this.formatTokenAmount(stakeInfo.amountRaw, stakeInfo.decimals);
                     this.pendingRewards = this.formatTokenAmount(stakeInfo.rewards || '0', 18);
-                    this.userStakedRaw = window.ethers.utils.parseUnits((stakeInfo.amount || '0').toString(), 18);
-                    this.userStakedDecimals = 18;
+                    this.userStakedRaw = stakeInfo.amountRaw;
+                    this.userStakedDecimals = stakeInfo.decimals;
                 }
 
                 console.log(`✅ Staked: ${this.userStaked}, Rewards: ${this.pendingRewards}`);
@@ -781,6 +829,32 @@ class StakingModalNew {
         }
     }
 
+    /**
+     * Copy a shareable link that reopens this pair on the current tab (with the typed amount)
+     */
+    async copyPairLink() {
+        if (!this.currentPair || !window.DeepLink) return;
+
+        const amount = this.currentTab === 'stake' ? this.stakeAmount
+            : this.currentTab === 'unstake' ? this.unstakeAmount
+            : null;
+
+        const link = window.DeepLink.build({
+            network: window.networkSelector?.getSelectedNetworkKey(),
+            pair: this.currentPair.address,
+            tab: this.currentTab,
+            amount
+        });
+
+        try {
+            await navigator.clipboard.writeText(link);
+            window.notificationManager?.success('Link copied to clipboard');
+        } catch (error) {
+            console.error('Failed to copy link:', error);
+            window.notificationManager?.error('Failed to copy link');
+        }
+    }
+
     close() {
         const modal = document.getElementById('staking-modal-new');
         if (modal) {
@@ -855,6 +929,7 @@ class StakingModalNew {
                 break;
             case 'claim':
                 tabContent.innerHTML = this.renderClaimTab();
+                this.loadCompoundQuote();
                 break;
         }
 
@@ -897,6 +972,75 @@ class StakingModalNew {
         this.updateStakeButton();
         this.updateUnstakeButton();
         this.updateClaimButton();
+        this.updateStakeProjection();
+    }
+
+    /**
+     * Project rewards for the entered stake amount, including its dilution of the pool
+     * @returns {Object|null} RewardsCalculator.calcRewardsProjection() result
+     */
+    getStakeProjection() {
+        const calculator = window.rewardsCalculator;
+        const homePage = window.homePage;
+        if (!calculator?.calcRewardsProjection || !this.currentPair) return null;
+
+        return calculator.calcRewardsProjection({
+            hourlyRate: Number(homePage?.hourlyRewardRate) || 0,
+            poolWeight: Number(this.currentPair.weight) || 0,
+            totalWeight: Number(homePage?.totalWeight) || 0,
+            tvlLpTokens: Number(this.currentPair.tvl) || 0,
+            userStakedLp: parseFloat(this.userStaked) || 0,
+            stakeAmountLp: parseFloat(this.stakeAmount) || 0,
+            libPerLp: Number(this.currentPair.libPerLp) || 0
+        });
+    }
+
+    renderStakeProjection() {
+        const projection = this.getStakeProjection();
+        if (!projection) {
+            return `<div class="stake-projection-empty">Enter an amount to see projected rewards.</div>`;
+        }
+
+        const format = value => window.Formatter?.formatSmallNumberWithSubscript(value) || value.toFixed(4);
+        const periods = [
+            { key: 'daily', label: 'Daily' },
+            { key: 'weekly', label: 'Weekly' },
+            { key: 'monthly', label: 'Monthly' },
+            { key: 'yearly', label: 'Yearly' }
+        ];
+
+        return `
+            <div class="stake-projection-title">Projected LIB rewards</div>
+            <div class="stake-projection-grid">
+                ${periods.map(period => `
+                    <div class="stake-projection-cell">
+                        <span class="stake-projection-label">${period.label}</span>
+                        <span class="stake-projection-value">${format(projection.stake[period.key])}</span>
+                    </div>
+                `).join('')}
+            </div>
+            <div class="balance-info">
+                <span class="balance-label">Pool Share:</span>
+                <span class="balance-value">${projection.shareBefore.toFixed(2)}% → ${projection.shareAfter.toFixed(2)}%</span>
+            </div>
+            ${projection.aprAfter > 0 ? `
+                <div class="balance-info">
+                    <span class="balance-label">APR After Stake:</span>
+                    <span class="balance-value success-text">${projection.aprAfter.toFixed(1)}%</span>
+                </div>
+            ` : ''}
+            <div class="stake-projection-hint">
+                Includes the dilution from your stake. Whole position after staking: ~${format(projection.position.daily)} LIB/day.
+                Estimates assume current emission rate, weights and TVL.
+            </div>
+        `;
+    }
+
+    updateStakeProjection() {
+        const container = document.getElementById('stake-projection');
+        if (container) {
+            container.innerHTML = this.renderStakeProjection();
+        }
     }
 
     renderStakeTab() {
@@ -941,6 +1085,10 @@ class StakingModalNew {
                 <span class="balance-value success-text">${this.currentPair?.apr || '0.00'}%</span>
             </div>
 
+            <div class="stake-projection" id="stake-projection">
+                ${this.renderStakeProjection()}
+            </div>
+
             <div class="modal-actions">
                 <button class="btn btn-secondary" onclick="safeModalClose()">Cancel</button>
                 <button class="btn btn-primary" onclick="safeModalExecuteStake()" ${!this.stakeAmount || parseFloat(this.stakeAmount) === 0 ? 'disabled' : ''}>
@@ -1044,21 +1192,153 @@ class StakingModalNew {
                     Claim Rewards
                 </button>
             </div>
+
+            <div class="compound-section" id="compound-section">
+                ${this.renderCompoundSection()}
+            </div>
         `;
     }
 
-    setPercentage(percentage) {
-        let amount;
-        
-        // For 100% (MAX), use the exact original value to preserve precision
-        if (percentage === 100) {
-            amount = this.currentTab === 'stake' ? this.userBalance : this.userStaked;
-        } else {
-            // For other percentages, calculate the amount
-            const maxAmount = this.currentTab === 'stake' ? parseFloat(this.userBalance) : parseFloat(this.userStaked);
-            amount = (maxAmount * percentage / 100).toFixed(6);
+    /**
+     * Compound panel on the Claim tab: quote, slippage and step progress
+     */
+    renderCompoundSection() {
+        if (!window.contractManager?.getDexRouterAddress(this.currentPair?.platform)) {
+            return '';
+        }
+
+        if (this.compoundSteps) {
+            return `
+                <div class="compound-header">
+                    <span class="material-icons">autorenew</span>
+                    Compounding into ${this.getPairName()} LP
+                </div>
+                <ul class="compound-steps">
+                    ${this.compoundSteps.map(step => `
+                        <li class="compound-step compound-step-${step.status}">
+                            <span class="material-icons">${step.status === 'done' ? 'check_circle' : step.status === 'failed' ? 'error_outline' : step.status === 'active' ? 'hourglass_empty' : 'radio_button_unchecked'}</span>
+                            ${step.label}
+                        </li>
+                    `).join('')}
+                </ul>
+            `;
+        }
+
+        const slippageOptions = window.CONFIG?.COMPOUND?.SLIPPAGE_OPTIONS_BPS || [50, 100, 200];
+        const quote = this.compoundQuote;
+        const format = (value, decimals = 18) => window.Formatter?.formatSmallNumberWithSubscript(window.ethers.utils.formatUnits(value, decimals))
+            || window.ethers.utils.formatUnits(value, decimals);
+
+        let quoteDetails = '<div class="compound-hint">Calculating expected LP...</div>';
+        if (this.compoundQuoteError) {
+            quoteDetails = `<div class="compound-hint">${this.compoundQuoteError}</div>`;
+        } else if (quote) {
+            quoteDetails = `
+                <div class="balance-info">
+                    <span class="balance-label">Swap:</span>
+                    <span class="balance-value">${format(quote.swapAmount)} LIB → ~${format(quote.expectedOut, quote.otherToken.decimals)} ${quote.otherToken.symbol}</span>
+                </div>
+                <div class="balance-info">
+                    <span class="balance-label">Expected LP:</span>
+                    <span class="balance-value success-text">~${format(quote.expectedLp, quote.lpDecimals)} LP</span>
+                </div>
+                <div class="balance-info">
+                    <span class="balance-label">Minimum LP:</span>
+                    <span class="balance-value">${format(quote.minLp, quote.lpDecimals)} LP</span>
+                </div>
+            `;
+        }
+
+        return `
+            <div class="compound-header">
+                <span class="material-icons">autorenew</span>
+                Compound into LP
+            </div>
+            <p class="compound-hint">Claim, swap about half of the LIB to the pair's other token, add liquidity and stake the new LP.</p>
+            ${quoteDetails}
+            <div class="compound-slippage">
+                <span class="balance-label">Slippage:</span>
+                ${slippageOptions.map(bps => `
+                    <button class="compound-slippage-btn ${bps === this.compoundSlippageBps ? 'active' : ''}" data-slippage="${bps}" type="button">${bps / 100}%</button>
+                `).join('')}
+            </div>
+            <div class="modal-actions">
+                <button class="btn btn-outline" onclick="safeModalExecuteCompound()" ${!quote || this.isExecutingCompound ? 'disabled' : ''}>
+                    <span class="material-icons">autorenew</span>
+                    Compound Rewards
+                </button>
+            </div>
+        `;
+    }
+
+    refreshCompoundSection() {
+        const section = document.getElementById('compound-section');
+        if (section) {
+            section.innerHTML = this.renderCompoundSection();
+        }
+    }
+
+    /**
+     * Quote compounding the current pending rewards
+     */
+    async loadCompoundQuote() {
+        if (this.isExecutingCompound || !this.currentPair) return;
+        if (!window.contractManager?.isReady() || !window.contractManager.getDexRouterAddress(this.currentPair.platform)) return;
+
+        const token = ++this.compoundQuoteToken;
+        this.compoundQuote = null;
+        this.compoundQuoteError = null;
+
+        const pendingWei = window.ethers.utils.parseEther(this.pendingRewards || '0');
+        if (pendingWei.isZero()) {
+            this.compoundQuoteError = 'No pending rewards to compound.';
+            this.refreshCompoundSection();
+            return;
         }
 
+        this.refreshCompoundSection();
+
+        try {
+            const quote = await window.contractManager.quoteCompound(
+                this.currentPair.lpToken || this.currentPair.address,
+                pendingWei,
+                { platform: this.currentPair.platform, slippageBps: this.compoundSlippageBps }
+            );
+            if (token !== this.compoundQuoteToken) return;
+            this.compoundQuote = quote;
+        } catch (error) {
+            if (token !== this.compoundQuoteToken) return;
+            console.warn('⚠️ Compound quote unavailable:', error.message);
+            this.compoundQuoteError = error.message;
+        }
+
+        this.refreshCompoundSection();
+    }
+
+    /**
+     * Share of the wallet balance (stake) or staked amount (unstake), computed in raw token units
+     * so the result never has more decimals than the LP token allows
+     * @param {string} type - stake | unstake
+     * @param {number} percentage - 0-100
+     * @returns {string}
+     */
+    getAmountForPercentage(type, percentage) {
+        const raw = (type === 'stake' ? this.userBalanceRaw : this.userStakedRaw) || window.ethers.BigNumber.from(0);
+        const decimals = type === 'stake' ? this.userBalanceDecimals : this.userStakedDecimals;
+
+        // For 100% (MAX), use the exact balance to preserve precision
+        if (percentage >= 100) {
+            return this.formatTokenAmount(raw, decimals);
+        }
+
+        const units = raw.mul(Math.round(percentage * 100)).div(10000);
+        // Round down to at most 6 decimals for display, like the old float path
+        return this.applyDecimalLimit(window.ethers.utils.formatUnits(units, decimals), Math.min(6, decimals));
+    }
+
+    setPercentage(percentage) {
+        const amount = this.getAmountForPercentage(this.currentTab, percentage);
+
         if (this.currentTab === 'stake') {
             this.stakeAmount = amount;
             const input = document.getElementById('stake-amount-input');
@@ -1101,22 +1381,13 @@ class StakingModalNew {
     updateAmountFromSlider(slider) {
         const type = slider.dataset.type;
         const percentage = parseFloat(slider.value);
-        let amount;
-        
-        // For 100% (MAX), use the exact original value to preserve precision
-        // This prevents rounding issues when slider is dragged to max
-        if (percentage === 100) {
-            amount = type === 'stake' ? this.userBalance : this.userStaked;
-        } else {
-            // For other percentages, calculate the amount
-            const maxAmount = parseFloat(type === 'stake' ? this.userBalance : this.userStaked) || 0;
-            amount = (maxAmount * percentage / 100).toFixed(6);
-        }
+        const amount = this.getAmountForPercentage(type, percentage);
 
         if (type === 'stake') {
             this.stakeAmount = amount;
             const input = document.getElementById('stake-amount-input');
             if (input) input.value = amount;
+            this.updateStakeProjection();
         } else if (type === 'unstake') {
             this.unstakeAmount = amount;
             const input = document.getElementById('unstake-amount-input');
@@ -1147,12 +1418,23 @@ class StakingModalNew {
                 return;
             }
 
+            // Use lpToken address from pair object
+            const lpTokenAddress = this.currentPair.lpToken || this.currentPair.address;
+
             // STEP 1: Check if approval is needed
+            let usePermit = false;
             if (!this.isApproved) {
                 console.log('🔍 Checking if approval is needed...');
                 const needsApproval = await this.checkApprovalNeeded();
 
+                // EIP-2612 tokens can approve and stake in one transaction with a signed permit
                 if (needsApproval) {
+                    usePermit = await window.contractManager.canStakeWithPermit(lpTokenAddress);
+                }
+
+                if (usePermit) {
+                    console.log('✍️ LP token supports permit, staking with a signature instead of an approval');
+                } else if (needsApproval) {
                     console.log('🔐 Approval needed, executing approval...');
                     const approved = await this.approveTokens();
 
@@ -1169,26 +1451,26 @@ class StakingModalNew {
 
             // STEP 2: Execute staking transaction
             if (window.notificationManager) {
-                window.notificationManager.info('Staking LP tokens...');
+                window.notificationManager.info(usePermit
+                    ? 'Sign the permit in your wallet, then confirm the stake'
+                    : 'Staking LP tokens...');
             }
 
-            // Use lpToken address from pair object
-            const lpTokenAddress = this.currentPair.lpToken || this.currentPair.address;
-
             this.pendingOperations.stake = true;
             this.setActionPhase('stake', 'userApproval');
             console.log('📤 Sending stake transaction...');
 
             // Execute real staking transaction
-            const result = await window.contractManager.stake(
-                lpTokenAddress,
-                this.stakeAmount
-            );
+            const result = usePermit
+                ? await window.contractManager.stakeWithPermit(lpTokenAddress, this.stakeAmount)
+                : await window.contractManager.stake(lpTokenAddress, this.stakeAmount);
 
             if (this.actionPhases.stake === 'userApproval') {
                 this.setActionPhase('stake', 'processing');
             }
 
+            this.recordTransaction('stake', result, this.stakeAmount);
+
             if (!result.success) {
                 throw result.error;
             }
@@ -1272,6 +1554,8 @@ class StakingModalNew {
                 this.setActionPhase('unstake', 'processing');
             }
 
+            this.recordTransaction('unstake', result, this.unstakeAmount);
+
             if (!result.success) {
                 throw result.error;
             }
@@ -1353,6 +1637,8 @@ class StakingModalNew {
                 this.setActionPhase('claim', 'processing');
             }
 
+            this.recordTransaction('claim', result, this.pendingRewards);
+
             if (!result.success) {
                 throw result.error;
             }
@@ -1395,6 +1681,107 @@ class StakingModalNew {
             console.log('🔓 Claim execution finished, guard released');
         }
     }
+
+    /**
+     * Add a transaction outcome to the local ledger shown in the wallet popup.
+     * Failures are only recorded when they reached the chain (a reverted receipt exists).
+     * @param {string} type - stake | unstake | claim | approve
+     * @param {Object} result - Receipt or { success: false, error } from ContractManager
+     * @param {string} amount - Human-readable amount
+     */
+    recordTransaction(type, result, amount) {
+        if (!window.transactionHistory || !result) return;
+
+        const failedReceipt = result.error?.original?.receipt || result.error?.receipt || null;
+        if (!result.success && !failedReceipt) return;
+
+        window.transactionHistory.record({
+            type,
+            pairAddress: this.currentPair?.lpToken || this.currentPair?.address,
+            pairName: this.currentPair?.name,
+            amount,
+            receipt: result.success ? result : failedReceipt,
+            status: result.success ? 'confirmed' : 'failed'
+        });
+    }
+
+    async executeCompound() {
+        // Guard against multiple simultaneous executions
+        if (this.isExecutingCompound || this.isExecutingClaim) {
+            console.log('⚠️ Compound already in progress, ignoring duplicate call');
+            return;
+        }
+
+        if (!window.contractManager || !window.contractManager.isReady()) {
+            window.notificationManager?.error('Contract manager not ready. Please connect your wallet first.');
+            return;
+        }
+
+        const otherSymbol = this.compoundQuote?.otherToken?.symbol || 'pair token';
+        this.compoundSteps = [
+            { key: 'claim', label: 'Claim LIB rewards', status: 'pending' },
+            { key: 'swap', label: `Swap LIB to ${otherSymbol}`, status: 'pending' },
+            { key: 'addLiquidity', label: 'Add liquidity', status: 'pending' },
+            { key: 'stake', label: 'Stake LP tokens', status: 'pending' }
+        ];
+
+        try {
+            this.isExecutingCompound = true;
+            this.updateClaimButton();
+            this.refreshCompoundSection();
+            console.log('🔒 Compound execution started, guard enabled');
+
+            const result = await window.contractManager.compoundRewards(
+                this.currentPair.lpToken || this.currentPair.address,
+                {
+                    platform: this.currentPair.platform,
+                    slippageBps: this.compoundSlippageBps,
+                    onStep: (key, status) => {
+                        const step = this.compoundSteps?.find(entry => entry.key === key);
+                        if (step) step.status = status;
+                        this.refreshCompoundSection();
+                    }
+                }
+            );
+
+            if (!result.success) {
+                const completed = this.compoundSteps.filter(step => step.status === 'done').length;
+                const error = result.error || new Error('Compound failed');
+                if (completed > 0) {
+                    error.compoundNote = 'Tokens from completed steps remain in your wallet.';
+                }
+                throw error;
+            }
+
+            this.recordTransaction('claim', result.receipts?.claim, window.ethers.utils.formatEther(result.claimed));
+            const lpStaked = window.ethers.utils.formatUnits(result.lpStaked, this.userStakedDecimals);
+            this.recordTransaction('stake', result.receipts?.stake, lpStaked);
+
+            window.notificationManager?.success(
+                `Compounded ${window.ethers.utils.formatEther(result.claimed)} LIB into ${lpStaked} LP`
+            );
+
+            this.clearInputs();
+            this.close();
+
+            // Wait for blockchain state to update before refreshing
+            await new Promise(resolve => setTimeout(resolve, 2000));
+            if (window.homePage && window.homePage.refreshData) {
+                await window.homePage.refreshData();
+            }
+        } catch (error) {
+            console.error('❌ Compound failed:', error);
+            const errorMessage = error?.userMessage?.message || error?.message || 'Compound failed. Please try again.';
+            window.notificationManager?.error(
+                error?.compoundNote ? `${errorMessage} ${error.compoundNote}` : errorMessage,
+                { title: error?.userMessage?.title }
+            );
+        } finally {
+            this.isExecutingCompound = false;
+            this.updateClaimButton();
+            console.log('🔓 Compound execution finished, guard released');
+        }
+    }
 }
 
 // Export for global access
@@ -1495,3 +1882,16 @@ window.safeModalExecuteClaim = function() {
         console.error('❌ Error executing claim:', error);
     }
 };
+
+window.safeModalExecuteCompound = function() {
+    try {
+        const modal = window.stakingModal || window.stakingModalNew || window.getStakingModal();
+        if (modal && typeof modal.executeCompound === 'function') {
+            modal.executeCompound();
+        } else {
+            console.warn('⚠️ Modal executeCompound method not available');
+        }
+    } catch (error) {
+        console.error('❌ Error executing compound:', error);
+    }
+};
@@ -0,0 +1,291 @@
+/**
+ * Wallet Picker - Lets the user choose between installed browser wallets and WalletConnect
+ * Used by the connect button flow. Browser wallets come from EIP-6963 discovery in
+ * WalletManager. The picker is skipped entirely when there is only one option, so a
+ * single extension without WalletConnect behaves as before.
+ */
+
+class WalletPicker {
+    constructor() {
+        this.isOpen = false;
+        this.resolveChoice = null;
+        this.view = 'options'; // options | pairing
+        this.pairingUri = null;
+
+        this.init();
+    }
+
+    init() {
+        this.createModal();
+        this.attachEventListeners();
+    }
+
+    createModal() {
+        if (document.getElementById('wallet-picker-modal')) return;
+
+        const modal = document.createElement('div');
+        modal.id = 'wallet-picker-modal';
+        modal.className = 'wallet-picker-overlay';
+        modal.style.display = 'none';
+        modal.innerHTML = `
+            <div class="wallet-picker-backdrop" data-wallet-picker-close></div>
+            <div class="wallet-picker-content" role="dialog" aria-modal="true" aria-labelledby="wallet-picker-title">
+                <div class="wallet-picker-header">
+                    <h2 class="wallet-picker-title" id="wallet-picker-title">Connect Wallet</h2>
+                    <button class="modal-close" data-wallet-picker-close aria-label="Close">
+                        <span class="material-icons">close</span>
+                    </button>
+                </div>
+                <div class="wallet-picker-body" id="wallet-picker-body"></div>
+            </div>
+        `;
+
+        (document.getElementById('modal-container') || document.body).appendChild(modal);
+    }
+
+    attachEventListeners() {
+        document.addEventListener('click', (e) => {
+            if (!this.isOpen) return;
+
+            if (e.target.closest('[data-wallet-picker-close]')) {
+                this.close();
+                return;
+            }
+
+            const option = e.target.closest('[data-wallet-type]');
+            if (option && !option.disabled) {
+                this.select(option.dataset.walletType, option.dataset.walletRdns || null);
+                return;
+            }
+
+            if (e.target.closest('[data-wallet-picker-copy]')) {
+                this.copyPairingUri();
+            }
+        });
+
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && this.isOpen) {
+                this.close();
+            }
+        });
+
+        // Without the WalletConnect QR modal, the pairing link is shown here instead
+        document.addEventListener('walletConnectUri', (e) => {
+            this.pairingUri = e.detail?.uri || null;
+            if (this.isOpen && this.view === 'pairing') {
+                this.renderPairing();
+            }
+        });
+
+        // Extensions can announce themselves after the picker opened
+        document.addEventListener('walletProvidersChanged', () => {
+            if (this.isOpen && this.view === 'options') {
+                this.renderOptions(this.getOptions());
+            }
+        });
+
+        document.addEventListener('walletConnected', () => {
+            if (this.isOpen && this.view === 'pairing') {
+                this.close();
+            }
+        });
+    }
+
+    /**
+     * Wallet options for the current environment
+     * @returns {Array<{type: string, rdns: string|null, label: string, description: string, icon: string, iconUrl: string|null, available: boolean}>}
+     */
+    getOptions() {
+        const injected = window.walletManager?.getInjectedProviders?.() || [];
+        const options = injected.map(({ info }) => ({
+            type: 'metamask',
+            rdns: info.rdns || null,
+            label: info.name || 'Browser Wallet',
+            description: 'Browser extension',
+            icon: 'extension',
+            // EIP-6963 icons must be data URIs; anything else is ignored
+            iconUrl: typeof info.icon === 'string' && info.icon.startsWith('data:image/') ? info.icon : null,
+            available: true
+        }));
+
+        if (options.length === 0) {
+            options.push({
+                type: 'metamask',
+                rdns: null,
+                label: 'Browser Wallet',
+                description: 'Not detected',
+                icon: 'extension',
+                iconUrl: null,
+                available: false
+            });
+        }
+
+        if (window.walletManager?.isWalletConnectAvailable?.()) {
+            options.push({
+                type: 'walletconnect',
+                rdns: null,
+                label: 'WalletConnect',
+                description: 'Scan with a mobile wallet',
+                icon: 'qr_code_2',
+                iconUrl: null,
+                available: true
+            });
+        }
+
+        return options;
+    }
+
+    /**
+     * Ask the user which wallet to connect
+     * @returns {Promise<{type: string, rdns: string|null}|null>} Choice for WalletManager.connectWallet(),
+     *   or null when cancelled or nothing is available
+     */
+    async choose() {
+        const options = this.getOptions();
+        const available = options.filter(option => option.available);
+
+        if (available.length === 0) {
+            console.error('MetaMask not available');
+            if (window.notificationManager) {
+                window.notificationManager.error('Please install MetaMask browser extension to connect your wallet');
+            }
+            return null;
+        }
+
+        if (options.length === 1) {
+            return { type: available[0].type, rdns: available[0].rdns };
+        }
+
+        // A previous, still-open prompt counts as cancelled
+        this.settle(null);
+
+        this.view = 'options';
+        this.pairingUri = null;
+        this.renderOptions(options);
+        this.show();
+
+        return new Promise(resolve => {
+            this.resolveChoice = resolve;
+        });
+    }
+
+    select(type, rdns = null) {
+        const showsOwnQr = window.CONFIG?.WALLETCONNECT?.SHOW_QR_MODAL !== false;
+
+        if (type === 'walletconnect' && !showsOwnQr) {
+            this.view = 'pairing';
+            this.renderPairing();
+        } else {
+            this.hide();
+        }
+
+        this.settle({ type, rdns });
+    }
+
+    settle(choice) {
+        const resolve = this.resolveChoice;
+        this.resolveChoice = null;
+        if (resolve) resolve(choice);
+    }
+
+    renderOptions(options) {
+        const body = document.getElementById('wallet-picker-body');
+        if (!body) return;
+
+        body.innerHTML = `
+            <div class="wallet-picker-options">
+                ${options.map(option => `
+                    <button class="wallet-picker-option" data-wallet-type="${option.type}" ${option.rdns ? `data-wallet-rdns="${this.escapeHtml(option.rdns)}"` : ''} ${option.available ? '' : 'disabled'}>
+                        ${option.iconUrl
+                            ? `<img class="wallet-picker-icon-img" src="${this.escapeHtml(option.iconUrl)}" alt="">`
+                            : `<span class="material-icons wallet-picker-icon">${option.icon}</span>`}
+                        <span class="wallet-picker-option-text">
+                            <span class="wallet-picker-option-label">${this.escapeHtml(option.label)}</span>
+                            <span class="wallet-picker-option-description">${option.description}</span>
+                        </span>
+                        <span class="material-icons wallet-picker-chevron">chevron_right</span>
+                    </button>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    renderPairing() {
+        const body = document.getElementById('wallet-picker-body');
+        if (!body) return;
+
+        if (!this.pairingUri) {
+            body.innerHTML = `
+                <div class="wallet-picker-pairing">
+                    <div class="wallet-picker-spinner"></div>
+                    <p>Creating WalletConnect pairing...</p>
+                </div>
+            `;
+            return;
+        }
+
+        body.innerHTML = `
+            <div class="wallet-picker-pairing">
+                <p>Open this link in your wallet, or paste it into its WalletConnect scanner.</p>
+                <input class="wallet-picker-uri" type="text" readonly value="${this.pairingUri}">
+                <div class="wallet-picker-pairing-actions">
+                    <button class="wallet-picker-action" data-wallet-picker-copy>
+                        <span class="material-icons">content_copy</span>
+                        Copy link
+                    </button>
+                    <a class="wallet-picker-action primary" href="${this.pairingUri}">Open wallet</a>
+                </div>
+                <p class="wallet-picker-hint">Waiting for approval in your wallet...</p>
+            </div>
+        `;
+    }
+
+    // Wallet names and ids come from third-party extensions
+    escapeHtml(value) {
+        const div = document.createElement('div');
+        div.textContent = String(value ?? '');
+        return div.innerHTML.replace(/"/g, '&quot;');
+    }
+
+    async copyPairingUri() {
+        if (!this.pairingUri) return;
+
+        try {
+            await navigator.clipboard.writeText(this.pairingUri);
+            window.notificationManager?.success('Pairing link copied to clipboard');
+        } catch (error) {
+            console.error('Failed to copy pairing link:', error);
+            window.notificationManager?.error('Failed to copy pairing link');
+        }
+    }
+
+    show() {
+        this.createModal();
+        this.isOpen = true;
+
+        const modal = document.getElementById('wallet-picker-modal');
+        if (modal) {
+            modal.style.display = 'flex';
+            setTimeout(() => modal.classList.add('open'), 10);
+        }
+    }
+
+    hide() {
+        const modal = document.getElementById('wallet-picker-modal');
+        if (modal) {
+            modal.classList.remove('open');
+            setTimeout(() => {
+                modal.style.display = 'none';
+            }, 200);
+        }
+        this.isOpen = false;
+    }
+
+    close() {
+        // Closing the pairing view only hides it; the pending connection times out in the wallet
+        this.hide();
+        this.settle(null);
+    }
+}
+
+window.WalletPicker = WalletPicker;
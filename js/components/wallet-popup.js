@@ -11,6 +11,12 @@ class WalletPopup {
         this.walletEventsBound = false;
         this.boundWalletUpdateHandler = this.handleWalletUpdate.bind(this);
         this.boundWalletDisconnectHandler = this.handleWalletDisconnect.bind(this);
+        this.anchorRect = null;
+        this.historyOpen = false;
+        this.historyFilters = { type: '', pairAddress: '' };
+        this.historySyncStatus = null;
+        this.exportOptions = { startDate: '', endDate: '', includeUsd: false };
+        this.isExporting = false;
         this.init();
     }
 
@@ -61,6 +67,8 @@ class WalletPopup {
         
         // Get button position
         const buttonRect = buttonElement.getBoundingClientRect();
+        this.anchorRect = buttonRect;
+        this.historyOpen = false;
         
         // Create popup element
         const container = document.getElementById('wallet-popup-container');
@@ -166,8 +174,17 @@ class WalletPopup {
                         </button>
                     </div>
 
+                    <!-- Transaction History -->
+                    <div class="wallet-history" data-wallet-history style="display: none;"></div>
+
                     <!-- Action Buttons -->
                     <div class="wallet-actions">
+                        ${window.transactionHistory ? `
+                            <button class="action-button history-button">
+                                <span class="material-icons">receipt_long</span>
+                                <span>Transaction History</span>
+                            </button>
+                        ` : ''}
                         <button class="action-button disconnect-button">
                             <span class="material-icons">logout</span>
                             <span>Disconnect</span>
@@ -227,6 +244,39 @@ class WalletPopup {
             this.disconnectWallet();
         });
 
+        // History toggle
+        const historyButton = this.popupElement.querySelector('.history-button');
+        historyButton?.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.toggleHistory();
+        });
+
+        // History filters and rebuild (rendered dynamically)
+        const historyPanel = this.popupElement.querySelector('[data-wallet-history]');
+        historyPanel?.addEventListener('change', (e) => {
+            const filter = e.target.dataset.historyFilter;
+            if (filter) {
+                this.historyFilters[filter] = e.target.value;
+                this.renderHistory();
+            }
+
+            const option = e.target.dataset.exportOption;
+            if (option) {
+                this.exportOptions[option] = e.target.type === 'checkbox' ? e.target.checked : e.target.value;
+            }
+        });
+        historyPanel?.addEventListener('click', (e) => {
+            if (e.target.closest('[data-history-sync]')) {
+                this.syncHistoryFromChain();
+                return;
+            }
+
+            const exportButton = e.target.closest('[data-history-export]');
+            if (exportButton) {
+                this.exportClaims(exportButton.dataset.historyExport);
+            }
+        });
+
         // Prevent popup from closing when clicking inside
         this.popupElement.addEventListener('click', (e) => {
             e.stopPropagation();
@@ -252,6 +302,11 @@ class WalletPopup {
         document.addEventListener('walletAccountChanged', this.boundWalletUpdateHandler);
         document.addEventListener('walletChainChanged', this.boundWalletUpdateHandler);
         document.addEventListener('walletDisconnected', this.boundWalletDisconnectHandler);
+        document.addEventListener('transactionHistoryUpdated', () => {
+            if (this.isOpen && this.historyOpen) {
+                this.renderHistory();
+            }
+        });
 
         this.walletEventsBound = true;
     }
@@ -584,6 +639,200 @@ class WalletPopup {
         return `${address.slice(0, 6)}...${address.slice(-4)}`;
     }
 
+    toggleHistory() {
+        if (!this.popupElement) return;
+
+        this.historyOpen = !this.historyOpen;
+        const panel = this.popupElement.querySelector('[data-wallet-history]');
+        const label = this.popupElement.querySelector('.history-button span:last-child');
+
+        this.popupElement.classList.toggle('wallet-popup-wide', this.historyOpen);
+        if (panel) panel.style.display = this.historyOpen ? 'block' : 'none';
+        if (label) label.textContent = this.historyOpen ? 'Hide History' : 'Transaction History';
+
+        if (this.historyOpen) {
+            this.renderHistory();
+        }
+
+        if (this.anchorRect) {
+            this.positionPopup(this.anchorRect);
+        }
+    }
+
+    /**
+     * Render the local transaction ledger with type and pair filters
+     */
+    renderHistory() {
+        const panel = this.popupElement?.querySelector('[data-wallet-history]');
+        const history = window.transactionHistory;
+        if (!panel || !history) return;
+
+        const entries = history.getEntries({
+            type: this.historyFilters.type || undefined,
+            pairAddress: this.historyFilters.pairAddress || undefined
+        });
+        const pairs = history.getPairs();
+        const explorer = window.networkSelector?.getCurrentNetworkConfig()?.BLOCK_EXPLORER;
+        const nativeSymbol = window.networkSelector?.getCurrentNativeCurrency()?.symbol || '';
+        const types = [
+            { value: '', label: 'All types' },
+            { value: 'stake', label: 'Stake' },
+            { value: 'unstake', label: 'Unstake' },
+            { value: 'claim', label: 'Claim' },
+            { value: 'approve', label: 'Approve' }
+        ];
+
+        panel.innerHTML = `
+            <div class="history-filters">
+                <select data-history-filter="type">
+                    ${types.map(type => `<option value="${type.value}" ${type.value === this.historyFilters.type ? 'selected' : ''}>${type.label}</option>`).join('')}
+                </select>
+                <select data-history-filter="pairAddress">
+                    <option value="">All pairs</option>
+                    ${pairs.map(pair => `<option value="${pair.address}" ${pair.address === this.historyFilters.pairAddress ? 'selected' : ''}>${pair.name}</option>`).join('')}
+                </select>
+            </div>
+
+            <ul class="history-list">
+                ${entries.length === 0
+                    ? '<li class="history-empty">No transactions recorded yet.</li>'
+                    : entries.map(entry => this.renderHistoryEntry(entry, explorer, nativeSymbol)).join('')}
+            </ul>
+
+            <div class="history-footer">
+                <span class="history-sync-status">${this.historySyncStatus || ''}</span>
+                <button class="history-sync-button" data-history-sync ${history.isRebuilding ? 'disabled' : ''} title="Rebuild from on-chain StakeAdded, StakeRemoved and RewardsClaimed events">
+                    <span class="material-icons">sync</span>
+                    Sync from chain
+                </button>
+            </div>
+
+            <div class="history-export">
+                <span class="history-export-title">Export claims</span>
+                <div class="history-export-range">
+                    <input type="date" data-export-option="startDate" value="${this.exportOptions.startDate}" title="From date">
+                    <span>to</span>
+                    <input type="date" data-export-option="endDate" value="${this.exportOptions.endDate}" title="To date">
+                </div>
+                <div class="history-export-actions">
+                    <label class="history-export-usd" title="Price each claim at its block from the LIB/stablecoin pair">
+                        <input type="checkbox" data-export-option="includeUsd" ${this.exportOptions.includeUsd ? 'checked' : ''}>
+                        Include USD
+                    </label>
+                    <button class="history-sync-button" data-history-export="csv" ${this.isExporting ? 'disabled' : ''}>
+                        <span class="material-icons">download</span>
+                        CSV
+                    </button>
+                    <button class="history-sync-button" data-history-export="json" ${this.isExporting ? 'disabled' : ''}>
+                        <span class="material-icons">download</span>
+                        JSON
+                    </button>
+                </div>
+            </div>
+        `;
+    }
+
+    renderHistoryEntry(entry, explorer, nativeSymbol) {
+        const icons = { stake: 'add', unstake: 'remove', claim: 'redeem', approve: 'verified_user' };
+        const unit = entry.type === 'claim' ? 'LIB' : 'LP';
+        const date = entry.timestamp
+            ? new Date(entry.timestamp).toLocaleString(undefined, { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' })
+            : '';
+
+        let gasText = '';
+        if (entry.gasUsed) {
+            gasText = entry.effectiveGasPrice
+                ? `${parseFloat(ethers.utils.formatEther(ethers.BigNumber.from(entry.gasUsed).mul(entry.effectiveGasPrice))).toFixed(5)} ${nativeSymbol}`
+                : `${entry.gasUsed} gas`;
+        }
+
+        return `
+            <li class="history-entry history-${entry.status}">
+                <span class="material-icons history-type-icon">${icons[entry.type] || 'receipt'}</span>
+                <div class="history-entry-main">
+                    <span class="history-entry-title">${entry.type.charAt(0).toUpperCase() + entry.type.slice(1)} · ${entry.pairName || this.formatAddress(entry.pairAddress)}</span>
+                    <span class="history-entry-meta">
+                        ${date}${gasText ? ` · ${gasText}` : ''}${entry.status === 'failed' ? ' · Failed' : ''}
+                        ${entry.hash && explorer ? ` · <a href="${explorer}/tx/${entry.hash}" target="_blank" rel="noopener">tx</a>` : ''}
+                    </span>
+                </div>
+                <span class="history-entry-amount">${entry.amount ? `${window.Formatter?.formatSmallNumberWithSubscript(entry.amount) || entry.amount} ${unit}` : ''}</span>
+            </li>
+        `;
+    }
+
+    async syncHistoryFromChain() {
+        const history = window.transactionHistory;
+        if (!history || history.isRebuilding) return;
+
+        this.historySyncStatus = 'Scanning blocks...';
+        this.renderHistory();
+
+        try {
+            const count = await history.rebuildFromChain({
+                onProgress: (scanned, total) => {
+                    this.historySyncStatus = `Scanning blocks... ${Math.round((scanned / total) * 100)}%`;
+                    const status = this.popupElement?.querySelector('.history-sync-status');
+                    if (status) status.textContent = this.historySyncStatus;
+                }
+            });
+            this.historySyncStatus = `Synced ${count} on-chain event${count === 1 ? '' : 's'}`;
+        } catch (error) {
+            console.error('❌ Failed to rebuild transaction history:', error);
+            this.historySyncStatus = 'Sync failed';
+            window.notificationManager?.error(error?.message || 'Failed to rebuild transaction history');
+        }
+
+        if (this.isOpen && this.historyOpen) {
+            this.renderHistory();
+        }
+    }
+
+    /**
+     * Download the claims history for the selected date range
+     * @param {string} format - csv | json
+     */
+    async exportClaims(format) {
+        const history = window.transactionHistory;
+        if (!history || this.isExporting) return;
+
+        this.isExporting = true;
+        this.historySyncStatus = this.exportOptions.includeUsd ? 'Exporting with USD prices...' : 'Exporting...';
+        this.renderHistory();
+
+        try {
+            const { count, coverage } = await history.downloadClaimsExport({
+                format,
+                ...this.exportOptions,
+                onProgress: (scanned, total) => {
+                    const status = this.popupElement?.querySelector('.history-sync-status');
+                    if (status) status.textContent = `Scanning blocks... ${Math.round((scanned / total) * 100)}%`;
+                }
+            });
+            this.historySyncStatus = `Exported ${count} claim${count === 1 ? '' : 's'}`;
+
+            // The RPC could not reach back to the requested start; say which claims may be missing
+            if (coverage && !coverage.complete) {
+                const since = coverage.coveredFrom ? new Date(coverage.coveredFrom).toLocaleDateString() : 'recent blocks';
+                window.notificationManager?.warning(
+                    `On-chain history could only be scanned from ${since}. Claims before then are missing unless they were made in this browser.`,
+                    { title: 'Export may be incomplete', duration: 0 }
+                );
+            } else if (count === 0) {
+                window.notificationManager?.info('No claims found in the selected date range');
+            }
+        } catch (error) {
+            console.error('❌ Failed to export claims history:', error);
+            this.historySyncStatus = 'Export failed';
+            window.notificationManager?.error(error?.message || 'Failed to export claims history');
+        } finally {
+            this.isExporting = false;
+        }
+
+        if (this.isOpen && this.historyOpen) {
+            this.renderHistory();
+        }
+    }
 }
 
 // Initialize wallet popup
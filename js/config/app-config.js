@@ -24,10 +24,12 @@ window.CONFIG = {
                 decimals: 18
             },
             CONTRACTS: {
-                STAKING_CONTRACT: '0x65198C2893a62043fEd14400567a57915b84B63F'
+                STAKING_CONTRACT: '0x65198C2893a62043fEd14400567a57915b84B63F',
                                   /* '0x5e4216c952190BEA7abC4Fc64e990AfbF4F9885a' */
                                   /* '0x3aca5B70C7153671Fb96705E9593DABd1Ff7717F' */
-
+                LIB_USD_PAIR: '', // LIB/stablecoin LP used for USD pricing (auto-detected from staking pairs when empty)
+                STAKING_DEPLOY_BLOCK: null, // First block of full history scans (looked up on-chain when null)
+                DEX_ROUTERS: {} // Platform name -> Uniswap V2-style router used by the compound flow
             }
         },
         POLYGON_MAINNET: {
@@ -41,9 +43,14 @@ window.CONFIG = {
             BLOCK_EXPLORER: 'https://polygonscan.com',
             NATIVE_CURRENCY: { name: 'Polygon', symbol: 'POL', decimals: 18 },
             CONTRACTS: {
-                STAKING_CONTRACT: '0x0cE924eC0Ed66241d082132a4A6e42E1789f58e0' 
+                STAKING_CONTRACT: '0x0cE924eC0Ed66241d082132a4A6e42E1789f58e0',
                                   /* '0x74b00fe491Ab0CDf5291af69bD8c4ECD5FBbE8Ca' */
-
+                LIB_USD_PAIR: '', // LIB/stablecoin LP used for USD pricing (auto-detected from staking pairs when empty)
+                STAKING_DEPLOY_BLOCK: null, // First block of full history scans (looked up on-chain when null)
+                DEX_ROUTERS: { // Platform name -> Uniswap V2-style router used by the compound flow
+                    'Uniswap V2': '0xedf6066a2b290C185783862C7F4776A2C8077AD1',
+                    'SushiSwap': '0x1b02dA8Cb0d097eB8D57A175b88c7D8b47997506'
+                }
             }
         }
     },
@@ -62,11 +69,18 @@ window.CONFIG = {
         VERSION: '1.0.0',
         DESCRIPTION: 'Stake LP tokens and earn LIB rewards',
         REFRESH_INTERVAL: 30000, // 30 seconds
+        REWARD_TICK_INTERVAL: 1000, // Live pending-rewards ticker
         NOTIFICATION_DURATION: 5000, // 5 seconds
         ANIMATION_DURATION: 300, // 300ms
         DEBOUNCE_DELAY: 500 // 500ms
     },
 
+    // Contract event watching (targeted refreshes from eth_getLogs)
+    EVENTS: {
+        POLL_INTERVAL: 15000, // How often new blocks are checked for staking contract logs
+        MAX_BLOCK_RANGE: 2000 // Larger gaps (e.g. after sleep) trigger a full refresh instead
+    },
+
     // UI Configuration
     UI: {
         THEME: {
@@ -109,6 +123,59 @@ window.CONFIG = {
         REWARD_PRECISION: 18 // Token precision for rewards
     },
 
+    // USD Pricing
+    PRICING: {
+        STABLECOIN_SYMBOLS: ['USDC', 'USDC.E', 'USDT', 'DAI'], // Counter tokens treated as $1
+        CACHE_TTL: 60000, // 1 minute
+        DISPLAY_CURRENCY_STORAGE_KEY: 'lp_staking_display_currency'
+    },
+
+    // Compound (claim LIB and zap it back into the pair's LP)
+    COMPOUND: {
+        SLIPPAGE_OPTIONS_BPS: [50, 100, 200], // 0.5%, 1%, 2%
+        DEFAULT_SLIPPAGE_BPS: 50,
+        SWAP_FEE_BPS: 30, // Uniswap V2 / SushiSwap pool fee
+        DEADLINE_MINUTES: 20
+    },
+
+    // Local transaction ledger (wallet popup history)
+    LEDGER: {
+        STORAGE_KEY_PREFIX: 'lp_staking_tx_ledger', // Suffixed with chainId and address
+        MAX_ENTRIES: 500, // Claims are never trimmed, so tax exports stay complete
+        LOG_CHUNK_BLOCKS: 10000, // eth_getLogs block range per request
+        MAX_LOOKBACK_BLOCKS: 1000000 // First-sync scan depth when the staking contract's deploy block is unknown
+    },
+
+    // Submitted transactions awaiting a receipt, kept across reloads
+    PENDING_TX: {
+        STORAGE_KEY_PREFIX: 'lp_staking_pending_tx', // Suffixed with chainId and address
+        DROP_AFTER_MINUTES: 30, // Unknown to the node for this long = dropped
+        RECHECK_INTERVAL_MS: 15000,
+        STUCK_AFTER_SECONDS: 60, // Pending this long = offer speed up / cancel
+        MAX_RESOLVED: 10 // Outcomes kept for display until dismissed
+    },
+
+    // Speed-up / cancel of pending transactions (same nonce, higher fees)
+    REPLACEMENT_TX: {
+        FEE_BUMP_PERCENT: 15, // Nodes reject replacements that raise fees by less than 10%
+        MIN_PRIORITY_FEE_GWEI: 30, // Polygon PoS ignores tips below ~25-30 gwei; ethers' default is 1.5
+        DEFAULT_GAS_PRICE_GWEI: 20 // Only when the RPC returns no fee data at all
+    },
+
+    // EIP-2612 approve-and-stake: one signature instead of an approve transaction, when both the
+    // LP token (permit) and the staking contract (stakeWithPermit) support it
+    PERMIT: {
+        ENABLED: true,
+        DEADLINE_MINUTES: 20 // Signature validity; the stake must be mined before it expires
+    },
+
+    // Pair History Charts
+    HISTORY: {
+        RANGES_DAYS: [7, 30, 90], // Selectable lookback windows
+        SAMPLES: 15, // Points per chart (each costs two archive multicalls)
+        CACHE_TTL: 600000 // 10 minutes
+    },
+
     // Platform Configuration
     PLATFORMS: {
         // Available platforms for dropdown (matches contract values)
@@ -127,6 +194,41 @@ window.CONFIG = {
             'Balancer': 'https://app.balancer.fi/#/polygon/pool/{address}',
             'PancakeSwap': 'https://pancakeswap.finance/pools/{address}'
         },
+        // LP valuation adapter per platform (see js/contracts/lp-valuation-adapters.js)
+        VALUATION: {
+            'Uniswap V2': 'uniswapV2',
+            'SushiSwap': 'uniswapV2',
+            'PancakeSwap': 'uniswapV2',
+            'Curve Finance': 'curve',
+            'Balancer': 'balancer'
+        }
+    },
+
+    // WalletConnect v2 (the picker hides the option while PROJECT_ID and RELAY_URL are empty)
+    WALLETCONNECT: {
+        PROJECT_ID: '', // From https://cloud.walletconnect.com
+        PROVIDER_SCRIPT_URL: 'libs/walletconnect-ethereum-provider.umd.js', // Vendored @walletconnect/ethereum-provider 2.23.0 (self-contained UMD; later 2.x builds need viem and lit globals)
+        PROVIDER_SCRIPT_INTEGRITY: null, // SRI hash, required if PROVIDER_SCRIPT_URL is pointed at a CDN
+        RELAY_URL: null, // null = default relay; set e.g. 'ws://localhost:5555' to test against a local mock relay (no project ID needed)
+        SHOW_QR_MODAL: true, // false = the wallet picker shows the pairing URI instead
+        METADATA: {
+            name: 'Liberdus LP Staking',
+            description: 'Stake LP tokens and earn LIB rewards',
+            url: null, // null = current origin
+            icons: []
+        }
+    },
+
+    // Offline signing (admin panel): unsigned transaction export for air-gapped signers
+    OFFLINE_SIGNING: {
+        QR_SCRIPT_URL: 'libs/qrcode-generator.js', // Vendored qrcode-generator 1.4.4; null = JSON export only
+        QR_SCRIPT_INTEGRITY: null, // SRI hash, required if QR_SCRIPT_URL points at a CDN
+        GAS_LIMIT_BUFFER_PERCENT: 20 // Added to the gas estimate, since the transaction is signed later
+    },
+
+    // Reward runway monitor (admin panel)
+    TREASURY: {
+        RUNWAY_WARNING_DAYS: 14 // Pending rate/withdrawal proposals leaving less runway than this are flagged
     },
 
     // Development Configuration
@@ -181,6 +283,7 @@ window.CONFIG.ABIS = {
     STAKING_CONTRACT: [
         // Core staking functions
         'function stake(address lpToken, uint256 amount) external',
+        'function stakeWithPermit(address lpToken, uint256 amount, uint256 deadline, uint8 v, bytes32 r, bytes32 s) external',
         'function unstake(address lpToken, uint256 amount, bool claimRewards) external',
         'function claimRewards(address lpToken) external',
 
@@ -225,7 +328,22 @@ window.CONFIG.ABIS = {
         'function getActionPairs(uint256 actionId) external view returns (address[] memory)',
         'function getActionWeights(uint256 actionId) external view returns (uint256[] memory)',
         'function getActionApproval(uint256 actionId) external view returns (address[] memory)',
-        'function isActionExpired(uint256 actionId) external view returns (bool)'
+        'function isActionExpired(uint256 actionId) external view returns (bool)',
+
+        // User activity events (used to rebuild the transaction ledger). Same signatures the
+        // legacy EventManager subscribed to; the rebuild reports an error if a staked wallet has none
+        'event StakeAdded(address indexed user, address indexed lpToken, uint256 amount)',
+        'event StakeRemoved(address indexed user, address indexed lpToken, uint256 amount)',
+        'event RewardsClaimed(address indexed user, address indexed lpToken, uint256 amount)'
+
+        // Governance events aren't declared: the event watcher classifies those logs by the
+        // function of the transaction that emitted them (see ContractManager.classifyByTransaction)
+    ],
+
+    UNISWAP_V2_ROUTER: [
+        'function factory() external view returns (address)',
+        'function swapExactTokensForTokens(uint256 amountIn, uint256 amountOutMin, address[] calldata path, address to, uint256 deadline) external returns (uint256[] memory amounts)',
+        'function addLiquidity(address tokenA, address tokenB, uint256 amountADesired, uint256 amountBDesired, uint256 amountAMin, uint256 amountBMin, address to, uint256 deadline) external returns (uint256 amountA, uint256 amountB, uint256 liquidity)'
     ],
 
     ERC20: [
@@ -38,6 +38,15 @@ class ContractManager {
         this.gasEstimator = null;
         this.transactionStatus = null;
         this.multicallService = null; // Multicall2 for batch loading optimization
+        this.networkReadContexts = new Map(); // networkKey -> read-only context for non-selected networks
+        this.lpTokenDecimals = new Map(); // "chainId:lpAddress" -> LP token decimals
+        this.pairPlatforms = new Map(); // "chainId:lpAddress" -> platform name, selects the LP valuation adapter
+        this.permitDomains = new Map(); // "chainId:lpAddress" -> EIP-712 domain, or null when the token has no permit
+        this.stakingPermitSupport = new Map(); // "chainId:stakingAddress" -> staking contract has stakeWithPermit
+        this.stakingDeployBlocks = new Map(); // "chainId:stakingAddress" -> block the staking contract was deployed in
+        this.blockTimestamps = new Map(); // "chainId:blockNumber" -> block timestamp (ms), for history rebuilds
+        this.eventSubscribers = new Set(); // Handlers for subscribeToContractEvents()
+        this.eventWatcher = this.createEventWatcherState();
 
         // Configuration with enhanced provider fallback - OPTIMIZED FOR SPEED
         this.config = {
@@ -529,6 +538,7 @@ class ContractManager {
                     "function getActionApproval(uint256 actionId) external view returns (address[])",
                     "function actions(uint256 actionId) external view returns (uint8 actionType, uint256 newHourlyRewardRate, address pairToAdd, string memory pairNameToAdd, string memory platformToAdd, uint256 weightToAdd, address pairToRemove, address recipient, uint256 withdrawAmount, bool executed, bool expired, uint8 approvals, uint256 proposedTime, bool rejected)",
                     "function stake(address lpToken, uint256 amount) external",
+                    "function stakeWithPermit(address lpToken, uint256 amount, uint256 deadline, uint8 v, bytes32 r, bytes32 s) external",
                     "function unstake(address lpToken, uint256 amount, bool claimRewards) external",
                     "function claimRewards(address lpToken) external",
 
@@ -1148,6 +1158,73 @@ class ContractManager {
         return contract;
     }
 
+    /**
+     * Decimals of one LP token (see getLPTokenDecimalsForPairs)
+     * @param {string} lpTokenAddress
+     * @param {Object} [options]
+     * @param {boolean} [options.strict=false] - Throw instead of assuming 18 when decimals() can't be read.
+     *   Write paths use this: an assumed 18 on a 6-decimal token would send 10^12 times the amount.
+     * @returns {Promise<number>}
+     */
+    async getLPTokenDecimals(lpTokenAddress, { strict = false } = {}) {
+        const decimals = await this.getLPTokenDecimalsForPairs([lpTokenAddress]);
+        const chainId = window.networkSelector?.getCurrentChainId();
+        if (strict && !this.lpTokenDecimals.has(`${chainId}:${lpTokenAddress.toLowerCase()}`)) {
+            throw new Error(`Could not read decimals for LP token ${lpTokenAddress}. Please try again.`);
+        }
+        return decimals.get(lpTokenAddress.toLowerCase());
+    }
+
+    /**
+     * Decimals of several LP tokens, read in one multicall and cached per chain.
+     * Uniswap-style LP tokens use 18, but Curve and Balancer pool tokens don't have to.
+     * @param {string[]} lpTokenAddresses
+     * @param {Object} [context] - Read context from getNetworkReadContext() for another network
+     * @returns {Promise<Map<string, number>>} Lowercased address -> decimals (18 when unreadable, for display
+     *   only; retried next call)
+     */
+    async getLPTokenDecimalsForPairs(lpTokenAddresses, context = null) {
+        const chainId = context?.chainId || window.networkSelector?.getCurrentChainId();
+        const cacheKey = address => `${chainId}:${address.toLowerCase()}`;
+        const addresses = [...new Set(lpTokenAddresses.filter(Boolean).map(address => address.toLowerCase()))];
+        const missing = addresses.filter(address => !this.lpTokenDecimals.has(cacheKey(address)));
+
+        if (missing.length > 0) {
+            const multicall = context?.multicallService || this.multicallService;
+            const erc20Interface = new ethers.utils.Interface(this.contractABIs.get('ERC20') || window.CONFIG.ABIS.ERC20);
+
+            try {
+                let values;
+                if (multicall?.isReady?.()) {
+                    const results = await multicall.batchCall(
+                        missing.map(address => multicall.createCall({ address, interface: erc20Interface }, 'decimals'))
+                    );
+                    values = missing.map((address, index) => (results?.[index]?.success
+                        ? multicall.decodeResult(erc20Interface, 'decimals', results[index].returnData)
+                        : null));
+                } else {
+                    const provider = context?.provider || this.provider || this.signer?.provider;
+                    values = await Promise.all(missing.map(address =>
+                        new ethers.Contract(address, erc20Interface, provider).decimals().catch(() => null)
+                    ));
+                }
+
+                missing.forEach((address, index) => {
+                    const decimals = Number(values[index]);
+                    if (values[index] !== null && values[index] !== undefined && Number.isInteger(decimals)) {
+                        this.lpTokenDecimals.set(cacheKey(address), decimals);
+                    } else {
+                        console.warn(`⚠️ Could not read decimals for LP token ${address}, assuming 18`);
+                    }
+                });
+            } catch (error) {
+                console.warn('⚠️ LP token decimals lookup failed, assuming 18:', error.message);
+            }
+        }
+
+        return new Map(addresses.map(address => [address, this.lpTokenDecimals.get(cacheKey(address)) ?? 18]));
+    }
+
     // ==================== CONTRACT READ OPERATIONS ====================
 
     /**
@@ -1155,178 +1232,133 @@ class ContractManager {
      */
     async getUserStake(userAddress, lpTokenAddress) {
         return await this.executeWithRetry(async () => {
-            const stakeInfo = await this.stakingContract.getUserStakeInfo(userAddress, lpTokenAddress);
+            const [stakeInfo, decimals] = await Promise.all([
+                this.stakingContract.getUserStakeInfo(userAddress, lpTokenAddress),
+                this.getLPTokenDecimals(lpTokenAddress)
+            ]);
+            const amountRaw = ethers.BigNumber.from(stakeInfo.amount || '0');
             return {
-                amount: ethers.utils.formatEther(stakeInfo.amount || '0'),
-                rewards: ethers.utils.formatEther(stakeInfo.pendingRewards || '0')
+                amount: ethers.utils.formatUnits(amountRaw, decimals),
+                rewards: ethers.utils.formatEther(stakeInfo.pendingRewards || '0'),
+                amountRaw,
+                decimals
             };
         }, 'getUserStake');
     }
 
     /**
-     * Get LP stake composition using Uniswap V2 pair reserves
-     * Returns LP totals plus underlying token amounts held by the staking contract
+     * Remember a pair's platform so breakdowns pick the right valuation adapter
      */
-    async getLPStakeBreakdown(pairIdentifier) {
-        return await this.executeWithRetry(async () => {
+    rememberPairPlatform(lpTokenAddress, platform, chainId = null) {
+        if (!lpTokenAddress || !platform) return;
+        const chain = chainId || window.networkSelector?.getCurrentChainId();
+        this.pairPlatforms.set(`${chain}:${lpTokenAddress.toLowerCase()}`, platform);
+    }
+
+    getPairPlatform(lpTokenAddress, chainId = null) {
+        const chain = chainId || window.networkSelector?.getCurrentChainId();
+        return this.pairPlatforms.get(`${chain}:${lpTokenAddress.toLowerCase()}`) || null;
+    }
+
+    /**
+     * Get LP stake composition using the valuation adapter for the pair's platform
+     * Returns LP totals plus underlying token amounts held by the staking contract.
+     * tokens lists every pool token; token0/token1 are its first two entries.
+     * @param {string} pairIdentifier - LP token address or pair name
+     * @param {Object} [options]
+     * @param {number|string} [options.blockTag] - Read pair state at a past block instead of latest
+     * @param {Object} [options.context] - Read context from getNetworkReadContext() for another network
+     * @param {string} [options.platform] - Pair platform; defaults to the one seen in getAllPairsInfo()
+     */
+    async getLPStakeBreakdown(pairIdentifier, options = {}) {
+        const blockTag = options.blockTag ?? null;
+        const context = options.context || null;
+
+        const readBreakdown = async () => {
             const lpTokenAddress = this.resolveLPTokenAddress(pairIdentifier);
             if (!lpTokenAddress) {
                 throw new Error(`Unable to resolve LP token for identifier: ${pairIdentifier}`);
             }
 
-            const stakingAddress = this.contractAddresses.get('STAKING') || window.networkSelector?.getStakingContractAddress();
+            const stakingAddress = context?.stakingAddress || this.contractAddresses.get('STAKING') || window.networkSelector?.getStakingContractAddress();
             if (!stakingAddress || !this.isValidContractAddress(stakingAddress)) {
                 throw new Error('Staking contract address not available');
             }
 
-            const provider = this.provider || this.signer?.provider;
+            const provider = context?.provider || this.provider || this.signer?.provider;
             if (!provider) {
                 throw new Error('Provider not initialized');
             }
 
-            const pairContract = new ethers.Contract(
-                lpTokenAddress,
-                [
-                    'function token0() view returns (address)',
-                    'function token1() view returns (address)',
-                    'function getReserves() view returns (uint112,uint112,uint32)',
-                    'function totalSupply() view returns (uint256)',
-                    'function balanceOf(address owner) view returns (uint256)',
-                    'function decimals() view returns (uint8)'
-                ],
-                provider
-            );
-
-            const multicall = this.multicallService;
+            const multicall = context?.multicallService || this.multicallService;
             if (!multicall || typeof multicall.isReady !== 'function' || !multicall.isReady()) {
                 throw new Error('Multicall service not ready');
             }
 
-            const pairCalls = [
-                multicall.createCall(pairContract, 'token0'),
-                multicall.createCall(pairContract, 'token1'),
-                multicall.createCall(pairContract, 'getReserves'),
-                multicall.createCall(pairContract, 'totalSupply'),
-                multicall.createCall(pairContract, 'balanceOf', [stakingAddress]),
-                multicall.createCall(pairContract, 'decimals')
-            ];
-
-            const pairResults = await multicall.batchCall(pairCalls, { requireSuccess: true, maxRetries: 0 });
-            if (!pairResults || pairResults.length !== pairCalls.length) {
-                throw new Error('Multicall pair query failed');
+            if (!window.LPValuationAdapters) {
+                throw new Error('LP valuation adapters not loaded');
             }
 
-            const decodePair = (index, method) => {
-                const entry = pairResults[index];
-                if (!entry || entry.success !== true) {
-                    throw new Error(`Multicall failed for pair.${method}`);
-                }
-                const decoded = multicall.decodeResult(pairContract, method, entry.returnData);
-                if (decoded === null || decoded === undefined) {
-                    throw new Error(`Unable to decode pair.${method}`);
-                }
-                return decoded;
-            };
-
-            const token0Address = decodePair(0, 'token0');
-            const token1Address = decodePair(1, 'token1');
-            const reserves = decodePair(2, 'getReserves');
-            const totalSupplyRaw = decodePair(3, 'totalSupply');
-            const stakedBalanceRaw = decodePair(4, 'balanceOf');
-            const lpDecimalsRaw = decodePair(5, 'decimals');
+            const chainId = context?.chainId || window.networkSelector?.getCurrentChainId();
+            const platform = options.platform || this.getPairPlatform(lpTokenAddress, chainId);
+            const { name: adapterName, adapter } = window.LPValuationAdapters.forPlatform(platform);
 
-            const reserve0 = ethers.BigNumber.from(reserves[0]);
-            const reserve1 = ethers.BigNumber.from(reserves[1]);
-            const reserveTimestampRaw = Number(reserves[2]);
-            if (!Number.isFinite(reserveTimestampRaw)) {
-                throw new Error('Invalid reserve timestamp');
-            }
-            const blockTimestampLast = Math.trunc(reserveTimestampRaw);
+            const pool = await adapter.read({ lpTokenAddress, stakingAddress, provider, multicall, blockTag });
 
-            const totalSupply = ethers.BigNumber.from(totalSupplyRaw);
-            const stakedBalance = ethers.BigNumber.from(stakedBalanceRaw);
+            const totalSupply = ethers.BigNumber.from(pool.totalSupply);
+            const stakedBalance = ethers.BigNumber.from(pool.stakedBalance);
 
             if (stakedBalance.gt(totalSupply)) {
                 throw new Error('Staked balance exceeds total supply');
             }
-
-            const metadataAbi = [
-                'function decimals() view returns (uint8)',
-                'function symbol() view returns (string)'
-            ];
-
-            const token0Contract = new ethers.Contract(token0Address, metadataAbi, provider);
-            const token1Contract = new ethers.Contract(token1Address, metadataAbi, provider);
-
-            const tokenMetadataCalls = [
-                multicall.createCall(token0Contract, 'decimals'),
-                multicall.createCall(token0Contract, 'symbol'),
-                multicall.createCall(token1Contract, 'decimals'),
-                multicall.createCall(token1Contract, 'symbol')
-            ];
-
-            const tokenMetadataResults = await multicall.batchCall(tokenMetadataCalls, { requireSuccess: true, maxRetries: 0 });
-            if (!tokenMetadataResults || tokenMetadataResults.length !== tokenMetadataCalls.length) {
-                throw new Error('Multicall token metadata query failed');
+            if (totalSupply.isZero()) {
+                throw new Error('LP total supply is zero');
+            }
+            if (!Array.isArray(pool.tokens) || pool.tokens.length === 0) {
+                throw new Error(`No pool tokens returned by the ${adapterName} adapter`);
             }
 
-            const decodeToken = (contract, method, index) => {
-                const entry = tokenMetadataResults[index];
-                if (!entry || entry.success !== true) {
-                    throw new Error(`Multicall failed for ${contract.address}.${method}`);
-                }
-                const decoded = multicall.decodeResult(contract, method, entry.returnData);
-                if (decoded === null || decoded === undefined) {
-                    throw new Error(`Unable to decode ${contract.address}.${method}`);
-                }
-                return decoded;
-            };
-
-            const token0DecimalsRaw = decodeToken(token0Contract, 'decimals', 0);
-            const token0SymbolRaw = decodeToken(token0Contract, 'symbol', 1);
-            const token1DecimalsRaw = decodeToken(token1Contract, 'decimals', 2);
-            const token1SymbolRaw = decodeToken(token1Contract, 'symbol', 3);
-
-            const lpDecimalsNum = Number(lpDecimalsRaw);
-            const token0DecimalsNum = Number(token0DecimalsRaw);
-            const token1DecimalsNum = Number(token1DecimalsRaw);
-
+            const lpDecimalsNum = Number(pool.lpDecimals);
             if (!Number.isFinite(lpDecimalsNum)) {
                 throw new Error('Invalid LP decimals');
             }
-            if (!Number.isFinite(token0DecimalsNum)) {
-                throw new Error('Invalid token0 decimals');
-            }
-            if (!Number.isFinite(token1DecimalsNum)) {
-                throw new Error('Invalid token1 decimals');
-            }
-
             const lpDecimals = Math.trunc(lpDecimalsNum);
-            const token0Decimals = Math.trunc(token0DecimalsNum);
-            const token1Decimals = Math.trunc(token1DecimalsNum);
-
-            if (typeof token0SymbolRaw !== 'string' || !token0SymbolRaw.trim()) {
-                throw new Error('Invalid token0 symbol');
-            }
-            if (typeof token1SymbolRaw !== 'string' || !token1SymbolRaw.trim()) {
-                throw new Error('Invalid token1 symbol');
-            }
+            this.lpTokenDecimals.set(`${chainId}:${lpTokenAddress.toLowerCase()}`, lpDecimals);
 
-            const token0Symbol = token0SymbolRaw.trim();
-            const token1Symbol = token1SymbolRaw.trim();
+            const metadata = await this.getPoolTokenMetadata(pool.tokens.map(token => token.address), { provider, multicall, chainId });
 
-            if (totalSupply.isZero()) {
-                throw new Error('LP total supply is zero');
-            }
+            const tokens = pool.tokens.map((token, index) => {
+                const { symbol, decimals } = metadata[index];
+                const reserve = ethers.BigNumber.from(token.reserve);
+                const staked = stakedBalance.mul(reserve).div(totalSupply);
+                return {
+                    address: token.address,
+                    symbol,
+                    decimals,
+                    weight: token.weight ?? null,
+                    reserve: {
+                        raw: reserve.toString(),
+                        formatted: ethers.utils.formatUnits(reserve, decimals)
+                    },
+                    staked: {
+                        raw: staked.toString(),
+                        formatted: ethers.utils.formatUnits(staked, decimals)
+                    }
+                };
+            });
 
-            const token0Staked = stakedBalance.mul(reserve0).div(totalSupply);
-            const token1Staked = stakedBalance.mul(reserve1).div(totalSupply);
             const outstandingBalance = totalSupply.sub(stakedBalance);
 
             return {
                 lpTokenAddress,
                 stakingContractAddress: stakingAddress,
-                blockTimestampLast,
+                platform: platform || null,
+                adapter: adapterName,
+                pricing: pool.pricing,
+                virtualPrice: pool.virtualPrice ?? null,
+                priceOracle: pool.priceOracle ?? null,
+                blockTag,
+                blockTimestampLast: pool.blockTimestampLast ?? null,
                 lpToken: {
                     decimals: lpDecimals,
                     totalSupply: {
@@ -1342,34 +1374,268 @@ class ContractManager {
                         formatted: ethers.utils.formatUnits(outstandingBalance, lpDecimals)
                     }
                 },
-                token0: {
-                    address: token0Address,
-                    symbol: token0Symbol,
-                    decimals: token0Decimals,
-                    reserve: {
-                        raw: reserve0.toString(),
-                        formatted: ethers.utils.formatUnits(reserve0, token0Decimals)
-                    },
-                    staked: {
-                        raw: token0Staked.toString(),
-                        formatted: ethers.utils.formatUnits(token0Staked, token0Decimals)
-                    }
-                },
-                token1: {
-                    address: token1Address,
-                    symbol: token1Symbol,
-                    decimals: token1Decimals,
-                    reserve: {
-                        raw: reserve1.toString(),
-                        formatted: ethers.utils.formatUnits(reserve1, token1Decimals)
-                    },
-                    staked: {
-                        raw: token1Staked.toString(),
-                        formatted: ethers.utils.formatUnits(token1Staked, token1Decimals)
-                    }
-                }
+                tokens,
+                token0: tokens[0],
+                token1: tokens[1] || null
+            };
+        };
+
+        // Reads against another network must not trigger provider fallback on the selected network
+        return context
+            ? await readBreakdown()
+            : await this.executeWithRetry(readBreakdown, 'getLPStakeBreakdown');
+    }
+
+    /**
+     * Read symbol and decimals for the tokens in a pool
+     * Curve's native-coin placeholder is reported as the network's native currency.
+     * @returns {Promise<Array<{symbol: string, decimals: number}>>} In the order of addresses
+     */
+    async getPoolTokenMetadata(addresses, { provider, multicall, chainId }) {
+        const nativePlaceholder = '0xeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeee';
+        const metadataAbi = [
+            'function decimals() view returns (uint8)',
+            'function symbol() view returns (string)'
+        ];
+
+        const contracts = addresses.map(address => new ethers.Contract(address, metadataAbi, provider));
+        const erc20Contracts = contracts.filter(contract => contract.address.toLowerCase() !== nativePlaceholder);
+
+        const calls = erc20Contracts.flatMap(contract => [
+            multicall.createCall(contract, 'decimals'),
+            multicall.createCall(contract, 'symbol')
+        ]);
+
+        const results = calls.length > 0
+            ? await multicall.batchCall(calls, { requireSuccess: true, maxRetries: 0 })
+            : [];
+        if (!results || results.length !== calls.length) {
+            throw new Error('Multicall token metadata query failed');
+        }
+
+        const decodeToken = (contract, method, index) => {
+            const entry = results[index];
+            if (!entry || entry.success !== true) {
+                throw new Error(`Multicall failed for ${contract.address}.${method}`);
+            }
+            const decoded = multicall.decodeResult(contract, method, entry.returnData);
+            if (decoded === null || decoded === undefined) {
+                throw new Error(`Unable to decode ${contract.address}.${method}`);
+            }
+            return decoded;
+        };
+
+        return contracts.map(contract => {
+            if (contract.address.toLowerCase() === nativePlaceholder) {
+                const network = Object.values(window.CONFIG?.NETWORKS || {}).find(entry => String(entry.CHAIN_ID) === String(chainId));
+                return { symbol: network?.NATIVE_CURRENCY?.symbol || 'NATIVE', decimals: 18 };
+            }
+
+            const index = erc20Contracts.indexOf(contract) * 2;
+            const decimals = Number(decodeToken(contract, 'decimals', index));
+            const symbol = decodeToken(contract, 'symbol', index + 1);
+
+            if (!Number.isFinite(decimals)) {
+                throw new Error(`Invalid decimals for ${contract.address}`);
+            }
+            if (typeof symbol !== 'string' || !symbol.trim()) {
+                throw new Error(`Invalid symbol for ${contract.address}`);
+            }
+
+            return { symbol: symbol.trim(), decimals: Math.trunc(decimals) };
+        });
+    }
+
+    /**
+     * Estimate block numbers for a list of unix timestamps.
+     * Uses the average block time over a recent window instead of a binary search,
+     * which keeps the cost at two block lookups regardless of the number of samples.
+     * @param {number[]} timestamps - Unix timestamps in seconds
+     * @returns {Promise<Array<{timestamp: number, blockNumber: number}>>}
+     */
+    async estimateBlocksForTimestamps(timestamps) {
+        const provider = this.provider || this.signer?.provider;
+        if (!provider) {
+            throw new Error('Provider not initialized');
+        }
+
+        const latestBlock = await provider.getBlock('latest');
+        const referenceSpan = Math.min(100000, Math.max(latestBlock.number - 1, 1));
+        const referenceBlock = await provider.getBlock(latestBlock.number - referenceSpan);
+
+        const elapsed = latestBlock.timestamp - referenceBlock.timestamp;
+        const averageBlockTime = elapsed > 0 ? elapsed / referenceSpan : 2;
+
+        return timestamps.map(timestamp => {
+            const secondsAgo = Math.max(latestBlock.timestamp - timestamp, 0);
+            const blocksAgo = Math.round(secondsAgo / averageBlockTime);
+            return {
+                timestamp: Math.min(timestamp, latestBlock.timestamp),
+                blockNumber: Math.max(latestBlock.number - blocksAgo, 1)
             };
-        }, 'getLPStakeBreakdown');
+        });
+    }
+
+    /**
+     * First block whose timestamp is at or after a unix timestamp (binary search over block headers)
+     * @param {number} timestamp - Unix timestamp in seconds
+     * @returns {Promise<number>}
+     */
+    async findBlockByTimestamp(timestamp) {
+        const provider = this.provider || this.signer?.provider;
+        if (!provider) {
+            throw new Error('Provider not initialized');
+        }
+
+        const latestBlock = await provider.getBlock('latest');
+        if (timestamp >= latestBlock.timestamp) {
+            return latestBlock.number;
+        }
+
+        let low = 0;
+        let high = latestBlock.number;
+        while (low < high) {
+            const mid = Math.floor((low + high) / 2);
+            const block = await provider.getBlock(mid);
+            if (block.timestamp < timestamp) {
+                low = mid + 1;
+            } else {
+                high = mid;
+            }
+        }
+        return low;
+    }
+
+    /**
+     * Block the staking contract was deployed in, so history scans can start there.
+     * Uses CONTRACTS.STAKING_DEPLOY_BLOCK when configured, otherwise binary-searches getCode,
+     * which needs an RPC that serves historical state.
+     * @returns {Promise<number|null>} null when it cannot be determined
+     */
+    async getStakingDeployBlock() {
+        const configured = window.networkSelector?.getCurrentContracts()?.STAKING_DEPLOY_BLOCK;
+        if (Number.isInteger(configured)) {
+            return configured;
+        }
+
+        if (!this.stakingContract || !this.provider) {
+            return null;
+        }
+
+        const address = this.stakingContract.address;
+        const cacheKey = `${window.networkSelector?.getCurrentChainId()}:${address.toLowerCase()}`;
+        if (this.stakingDeployBlocks.has(cacheKey)) {
+            return this.stakingDeployBlocks.get(cacheKey);
+        }
+
+        try {
+            let low = 0;
+            let high = await this.provider.getBlockNumber();
+            while (low < high) {
+                const mid = Math.floor((low + high) / 2);
+                const code = await this.provider.getCode(address, mid);
+                if (code && code !== '0x') {
+                    high = mid;
+                } else {
+                    low = mid + 1;
+                }
+            }
+
+            console.log(`📍 Staking contract deployed at block ${low}`);
+            this.stakingDeployBlocks.set(cacheKey, low);
+            return low;
+        } catch (error) {
+            console.warn('⚠️ Could not find the staking contract deploy block (RPC may not serve historical state):', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Read reward distribution parameters for a pair at a given block
+     * @param {string} lpTokenAddress - LP token address of the pair
+     * @param {number|string} [blockTag] - Block number to read at (latest when omitted)
+     * @returns {Promise<{hourlyRewardRate: BigNumber, totalWeight: BigNumber, pairWeight: BigNumber}>}
+     */
+    async getRewardParamsAtBlock(lpTokenAddress, blockTag = null) {
+        const multicall = this.multicallService;
+        if (!multicall || typeof multicall.isReady !== 'function' || !multicall.isReady()) {
+            throw new Error('Multicall service not ready');
+        }
+        if (!this.stakingContract) {
+            throw new Error('Staking contract not initialized');
+        }
+
+        const calls = [
+            multicall.createCall(this.stakingContract, 'hourlyRewardRate'),
+            multicall.createCall(this.stakingContract, 'totalWeight'),
+            multicall.createCall(this.stakingContract, 'getPairs')
+        ];
+
+        const results = await multicall.batchCall(calls, { requireSuccess: false, maxRetries: 0, blockTag });
+        if (!results || results.length !== calls.length || !results[0]?.success || !results[1]?.success) {
+            throw new Error(`Unable to read reward parameters at block ${blockTag || 'latest'}`);
+        }
+
+        const hourlyRewardRate = multicall.decodeResult(this.stakingContract, 'hourlyRewardRate', results[0].returnData);
+        const totalWeight = multicall.decodeResult(this.stakingContract, 'totalWeight', results[1].returnData);
+        const pairs = results[2]?.success
+            ? multicall.decodeResult(this.stakingContract, 'getPairs', results[2].returnData) || []
+            : [];
+
+        const target = lpTokenAddress.toLowerCase();
+        const pair = pairs.find(entry => (entry.lpToken || entry[0] || '').toLowerCase() === target);
+
+        return {
+            hourlyRewardRate: ethers.BigNumber.from(hourlyRewardRate || 0),
+            totalWeight: ethers.BigNumber.from(totalWeight || 0),
+            pairWeight: pair ? ethers.BigNumber.from(pair.weight || pair[3] || 0) : ethers.BigNumber.from(0)
+        };
+    }
+
+    /**
+     * Sample historical pair state for charting.
+     * Each sample combines the LP stake breakdown with the reward parameters at the same block.
+     * Samples that cannot be read (pair not yet listed, pruned RPC state) are skipped.
+     * @param {string} pairIdentifier - LP token address or pair name
+     * @param {number} days - Lookback window in days
+     * @param {number} [samples=14] - Number of evenly spaced samples, including the latest block
+     * @returns {Promise<Array<{timestamp: number, blockNumber: number, breakdown: Object, hourlyRewardRate: BigNumber, totalWeight: BigNumber, pairWeight: BigNumber}>>}
+     */
+    async getPairHistory(pairIdentifier, days, samples = 14) {
+        const lpTokenAddress = this.resolveLPTokenAddress(pairIdentifier);
+        if (!lpTokenAddress) {
+            throw new Error(`Unable to resolve LP token for identifier: ${pairIdentifier}`);
+        }
+
+        const sampleCount = Math.max(Math.trunc(samples), 2);
+        const now = Math.floor(Date.now() / 1000);
+        const step = (days * 86400) / (sampleCount - 1);
+        const timestamps = Array.from({ length: sampleCount }, (_, i) => Math.round(now - (sampleCount - 1 - i) * step));
+
+        const points = await this.estimateBlocksForTimestamps(timestamps);
+        const history = [];
+
+        // Sequential on purpose: public RPCs rate-limit archive reads aggressively
+        for (const point of points) {
+            try {
+                const [breakdown, rewardParams] = await Promise.all([
+                    this.getLPStakeBreakdown(lpTokenAddress, { blockTag: point.blockNumber }),
+                    this.getRewardParamsAtBlock(lpTokenAddress, point.blockNumber)
+                ]);
+
+                history.push({
+                    timestamp: point.timestamp,
+                    blockNumber: point.blockNumber,
+                    breakdown,
+                    ...rewardParams
+                });
+            } catch (error) {
+                console.warn(`⚠️ Skipping history sample at block ${point.blockNumber}:`, error.message);
+            }
+        }
+
+        console.log(`📈 Loaded ${history.length}/${points.length} history samples for ${lpTokenAddress} (${days}d)`);
+        return history;
     }
 
     // ============ ADMIN CONTRACT FUNCTIONS ============
@@ -2001,22 +2267,34 @@ class ContractManager {
         }
     }
 
+    /**
+     * EIP-1193 provider of the connected wallet (injected or WalletConnect)
+     * @returns {Object|null}
+     */
+    getWalletProvider() {
+        if (window.walletManager && typeof window.walletManager.getEthereumProvider === 'function') {
+            return window.walletManager.getEthereumProvider();
+        }
+        return window.ethereum || null;
+    }
+
     /**
      * Ensure we have a proper signer for transactions
      */
     async ensureSigner() {
         try {
-            // First ensure MetaMask is connected
-            if (typeof window.ethereum === 'undefined') {
+            // First ensure a wallet is connected
+            const walletProvider = this.getWalletProvider();
+            if (!walletProvider) {
                 throw new Error('MetaMask not installed');
             }
 
             // Check if accounts are connected
-            const accounts = await window.ethereum.request({ method: 'eth_accounts' });
+            const accounts = await walletProvider.request({ method: 'eth_accounts' });
             if (accounts.length === 0) {
                 console.log('🔐 No connected accounts, requesting MetaMask connection...');
                 try {
-                    await window.ethereum.request({ method: 'eth_requestAccounts' });
+                    await walletProvider.request({ method: 'eth_requestAccounts' });
                 } catch (connectionError) {
                     if (connectionError.code === 4001) {
                         throw new Error('User rejected MetaMask connection');
@@ -2027,8 +2305,8 @@ class ContractManager {
 
             // Always create a fresh Web3Provider for transactions (CRITICAL FIX)
 
-            // Create Web3Provider directly from MetaMask
-            const web3Provider = new ethers.providers.Web3Provider(window.ethereum);
+            // Create Web3Provider directly from the wallet
+            const web3Provider = new ethers.providers.Web3Provider(walletProvider);
 
             // Ensure we're on the correct network (using centralized config)
             const network = await web3Provider.getNetwork();
@@ -2046,7 +2324,7 @@ class ContractManager {
                 if (!hasPermission) {
                     console.log(`🔐 Requesting ${networkName} permission...`);
                     try {
-                        const permissionGranted = await window.networkManager.requestNetworkPermission('metamask');
+                        const permissionGranted = await window.networkManager.requestNetworkPermission();
                         if (!permissionGranted) {
                             throw new Error(`${networkName} permission required for transactions`);
                         }
@@ -2074,8 +2352,8 @@ class ContractManager {
                 console.error('❌ Signer verification failed:', error);
 
                 // If verification fails, try to recreate signer
-                if (window.ethereum) {
-                    const provider = new ethers.providers.Web3Provider(window.ethereum, 'any');
+                if (walletProvider) {
+                    const provider = new ethers.providers.Web3Provider(walletProvider, 'any');
                     this.signer = provider.getSigner();
                     this.provider = provider;
 
@@ -2588,64 +2866,567 @@ class ContractManager {
     }
 
     /**
-     * Get total weight from contract with provider fallback
+     * Action ID created by a mined propose* transaction. The app declares no proposal event for
+     * the deployed contract, so the call is replayed against the parent block and its return value
+     * decoded, then shifted by the proposals mined earlier in the same block. actionCounter before
+     * and after the block must account for every proposal found; otherwise the ID is unknown.
+     * @param {string} txHash
+     * @returns {Promise<number|null>} null when the transaction is not a mined proposal or its ID is ambiguous
      */
-    async getTotalWeight() {
+    async getProposalIdFromTransaction(txHash) {
         try {
-            return await this.executeWithProviderFallback(async (provider, blockTag) => {
-                // Create contract instance with specific provider
-                const contractWithProvider = new ethers.Contract(
-                    this.contractAddresses.get('STAKING'),
-                    this.contractABIs.get('STAKING'),
-                    provider
-                );
+            if (!this.stakingContract || !this.provider) {
+                throw new Error('Contract not initialized');
+            }
 
-                console.log('⚖️ Getting total weight from contract...');
+            const [tx, receipt] = await Promise.all([
+                this.provider.getTransaction(txHash),
+                this.provider.getTransactionReceipt(txHash)
+            ]);
+            if (!tx || !receipt || receipt.status !== 1) {
+                return null;
+            }
 
-                // Call with block tag if provided
-                const weight = blockTag
-                    ? await contractWithProvider.totalWeight({ blockTag })
-                    : await contractWithProvider.totalWeight();
+            const iface = this.stakingContract.interface;
+            const isProposal = (data) => {
+                try {
+                    return iface.parseTransaction({ data }).name.startsWith('propose');
+                } catch (error) {
+                    return false;
+                }
+            };
+            if (!isProposal(tx.data)) {
+                return null;
+            }
 
-                console.log(`✅ Total weight: ${ethers.utils.formatEther(weight)}`);
-                return weight;
-            }, 'getTotalWeight');
+            const parentBlock = receipt.blockNumber - 1;
+            const [returnData, counterBefore, counterAfter] = await Promise.all([
+                this.provider.call({ from: tx.from, to: tx.to, data: tx.data }, parentBlock),
+                this.stakingContract.actionCounter({ blockTag: parentBlock }),
+                this.stakingContract.actionCounter({ blockTag: receipt.blockNumber })
+            ]);
+            const [replayedId] = iface.decodeFunctionResult(iface.parseTransaction({ data: tx.data }).name, returnData);
+            const created = counterAfter.sub(counterBefore).toNumber();
+            if (created === 1) {
+                return replayedId.toNumber();
+            }
 
-        } catch (error) {
-            const errorMsg = error?.message || 'Unknown error';
-            console.error('⚠️ All providers failed for getTotalWeight, using fallback:', errorMsg);
+            // Several proposals in this block: count the successful ones mined before ours
+            const block = await this.provider.getBlockWithTransactions(receipt.blockNumber);
+            const stakingLower = this.stakingContract.address.toLowerCase();
+            const candidates = block.transactions.filter(item => item.to?.toLowerCase() === stakingLower && isProposal(item.data));
+            const candidateReceipts = await Promise.all(candidates.map(item => this.provider.getTransactionReceipt(item.hash)));
+            const mined = candidateReceipts.filter(item => item?.status === 1);
 
-            // Fallback to standard method as last resort
-            return await this.executeWithRetry(async () => {
-                if (!this.stakingContract) {
-                    throw new Error('Staking contract not initialized');
-                }
-                return await this.stakingContract.totalWeight();
-            }, 'getTotalWeight');
+            // Proposals sent through another contract (e.g. a multisig wallet) aren't visible here
+            if (mined.length !== created) {
+                console.warn(`⚠️ Block ${receipt.blockNumber} created ${created} proposals but ${mined.length} direct calls were found; proposal ID for ${txHash} is ambiguous`);
+                return null;
+            }
+
+            const earlier = mined.filter(item => item.transactionIndex < receipt.transactionIndex).length;
+            return replayedId.toNumber() + earlier;
+        } catch (error) {
+            console.warn(`⚠️ Could not resolve proposal ID for ${txHash}: ${error.message}`);
+            return null;
         }
     }
 
+    // ============ ADMIN SIMULATION ============
+
     /**
-     * Get all pairs with their information
+     * Dry-run an admin transaction with callStatic against the latest block. Nothing is
+     * signed or sent, so signers learn about a revert before paying gas.
+     * @param {string} method - approveAction | rejectAction | executeAction | any propose* method
+     * @param {Array} params - Same arguments the ContractManager method of that name takes
+     * @returns {Promise<{method: string, success: boolean, revertReason: string|null, error: string|null,
+     *   gasEstimate: string|null, blockNumber: number|null,
+     *   changes: Array<{label: string, before: string, after: string, whenExecuted: boolean}>}>}
      */
-    async getAllPairsInfo() {
-        return await this.executeWithRetry(async () => {
-            if (!this.stakingContract) {
-                throw new Error('Staking contract not initialized');
+    async simulateAdminAction(method, params = []) {
+        const result = {
+            method,
+            success: false,
+            revertReason: null,
+            error: null,
+            gasEstimate: null,
+            blockNumber: null,
+            changes: []
+        };
+
+        try {
+            if (!this.stakingContract || !this.provider) {
+                throw new Error('Contract not initialized');
             }
 
-            console.log('🔍 Getting all pairs info from contract...');
+            const from = window.walletManager?.getAddress() || (this.signer ? await this.signer.getAddress() : null);
+            if (!from) {
+                throw new Error('Connect a signer wallet to simulate');
+            }
 
-            try {
-                // Try multiple methods to get pairs
-                let pairs = [];
+            const args = this.buildAdminCallArgs(method, params);
+            const contract = this.stakingContract.connect(this.provider);
+            const blockNumber = await this.provider.getBlockNumber();
+            result.blockNumber = blockNumber;
 
-                // Method 1: Try getPairs() if it exists
-                try {
-                    pairs = await this.stakingContract.getPairs();
-                    console.log('✅ Got pairs from getPairs():', pairs.length);
-                } catch (error) {
-                    console.error('⚠️ getPairs() not available:', error.message);
+            try {
+                await contract.callStatic[method](...args, { from, blockTag: blockNumber });
+                result.success = true;
+            } catch (error) {
+                result.revertReason = window.errorHandler?.extractRevertReason(error) || null;
+                if (!result.revertReason) {
+                    result.error = error.reason || error.message;
+                }
+                console.warn(`🧪 Simulated ${method} would revert:`, result.revertReason || result.error);
+                return result;
+            }
+
+            const [gasEstimate, changes] = await Promise.all([
+                contract.estimateGas[method](...args, { from }).catch(() => null),
+                this.getAdminActionChanges(method, args, blockNumber).catch(error => {
+                    console.warn(`⚠️ Could not read state diff for ${method}:`, error.message);
+                    return [];
+                })
+            ]);
+            result.gasEstimate = gasEstimate ? gasEstimate.toString() : null;
+            result.changes = changes;
+
+            console.log(`🧪 Simulated ${method} at block ${blockNumber}: OK`);
+        } catch (error) {
+            result.error = error.message;
+        }
+
+        return result;
+    }
+
+    /**
+     * Contract arguments for an admin method, converted like the send path does
+     * (amounts and weights to wei, addresses checksummed)
+     * @private
+     */
+    buildAdminCallArgs(method, params) {
+        switch (method) {
+            case 'proposeSetHourlyRewardRate':
+                return [ethers.utils.parseEther(params[0].toString())];
+            case 'proposeUpdatePairWeights':
+                return [
+                    params[0].map(lpToken => this.validateAndChecksumAddress(lpToken, 'LP Token Address')),
+                    params[1].map(weight => ethers.utils.parseEther(weight.toString()))
+                ];
+            case 'proposeAddPair':
+                return [
+                    this.validateAndChecksumAddress(params[0], 'LP Token Address'),
+                    params[1],
+                    params[2],
+                    ethers.utils.parseEther(params[3].toString())
+                ];
+            case 'proposeRemovePair':
+                return [this.validateAndChecksumAddress(params[0], 'LP Token Address')];
+            case 'proposeChangeSigner':
+                return [
+                    this.validateAndChecksumAddress(params[0], 'Old Signer Address'),
+                    this.validateAndChecksumAddress(params[1], 'New Signer Address')
+                ];
+            case 'proposeWithdrawRewards':
+                return [
+                    this.validateAndChecksumAddress(params[0], 'Recipient Address'),
+                    ethers.utils.parseEther(params[1].toString())
+                ];
+            case 'approveAction':
+            case 'rejectAction':
+            case 'executeAction': {
+                const actionId = parseInt(params[0]);
+                if (isNaN(actionId)) {
+                    throw new Error(`Invalid action ID: ${params[0]}. Must be a valid number.`);
+                }
+                return [actionId];
+            }
+            default:
+                throw new Error(`Unknown admin method: ${method}`);
+        }
+    }
+
+    /**
+     * Before/after view of the state an admin call changes, read at blockTag. Proposals only
+     * take effect when executed, so those rows are flagged whenExecuted.
+     * @private
+     */
+    async getAdminActionChanges(method, args, blockTag) {
+        const contract = this.stakingContract;
+        const overrides = { blockTag };
+
+        if (method.startsWith('propose')) {
+            const [counter, required] = await Promise.all([
+                contract.actionCounter(overrides),
+                contract.REQUIRED_APPROVALS(overrides)
+            ]);
+            const changes = [{
+                label: 'Proposal',
+                before: '—',
+                after: `#${counter.add(1).toString()} (1 / ${required.toString()} approvals)`,
+                whenExecuted: false
+            }];
+            const effects = await this.getActionEffects(this.describeProposeArgs(method, args), blockTag);
+            return changes.concat(effects);
+        }
+
+        const [actionId] = args;
+        const action = await contract.actions(actionId, overrides);
+
+        if (method === 'approveAction') {
+            const required = await contract.REQUIRED_APPROVALS(overrides);
+            const approvals = Number(action.approvals);
+            return [{
+                label: 'Approvals',
+                before: `${approvals} / ${required.toString()}`,
+                after: `${approvals + 1} / ${required.toString()}${approvals + 1 >= required.toNumber() ? ' (ready to execute)' : ''}`,
+                whenExecuted: false
+            }];
+        }
+
+        if (method === 'rejectAction') {
+            return [{ label: 'Your vote', before: 'None', after: 'Reject', whenExecuted: false }];
+        }
+
+        // executeAction: the stored action decides what changes
+        const [pairs, weights] = await Promise.all([
+            contract.getActionPairs(actionId, overrides),
+            contract.getActionWeights(actionId, overrides)
+        ]);
+        const effects = await this.getActionEffects({
+            actionType: Number(action.actionType),
+            newHourlyRewardRate: action.newHourlyRewardRate,
+            pairs,
+            weights,
+            pairToAdd: action.pairToAdd,
+            pairNameToAdd: action.pairNameToAdd,
+            weightToAdd: action.weightToAdd,
+            pairToRemove: action.pairToRemove,
+            // Change-signer actions store the old signer in pairToAdd and the new one in pairToRemove
+            oldSigner: action.pairToAdd,
+            newSigner: action.pairToRemove,
+            recipient: action.recipient,
+            withdrawAmount: action.withdrawAmount
+        }, blockTag);
+
+        return [{ label: 'Status', before: 'Approved', after: 'Executed', whenExecuted: false }]
+            .concat(effects.map(change => ({ ...change, whenExecuted: false })));
+    }
+
+    /**
+     * Map propose* arguments onto the same shape as a stored action
+     * @private
+     */
+    describeProposeArgs(method, args) {
+        switch (method) {
+            case 'proposeSetHourlyRewardRate':
+                return { actionType: 0, newHourlyRewardRate: args[0] };
+            case 'proposeUpdatePairWeights':
+                return { actionType: 1, pairs: args[0], weights: args[1] };
+            case 'proposeAddPair':
+                return { actionType: 2, pairToAdd: args[0], pairNameToAdd: args[1], weightToAdd: args[3] };
+            case 'proposeRemovePair':
+                return { actionType: 3, pairToRemove: args[0] };
+            case 'proposeChangeSigner':
+                return { actionType: 4, oldSigner: args[0], newSigner: args[1] };
+            case 'proposeWithdrawRewards':
+                return { actionType: 5, recipient: args[0], withdrawAmount: args[1] };
+            default:
+                return { actionType: null };
+        }
+    }
+
+    /**
+     * State an executed action would change (hourly rate, pair weights, signer set, reward balance)
+     * @private
+     */
+    async getActionEffects(action, blockTag) {
+        const contract = this.stakingContract;
+        const overrides = { blockTag };
+        const format = (value) => ethers.utils.formatEther(value);
+        const change = (label, before, after) => ({ label, before, after, whenExecuted: true });
+
+        switch (action.actionType) {
+            case 0: {
+                const rate = await contract.hourlyRewardRate(overrides);
+                return [change('Hourly reward rate', `${format(rate)} / hour`, `${format(action.newHourlyRewardRate)} / hour`)];
+            }
+            case 1:
+            case 2:
+            case 3: {
+                const [pairs, totalWeight] = await Promise.all([
+                    contract.getPairs(overrides),
+                    contract.totalWeight(overrides)
+                ]);
+                const byAddress = new Map(pairs.map(pair => [pair.lpToken.toLowerCase(), pair]));
+                const changes = [];
+                let newTotal = totalWeight;
+
+                if (action.actionType === 1) {
+                    action.pairs.forEach((lpToken, index) => {
+                        const pair = byAddress.get(lpToken.toLowerCase());
+                        const oldWeight = pair?.isActive ? pair.weight : ethers.constants.Zero;
+                        newTotal = newTotal.sub(oldWeight).add(action.weights[index]);
+                        changes.push(change(`Weight · ${pair?.pairName || lpToken}`, format(oldWeight), format(action.weights[index])));
+                    });
+                } else if (action.actionType === 2) {
+                    newTotal = newTotal.add(action.weightToAdd);
+                    changes.push(change(`Pair · ${action.pairNameToAdd || action.pairToAdd}`, 'Not listed', `Active, weight ${format(action.weightToAdd)}`));
+                } else {
+                    const pair = byAddress.get(action.pairToRemove.toLowerCase());
+                    const oldWeight = pair?.isActive ? pair.weight : ethers.constants.Zero;
+                    newTotal = newTotal.sub(oldWeight);
+                    changes.push(change(`Pair · ${pair?.pairName || action.pairToRemove}`, `Active, weight ${format(oldWeight)}`, 'Removed'));
+                }
+
+                changes.push(change('Total weight', format(totalWeight), format(newTotal)));
+                return changes;
+            }
+            case 4: {
+                const signers = await contract.getSigners(overrides);
+                const short = (address) => `${address.slice(0, 6)}...${address.slice(-4)}`;
+                const after = signers.map(signer => signer.toLowerCase() === action.oldSigner.toLowerCase() ? action.newSigner : signer);
+                return [change('Signers', signers.map(short).join(', '), after.map(short).join(', '))];
+            }
+            case 5: {
+                if (!this.rewardTokenContract) return [];
+                const [contractBalance, recipientBalance] = await Promise.all([
+                    this.rewardTokenContract.balanceOf(contract.address, overrides),
+                    this.rewardTokenContract.balanceOf(action.recipient, overrides)
+                ]);
+                return [
+                    change('Reward balance (staking contract)', format(contractBalance), format(contractBalance.sub(action.withdrawAmount))),
+                    change(`Reward balance (${action.recipient.slice(0, 6)}...${action.recipient.slice(-4)})`, format(recipientBalance), format(recipientBalance.add(action.withdrawAmount)))
+                ];
+            }
+            default:
+                return [];
+        }
+    }
+
+    // ============ OFFLINE SIGNING ============
+
+    /**
+     * Unsigned transaction for an admin call, for signers whose keys live on an air-gapped device.
+     * Nonce, gas and fee fields are read from the network now, so the bundle should be signed
+     * and broadcast promptly.
+     * @param {string} method - approveAction | rejectAction | executeAction | any propose* method
+     * @param {Array} params - Same arguments the ContractManager method of that name takes
+     * @param {string} from - Address of the offline signer
+     * @returns {Promise<{version: number, description: string, method: string, params: Array, from: string, tx: Object}>}
+     */
+    async buildUnsignedAdminTransaction(method, params, from) {
+        if (!this.stakingContract || !this.provider) {
+            throw new Error('Contract not initialized');
+        }
+
+        from = this.validateAndChecksumAddress(from, 'Signer Address');
+        const args = this.buildAdminCallArgs(method, params);
+        const to = this.stakingContract.address;
+        const data = this.stakingContract.interface.encodeFunctionData(method, args);
+
+        const [network, nonce, feeData, gasEstimate] = await Promise.all([
+            this.provider.getNetwork(),
+            this.provider.getTransactionCount(from, 'pending'),
+            this.provider.getFeeData(),
+            this.provider.estimateGas({ from, to, data }).catch(error => {
+                const reason = window.errorHandler?.extractRevertReason(error);
+                throw new Error(reason ? `Transaction would revert: ${reason}` : `Gas estimation failed: ${error.reason || error.message}`);
+            })
+        ]);
+
+        const bufferPercent = window.CONFIG?.OFFLINE_SIGNING?.GAS_LIMIT_BUFFER_PERCENT ?? 20;
+        const tx = {
+            to,
+            data,
+            value: '0x0',
+            chainId: network.chainId,
+            nonce,
+            gasLimit: gasEstimate.mul(100 + bufferPercent).div(100).toHexString()
+        };
+
+        if (feeData.maxFeePerGas && feeData.maxPriorityFeePerGas) {
+            tx.type = 2;
+            tx.maxFeePerGas = feeData.maxFeePerGas.toHexString();
+            tx.maxPriorityFeePerGas = feeData.maxPriorityFeePerGas.toHexString();
+        } else {
+            tx.type = 0;
+            tx.gasPrice = feeData.gasPrice.toHexString();
+        }
+
+        console.log(`📤 Built unsigned ${method} for ${from} (nonce ${nonce})`);
+
+        return {
+            version: 1,
+            description: this.describeAdminCall(method, params),
+            method,
+            params,
+            from,
+            tx
+        };
+    }
+
+    /**
+     * Check that a signed raw transaction performs exactly the intended admin call on this network
+     * @param {string} rawTransaction - 0x-prefixed signed transaction
+     * @param {string} method
+     * @param {Array} params
+     * @returns {Promise<Object>} ethers parsed transaction (from, nonce, hash, ...)
+     * @throws {Error} Describing the first mismatch
+     */
+    async verifySignedAdminTransaction(rawTransaction, method, params) {
+        let parsed;
+        try {
+            parsed = ethers.utils.parseTransaction(rawTransaction.trim());
+        } catch (error) {
+            throw new Error('Not a valid signed raw transaction');
+        }
+
+        if (!parsed.from || !parsed.hash) {
+            throw new Error('Transaction is not signed');
+        }
+
+        const network = await this.provider.getNetwork();
+        if (parsed.chainId !== network.chainId) {
+            throw new Error(`Transaction is signed for chain ${parsed.chainId}, but the selected network is chain ${network.chainId}`);
+        }
+
+        if (!parsed.to || parsed.to.toLowerCase() !== this.stakingContract.address.toLowerCase()) {
+            throw new Error(`Transaction is sent to ${parsed.to || 'a contract creation'}, not the staking contract`);
+        }
+
+        if (!parsed.value.isZero()) {
+            throw new Error('Transaction must not transfer native tokens');
+        }
+
+        const expectedData = this.stakingContract.interface.encodeFunctionData(method, this.buildAdminCallArgs(method, params));
+        if (parsed.data.toLowerCase() !== expectedData.toLowerCase()) {
+            let actual = 'an unknown function';
+            try {
+                const decoded = this.stakingContract.interface.parseTransaction({ data: parsed.data });
+                actual = `${decoded.name}(${decoded.args.map(arg => arg.toString()).join(', ')})`;
+            } catch (error) {
+                // Not a staking contract call
+            }
+            throw new Error(`Transaction calls ${actual}, not ${this.describeAdminCall(method, params)}`);
+        }
+
+        const confirmedNonce = await this.provider.getTransactionCount(parsed.from, 'latest');
+        if (parsed.nonce < confirmedNonce) {
+            throw new Error(`Nonce ${parsed.nonce} has already been used by ${parsed.from}`);
+        }
+
+        return parsed;
+    }
+
+    /**
+     * Verify and broadcast a transaction signed offline, then wait for it to be mined
+     * @returns {Promise<{success: boolean, transactionHash?: string, blockNumber?: number, from?: string, error?: Error}>}
+     */
+    async broadcastSignedAdminTransaction(rawTransaction, method, params) {
+        // Mismatches are reported as-is; only network/contract failures go through the error handler
+        let parsed;
+        try {
+            parsed = await this.verifySignedAdminTransaction(rawTransaction, method, params);
+        } catch (error) {
+            console.warn('⚠️ Signed transaction rejected:', error.message);
+            return { success: false, error };
+        }
+
+        try {
+            const tx = await this.provider.sendTransaction(rawTransaction.trim());
+            this.notifyTransactionPhase(method, 'processing');
+            console.log(`📡 Broadcast offline-signed ${method}: ${tx.hash}`);
+
+            const receipt = await this.monitorTransactionWithTimeout(tx, method, 300000);
+            this.notifyTransactionPhase(method, 'confirmed');
+
+            return {
+                success: true,
+                transactionHash: receipt.transactionHash,
+                blockNumber: receipt.blockNumber,
+                from: parsed.from
+            };
+        } catch (error) {
+            console.error('Failed to broadcast signed transaction:', error);
+            return {
+                success: false,
+                error: window.errorHandler?.processError?.(error, { operation: method, contractManager: true, transaction: true }) || error
+            };
+        }
+    }
+
+    /**
+     * Human-readable summary of an admin call, e.g. "Approve proposal #42"
+     * @private
+     */
+    describeAdminCall(method, params) {
+        const actionVerbs = { approveAction: 'Approve', rejectAction: 'Reject', executeAction: 'Execute' };
+        if (actionVerbs[method]) {
+            return `${actionVerbs[method]} proposal #${params[0]}`;
+        }
+        return `${method}(${params.map(param => Array.isArray(param) ? `[${param.join(', ')}]` : param).join(', ')})`;
+    }
+
+    /**
+     * Get total weight from contract with provider fallback
+     */
+    async getTotalWeight() {
+        try {
+            return await this.executeWithProviderFallback(async (provider, blockTag) => {
+                // Create contract instance with specific provider
+                const contractWithProvider = new ethers.Contract(
+                    this.contractAddresses.get('STAKING'),
+                    this.contractABIs.get('STAKING'),
+                    provider
+                );
+
+                console.log('⚖️ Getting total weight from contract...');
+
+                // Call with block tag if provided
+                const weight = blockTag
+                    ? await contractWithProvider.totalWeight({ blockTag })
+                    : await contractWithProvider.totalWeight();
+
+                console.log(`✅ Total weight: ${ethers.utils.formatEther(weight)}`);
+                return weight;
+            }, 'getTotalWeight');
+
+        } catch (error) {
+            const errorMsg = error?.message || 'Unknown error';
+            console.error('⚠️ All providers failed for getTotalWeight, using fallback:', errorMsg);
+
+            // Fallback to standard method as last resort
+            return await this.executeWithRetry(async () => {
+                if (!this.stakingContract) {
+                    throw new Error('Staking contract not initialized');
+                }
+                return await this.stakingContract.totalWeight();
+            }, 'getTotalWeight');
+        }
+    }
+
+    /**
+     * Get all pairs with their information
+     */
+    async getAllPairsInfo() {
+        return await this.executeWithRetry(async () => {
+            if (!this.stakingContract) {
+                throw new Error('Staking contract not initialized');
+            }
+
+            console.log('🔍 Getting all pairs info from contract...');
+
+            try {
+                // Try multiple methods to get pairs
+                let pairs = [];
+
+                // Method 1: Try getPairs() if it exists
+                try {
+                    pairs = await this.stakingContract.getPairs();
+                    console.log('✅ Got pairs from getPairs():', pairs.length);
+                } catch (error) {
+                    console.error('⚠️ getPairs() not available:', error.message);
                 }
 
                 // Method 2: If no pairs, try getActivePairs()
@@ -2677,6 +3458,7 @@ class ContractManager {
                             totalStaked: '0' // Would need to be calculated
                         };
                         pairsInfo.push(pairInfo);
+                        this.rememberPairPlatform(pairInfo.address, pairInfo.platform);
                         console.log(`✅ Processed pair: ${pairInfo.name} (${pairInfo.address})`);
                     } catch (error) {
                         console.error(`Failed to process pair ${pair.lpToken || pair.address}:`, error.message);
@@ -2698,24 +3480,30 @@ class ContractManager {
      * Load user data for all LP pairs using multicall optimization
      * @param {string} userAddress - User's wallet address
      * @param {Array} pairs - Array of LP pair objects
+     * @param {Object} [context] - Read context from getNetworkReadContext() (defaults to the selected network)
      * @returns {Map} Map of pair address to user data (balance, allowance, stake, pendingRewards)
      */
-    async getUserDataForAllPairs(userAddress, pairs) {
-        const stakingAddress = this.contractAddresses.get('STAKING');
+    async getUserDataForAllPairs(userAddress, pairs, context = null) {
+        const stakingAddress = context?.stakingAddress || this.contractAddresses.get('STAKING');
+        const stakingContract = context?.stakingContract || this.stakingContract;
+        const multicallService = context?.multicallService || this.multicallService;
         const calls = [];
-        const erc20Interface = new ethers.utils.Interface(this.contractABIs.get('ERC20'));
+        const erc20Interface = new ethers.utils.Interface(this.contractABIs.get('ERC20') || window.CONFIG.ABIS.ERC20);
 
         // Prepare multicall for each pair (3 calls: balance, allowance, stakeInfo)
         pairs.forEach(pair => {
             const pairAddress = pair.address || pair.lpToken;
             calls.push(
-                this.multicallService.createCall({ address: pairAddress, interface: erc20Interface }, 'balanceOf', [userAddress]),
-                this.multicallService.createCall({ address: pairAddress, interface: erc20Interface }, 'allowance', [userAddress, stakingAddress]),
-                this.multicallService.createCall(this.stakingContract, 'getUserStakeInfo', [userAddress, pairAddress])
+                multicallService.createCall({ address: pairAddress, interface: erc20Interface }, 'balanceOf', [userAddress]),
+                multicallService.createCall({ address: pairAddress, interface: erc20Interface }, 'allowance', [userAddress, stakingAddress]),
+                multicallService.createCall(stakingContract, 'getUserStakeInfo', [userAddress, pairAddress])
             );
         });
 
-        const results = await this.multicallService.batchCall(calls);
+        const [results, decimalsMap] = await Promise.all([
+            multicallService.batchCall(calls),
+            this.getLPTokenDecimalsForPairs(pairs.map(pair => pair.address || pair.lpToken), context)
+        ]);
         const userData = new Map();
 
         // Parse results (3 results per pair)
@@ -2724,19 +3512,489 @@ class ContractManager {
             const pairAddress = pair.address || pair.lpToken;
             const [balanceResult, allowanceResult, stakeResult] = results.slice(baseIndex, baseIndex + 3);
 
-            const decodedStakeInfo = stakeResult?.success  
-                ? this.multicallService.decodeResult(this.stakingContract, 'getUserStakeInfo', stakeResult.returnData)  
-                : null;
+            const decodedStakeInfo = stakeResult?.success  
+                ? multicallService.decodeResult(stakingContract, 'getUserStakeInfo', stakeResult.returnData)  
+                : null;
+
+            userData.set(pairAddress, {
+                balance: balanceResult?.success ? multicallService.decodeResult(erc20Interface, 'balanceOf', balanceResult.returnData) || ethers.BigNumber.from(0) : ethers.BigNumber.from(0),
+                allowance: allowanceResult?.success ? multicallService.decodeResult(erc20Interface, 'allowance', allowanceResult.returnData) || ethers.BigNumber.from(0) : ethers.BigNumber.from(0),
+                stake: decodedStakeInfo?.amount || ethers.BigNumber.from(0),
+                pendingRewards: decodedStakeInfo?.pendingRewards || ethers.BigNumber.from(0),
+                decimals: decimalsMap.get(pairAddress.toLowerCase()) // LP decimals, for balance and stake
+            });
+        });
+
+        return userData;
+    }
+
+    /**
+     * Build (or reuse) a read-only context for a configured network.
+     * The selected network maps onto this manager's own provider and contracts; other networks
+     * get a dedicated JSON-RPC provider and multicall so they can be read without switching.
+     * @param {string} [networkKey] - Key in CONFIG.NETWORKS (defaults to the selected network)
+     * @returns {Promise<{networkKey: string, networkName: string, chainId: number, provider: Object, multicallService: Object, stakingContract: Object, stakingAddress: string}>}
+     */
+    async getNetworkReadContext(networkKey = null) {
+        const selectedKey = window.networkSelector?.getSelectedNetworkKey();
+
+        if (!networkKey || networkKey === selectedKey) {
+            return {
+                networkKey: selectedKey,
+                networkName: window.networkSelector?.getCurrentNetworkName(),
+                chainId: window.networkSelector?.getCurrentChainId(),
+                provider: this.provider,
+                multicallService: this.multicallService,
+                stakingContract: this.stakingContract,
+                stakingAddress: this.contractAddresses.get('STAKING')
+            };
+        }
+
+        const cached = this.networkReadContexts.get(networkKey);
+        if (cached) {
+            return cached;
+        }
+
+        const networkConfig = window.CONFIG?.NETWORKS?.[networkKey];
+        if (!networkConfig) {
+            throw new Error(`Unknown network: ${networkKey}`);
+        }
+
+        const stakingAddress = networkConfig.CONTRACTS?.STAKING_CONTRACT;
+        if (!this.isValidContractAddress(stakingAddress)) {
+            throw new Error(`No staking contract configured for ${networkConfig.NAME}`);
+        }
+
+        const rpcUrls = [...new Set([networkConfig.RPC_URL, ...(networkConfig.FALLBACK_RPCS || [])].filter(Boolean))];
+        let provider = null;
+
+        for (const rpcUrl of rpcUrls) {
+            try {
+                const candidate = new ethers.providers.JsonRpcProvider({ url: rpcUrl, timeout: 8000 }, networkConfig.CHAIN_ID);
+                await candidate.getBlockNumber();
+                provider = candidate;
+                break;
+            } catch (error) {
+                console.warn(`⚠️ ${networkConfig.NAME} provider not available: ${rpcUrl} - ${error.message}`);
+            }
+        }
+
+        if (!provider) {
+            throw new Error(`No working RPC provider for ${networkConfig.NAME}`);
+        }
+
+        const multicallService = new window.MulticallService();
+        const multicallReady = await multicallService.initialize(provider, networkConfig.CHAIN_ID);
+        if (!multicallReady) {
+            throw new Error(`Multicall not available on ${networkConfig.NAME}`);
+        }
+
+        const context = {
+            networkKey,
+            networkName: networkConfig.NAME,
+            chainId: networkConfig.CHAIN_ID,
+            provider,
+            multicallService,
+            stakingContract: new ethers.Contract(
+                stakingAddress,
+                this.contractABIs.get('STAKING') || window.CONFIG.ABIS.STAKING_CONTRACT,
+                provider
+            ),
+            stakingAddress
+        };
+
+        this.networkReadContexts.set(networkKey, context);
+        console.log(`🌐 Read context ready for ${networkConfig.NAME}`);
+        return context;
+    }
+
+    /**
+     * Load a user's positions on one network for the portfolio view.
+     * Only pairs where the user has a stake, pending rewards or a wallet LP balance are returned,
+     * each with its LP stake breakdown so underlying token amounts can be derived.
+     * @param {string} userAddress - Wallet address
+     * @param {string} [networkKey] - Key in CONFIG.NETWORKS (defaults to the selected network)
+     * @returns {Promise<Object>} Network summary with reward parameters and positions
+     */
+    async getUserPortfolio(userAddress, networkKey = null) {
+        const context = await this.getNetworkReadContext(networkKey);
+        const { multicallService, stakingContract } = context;
+
+        if (!stakingContract || !multicallService?.isReady()) {
+            throw new Error(`Contracts not ready for ${context.networkName || networkKey}`);
+        }
+
+        const calls = [
+            multicallService.createCall(stakingContract, 'hourlyRewardRate'),
+            multicallService.createCall(stakingContract, 'totalWeight'),
+            multicallService.createCall(stakingContract, 'rewardToken'),
+            multicallService.createCall(stakingContract, 'getPairs')
+        ];
+
+        const results = await multicallService.batchCall(calls);
+        if (!results || results.length !== calls.length || results.some(result => !result?.success)) {
+            throw new Error(`Failed to read staking contract on ${context.networkName}`);
+        }
+
+        const hourlyRewardRate = multicallService.decodeResult(stakingContract, 'hourlyRewardRate', results[0].returnData);
+        const totalWeight = multicallService.decodeResult(stakingContract, 'totalWeight', results[1].returnData);
+        const rewardToken = multicallService.decodeResult(stakingContract, 'rewardToken', results[2].returnData);
+        const rawPairs = multicallService.decodeResult(stakingContract, 'getPairs', results[3].returnData) || [];
+
+        const pairs = rawPairs
+            .map(pair => ({
+                address: pair.lpToken,
+                name: pair.pairName,
+                platform: pair.platform,
+                weight: ethers.BigNumber.from(pair.weight || 0),
+                isActive: pair.isActive
+            }))
+            .filter(pair => this.isValidContractAddress(pair.address));
+
+        const userData = pairs.length > 0
+            ? await this.getUserDataForAllPairs(userAddress, pairs, context)
+            : new Map();
+
+        const positions = [];
+        for (const pair of pairs) {
+            const data = userData.get(pair.address);
+            if (!data || (data.stake.isZero() && data.pendingRewards.isZero() && data.balance.isZero())) {
+                continue;
+            }
+
+            let breakdown = null;
+            try {
+                breakdown = await this.getLPStakeBreakdown(pair.address, { context, platform: pair.platform });
+            } catch (error) {
+                console.warn(`⚠️ Breakdown unavailable for ${pair.name} on ${context.networkName}:`, error.message);
+            }
+
+            positions.push({ pair, ...data, breakdown });
+        }
+
+        return {
+            networkKey: context.networkKey,
+            networkName: context.networkName,
+            chainId: context.chainId,
+            rewardToken,
+            hourlyRewardRate: ethers.BigNumber.from(hourlyRewardRate || 0),
+            totalWeight: ethers.BigNumber.from(totalWeight || 0),
+            positions
+        };
+    }
+
+    /**
+     * Read a user's StakeAdded / StakeRemoved / RewardsClaimed logs from the staking contract.
+     * Scans in LEDGER.LOG_CHUNK_BLOCKS ranges so public RPC block-range limits are respected;
+     * ranges, blocks and receipts are fetched API.MAX_CONCURRENT_REQUESTS at a time.
+     * @param {string} userAddress - Wallet address
+     * @param {Object} [options]
+     * @param {number} [options.fromBlock] - First block to scan (defaults to the staking contract's
+     *   deploy block, or MAX_LOOKBACK_BLOCKS before latest when that is unknown)
+     * @param {number} [options.toBlock] - Last block to scan (defaults to latest)
+     * @param {Function} [options.onProgress] - (scannedBlocks, totalBlocks) callback
+     * @returns {Promise<{events: Array<Object>, fromBlock: number, toBlock: number}>}
+     */
+    async getUserStakingLogs(userAddress, options = {}) {
+        if (!this.stakingContract || !this.provider) {
+            throw new Error('Staking contract not initialized');
+        }
+
+        const ledgerConfig = window.CONFIG?.LEDGER || {};
+        const chunkSize = ledgerConfig.LOG_CHUNK_BLOCKS || 10000;
+        const batchSize = window.CONFIG?.API?.MAX_CONCURRENT_REQUESTS || 5;
+        const latestBlock = options.toBlock ?? await this.provider.getBlockNumber();
+        const defaultFromBlock = options.fromBlock ?? await this.getStakingDeployBlock()
+            ?? latestBlock - (ledgerConfig.MAX_LOOKBACK_BLOCKS || 1000000);
+        const fromBlock = Math.max(defaultFromBlock, 0);
+        const onProgress = typeof options.onProgress === 'function' ? options.onProgress : () => {};
+
+        const iface = this.stakingContract.interface;
+        const eventTypes = { StakeAdded: 'stake', StakeRemoved: 'unstake', RewardsClaimed: 'claim' };
+        const topics = [
+            Object.keys(eventTypes).map(name => iface.getEventTopic(name)),
+            ethers.utils.hexZeroPad(userAddress, 32)
+        ];
+
+        const events = [];
+        const totalBlocks = latestBlock - fromBlock + 1;
+
+        const ranges = [];
+        for (let start = fromBlock; start <= latestBlock; start += chunkSize) {
+            ranges.push([start, Math.min(start + chunkSize - 1, latestBlock)]);
+        }
+
+        for (let batchStart = 0; batchStart < ranges.length; batchStart += batchSize) {
+            const batch = ranges.slice(batchStart, batchStart + batchSize);
+            const batchLogs = await Promise.all(batch.map(([start, end]) => this.executeWithRetry(() => this.provider.getLogs({
+                address: this.stakingContract.address,
+                topics,
+                fromBlock: start,
+                toBlock: end
+            }), 'getUserStakingLogs')));
+
+            for (const log of batchLogs.flat()) {
+                try {
+                    const parsed = iface.parseLog(log);
+                    events.push({
+                        type: eventTypes[parsed.name],
+                        hash: log.transactionHash,
+                        blockNumber: log.blockNumber,
+                        logIndex: log.logIndex,
+                        pairAddress: parsed.args.lpToken,
+                        amount: parsed.args.amount.toString()
+                    });
+                } catch (error) {
+                    console.warn('⚠️ Skipping unparseable staking log:', error.message);
+                }
+            }
+
+            onProgress(batch[batch.length - 1][1] - fromBlock + 1, totalBlocks);
+        }
+
+        // Resolve block timestamps (cached across rebuilds) and gas usage for the matched transactions
+        const chainId = window.networkSelector?.getCurrentChainId();
+        const blockKey = blockNumber => `${chainId}:${blockNumber}`;
+        const blockNumbers = [...new Set(events.map(event => event.blockNumber))]
+            .filter(blockNumber => !this.blockTimestamps.has(blockKey(blockNumber)));
+        const hashes = [...new Set(events.map(event => event.hash))];
+        const receipts = new Map();
+
+        for (let batchStart = 0; batchStart < blockNumbers.length; batchStart += batchSize) {
+            const batch = blockNumbers.slice(batchStart, batchStart + batchSize);
+            const blocks = await Promise.all(batch.map(blockNumber => this.provider.getBlock(blockNumber)));
+            blocks.forEach((block, index) => {
+                if (block) this.blockTimestamps.set(blockKey(batch[index]), block.timestamp * 1000);
+            });
+        }
+
+        for (let batchStart = 0; batchStart < hashes.length; batchStart += batchSize) {
+            const batch = hashes.slice(batchStart, batchStart + batchSize);
+            const batchReceipts = await Promise.all(batch.map(hash => this.provider.getTransactionReceipt(hash)));
+            batchReceipts.forEach((receipt, index) => receipts.set(batch[index], receipt));
+        }
+
+        for (const event of events) {
+            const receipt = receipts.get(event.hash);
+            event.timestamp = this.blockTimestamps.get(blockKey(event.blockNumber)) ?? null;
+            event.gasUsed = receipt?.gasUsed?.toString() || null;
+            event.effectiveGasPrice = receipt?.effectiveGasPrice?.toString() || null;
+        }
+
+        console.log(`📜 Found ${events.length} staking events for ${userAddress} in blocks ${fromBlock}-${latestBlock}`);
+        return { events, fromBlock, toBlock: latestBlock };
+    }
+
+    // ==================== CONTRACT EVENT SUBSCRIPTIONS ====================
+
+    /**
+     * Subscribe to staking contract activity. New blocks are polled with eth_getLogs and
+     * handlers receive the decoded events so they can refresh only what changed. When logs
+     * are unavailable handlers get a `fallback` batch on the timed refresh interval instead.
+     *
+     * @param {Function} handler - ({ events, fromBlock, toBlock, fallback }) => void
+     * @returns {Function} Unsubscribe function
+     */
+    subscribeToContractEvents(handler) {
+        if (typeof handler !== 'function') {
+            throw new Error('Contract event handler must be a function');
+        }
+
+        this.eventSubscribers.add(handler);
+        this.startEventWatcher();
+
+        return () => {
+            this.eventSubscribers.delete(handler);
+            if (this.eventSubscribers.size === 0) {
+                this.stopEventWatcher();
+            }
+        };
+    }
+
+    startEventWatcher() {
+        if (this.eventWatcher.timer) return;
+
+        const interval = window.CONFIG?.EVENTS?.POLL_INTERVAL || 15000;
+        this.eventWatcher.timer = setInterval(() => this.pollContractEvents(), interval);
+        console.log(`👂 Watching staking contract events every ${interval / 1000}s`);
+    }
+
+    stopEventWatcher() {
+        if (this.eventWatcher.timer) {
+            clearInterval(this.eventWatcher.timer);
+            console.log('🔇 Stopped watching staking contract events');
+        }
+
+        this.eventWatcher = this.createEventWatcherState();
+    }
+
+    createEventWatcherState() {
+        return {
+            timer: null,
+            isPolling: false,
+            contractAddress: null,
+            lastBlock: null,
+            logsAvailable: true,
+            lastFallbackAt: Date.now()
+        };
+    }
+
+    /**
+     * Fetch logs emitted by the staking contract since the last polled block
+     */
+    async pollContractEvents() {
+        const watcher = this.eventWatcher;
+        if (watcher.isPolling || (typeof document !== 'undefined' && document.hidden)) return;
+        if (!this.stakingContract || !this.provider) return;
+
+        watcher.isPolling = true;
+        try {
+            // A different contract address means the network changed; start from the head again
+            const contractAddress = this.stakingContract.address;
+            if (watcher.contractAddress !== contractAddress) {
+                watcher.contractAddress = contractAddress;
+                watcher.lastBlock = null;
+            }
+
+            const latestBlock = await this.provider.getBlockNumber();
+            if (watcher.lastBlock === null) {
+                watcher.lastBlock = latestBlock;
+                return;
+            }
+            if (latestBlock <= watcher.lastBlock) return;
+
+            // After a long pause only scan the most recent window and ask for a full refresh
+            const maxRange = window.CONFIG?.EVENTS?.MAX_BLOCK_RANGE || 2000;
+            let fromBlock = watcher.lastBlock + 1;
+            const skippedBlocks = latestBlock - fromBlock + 1 > maxRange;
+            if (skippedBlocks) {
+                fromBlock = latestBlock - maxRange + 1;
+            }
+
+            const logs = await this.provider.getLogs({ address: contractAddress, fromBlock, toBlock: latestBlock });
+
+            watcher.lastBlock = latestBlock;
+            if (!watcher.logsAvailable) {
+                console.log('✅ Contract log polling restored');
+                watcher.logsAvailable = true;
+            }
+
+            const events = await this.classifyByTransaction(logs.map(log => this.decodeContractLog(log)));
+            if (events.length > 0 || skippedBlocks) {
+                console.log(`📡 ${events.length} staking contract events in blocks ${fromBlock}-${latestBlock}`);
+                this.emitContractEvents({ events, fromBlock, toBlock: latestBlock, fallback: skippedBlocks });
+            }
+        } catch (error) {
+            if (watcher.logsAvailable) {
+                console.warn('⚠️ Contract log polling unavailable, falling back to timed refresh:', error.message);
+                watcher.logsAvailable = false;
+            }
+
+            const fallbackInterval = window.CONFIG?.APP?.REFRESH_INTERVAL || 30000;
+            if (Date.now() - watcher.lastFallbackAt >= fallbackInterval) {
+                watcher.lastFallbackAt = Date.now();
+                this.emitContractEvents({ events: [], fromBlock: null, toBlock: null, fallback: true });
+            }
+        } finally {
+            watcher.isPolling = false;
+        }
+    }
+
+    /**
+     * Decode a staking contract log into a refresh hint.
+     * kind: user (stake/unstake/claim), proposal (propose*, approveAction, rejectAction,
+     * executeAction; see classifyByTransaction) or unknown (not attributable to a call).
+     *
+     * @returns {{name: string, kind: string, user: string|null, pairAddress: string|null, actionId: number|null, blockNumber: number, hash: string}}
+     */
+    decodeContractLog(log) {
+        const kinds = {
+            StakeAdded: 'user',
+            StakeRemoved: 'user',
+            RewardsClaimed: 'user'
+        };
+
+        const event = {
+            name: 'Unknown',
+            kind: 'unknown',
+            user: null,
+            pairAddress: null,
+            actionId: null,
+            blockNumber: log.blockNumber,
+            hash: log.transactionHash
+        };
+
+        try {
+            const parsed = this.stakingContract.interface.parseLog(log);
+            const args = parsed.args;
+            event.name = parsed.name;
+            event.kind = kinds[parsed.name] || 'unknown';
+            event.user = args.user || null;
+            event.pairAddress = args.lpToken || null;
+            event.actionId = args.actionId !== undefined ? Number(args.actionId) : null;
+        } catch (error) {
+            // Not declared in the ABI; subscribers treat unknown events as "refresh everything"
+        }
+
+        return event;
+    }
 
-            userData.set(pairAddress, {
-                balance: balanceResult?.success ? this.multicallService.decodeResult(erc20Interface, 'balanceOf', balanceResult.returnData) || ethers.BigNumber.from(0) : ethers.BigNumber.from(0),
-                allowance: allowanceResult?.success ? this.multicallService.decodeResult(erc20Interface, 'allowance', allowanceResult.returnData) || ethers.BigNumber.from(0) : ethers.BigNumber.from(0),
-                stake: decodedStakeInfo?.amount || ethers.BigNumber.from(0),
-                pendingRewards: decodedStakeInfo?.pendingRewards || ethers.BigNumber.from(0)
-            });
-        });
+    /**
+     * Classify logs that don't match a declared event by the staking contract function their
+     * transaction called. The function ABI is what the app already calls, so this doesn't
+     * depend on guessing governance event names. Calls through another contract (e.g. a
+     * multisig wallet) can't be decoded and stay unknown.
+     * @param {Array<Object>} events - From decodeContractLog()
+     * @returns {Promise<Array<Object>>} The same events, classified where possible
+     */
+    async classifyByTransaction(events) {
+        const hashes = [...new Set(events.filter(event => event.kind === 'unknown').map(event => event.hash))];
+        if (hashes.length === 0) return events;
+
+        const userFunctions = ['stake', 'stakeWithPermit', 'unstake', 'claimRewards'];
+        const actionFunctions = ['approveAction', 'rejectAction', 'executeAction'];
+        const iface = this.stakingContract.interface;
+        const stakingLower = this.stakingContract.address.toLowerCase();
+        const batchSize = window.CONFIG?.API?.MAX_CONCURRENT_REQUESTS || 5;
+        const calls = new Map();
+
+        const classify = async (hash) => {
+            try {
+                const tx = await this.provider.getTransaction(hash);
+                if (!tx || tx.to?.toLowerCase() !== stakingLower) return;
+
+                const parsed = iface.parseTransaction({ data: tx.data, value: tx.value });
+                const call = { name: parsed.name, kind: 'unknown', user: null, pairAddress: null, actionId: null };
+                if (userFunctions.includes(parsed.name)) {
+                    Object.assign(call, { kind: 'user', user: tx.from, pairAddress: parsed.args.lpToken });
+                } else if (actionFunctions.includes(parsed.name)) {
+                    Object.assign(call, { kind: 'proposal', actionId: parsed.args.actionId.toNumber() });
+                } else if (parsed.name.startsWith('propose')) {
+                    Object.assign(call, { kind: 'proposal', actionId: await this.getProposalIdFromTransaction(hash) });
+                }
+                calls.set(hash, call);
+            } catch (error) {
+                // Unreadable transaction or unknown function; left as unknown
+            }
+        };
 
-        return userData;
+        for (let i = 0; i < hashes.length; i += batchSize) {
+            await Promise.all(hashes.slice(i, i + batchSize).map(classify));
+        }
+
+        return events.map(event => (event.kind === 'unknown' && calls.has(event.hash)
+            ? { ...event, ...calls.get(event.hash) }
+            : event));
+    }
+
+    emitContractEvents(batch) {
+        for (const handler of this.eventSubscribers) {
+            try {
+                handler(batch);
+            } catch (error) {
+                console.error('Contract event handler error:', error);
+            }
+        }
     }
 
     // ==================== CONTRACT WRITE OPERATIONS ====================
@@ -2748,16 +4006,21 @@ class ContractManager {
         try {
             // Get LP token contract
             const lpContract = this.getLPTokenContract(pairName);
+            const decimals = await this.getLPTokenDecimals(lpContract.address, { strict: true });
 
             return await this.executeTransactionOnce(async () => {
                 const stakingAddress = this.contractAddresses.get('STAKING');
-                const amountWei = typeof amount === 'bigint' ? amount : ethers.utils.parseEther(amount.toString());
+                const amountWei = typeof amount === 'bigint' ? amount : ethers.utils.parseUnits(amount.toString(), decimals);
                 const tx = await lpContract.approve(stakingAddress, amountWei);
 
                 console.log('Approve transaction sent:', tx.hash);
 
                 return tx;
-            }, 'approveLPToken');
+            }, 'approveLPToken', {
+                pairAddress: lpContract.address,
+                pairName,
+                amount: typeof amount === 'bigint' ? null : amount
+            });
         } catch (error) {
             console.error('❌ Failed to approve LP token:', error);
             return {
@@ -2800,7 +4063,7 @@ class ContractManager {
                 // CRITICAL FIX: Return tx object, not receipt
                 // The executeTransactionOnce will call tx.wait() via monitorTransactionWithTimeout
                 return tx;
-            }, 'claimRewards');
+            }, 'claimRewards', { pairAddress: lpTokenAddress });
         } catch (error) {
             console.error('❌ Failed to claim rewards:', error);
             return {
@@ -2810,6 +4073,29 @@ class ContractManager {
         }
     }
 
+    /**
+     * Find every pair with claimable rewards for a user, largest first
+     * @param {string} userAddress - Wallet address
+     * @param {Array} pairs - LP pair objects with at least an address
+     * @returns {Promise<Array<{pair: Object, pendingRewards: ethers.BigNumber}>>}
+     */
+    async getClaimableRewards(userAddress, pairs) {
+        const validPairs = (pairs || []).filter(pair => this.isValidContractAddress(pair?.address));
+        if (!userAddress || validPairs.length === 0) {
+            return [];
+        }
+
+        const userDataMap = await this.getUserDataForAllPairs(userAddress, validPairs);
+
+        return validPairs
+            .map(pair => ({
+                pair,
+                pendingRewards: userDataMap.get(pair.address)?.pendingRewards || ethers.BigNumber.from(0)
+            }))
+            .filter(entry => entry.pendingRewards.gt(0))
+            .sort((a, b) => (b.pendingRewards.gt(a.pendingRewards) ? 1 : b.pendingRewards.lt(a.pendingRewards) ? -1 : 0));
+    }
+
     /**
      * Stake LP tokens
      */
@@ -2833,9 +4119,11 @@ class ContractManager {
         }
 
         try {
+            const decimals = await this.getLPTokenDecimals(lpTokenAddress, { strict: true });
+
             return await this.executeTransactionOnce(async () => {
-                // Convert amount to wei
-                const amountWei = ethers.utils.parseEther(amount.toString());
+                // Convert amount to LP token units
+                const amountWei = ethers.utils.parseUnits(amount.toString(), decimals);
 
                 // Connect contract with signer for transaction
                 const contractWithSigner = this.stakingContract.connect(this.signer);
@@ -2847,7 +4135,7 @@ class ContractManager {
                 // CRITICAL FIX: Return tx object, not receipt
                 // The executeTransactionOnce will call tx.wait() via monitorTransactionWithTimeout
                 return tx;
-            }, 'stake');
+            }, 'stake', { pairAddress: lpTokenAddress, amount });
         } catch (error) {
             console.error('❌ Failed to stake:', error);
             return {
@@ -2857,6 +4145,199 @@ class ContractManager {
         }
     }
 
+    /**
+     * Check whether a contract's bytecode dispatches a function selector
+     * Reads the deployed code, so functions behind a proxy are not detected.
+     * @param {string} address - Contract address
+     * @param {string} signature - e.g. 'permit(address,address,uint256,uint256,uint8,bytes32,bytes32)'
+     */
+    async hasFunctionSelector(address, signature) {
+        const provider = this.provider || this.signer?.provider;
+        const code = await provider.getCode(address);
+        const selector = ethers.utils.id(signature).slice(2, 10);
+        // PUSH4 <selector> in the function dispatcher
+        return typeof code === 'string' && code.toLowerCase().includes(`63${selector}`);
+    }
+
+    /**
+     * EIP-712 domain for an LP token's EIP-2612 permit
+     * The token must expose permit, nonces and DOMAIN_SEPARATOR, and the separator must match the
+     * domain built here (name, version '1' or the token's version(), chain ID, token address).
+     * @param {string} lpTokenAddress - LP token address
+     * @returns {Promise<Object|null>} Domain for signer._signTypedData(), or null when permit is unsupported
+     */
+    async getPermitDomain(lpTokenAddress) {
+        const chainId = window.networkSelector?.getCurrentChainId();
+        const cacheKey = `${chainId}:${lpTokenAddress.toLowerCase()}`;
+        if (this.permitDomains.has(cacheKey)) {
+            return this.permitDomains.get(cacheKey);
+        }
+
+        const provider = this.provider || this.signer?.provider;
+        const token = new ethers.Contract(lpTokenAddress, [
+            'function name() view returns (string)',
+            'function version() view returns (string)',
+            'function nonces(address owner) view returns (uint256)',
+            'function DOMAIN_SEPARATOR() view returns (bytes32)'
+        ], provider);
+
+        let domain = null;
+        try {
+            const [hasPermit, name, version, nonce, separator] = await Promise.all([
+                this.hasFunctionSelector(lpTokenAddress, 'permit(address,address,uint256,uint256,uint8,bytes32,bytes32)'),
+                token.name().catch(() => null),
+                token.version().catch(() => null),
+                token.nonces(ethers.constants.AddressZero).catch(() => null),
+                token.DOMAIN_SEPARATOR().catch(() => null)
+            ]);
+
+            if (hasPermit && name && nonce !== null && separator) {
+                const versions = [...new Set([version, '1', '2'].filter(Boolean))];
+                domain = versions
+                    .map(candidate => ({ name, version: candidate, chainId: Number(chainId), verifyingContract: lpTokenAddress }))
+                    .find(candidate => ethers.utils._TypedDataEncoder.hashDomain(candidate).toLowerCase() === separator.toLowerCase()) || null;
+            }
+        } catch (error) {
+            // Don't cache: a failed read is not proof the token lacks permit
+            console.warn(`⚠️ Permit check failed for ${lpTokenAddress}:`, error.message);
+            return null;
+        }
+
+        console.log(`${domain ? '✍️' : 'ℹ️'} LP token ${lpTokenAddress} ${domain ? 'supports' : 'does not support'} EIP-2612 permit`);
+        this.permitDomains.set(cacheKey, domain);
+        return domain;
+    }
+
+    /**
+     * Whether a stake of this LP token can skip the approve transaction
+     * Needs PERMIT.ENABLED, stakeWithPermit on the staking contract and permit on the LP token.
+     * @param {string} lpTokenAddress - LP token address
+     * @returns {Promise<boolean>}
+     */
+    async canStakeWithPermit(lpTokenAddress) {
+        if (window.CONFIG?.PERMIT?.ENABLED === false || !this.stakingContract) {
+            return false;
+        }
+
+        const cacheKey = `${window.networkSelector?.getCurrentChainId()}:${this.stakingContract.address.toLowerCase()}`;
+        if (!this.stakingPermitSupport.has(cacheKey)) {
+            try {
+                const supported = await this.hasFunctionSelector(
+                    this.stakingContract.address,
+                    'stakeWithPermit(address,uint256,uint256,uint8,bytes32,bytes32)'
+                );
+                this.stakingPermitSupport.set(cacheKey, supported);
+            } catch (error) {
+                console.warn('⚠️ Could not check staking contract for stakeWithPermit:', error.message);
+                return false;
+            }
+        }
+
+        if (!this.stakingPermitSupport.get(cacheKey)) {
+            return false;
+        }
+
+        return !!(await this.getPermitDomain(lpTokenAddress));
+    }
+
+    /**
+     * Ask the wallet for an EIP-2612 permit letting the staking contract pull LP tokens
+     * @param {string} lpTokenAddress - LP token address
+     * @param {ethers.BigNumber} value - Amount in LP token units
+     * @returns {Promise<{deadline: number, v: number, r: string, s: string}>}
+     */
+    async signLPPermit(lpTokenAddress, value) {
+        const domain = await this.getPermitDomain(lpTokenAddress);
+        if (!domain) {
+            throw new Error('This LP token does not support permit signatures');
+        }
+
+        const owner = await this.signer.getAddress();
+        const token = new ethers.Contract(lpTokenAddress, ['function nonces(address owner) view returns (uint256)'], this.provider || this.signer.provider);
+        const nonce = await token.nonces(owner);
+        const deadline = Math.floor(Date.now() / 1000) + (window.CONFIG?.PERMIT?.DEADLINE_MINUTES || 20) * 60;
+
+        const types = {
+            Permit: [
+                { name: 'owner', type: 'address' },
+                { name: 'spender', type: 'address' },
+                { name: 'value', type: 'uint256' },
+                { name: 'nonce', type: 'uint256' },
+                { name: 'deadline', type: 'uint256' }
+            ]
+        };
+
+        const signature = await this.signer._signTypedData(domain, types, {
+            owner,
+            spender: this.stakingContract.address,
+            value,
+            nonce,
+            deadline
+        });
+
+        const { v, r, s } = ethers.utils.splitSignature(signature);
+        return { deadline, v, r, s };
+    }
+
+    /**
+     * Stake LP tokens with an EIP-2612 permit instead of a prior approve transaction
+     * The wallet is asked for a signature, then for the stakeWithPermit transaction.
+     * Only call when canStakeWithPermit() is true.
+     */
+    async stakeWithPermit(lpTokenAddress, amount) {
+        // Ensure we have a signer for transactions
+        await this.ensureSigner();
+
+        // Verify contract is available
+        if (!this.stakingContract) {
+            const errorMsg = 'Staking contract is not available. Please ensure you are connected to the correct network.';
+            console.error('❌ Cannot stake: Staking contract not initialized');
+
+            if (window.notificationManager) {
+                window.notificationManager.error(errorMsg);
+            }
+
+            return {
+                success: false,
+                error: errorMsg
+            };
+        }
+
+        try {
+            const decimals = await this.getLPTokenDecimals(lpTokenAddress, { strict: true });
+
+            return await this.executeTransactionOnce(async () => {
+                // Convert amount to LP token units
+                const amountWei = ethers.utils.parseUnits(amount.toString(), decimals);
+
+                const permit = await this.signLPPermit(lpTokenAddress, amountWei);
+                console.log(`✍️ Permit signed, valid until ${new Date(permit.deadline * 1000).toLocaleTimeString()}`);
+
+                // Connect contract with signer for transaction
+                const contractWithSigner = this.stakingContract.connect(this.signer);
+                const tx = await contractWithSigner.stakeWithPermit(
+                    lpTokenAddress,
+                    amountWei,
+                    permit.deadline,
+                    permit.v,
+                    permit.r,
+                    permit.s
+                );
+
+                console.log(`✅ Stake with permit transaction sent: ${tx.hash}`);
+                console.log(`   Amount: ${amount} LP tokens`);
+
+                return tx;
+            }, 'stake', { pairAddress: lpTokenAddress, amount });
+        } catch (error) {
+            console.error('❌ Failed to stake with permit:', error);
+            return {
+                success: false,
+                error: error
+            };
+        }
+    }
+
     /**
      * Unstake LP tokens
      */
@@ -2880,9 +4361,11 @@ class ContractManager {
         }
 
         try {
+            const decimals = await this.getLPTokenDecimals(lpTokenAddress, { strict: true });
+
             return await this.executeTransactionOnce(async () => {
-                // Convert amount to wei
-                const amountWei = ethers.utils.parseEther(amount.toString());
+                // Convert amount to LP token units
+                const amountWei = ethers.utils.parseUnits(amount.toString(), decimals);
 
                 // Connect contract with signer for transaction
                 const contractWithSigner = this.stakingContract.connect(this.signer);
@@ -2894,7 +4377,7 @@ class ContractManager {
                 // CRITICAL FIX: Return tx object, not receipt
                 // The executeTransactionOnce will call tx.wait() via monitorTransactionWithTimeout
                 return tx;
-            }, 'unstake');
+            }, 'unstake', { pairAddress: lpTokenAddress, amount });
         } catch (error) {
             console.error('❌ Failed to unstake:', error);
             return {
@@ -2904,6 +4387,282 @@ class ContractManager {
         }
     }
 
+    // ==================== COMPOUND OPERATIONS ====================
+
+    /**
+     * Router configured for a pair's platform on the selected network
+     * @param {string} platform - Platform name from the staking contract (e.g. 'Uniswap V2')
+     * @returns {string|null} Router address or null when compounding is not supported
+     */
+    getDexRouterAddress(platform) {
+        const routers = window.networkSelector?.getCurrentContracts()?.DEX_ROUTERS || {};
+        const router = routers[platform];
+        return this.isValidContractAddress(router) ? router : null;
+    }
+
+    /**
+     * Integer square root for BigNumber (Newton's method)
+     */
+    sqrtBigNumber(value) {
+        const n = ethers.BigNumber.from(value);
+        if (n.lt(2)) return n;
+
+        let x = n;
+        let y = x.add(1).div(2);
+        while (y.lt(x)) {
+            x = y;
+            y = x.add(n.div(x)).div(2);
+        }
+        return x;
+    }
+
+    /**
+     * Amount of LIB to swap so the remainder and the swap output match the pool ratio.
+     * Solves s = (sqrt(r^2 (D+F)^2 + 4 F D a r) - r (D+F)) / 2F for a pool with fee (D-F)/D.
+     * @param {ethers.BigNumber} amountIn - LIB being compounded
+     * @param {ethers.BigNumber} reserveIn - LIB reserve of the pair
+     * @param {number} feeBps - Pool swap fee in basis points
+     * @returns {ethers.BigNumber}
+     */
+    calculateOptimalSwapAmount(amountIn, reserveIn, feeBps = 30) {
+        const D = ethers.BigNumber.from(10000);
+        const F = D.sub(feeBps);
+        const sum = D.add(F);
+
+        const root = this.sqrtBigNumber(
+            reserveIn.mul(reserveIn).mul(sum).mul(sum).add(F.mul(D).mul(4).mul(amountIn).mul(reserveIn))
+        );
+        return root.sub(reserveIn.mul(sum)).div(F.mul(2));
+    }
+
+    /**
+     * Uniswap V2 getAmountOut with a configurable pool fee
+     */
+    getAmountOut(amountIn, reserveIn, reserveOut, feeBps = 30) {
+        const amountInWithFee = amountIn.mul(10000 - feeBps);
+        return amountInWithFee.mul(reserveOut).div(reserveIn.mul(10000).add(amountInWithFee));
+    }
+
+    /**
+     * Quote compounding a LIB amount into a Uniswap V2-style pair.
+     * Swaps the optimal share of LIB to the counter token and adds both sides as liquidity.
+     * @param {string} lpTokenAddress - LP token of the staking pair
+     * @param {ethers.BigNumber|string} libAmount - LIB amount in wei
+     * @param {Object} [options]
+     * @param {string} [options.platform] - Pair platform, used to pick the router
+     * @param {number} [options.slippageBps] - Allowed slippage on swap output and liquidity amounts
+     * @returns {Promise<Object>} Router, token addresses, swap/liquidity amounts and expected/minimum LP
+     */
+    async quoteCompound(lpTokenAddress, libAmount, options = {}) {
+        const compoundConfig = window.CONFIG?.COMPOUND || {};
+        const slippageBps = options.slippageBps ?? compoundConfig.DEFAULT_SLIPPAGE_BPS ?? 50;
+        const feeBps = compoundConfig.SWAP_FEE_BPS ?? 30;
+        const amount = ethers.BigNumber.from(libAmount);
+
+        const router = this.getDexRouterAddress(options.platform);
+        if (!router) {
+            throw new Error(`Compounding is not configured for ${options.platform || 'this platform'} on this network`);
+        }
+
+        if (amount.lte(0)) {
+            throw new Error('Nothing to compound');
+        }
+
+        const rewardTokenAddress = this.contractAddresses.get('REWARD_TOKEN');
+        const breakdown = await this.getLPStakeBreakdown(lpTokenAddress);
+        const rewardLower = rewardTokenAddress?.toLowerCase();
+
+        let libToken = null;
+        let otherToken = null;
+        if (breakdown.token0.address.toLowerCase() === rewardLower) {
+            libToken = breakdown.token0;
+            otherToken = breakdown.token1;
+        } else if (breakdown.token1.address.toLowerCase() === rewardLower) {
+            libToken = breakdown.token1;
+            otherToken = breakdown.token0;
+        } else {
+            throw new Error('Compounding is only available for pairs that include LIB');
+        }
+
+        const reserveLib = ethers.BigNumber.from(libToken.reserve.raw);
+        const reserveOther = ethers.BigNumber.from(otherToken.reserve.raw);
+        const totalSupply = ethers.BigNumber.from(breakdown.lpToken.totalSupply.raw);
+        if (reserveLib.isZero() || reserveOther.isZero() || totalSupply.isZero()) {
+            throw new Error('Pair has no liquidity');
+        }
+
+        const swapAmount = this.calculateOptimalSwapAmount(amount, reserveLib, feeBps);
+        const expectedOut = this.getAmountOut(swapAmount, reserveLib, reserveOther, feeBps);
+        const libLiquidity = amount.sub(swapAmount);
+
+        // LP minted against post-swap reserves
+        const reserveLibAfter = reserveLib.add(swapAmount);
+        const reserveOtherAfter = reserveOther.sub(expectedOut);
+        const lpFromLib = libLiquidity.mul(totalSupply).div(reserveLibAfter);
+        const lpFromOther = expectedOut.mul(totalSupply).div(reserveOtherAfter);
+        const expectedLp = lpFromLib.lt(lpFromOther) ? lpFromLib : lpFromOther;
+
+        const applySlippage = value => value.mul(10000 - slippageBps).div(10000);
+
+        return {
+            router,
+            lpTokenAddress,
+            slippageBps,
+            libToken: { address: libToken.address, symbol: libToken.symbol, decimals: libToken.decimals },
+            otherToken: { address: otherToken.address, symbol: otherToken.symbol, decimals: otherToken.decimals },
+            libAmount: amount,
+            swapAmount,
+            expectedOut,
+            minSwapOut: applySlippage(expectedOut),
+            libLiquidity,
+            expectedLp,
+            minLp: applySlippage(expectedLp),
+            lpDecimals: breakdown.lpToken.decimals
+        };
+    }
+
+    /**
+     * Ensure the signer has approved at least `amount` of a token for a spender
+     * @returns {Promise<boolean>} true when an approval transaction was sent
+     */
+    async ensureTokenAllowance(tokenAddress, spender, amount, operationName) {
+        const erc20 = new ethers.Contract(tokenAddress, this.contractABIs.get('ERC20') || window.CONFIG.ABIS.ERC20, this.signer);
+        const owner = await this.signer.getAddress();
+        const allowance = await erc20.allowance(owner, spender);
+        if (allowance.gte(amount)) {
+            return false;
+        }
+
+        await this.executeTransactionOnce(async () => {
+            const tx = await erc20.approve(spender, amount);
+            console.log(`✅ Approval transaction sent: ${tx.hash}`);
+            return tx;
+        }, operationName);
+        return true;
+    }
+
+    /**
+     * Claim a pair's LIB rewards and restake them as LP in the same pair.
+     * Runs claim → approve LIB → swap → approve counter token → addLiquidity → approve LP → stake,
+     * skipping approvals that are already in place. Amounts are re-measured from balance changes
+     * after each step so dust from rounding never causes a revert.
+     * @param {string} lpTokenAddress - LP token of the staking pair
+     * @param {Object} [options]
+     * @param {string} [options.platform] - Pair platform, used to pick the router
+     * @param {number} [options.slippageBps] - Allowed slippage
+     * @param {Function} [options.onStep] - (step, status, data) progress callback
+     * @returns {Promise<{success: boolean, claimed?: ethers.BigNumber, lpStaked?: ethers.BigNumber, receipts?: Object, error?: any, failedStep?: string}>}
+     */
+    async compoundRewards(lpTokenAddress, options = {}) {
+        const onStep = typeof options.onStep === 'function' ? options.onStep : () => {};
+        const deadlineMinutes = window.CONFIG?.COMPOUND?.DEADLINE_MINUTES || 20;
+        let currentStep = 'claim';
+
+        try {
+            await this.ensureSigner();
+            if (!this.stakingContract || !this.signer) {
+                throw new Error('Staking contract is not available. Please ensure you are connected to the correct network.');
+            }
+
+            const user = await this.signer.getAddress();
+            const erc20ABI = this.contractABIs.get('ERC20') || window.CONFIG.ABIS.ERC20;
+            const rewardTokenAddress = this.contractAddresses.get('REWARD_TOKEN');
+            const libContract = new ethers.Contract(rewardTokenAddress, erc20ABI, this.signer);
+            const lpContract = new ethers.Contract(lpTokenAddress, erc20ABI, this.signer);
+
+            // 1. Claim
+            onStep(currentStep, 'active');
+            const libBefore = await libContract.balanceOf(user);
+            const claimResult = await this.claimRewards(lpTokenAddress);
+            if (!claimResult?.success) {
+                throw claimResult?.error || new Error('Claim failed');
+            }
+            const claimed = (await libContract.balanceOf(user)).sub(libBefore);
+            if (claimed.lte(0)) {
+                throw new Error('No LIB was received from the claim');
+            }
+            onStep(currentStep, 'done', { claimed });
+
+            // Quote against the actual claimed amount and current reserves
+            const quote = await this.quoteCompound(lpTokenAddress, claimed, options);
+            const router = new ethers.Contract(quote.router, window.CONFIG.ABIS.UNISWAP_V2_ROUTER, this.signer);
+            const otherContract = new ethers.Contract(quote.otherToken.address, erc20ABI, this.signer);
+            const deadline = () => Math.floor(Date.now() / 1000) + deadlineMinutes * 60;
+            const applySlippage = value => value.mul(10000 - quote.slippageBps).div(10000);
+
+            // 2. Swap the optimal share of LIB to the counter token
+            currentStep = 'swap';
+            onStep(currentStep, 'active', { quote });
+            await this.ensureTokenAllowance(rewardTokenAddress, quote.router, claimed, 'compoundApprove');
+            const otherBefore = await otherContract.balanceOf(user);
+            await this.executeTransactionOnce(async () => {
+                const tx = await router.swapExactTokensForTokens(
+                    quote.swapAmount,
+                    quote.minSwapOut,
+                    [rewardTokenAddress, quote.otherToken.address],
+                    user,
+                    deadline()
+                );
+                console.log(`✅ Compound swap transaction sent: ${tx.hash}`);
+                return tx;
+            }, 'compoundSwap', { pairAddress: lpTokenAddress });
+            const otherReceived = (await otherContract.balanceOf(user)).sub(otherBefore);
+            onStep(currentStep, 'done', { otherReceived });
+
+            // 3. Add liquidity with the remaining LIB and the swap output
+            currentStep = 'addLiquidity';
+            onStep(currentStep, 'active');
+            await this.ensureTokenAllowance(quote.otherToken.address, quote.router, otherReceived, 'compoundApprove');
+            const lpBefore = await lpContract.balanceOf(user);
+            await this.executeTransactionOnce(async () => {
+                const tx = await router.addLiquidity(
+                    rewardTokenAddress,
+                    quote.otherToken.address,
+                    quote.libLiquidity,
+                    otherReceived,
+                    applySlippage(quote.libLiquidity),
+                    applySlippage(otherReceived),
+                    user,
+                    deadline()
+                );
+                console.log(`✅ Compound addLiquidity transaction sent: ${tx.hash}`);
+                return tx;
+            }, 'compoundAddLiquidity', { pairAddress: lpTokenAddress });
+            const lpReceived = (await lpContract.balanceOf(user)).sub(lpBefore);
+            if (lpReceived.lte(0)) {
+                throw new Error('No LP tokens were received from addLiquidity');
+            }
+            onStep(currentStep, 'done', { lpReceived });
+
+            // 4. Stake the new LP
+            currentStep = 'stake';
+            onStep(currentStep, 'active');
+            const stakingAddress = this.contractAddresses.get('STAKING');
+            await this.ensureTokenAllowance(lpTokenAddress, stakingAddress, lpReceived, 'compoundApprove');
+            const stakeResult = await this.stake(lpTokenAddress, ethers.utils.formatUnits(lpReceived, quote.lpDecimals));
+            if (!stakeResult?.success) {
+                throw stakeResult?.error || new Error('Stake failed');
+            }
+            onStep(currentStep, 'done', { lpStaked: lpReceived });
+
+            console.log(`✅ Compounded ${ethers.utils.formatEther(claimed)} LIB into ${ethers.utils.formatUnits(lpReceived, quote.lpDecimals)} LP`);
+            return {
+                success: true,
+                claimed,
+                lpStaked: lpReceived,
+                receipts: { claim: claimResult, stake: stakeResult }
+            };
+        } catch (error) {
+            console.error(`❌ Compound failed at ${currentStep}:`, error);
+            onStep(currentStep, 'failed', { error });
+            return {
+                success: false,
+                error,
+                failedStep: currentStep
+            };
+        }
+    }
+
     // ==================== UTILITY METHODS ====================
 
     /**
@@ -3166,7 +4925,14 @@ class ContractManager {
                         console.log(`[TX MONITOR] ⏳ Transaction pending for ${elapsed}s...`);
                     }, 10000); // Log every 10 seconds
 
-                    const receipt = await tx.wait();
+                    const receipt = await tx.wait().catch(error => {
+                        // A speed-up (same call, higher fee) was mined instead: carry on with its receipt
+                        if (error.code === 'TRANSACTION_REPLACED' && error.reason === 'repriced' && error.receipt) {
+                            console.log(`[TX MONITOR] 🔁 Replaced by sped-up transaction ${error.replacement?.hash || error.receipt.transactionHash}`);
+                            return error.receipt;
+                        }
+                        throw error;
+                    });
 
                     // Clear monitoring
                     clearTimeout(timeoutId);
@@ -3213,26 +4979,37 @@ class ContractManager {
      * 
      * Used for all user-initiated transactions (staking, proposals, approvals, etc.)
      * Users can manually retry by pressing the button again if a transaction fails.
+     * The hash is handed to PendingTransactions as soon as it exists, so the outcome
+     * can still be recovered if the page is reloaded before it confirms.
      * 
      * @param {Function} operation - Async function that returns a transaction object
      * @param {string} operationName - Name of the operation for logging
+     * @param {Object} [context] - Pair address and amount shown for a recovered transaction
      * @returns {Promise<Object>} Transaction receipt with hash, blockNumber, etc.
      */
-    async executeTransactionOnce(operation, operationName) {
+    async executeTransactionOnce(operation, operationName, context = {}) {
+        const pendingTransactions = window?.pendingTransactions;
+        let tx = null;
+
         try {
 
             // Execute the operation (this sends the transaction)
             this.notifyTransactionPhase(operationName, 'user_approval');
-            const tx = await operation();
+            tx = await operation();
             this.notifyTransactionPhase(operationName, 'processing');
 
             // CRITICAL: Log transaction hash immediately after MetaMask confirmation
             console.log(`✅ Transaction submitted to blockchain: ${tx.hash}`);
             console.log(`[TRANSACTION MONITORING] ${operationName} - Hash: ${tx.hash}`);
+            pendingTransactions?.track(tx, operationName, context);
 
             // Add transaction monitoring with timeout
             const result = await this.monitorTransactionWithTimeout(tx, operationName, 300000); // 5 minute timeout
             this.notifyTransactionPhase(operationName, 'confirmed');
+            pendingTransactions?.resolve(tx.hash, 'confirmed', {
+                receipt: result,
+                replacedBy: result.transactionHash !== tx.hash ? result.transactionHash : null
+            });
 
 
             return result;
@@ -3240,6 +5017,10 @@ class ContractManager {
             console.log(`❌ Transaction ${operationName} failed:`, error.message);
             this.notifyTransactionPhase(operationName, 'failed');
 
+            if (tx?.hash && pendingTransactions) {
+                this.settlePendingTransaction(tx.hash, error);
+            }
+
             // Process error through errorHandler if available
             const context = { operation: operationName, contractManager: true, transaction: true };
             let processedError = window?.errorHandler?.processError?.(error, context) || error;
@@ -3251,6 +5032,138 @@ class ContractManager {
         }
     }
 
+    /**
+     * Record what a failed receipt wait means for a submitted transaction
+     * @private
+     */
+    settlePendingTransaction(hash, error) {
+        const pendingTransactions = window.pendingTransactions;
+
+        if (error.code === 'TRANSACTION_REVERTED') {
+            pendingTransactions.resolve(hash, 'failed', { receipt: error.receipt });
+        } else if (error.code === 'TRANSACTION_REPLACED') {
+            // Speed-ups ("repriced") are settled by the monitor; this is a cancel or an unrelated call
+            pendingTransactions.resolve(hash, 'dropped', {
+                reason: error.cancelled ? 'Cancelled' : 'Replaced by another transaction',
+                receipt: error.receipt,
+                replacedBy: error.replacement?.hash
+            });
+        } else {
+            // Timed out or lost the connection: still in flight, keep watching it in the background
+            pendingTransactions.release(hash);
+        }
+    }
+
+
+    /**
+     * Current network fees: EIP-1559 fields when the chain supports them, else a legacy gas price.
+     * Same lookup order as the legacy GasEstimator.getGasPrice (fee data, then eth_gasPrice, then a
+     * configured default), without its 100 gwei cap, which is below what Polygon regularly needs.
+     * @returns {Promise<{maxFeePerGas?: ethers.BigNumber, maxPriorityFeePerGas?: ethers.BigNumber, gasPrice?: ethers.BigNumber}>}
+     */
+    async getNetworkFees() {
+        const provider = this.signer?.provider || this.provider;
+
+        try {
+            const feeData = await provider.getFeeData();
+            if (feeData.maxFeePerGas && feeData.maxPriorityFeePerGas) {
+                return {
+                    maxFeePerGas: feeData.maxFeePerGas,
+                    maxPriorityFeePerGas: feeData.maxPriorityFeePerGas,
+                    gasPrice: feeData.gasPrice || undefined
+                };
+            }
+            if (feeData.gasPrice) {
+                return { gasPrice: feeData.gasPrice };
+            }
+            throw new Error('No gas price data available');
+        } catch (error) {
+            try {
+                return { gasPrice: await provider.getGasPrice() };
+            } catch (fallbackError) {
+                const defaultGwei = window.CONFIG?.REPLACEMENT_TX?.DEFAULT_GAS_PRICE_GWEI || 20;
+                console.warn(`⚠️ Gas price unavailable, using ${defaultGwei} gwei:`, fallbackError.message);
+                return { gasPrice: ethers.utils.parseUnits(String(defaultGwei), 'gwei') };
+            }
+        }
+    }
+
+    /**
+     * Fees for a transaction replacing `original` at the same nonce. Nodes only accept a
+     * replacement that raises every fee field (by 10% on geth/bor), so each field is bumped
+     * and then raised to the current network level if that is higher.
+     * @private
+     */
+    async getReplacementFees(original) {
+        const settings = window.CONFIG?.REPLACEMENT_TX || {};
+        const bumpPercent = Math.max(settings.FEE_BUMP_PERCENT || 15, 10);
+        const bump = value => value.mul(100 + bumpPercent).div(100);
+        const max = (...values) => values.reduce((a, b) => (b.gt(a) ? b : a));
+
+        const network = await this.getNetworkFees();
+
+        if (original.maxFeePerGas && original.maxPriorityFeePerGas) {
+            const minTip = ethers.utils.parseUnits(String(settings.MIN_PRIORITY_FEE_GWEI || 0), 'gwei');
+            const networkTip = network.maxPriorityFeePerGas || network.gasPrice;
+            const networkMaxFee = network.maxFeePerGas || network.gasPrice;
+            const maxPriorityFeePerGas = max(bump(original.maxPriorityFeePerGas), networkTip, minTip);
+
+            return {
+                maxPriorityFeePerGas,
+                maxFeePerGas: max(bump(original.maxFeePerGas), networkMaxFee.sub(networkTip).add(maxPriorityFeePerGas))
+            };
+        }
+
+        return {
+            gasPrice: max(bump(original.gasPrice), network.gasPrice || network.maxFeePerGas)
+        };
+    }
+
+    /**
+     * Resubmit a pending transaction at the same nonce with higher fees, either repeating the
+     * call (speed up) or as an empty self-transfer (cancel). Whichever is mined settles the
+     * nonce, and ethers reports the original as replaced to anything still waiting on it.
+     * @param {string} hash - Pending transaction to replace (the latest replacement, if any)
+     * @param {string} [mode='speedUp'] - speedUp | cancel
+     * @returns {Promise<{success: boolean, transaction?: Object, error?: any}>}
+     */
+    async replacePendingTransaction(hash, mode = 'speedUp') {
+        try {
+            await this.ensureSigner();
+
+            const provider = this.signer?.provider || this.provider;
+            const [original, signerAddress] = await Promise.all([
+                provider.getTransaction(hash),
+                this.signer.getAddress()
+            ]);
+
+            if (!original) {
+                throw new Error('Transaction not found. It may have been dropped or already replaced.');
+            }
+            if (original.blockNumber) {
+                throw new Error('Transaction is already confirmed');
+            }
+            if (original.from.toLowerCase() !== signerAddress.toLowerCase()) {
+                throw new Error('Connect the wallet that sent this transaction to replace it');
+            }
+
+            const fees = await this.getReplacementFees(original);
+            const request = mode === 'cancel'
+                ? { to: signerAddress, value: 0, data: '0x', gasLimit: 21000 }
+                : { to: original.to, value: original.value, data: original.data, gasLimit: original.gasLimit };
+
+            const transaction = await this.signer.sendTransaction({ ...request, nonce: original.nonce, ...fees });
+            console.log(`🔁 ${mode === 'cancel' ? 'Cancellation' : 'Speed-up'} of ${hash} sent: ${transaction.hash} (nonce ${original.nonce})`);
+
+            return { success: true, transaction };
+        } catch (error) {
+            console.error(`❌ Failed to ${mode === 'cancel' ? 'cancel' : 'speed up'} ${hash}:`, error);
+            return {
+                success: false,
+                error: window.errorHandler?.processError?.(error, { operation: mode, contractManager: true, transaction: true }) || error
+            };
+        }
+    }
 
     /**
      * Check if fallback provider can be used
@@ -3284,9 +5197,10 @@ class ContractManager {
             this.provider = fallbackProvider;
 
             // Get signer if wallet is connected
-            if (window.ethereum) {
+            const walletProvider = this.getWalletProvider();
+            if (walletProvider) {
                 try {
-                    const provider = new ethers.providers.Web3Provider(window.ethereum, 'any');
+                    const provider = new ethers.providers.Web3Provider(walletProvider, 'any');
                     this.signer = provider.getSigner();
                     console.log('✅ Signer obtained from MetaMask during provider switch');
                 } catch (error) {
@@ -3501,8 +5415,9 @@ class ContractManager {
      */
     async getCurrentSignerForPermissions() {
         try {
-            if (typeof window.ethereum === 'undefined') return null;
-            const accounts = await window.ethereum.request({ method: 'eth_accounts' });
+            const walletProvider = this.getWalletProvider();
+            if (!walletProvider) return null;
+            const accounts = await walletProvider.request({ method: 'eth_accounts' });
             return accounts.length > 0 ? accounts[0] : null;
         } catch (error) {
             if (error.code === 'UNSUPPORTED_OPERATION' || 
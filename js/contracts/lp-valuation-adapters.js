@@ -0,0 +1,272 @@
+/**
+ * LP Valuation Adapters - Read pool composition for each supported LP platform
+ * Used by ContractManager.getLPStakeBreakdown(). The adapter is picked from the pair's
+ * platform name via CONFIG.PLATFORMS.VALUATION:
+ *   uniswapV2 - token0/token1/getReserves (Uniswap V2, SushiSwap, PancakeSwap)
+ *   balancer  - pool id and Vault.getPoolTokens, normalized weights when the pool has them
+ *   curve     - coins/balances on the pool (or its minter), get_virtual_price and price_oracle
+ *
+ * Every adapter returns the same shape, which the breakdown turns into token amounts:
+ *   { pricing, lpDecimals, totalSupply, stakedBalance, tokens: [{address, reserve, weight}],
+ *     blockTimestampLast, virtualPrice, priceOracle }
+ * pricing tells RewardsCalculator how to convert between pool tokens:
+ *   'reserves' (constant product), 'weighted', 'stable' (pegged 1:1, so LIB can't be priced) or
+ *   'crypto' (priceOracle[k] is the price of coins(k + 1) in coins(0)).
+ */
+(function(global) {
+    'use strict';
+
+    if (global.LPValuationAdapters) {
+        console.warn('LPValuationAdapters already registered, skipping redeclaration');
+        return;
+    }
+
+    const LP_TOKEN_ABI = [
+        'function totalSupply() view returns (uint256)',
+        'function balanceOf(address owner) view returns (uint256)',
+        'function decimals() view returns (uint8)'
+    ];
+
+    const UNISWAP_V2_PAIR_ABI = [
+        ...LP_TOKEN_ABI,
+        'function token0() view returns (address)',
+        'function token1() view returns (address)',
+        'function getReserves() view returns (uint112,uint112,uint32)'
+    ];
+
+    const BALANCER_POOL_ABI = [
+        ...LP_TOKEN_ABI,
+        'function getPoolId() view returns (bytes32)',
+        'function getVault() view returns (address)',
+        'function getActualSupply() view returns (uint256)',
+        'function getNormalizedWeights() view returns (uint256[])'
+    ];
+
+    const BALANCER_VAULT_ABI = [
+        'function getPoolTokens(bytes32 poolId) view returns (address[] tokens, uint256[] balances, uint256 lastChangeBlock)'
+    ];
+
+    const CURVE_LP_ABI = [
+        ...LP_TOKEN_ABI,
+        'function minter() view returns (address)'
+    ];
+
+    // Newer Curve pools index coins with uint256, older ones with int128 (different selectors)
+    const CURVE_POOL_ABI = [
+        'function get_virtual_price() view returns (uint256)',
+        'function price_oracle() view returns (uint256)',
+        'function coins(uint256 i) view returns (address)',
+        'function balances(uint256 i) view returns (uint256)'
+    ];
+
+    // price_oracle(k) quotes coins(k + 1) against coins(0)
+    const CURVE_CRYPTO_POOL_ABI = [
+        'function price_oracle(uint256 k) view returns (uint256)'
+    ];
+
+    const CURVE_LEGACY_POOL_ABI = [
+        'function coins(int128 i) view returns (address)',
+        'function balances(int128 i) view returns (uint256)'
+    ];
+
+    const CURVE_MAX_COINS = 8;
+
+    /**
+     * Run a list of reads in one multicall batch
+     * @param {Object} multicall - MulticallService
+     * @param {Array<{contract: Object, method: string, args?: Array, optional?: boolean}>} reads
+     * @param {number|string|null} blockTag
+     * @returns {Promise<Array>} Decoded values; null for optional reads that failed
+     */
+    async function readAll(multicall, reads, blockTag) {
+        const calls = reads.map(read => multicall.createCall(read.contract, read.method, read.args || []));
+        const results = await multicall.batchCall(calls, { maxRetries: 0, blockTag });
+        if (!results || results.length !== calls.length) {
+            throw new Error('Multicall pool query failed');
+        }
+
+        return reads.map((read, index) => {
+            const entry = results[index];
+            const decoded = entry?.success === true
+                ? multicall.decodeResult(read.contract, read.method, entry.returnData)
+                : null;
+
+            if ((decoded === null || decoded === undefined) && !read.optional) {
+                throw new Error(`Multicall failed for ${read.contract.address}.${read.method}`);
+            }
+            return decoded ?? null;
+        });
+    }
+
+    function isAddress(value) {
+        return typeof value === 'string' && global.ethers.utils.isAddress(value) && value !== global.ethers.constants.AddressZero;
+    }
+
+    const uniswapV2 = {
+        async read({ lpTokenAddress, stakingAddress, provider, multicall, blockTag }) {
+            const pair = new global.ethers.Contract(lpTokenAddress, UNISWAP_V2_PAIR_ABI, provider);
+
+            const [token0, token1, reserves, totalSupply, stakedBalance, lpDecimals] = await readAll(multicall, [
+                { contract: pair, method: 'token0' },
+                { contract: pair, method: 'token1' },
+                { contract: pair, method: 'getReserves' },
+                { contract: pair, method: 'totalSupply' },
+                { contract: pair, method: 'balanceOf', args: [stakingAddress] },
+                { contract: pair, method: 'decimals' }
+            ], blockTag);
+
+            const reserveTimestamp = Number(reserves[2]);
+            if (!Number.isFinite(reserveTimestamp)) {
+                throw new Error('Invalid reserve timestamp');
+            }
+
+            return {
+                pricing: 'reserves',
+                lpDecimals,
+                totalSupply,
+                stakedBalance,
+                tokens: [
+                    { address: token0, reserve: reserves[0] },
+                    { address: token1, reserve: reserves[1] }
+                ],
+                blockTimestampLast: Math.trunc(reserveTimestamp)
+            };
+        }
+    };
+
+    const balancer = {
+        async read({ lpTokenAddress, stakingAddress, provider, multicall, blockTag }) {
+            const pool = new global.ethers.Contract(lpTokenAddress, BALANCER_POOL_ABI, provider);
+
+            const [poolId, vaultAddress, totalSupply, stakedBalance, lpDecimals, actualSupply, weights] = await readAll(multicall, [
+                { contract: pool, method: 'getPoolId' },
+                { contract: pool, method: 'getVault' },
+                { contract: pool, method: 'totalSupply' },
+                { contract: pool, method: 'balanceOf', args: [stakingAddress] },
+                { contract: pool, method: 'decimals' },
+                // Composable pools pre-mint BPT; the actual supply excludes it
+                { contract: pool, method: 'getActualSupply', optional: true },
+                // Only weighted pools expose weights; stable pools are pegged 1:1
+                { contract: pool, method: 'getNormalizedWeights', optional: true }
+            ], blockTag);
+
+            const vault = new global.ethers.Contract(vaultAddress, BALANCER_VAULT_ABI, provider);
+            const [poolTokens] = await readAll(multicall, [
+                { contract: vault, method: 'getPoolTokens', args: [poolId] }
+            ], blockTag);
+
+            const lpLower = lpTokenAddress.toLowerCase();
+            const tokens = poolTokens.tokens
+                .map((address, index) => ({
+                    address,
+                    reserve: poolTokens.balances[index],
+                    weight: weights?.[index] ? Number(global.ethers.utils.formatEther(weights[index])) : null
+                }))
+                // Composable pools list their own BPT among the pool tokens
+                .filter(token => token.address.toLowerCase() !== lpLower);
+
+            return {
+                pricing: weights ? 'weighted' : 'stable',
+                lpDecimals,
+                totalSupply: actualSupply || totalSupply,
+                stakedBalance,
+                tokens,
+                blockTimestampLast: null
+            };
+        }
+    };
+
+    const curve = {
+        async read({ lpTokenAddress, stakingAddress, provider, multicall, blockTag }) {
+            const lpToken = new global.ethers.Contract(lpTokenAddress, CURVE_LP_ABI, provider);
+
+            const [totalSupply, stakedBalance, lpDecimals, minter] = await readAll(multicall, [
+                { contract: lpToken, method: 'totalSupply' },
+                { contract: lpToken, method: 'balanceOf', args: [stakingAddress] },
+                { contract: lpToken, method: 'decimals' },
+                // Older pools mint a separate LP token; newer ones are their own LP token
+                { contract: lpToken, method: 'minter', optional: true }
+            ], blockTag);
+
+            const poolAddress = isAddress(minter) ? minter : lpTokenAddress;
+            const pool = new global.ethers.Contract(poolAddress, CURVE_POOL_ABI, provider);
+            const legacyPool = new global.ethers.Contract(poolAddress, CURVE_LEGACY_POOL_ABI, provider);
+
+            const indexes = Array.from({ length: CURVE_MAX_COINS }, (_, i) => i);
+            const values = await readAll(multicall, [
+                { contract: pool, method: 'get_virtual_price', optional: true },
+                { contract: pool, method: 'price_oracle', optional: true },
+                ...indexes.flatMap(i => [
+                    { contract: pool, method: 'coins', args: [i], optional: true },
+                    { contract: pool, method: 'balances', args: [i], optional: true },
+                    { contract: legacyPool, method: 'coins', args: [i], optional: true },
+                    { contract: legacyPool, method: 'balances', args: [i], optional: true }
+                ])
+            ], blockTag);
+
+            const [virtualPrice, priceOracle] = values;
+            const tokens = [];
+            for (const i of indexes) {
+                const [coin, balance, legacyCoin, legacyBalance] = values.slice(2 + i * 4, 6 + i * 4);
+                const address = isAddress(coin) ? coin : legacyCoin;
+                const reserve = isAddress(coin) ? balance : legacyBalance;
+                if (!isAddress(address) || reserve === null) {
+                    break;
+                }
+                tokens.push({ address, reserve });
+            }
+
+            if (tokens.length === 0) {
+                throw new Error(`Unable to read Curve pool coins for ${poolAddress}`);
+            }
+
+            // Two-coin crypto pools expose price_oracle(); others (and stableswap-ng) take a coin index
+            let oracles = tokens.length === 2 && priceOracle ? [priceOracle] : null;
+            if (!oracles && tokens.length > 1) {
+                const cryptoPool = new global.ethers.Contract(poolAddress, CURVE_CRYPTO_POOL_ABI, provider);
+                const indexedOracles = await readAll(multicall, tokens.slice(1).map((_, k) => (
+                    { contract: cryptoPool, method: 'price_oracle', args: [k], optional: true }
+                )), blockTag);
+                oracles = indexedOracles.every(Boolean) ? indexedOracles : null;
+            }
+
+            return {
+                // Without an oracle for every coin the pool is a pegged (stableswap) pool
+                pricing: oracles ? 'crypto' : 'stable',
+                lpDecimals,
+                totalSupply,
+                stakedBalance,
+                tokens,
+                blockTimestampLast: null,
+                virtualPrice: virtualPrice ? global.ethers.utils.formatEther(virtualPrice) : null,
+                priceOracle: oracles ? oracles.map(value => global.ethers.utils.formatEther(value)) : null
+            };
+        }
+    };
+
+    global.LPValuationAdapters = {
+        uniswapV2,
+        balancer,
+        curve,
+
+        /**
+         * Adapter for a pair's platform
+         * @param {string} platform - Platform name from the staking contract (e.g. 'Balancer')
+         * @returns {{name: string, adapter: Object}} Falls back to uniswapV2 for unknown platforms
+         */
+        forPlatform(platform) {
+            const valuation = global.CONFIG?.PLATFORMS?.VALUATION || {};
+            const name = valuation[platform];
+            if (name && this[name]?.read) {
+                return { name, adapter: this[name] };
+            }
+
+            if (platform) {
+                console.warn(`⚠️ No LP valuation adapter configured for platform "${platform}", using Uniswap V2 reserves`);
+            }
+            return { name: 'uniswapV2', adapter: uniswapV2 };
+        }
+    };
+
+    console.log('✅ LPValuationAdapters registered globally');
+})(typeof window !== 'undefined' ? window : global);
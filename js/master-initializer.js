@@ -52,6 +52,9 @@ class MasterInitializer {
         // Load SES-safe handler
         await this.loadScript('js/utils/ses-safe-handler.js');
 
+        // Deep link parsing (read by the network selector and homepage)
+        await this.loadScript('js/utils/deep-link.js');
+
         // Load network selector (contains network config utilities)
         await this.loadScript('js/components/network-indicator-selector.js');
 
@@ -63,6 +66,9 @@ class MasterInitializer {
             throw new Error('Failed to load application configuration');
         }
 
+        // A deep link's network wins over the stored selection
+        window.networkSelector.applyDeepLinkNetwork();
+
         // Initialize network selection (validate localStorage)
         window.networkSelector.loadSelectedNetwork();
 
@@ -112,14 +118,18 @@ class MasterInitializer {
 
     async loadWalletSystems() {
         const walletScripts = [
+            'js/wallet/walletconnect-connector.js', // Before WalletManager so saved sessions restore
             'js/wallet/wallet-manager.js',
             'js/wallet/network-manager.js',
-            'js/contracts/contract-manager.js'
+            'js/contracts/lp-valuation-adapters.js', // Pool readers used by LP stake breakdowns
+            'js/contracts/contract-manager.js',
+            'js/utils/rewards-calculator.js', // APR math, shared with the admin weight rebalancer
+            'js/utils/pending-transactions.js' // Recovers transactions submitted before a reload
         ];
 
-        // Only load rewards calculator on homepage
+        // Only load price and history utilities on homepage
         if (!this.isAdminPage) {
-            walletScripts.push('js/utils/rewards-calculator.js');
+            walletScripts.push('js/utils/price-service.js', 'js/utils/transaction-history.js');
         } else {
             console.log('⏭️ Skipping homepage utilities (admin mode)');
         }
@@ -165,8 +175,12 @@ class MasterInitializer {
 
         const uiScripts = [
             'js/components/wallet-popup.js',
+            'js/components/wallet-picker.js',
             'js/components/home-page.js',
-            'js/components/staking-modal-new.js'
+            'js/components/staking-modal-new.js',
+            'js/components/pair-history-modal.js',
+            'js/components/portfolio-view.js',
+            'js/components/claim-all-modal.js'
         ];
         console.log('Loading homepage UI components');
         for (const script of uiScripts) {
@@ -269,8 +283,9 @@ class MasterInitializer {
             // Initialize ContractManager: wallet mode if already connected, else read-only
             try {
                 const isWalletConnected = !!(window.walletManager && typeof window.walletManager.isConnected === 'function' && window.walletManager.isConnected());
-                if (isWalletConnected && typeof window.ethereum !== 'undefined' && window.ethers) {
-                    const provider = new window.ethers.providers.Web3Provider(window.ethereum);
+                const walletProvider = isWalletConnected ? window.walletManager.getEthereumProvider?.() : null;
+                if (walletProvider && window.ethers) {
+                    const provider = new window.ethers.providers.Web3Provider(walletProvider);
                     const signer = provider.getSigner();
                     await window.contractManager.upgradeToWalletMode(provider, signer);
                     // Notify listeners that ContractManager is ready
@@ -298,28 +313,62 @@ class MasterInitializer {
             }
         }
 
-        // Initialize rewards calculator (homepage only)
+        // Initialize rewards calculator
+        if (window.RewardsCalculator && !window.rewardsCalculator && window.contractManager) {
+            try {
+                window.rewardsCalculator = new window.RewardsCalculator();
+
+                await window.rewardsCalculator.initialize({
+                    contractManager: window.contractManager
+                });
+
+                this.components.set('rewardsCalculator', window.rewardsCalculator);
+            } catch (error) {
+                console.error('❌ Failed to initialize RewardsCalculator:', error);
+                console.error('   Error stack:', error.stack);
+            }
+        } else if (window.rewardsCalculator) {
+            console.warn('⚠️ RewardsCalculator instance already exists');
+        } else if (!window.RewardsCalculator || !window.contractManager) {
+            console.error('❌ RewardsCalculator prerequisites not met!');
+        }
+
+        // Initialize pending transaction recovery (both pages submit transactions)
+        if (window.PendingTransactions && !window.pendingTransactions) {
+            try {
+                window.pendingTransactions = new window.PendingTransactions();
+                await window.pendingTransactions.initialize();
+                this.components.set('pendingTransactions', window.pendingTransactions);
+            } catch (error) {
+                console.error('❌ Failed to initialize PendingTransactions:', error);
+            }
+        }
+
+        // Initialize price and history services (homepage only)
         if (!this.isAdminPage) {
-            if (window.RewardsCalculator && !window.rewardsCalculator && window.contractManager) {
+            if (window.PriceService && !window.priceService) {
                 try {
-                    window.rewardsCalculator = new window.RewardsCalculator();
-
-                    await window.rewardsCalculator.initialize({
+                    window.priceService = new window.PriceService();
+                    await window.priceService.initialize({
                         contractManager: window.contractManager
                     });
+                    this.components.set('priceService', window.priceService);
+                } catch (error) {
+                    console.error('❌ Failed to initialize PriceService:', error);
+                }
+            }
 
-                    this.components.set('rewardsCalculator', window.rewardsCalculator);
+            if (window.TransactionHistory && !window.transactionHistory) {
+                try {
+                    window.transactionHistory = new window.TransactionHistory();
+                    await window.transactionHistory.initialize();
+                    this.components.set('transactionHistory', window.transactionHistory);
                 } catch (error) {
-                    console.error('❌ Failed to initialize RewardsCalculator:', error);
-                    console.error('   Error stack:', error.stack);
+                    console.error('❌ Failed to initialize TransactionHistory:', error);
                 }
-            } else if (window.rewardsCalculator) {
-                console.warn('⚠️ RewardsCalculator instance already exists');
-            } else if (!window.RewardsCalculator || !window.contractManager) {
-                console.error('❌ RewardsCalculator prerequisites not met!');
             }
         } else {
-            console.log('⏭️ Skipping RewardsCalculator initialization (admin mode)');
+            console.log('⏭️ Skipping PriceService and TransactionHistory initialization (admin mode)');
         }
 
         // Initialize homepage UI components (homepage only)
@@ -346,6 +395,24 @@ class MasterInitializer {
                 window.stakingModal = new window.StakingModalNew();
                 this.components.set('stakingModal', window.stakingModal);
             }
+
+            // Initialize pair history charts (after the staking modal fills #modal-container)
+            if (window.PairHistoryModal) {
+                window.pairHistoryModal = new window.PairHistoryModal();
+                this.components.set('pairHistoryModal', window.pairHistoryModal);
+            }
+
+            // Initialize cross-network portfolio view
+            if (window.PortfolioView) {
+                window.portfolioView = new window.PortfolioView();
+                this.components.set('portfolioView', window.portfolioView);
+            }
+
+            // Initialize claim-all flow
+            if (window.ClaimAllModal) {
+                window.claimAllModal = new window.ClaimAllModal();
+                this.components.set('claimAllModal', window.claimAllModal);
+            }
         }
 
         if (window.WalletPopup && !window.walletPopup) {
@@ -357,6 +424,11 @@ class MasterInitializer {
             }
         }
 
+        if (window.WalletPicker && !window.walletPicker) {
+            window.walletPicker = new window.WalletPicker();
+            this.components.set('walletPicker', window.walletPicker);
+        }
+
         // Ensure wallet connection is properly set up
         this.setupWalletIntegration();
 
@@ -408,6 +480,25 @@ class MasterInitializer {
         }
     }
 
+    /**
+     * Ask which wallet to connect
+     * @returns {Promise<{type: string, rdns: string|null}|null>} null when cancelled/unavailable
+     */
+    async chooseWalletType() {
+        if (window.walletPicker) {
+            return await window.walletPicker.choose();
+        }
+
+        if (!window.ethereum) {
+            console.error('MetaMask not available');
+            if (window.notificationManager) {
+                window.notificationManager.error('Please install MetaMask browser extension to connect your wallet');
+            }
+            return null;
+        }
+        return { type: 'metamask', rdns: null };
+    }
+
     setupWalletIntegration() {
         // Ensure MetaMask detection works
         if (typeof window.ethereum !== 'undefined') {
@@ -417,6 +508,9 @@ class MasterInitializer {
             // Setup account change listeners
             if (window.ethereum.on) {
                 window.ethereum.on('accountsChanged', (accounts) => {
+                    // WalletConnect and non-default EIP-6963 wallets are unaffected by window.ethereum
+                    const activeProvider = window.walletManager?.getEthereumProvider?.();
+                    if (activeProvider && activeProvider !== window.ethereum) return;
                     if (window.walletManager) {
                         if (accounts.length === 0) {
                             window.walletManager.disconnect?.();
@@ -485,25 +579,22 @@ class MasterInitializer {
                     return;
                 }
 
-                // Check if MetaMask is available
-                if (!window.ethereum) {
-                    console.error('MetaMask not available');
-                    if (window.notificationManager) {
-                        window.notificationManager.error('Please install MetaMask browser extension to connect your wallet');
-                    }
+                // Pick a wallet (no picker when there is only one option)
+                const choice = await this.chooseWalletType();
+                if (!choice) {
                     this.updateConnectButtonStatus();
                     return;
                 }
 
                 this.renderConnectButton(newConnectBtn, {
-                    text: 'Checking wallet status...',
+                    text: choice.type === 'walletconnect' ? 'Waiting for wallet...' : 'Checking wallet status...',
                     isLoading: true,
                     disabled: true
                 });
 
                 try {
-                    // Use safe MetaMask connection with circuit breaker protection
-                    await window.walletManager.connectMetaMask();
+                    // Injected wallets go through the circuit-breaker protected path inside WalletManager
+                    await window.walletManager.connectWallet(choice.type, { rdns: choice.rdns });
 
                     // After successful connection, check and request network permission if needed
                     const hasPermission = await this.checkNetworkPermission();
@@ -0,0 +1,126 @@
+/**
+ * Deep Link Utilities
+ *
+ * Shareable links to a pair and staking modal tab, an admin proposal or a labelled change set, e.g.
+ *   https://host/staking/?network=POLYGON&pair=0x…&tab=stake&amount=25
+ *   https://host/staking/admin/?network=POLYGON&action=42
+ *   https://host/staking/admin/?network=POLYGON&actions=42,43,44&label=Q3+onboarding
+ * The same keys are accepted in the hash (#network=…&pair=…) for hosts that strip query strings.
+ * All functions are attached to window.DeepLink for global access.
+ */
+window.DeepLink = {
+    PARAMS: ['network', 'pair', 'tab', 'amount', 'action', 'actions', 'label'],
+    LABEL_MAX_LENGTH: 60,
+    TABS: ['stake', 'unstake', 'claim'],
+
+    /**
+     * Read a deep link from a URL
+     * @param {string} [href] - Defaults to the current location
+     * @returns {{network: string|null, pair: string|null, tab: string, amount: string|null, action: number|null,
+     *   actions: number[]|null, label: string|null}|null} null when the URL has no link
+     */
+    parse(href = window.location.href) {
+        let url;
+        try {
+            url = new URL(href);
+        } catch (error) {
+            return null;
+        }
+
+        const hashParams = new URLSearchParams(url.hash.replace(/^#\/?/, ''));
+        const get = (key) => url.searchParams.get(key) ?? hashParams.get(key);
+
+        const network = this.resolveNetworkKey(get('network'));
+        const pairParam = get('pair');
+        const pair = pairParam && /^0x[0-9a-fA-F]{40}$/.test(pairParam) ? pairParam : null;
+        const actionParam = get('action');
+        const action = actionParam && /^\d+$/.test(actionParam) && Number(actionParam) > 0 ? Number(actionParam) : null;
+        const actionIds = (get('actions') || '').split(',').filter(id => /^\d+$/.test(id) && Number(id) > 0).map(Number);
+        const actions = actionIds.length > 0 ? [...new Set(actionIds)] : null;
+        const label = (get('label') || '').trim().slice(0, this.LABEL_MAX_LENGTH) || null;
+
+        if (!network && !pair && !action && !actions) {
+            return null;
+        }
+
+        const tabParam = (get('tab') || '').toLowerCase();
+        const amountParam = get('amount');
+
+        return {
+            network,
+            pair,
+            tab: this.TABS.includes(tabParam) ? tabParam : 'stake',
+            amount: amountParam && /^\d+(\.\d+)?$/.test(amountParam) && parseFloat(amountParam) > 0 ? amountParam : null,
+            action,
+            // A label only means something alongside the proposals it names
+            actions,
+            label: actions ? label : null
+        };
+    },
+
+    /**
+     * Match a network key case-insensitively, or by chain ID
+     * @param {string|null} value - e.g. 'polygon', 'AMOY' or '137'
+     * @returns {string|null} Key into CONFIG.NETWORKS
+     */
+    resolveNetworkKey(value) {
+        if (!value) return null;
+
+        const networks = window.CONFIG?.NETWORKS || {};
+        const upper = String(value).toUpperCase();
+        if (networks[upper]) {
+            return upper;
+        }
+
+        return Object.keys(networks).find(key => String(networks[key].CHAIN_ID) === String(value)) || null;
+    },
+
+    /**
+     * Build a link to the current page for a pair, an admin proposal or a change set
+     * @param {Object} link
+     * @param {string} link.network - Key into CONFIG.NETWORKS
+     * @param {string} [link.pair] - LP token address
+     * @param {string} [link.tab='stake'] - stake | unstake | claim
+     * @param {string} [link.amount] - Prefilled stake/unstake amount
+     * @param {number} [link.action] - Multisig action ID (admin page)
+     * @param {number[]} [link.actions] - Action IDs of a change set (admin page)
+     * @param {string} [link.label] - Change set label, carried with link.actions
+     * @returns {string}
+     */
+    build({ network, pair = null, tab = 'stake', amount = null, action = null, actions = null, label = null } = {}) {
+        const url = new URL(window.location.href);
+        url.search = '';
+        url.hash = '';
+
+        if (network) url.searchParams.set('network', network);
+        if (pair) {
+            url.searchParams.set('pair', pair);
+            if (tab) url.searchParams.set('tab', tab);
+            if (amount && tab !== 'claim' && parseFloat(amount) > 0) {
+                url.searchParams.set('amount', amount);
+            }
+        }
+        if (action) url.searchParams.set('action', String(action));
+        if (actions?.length) {
+            url.searchParams.set('actions', actions.join(','));
+            if (label) url.searchParams.set('label', label.slice(0, this.LABEL_MAX_LENGTH));
+        }
+
+        return url.toString();
+    },
+
+    /**
+     * Remove deep link parameters from the address bar once applied, so a reload doesn't reopen the modal
+     */
+    clear() {
+        const url = new URL(window.location.href);
+        this.PARAMS.forEach(key => url.searchParams.delete(key));
+
+        const hashParams = new URLSearchParams(url.hash.replace(/^#\/?/, ''));
+        if (this.PARAMS.some(key => hashParams.has(key))) {
+            url.hash = '';
+        }
+
+        window.history.replaceState(window.history.state, '', url.toString());
+    }
+};
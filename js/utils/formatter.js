@@ -65,6 +65,21 @@ window.Formatter = {
         return prefix + limited;
     },
 
+    /**
+     * Format a USD value with compact suffixes for large amounts (e.g., 1234567 → $1.23M, 0.004 → <$0.01)
+     * @param {number|string} value - The USD amount to format
+     * @returns {string} Formatted USD string
+     */
+    formatUsd(value) {
+        const num = typeof value === 'number' ? value : parseFloat(value);
+        if (!Number.isFinite(num) || num === 0) return '$0.00';
+        if (num > 0 && num < 0.01) return '<$0.01';
+
+        if (num >= 1000000) return `$${(num / 1000000).toFixed(2)}M`;
+        if (num >= 1000) return `$${(num / 1000).toFixed(2)}K`;
+        return `$${num.toFixed(2)}`;
+    },
+
     /**
      * Build platform URL by replacing address placeholder in base URL template
      * @param {string} baseUrl - The base URL template with {address} placeholder
@@ -0,0 +1,480 @@
+/**
+ * PendingTransactions - Persists submitted transaction hashes until they are mined, so a reload
+ * or closed tab during the confirmation wait doesn't lose track of a stake, claim or proposal.
+ * One list per chain and address in localStorage (same scoping as TransactionHistory). Entries
+ * left pending by a previous page load are reconciled against receipts when the wallet connects.
+ * Transactions pending longer than STUCK_AFTER_SECONDS get speed up / cancel buttons; the
+ * replacements are kept on the original entry, and whichever gets mined settles it.
+ *
+ * Outcomes: confirmed | failed (reverted) | dropped (never mined, or its nonce was used by
+ * another transaction)
+ */
+(function(global) {
+    'use strict';
+
+    if (global.PendingTransactions) {
+        console.warn('PendingTransactions already registered, skipping redeclaration');
+        return;
+    }
+
+    if (global.pendingTransactions) {
+        console.warn('PendingTransactions instance already exists, preserving existing instance');
+        return;
+    }
+
+    // Labels for ContractManager operation names; anything else is split from camelCase
+    const OPERATION_LABELS = {
+        stake: 'Stake',
+        unstake: 'Unstake',
+        claimRewards: 'Claim rewards',
+        approveLPToken: 'Approve LP tokens',
+        compoundApprove: 'Compound approval',
+        compoundSwap: 'Compound swap',
+        compoundAddLiquidity: 'Compound add liquidity',
+        approveAction: 'Approve proposal',
+        rejectAction: 'Reject proposal',
+        executeAction: 'Execute proposal'
+    };
+
+    // Pair names in descriptions come from the contract
+    function escapeHtml(value) {
+        const div = document.createElement('div');
+        div.textContent = String(value ?? '');
+        return div.innerHTML.replace(/"/g, '&quot;');
+    }
+
+    // Ledger types for operations the TransactionHistory records
+    const LEDGER_TYPES = {
+        stake: 'stake',
+        unstake: 'unstake',
+        claimRewards: 'claim',
+        approveLPToken: 'approve'
+    };
+
+    class PendingTransactions {
+        constructor() {
+            this.isInitialized = false;
+            this.watching = new Set(); // Hashes with a receipt wait in flight
+            this.scopes = new Map(); // hash -> scope it was stored under, in case the account switches first
+            this.replacing = new Set(); // Hashes with a speed-up/cancel awaiting wallet confirmation
+            this.stuckNotices = new Map(); // hash -> notification offering speed-up/cancel
+            this.recheckTimer = null;
+        }
+
+        async initialize() {
+            this.isInitialized = true;
+
+            document.addEventListener('walletConnected', () => this.resume());
+            document.addEventListener('walletAccountChanged', () => this.resume());
+            document.addEventListener('contractManagerReady', () => this.resume());
+
+            // Speed up / cancel buttons, in stuck notices and the homepage pending list
+            document.addEventListener('click', (e) => {
+                const button = e.target.closest('[data-pending-tx-action]');
+                if (button && !button.disabled) {
+                    e.stopPropagation();
+                    this.replaceTransaction(button.dataset.hash, button.dataset.pendingTxAction);
+                }
+            });
+
+            this.resume();
+            return { isInitialized: true };
+        }
+
+        getConfig() {
+            return global.CONFIG?.PENDING_TX || {};
+        }
+
+        getCurrentScope() {
+            const address = global.walletManager?.getAddress?.() || global.walletManager?.address || null;
+            const chainId = global.networkSelector?.getCurrentChainId() || null;
+            return address && chainId ? { address: address.toLowerCase(), chainId } : null;
+        }
+
+        getStorageKey(scope) {
+            const prefix = this.getConfig().STORAGE_KEY_PREFIX || 'lp_staking_pending_tx';
+            return `${prefix}:${scope.chainId}:${scope.address}`;
+        }
+
+        load(scope) {
+            try {
+                const stored = JSON.parse(localStorage.getItem(this.getStorageKey(scope)) || '[]');
+                return Array.isArray(stored) ? stored : [];
+            } catch (error) {
+                console.error('❌ Failed to load pending transactions:', error);
+                return [];
+            }
+        }
+
+        save(scope, entries) {
+            // Resolved entries stay until dismissed, but only the most recent few
+            const maxResolved = this.getConfig().MAX_RESOLVED || 10;
+            const pending = entries.filter(entry => entry.status === 'pending');
+            const resolved = entries
+                .filter(entry => entry.status !== 'pending')
+                .sort((a, b) => (b.resolvedAt || 0) - (a.resolvedAt || 0))
+                .slice(0, maxResolved);
+
+            try {
+                localStorage.setItem(this.getStorageKey(scope), JSON.stringify([...pending, ...resolved]));
+            } catch (error) {
+                console.error('❌ Failed to save pending transactions:', error);
+            }
+        }
+
+        /**
+         * Remember a transaction right after the wallet returns its hash
+         * @param {Object} tx - ethers TransactionResponse (hash, from, nonce, chainId)
+         * @param {string} operation - ContractManager operation name, e.g. stake or approveAction
+         * @param {Object} [context]
+         * @param {string} [context.pairAddress]
+         * @param {string} [context.pairName]
+         * @param {string} [context.amount] - Human-readable amount
+         * @returns {Object|null} The stored entry
+         */
+        track(tx, operation, context = {}) {
+            if (!tx?.hash || !tx.from) return null;
+
+            const scope = {
+                address: tx.from.toLowerCase(),
+                chainId: tx.chainId || global.networkSelector?.getCurrentChainId() || null
+            };
+            if (!scope.chainId) return null;
+
+            const entry = {
+                hash: tx.hash,
+                operation,
+                from: scope.address,
+                chainId: scope.chainId,
+                nonce: Number.isInteger(tx.nonce) ? tx.nonce : null,
+                pairAddress: context.pairAddress || null,
+                pairName: context.pairName || this.getPairName(context.pairAddress),
+                amount: context.amount != null ? String(context.amount) : null,
+                status: 'pending',
+                replacements: [], // Speed-ups and cancels sent at the same nonce: {hash, mode, submittedAt}
+                submittedAt: Date.now(),
+                resolvedAt: null,
+                blockNumber: null
+            };
+
+            const entries = this.load(scope).filter(existing => existing.hash !== tx.hash);
+            this.save(scope, [entry, ...entries]);
+
+            // The caller is already waiting on this one
+            this.watching.add(tx.hash);
+            this.scopes.set(tx.hash, scope);
+            this.scheduleStuckCheck(tx.hash);
+            this.notify('tracked', entry);
+            return entry;
+        }
+
+        /**
+         * Record the outcome of a tracked transaction
+         * @param {string} hash
+         * @param {string} status - confirmed | failed | dropped
+         * @param {Object} [details]
+         * @param {Object} [details.receipt]
+         * @param {string} [details.reason] - Shown with dropped entries
+         * @param {string} [details.replacedBy] - Hash of the sped-up transaction that was mined instead
+         * @param {boolean} [details.recovered] - Settled in the background rather than by the page that sent it
+         * @returns {Object|null} The updated entry
+         */
+        resolve(hash, status, details = {}) {
+            this.watching.delete(hash);
+            this.clearStuckNotice(hash);
+
+            const scope = this.scopes.get(hash) || this.getCurrentScope();
+            this.scopes.delete(hash);
+            if (!scope) return null;
+
+            const entries = this.load(scope);
+            const entry = entries.find(item => item.hash === hash);
+            if (!entry || entry.status !== 'pending') return null;
+
+            entry.status = status;
+            entry.resolvedAt = Date.now();
+            entry.blockNumber = details.receipt?.blockNumber || null;
+            entry.reason = details.reason || null;
+            entry.replacedBy = details.replacedBy || null;
+            this.save(scope, entries);
+
+            console.log(`📬 Transaction ${hash} (${entry.operation}) ${status}`);
+            this.notify('resolved', entry, { recovered: Boolean(details.recovered) });
+            return entry;
+        }
+
+        /**
+         * Hand a transaction back after the caller stopped waiting (e.g. its monitor timed out)
+         */
+        release(hash) {
+            this.watching.delete(hash);
+            this.resume();
+        }
+
+        /**
+         * Entries for the connected account, pending first, then most recently resolved
+         * @returns {Array<Object>}
+         */
+        getEntries() {
+            const scope = this.getCurrentScope();
+            if (!scope) return [];
+
+            const entries = this.load(scope);
+            return [
+                ...entries.filter(entry => entry.status === 'pending').sort((a, b) => b.submittedAt - a.submittedAt),
+                ...entries.filter(entry => entry.status !== 'pending').sort((a, b) => b.resolvedAt - a.resolvedAt)
+            ];
+        }
+
+        dismiss(hash) {
+            const scope = this.getCurrentScope();
+            if (!scope) return;
+
+            this.save(scope, this.load(scope).filter(entry => entry.hash !== hash || entry.status === 'pending'));
+            this.notify('dismissed', { hash });
+        }
+
+        /**
+         * Reconcile every pending entry the current page isn't already waiting on
+         */
+        async resume() {
+            const provider = global.contractManager?.provider;
+            const scope = this.getCurrentScope();
+            if (!provider || !scope) return;
+
+            const pending = this.load(scope).filter(entry => entry.status === 'pending' && !this.watching.has(entry.hash));
+            if (pending.length === 0) return;
+
+            console.log(`🔁 Checking ${pending.length} pending transaction(s)`);
+            await Promise.all(pending.map(entry => this.reconcile(entry, provider)));
+        }
+
+        /**
+         * Settle one entry from the receipt of the original or any replacement sent for it, or mark
+         * it dropped once its nonce is used or it has been unseen for too long; otherwise check again later
+         */
+        async reconcile(entry, provider) {
+            this.watching.add(entry.hash);
+            this.scopes.set(entry.hash, { address: entry.from, chainId: entry.chainId });
+
+            const candidates = [{ hash: entry.hash, mode: null }, ...(entry.replacements || [])];
+
+            try {
+                const receipts = await Promise.all(candidates.map(candidate => provider.getTransactionReceipt(candidate.hash)));
+                const minedIndex = receipts.findIndex(receipt => receipt?.blockNumber);
+                if (minedIndex !== -1) {
+                    this.settle(entry, receipts[minedIndex], candidates[minedIndex]);
+                    return;
+                }
+
+                const known = await Promise.all(candidates.map(candidate => provider.getTransaction(candidate.hash)));
+                const dropAfterMs = (this.getConfig().DROP_AFTER_MINUTES || 30) * 60 * 1000;
+                const lastSubmittedAt = Math.max(entry.submittedAt, ...candidates.map(candidate => candidate.submittedAt || 0));
+
+                if (!known.some(Boolean)) {
+                    const accountNonce = entry.nonce !== null
+                        ? await provider.getTransactionCount(entry.from, 'latest')
+                        : null;
+
+                    if (accountNonce !== null && accountNonce > entry.nonce) {
+                        this.resolve(entry.hash, 'dropped', { reason: 'Another transaction used the same nonce', recovered: true });
+                        return;
+                    }
+                    if (Date.now() - lastSubmittedAt > dropAfterMs) {
+                        this.resolve(entry.hash, 'dropped', { reason: 'Not seen by the network', recovered: true });
+                        return;
+                    }
+                }
+
+                this.watching.delete(entry.hash);
+                this.checkStuck(entry.hash);
+                this.scheduleRecheck();
+            } catch (error) {
+                // RPC hiccups leave the entry pending for the next pass
+                console.warn(`⚠️ Could not reconcile ${entry.hash}: ${error.message}`);
+                this.watching.delete(entry.hash);
+                this.scheduleRecheck();
+            }
+        }
+
+        settle(entry, receipt, minedCandidate = { hash: entry.hash, mode: null }) {
+            if (minedCandidate.mode === 'cancel') {
+                this.resolve(entry.hash, 'dropped', { reason: 'Cancelled', receipt, replacedBy: minedCandidate.hash, recovered: true });
+                return;
+            }
+
+            const status = receipt.status === 0 ? 'failed' : 'confirmed';
+            const resolved = this.resolve(entry.hash, status, {
+                receipt,
+                replacedBy: minedCandidate.mode ? minedCandidate.hash : null,
+                recovered: true
+            });
+
+            // The modal that would normally record this is gone, so add it to the wallet history here
+            const ledgerType = LEDGER_TYPES[entry.operation];
+            if (resolved && ledgerType && global.transactionHistory) {
+                global.transactionHistory.record({
+                    type: ledgerType,
+                    pairAddress: entry.pairAddress,
+                    pairName: entry.pairName,
+                    amount: entry.amount,
+                    receipt,
+                    status
+                });
+            }
+        }
+
+        /**
+         * Resubmit a pending transaction at the same nonce with higher fees. The entry keeps its
+         * original hash; the replacement is added to it and whichever gets mined settles it.
+         * @param {string} hash - Original hash of a tracked transaction
+         * @param {string} mode - speedUp | cancel
+         * @returns {Promise<Object|null>} The updated entry
+         */
+        async replaceTransaction(hash, mode) {
+            const entry = this.getEntries().find(item => item.hash === hash);
+            if (!entry || entry.status !== 'pending' || this.replacing.has(hash) || !global.contractManager) {
+                return null;
+            }
+
+            this.replacing.add(hash);
+            this.notify('replacing', entry);
+
+            try {
+                const replacements = entry.replacements || [];
+                const latestHash = replacements.length > 0 ? replacements[replacements.length - 1].hash : hash;
+                const result = await global.contractManager.replacePendingTransaction(latestHash, mode);
+
+                if (!result.success) {
+                    const message = result.error?.userMessage?.message || result.error?.message || 'Could not replace the transaction';
+                    global.notificationManager?.error(message, { title: result.error?.userMessage?.title });
+                    return null;
+                }
+
+                const scope = { address: entry.from, chainId: entry.chainId };
+                const entries = this.load(scope);
+                const stored = entries.find(item => item.hash === hash);
+                if (!stored || stored.status !== 'pending') {
+                    return null; // Settled while the wallet prompt was open
+                }
+
+                stored.replacements = [
+                    ...(stored.replacements || []),
+                    { hash: result.transaction.hash, mode, submittedAt: Date.now() }
+                ];
+                this.save(scope, entries);
+
+                this.clearStuckNotice(hash);
+                this.scheduleStuckCheck(hash);
+                global.notificationManager?.info(mode === 'cancel'
+                    ? 'Cancellation sent. The original transaction will be dropped once it is mined.'
+                    : 'Speed-up sent with higher fees');
+
+                this.notify('replaced', stored);
+
+                // A page still waiting on the original learns about the replacement from ethers
+                if (!this.watching.has(hash)) {
+                    this.resume();
+                }
+                return stored;
+            } finally {
+                this.replacing.delete(hash);
+                this.notify('replacing', entry);
+            }
+        }
+
+        /**
+         * Speed up / cancel buttons for a pending entry
+         * @param {Object} entry
+         * @returns {string} HTML
+         */
+        renderActions(entry) {
+            if (entry.status !== 'pending') return '';
+
+            const disabled = this.replacing.has(entry.hash) ? 'disabled' : '';
+            return `
+                <span class="pending-tx-actions">
+                    <button class="pending-tx-action" type="button" data-pending-tx-action="speedUp" data-hash="${entry.hash}" ${disabled}>Speed up</button>
+                    <button class="pending-tx-action" type="button" data-pending-tx-action="cancel" data-hash="${entry.hash}" ${disabled}>Cancel</button>
+                </span>
+            `;
+        }
+
+        scheduleStuckCheck(hash) {
+            const stuckAfterMs = (this.getConfig().STUCK_AFTER_SECONDS || 60) * 1000;
+            setTimeout(() => this.checkStuck(hash), stuckAfterMs);
+        }
+
+        /**
+         * Offer speed-up/cancel once a transaction has waited longer than STUCK_AFTER_SECONDS
+         * since it (or its latest replacement) was sent
+         */
+        checkStuck(hash) {
+            if (this.stuckNotices.has(hash) || this.replacing.has(hash) || !global.notificationManager) return;
+
+            const entry = this.getEntries().find(item => item.hash === hash);
+            if (!entry || entry.status !== 'pending') return;
+
+            const stuckAfterMs = (this.getConfig().STUCK_AFTER_SECONDS || 60) * 1000;
+            const lastSubmittedAt = Math.max(entry.submittedAt, ...(entry.replacements || []).map(item => item.submittedAt || 0));
+            if (Date.now() - lastSubmittedAt < stuckAfterMs) return;
+
+            const notice = global.notificationManager.warning(`
+                ${escapeHtml(this.describe(entry))} is still pending. The gas price may be too low.
+                ${this.renderActions(entry)}
+            `, { title: 'Transaction pending', duration: 0 });
+            this.stuckNotices.set(hash, notice);
+        }
+
+        clearStuckNotice(hash) {
+            const notice = this.stuckNotices.get(hash);
+            if (notice) {
+                global.notificationManager?.remove(notice);
+                this.stuckNotices.delete(hash);
+            }
+        }
+
+        scheduleRecheck() {
+            if (this.recheckTimer) return;
+
+            this.recheckTimer = setTimeout(() => {
+                this.recheckTimer = null;
+                this.resume();
+            }, this.getConfig().RECHECK_INTERVAL_MS || 30000);
+        }
+
+        /**
+         * Short description for notifications and the banner, e.g. "Stake 25 LP · LIB/USDT"
+         * @param {Object} entry
+         * @returns {string}
+         */
+        describe(entry) {
+            const label = OPERATION_LABELS[entry.operation]
+                || entry.operation.replace(/([a-z])([A-Z])/g, '$1 $2').replace(/^\w/, c => c.toUpperCase());
+            const amount = entry.amount && ['stake', 'unstake', 'approveLPToken'].includes(entry.operation)
+                ? ` ${entry.amount} LP`
+                : '';
+            return entry.pairName ? `${label}${amount} · ${entry.pairName}` : `${label}${amount}`;
+        }
+
+        getExplorerUrl(hash) {
+            const explorer = global.networkSelector?.getCurrentNetworkConfig()?.BLOCK_EXPLORER;
+            return explorer ? `${explorer}/tx/${hash}` : null;
+        }
+
+        getPairName(pairAddress) {
+            if (!pairAddress) return null;
+            const pair = (global.homePage?.pairs || []).find(item => item.address?.toLowerCase() === pairAddress.toLowerCase());
+            return pair?.name || null;
+        }
+
+        notify(eventType, entry, extra = {}) {
+            document.dispatchEvent(new CustomEvent('pendingTransactionsUpdated', {
+                detail: { event: eventType, entry, ...extra }
+            }));
+        }
+    }
+
+    global.PendingTransactions = PendingTransactions;
+    console.log('✅ PendingTransactions class registered globally');
+})(typeof window !== 'undefined' ? window : global);
@@ -0,0 +1,266 @@
+/**
+ * PriceService - LIB/USD pricing for the homepage USD display mode.
+ *
+ * The built-in source reads a LIB/stablecoin Uniswap V2 pair through
+ * ContractManager.getLPStakeBreakdown() and treats the stablecoin as $1.
+ * Additional sources (e.g. an external API) can be plugged in with registerSource().
+ */
+(function(global) {
+    'use strict';
+
+    if (global.PriceService) {
+        console.warn('PriceService already registered, skipping redeclaration');
+        return;
+    }
+
+    if (global.priceService) {
+        console.warn('PriceService instance already exists, preserving existing instance');
+        return;
+    }
+
+    class PriceService {
+        constructor() {
+            this.contractManager = null;
+            this.isInitialized = false;
+            this.sources = [];
+            this.cache = new Map(); // chainId -> { price, source, timestamp }
+            this.historicalCache = new Map(); // `${chainId}:${blockNumber}` -> price|null
+
+            this.registerSource('onchain-reserves', (context) => this.getOnChainLibUsdPrice(context));
+        }
+
+        async initialize({ contractManager } = {}) {
+            this.contractManager = contractManager || global.contractManager || null;
+            this.isInitialized = true;
+
+            return {
+                hasContractManager: !!this.contractManager
+            };
+        }
+
+        /**
+         * Register a LIB/USD price source.
+         * Sources are tried in order until one returns a positive number.
+         *
+         * @param {string} name - Unique source name, shown next to the price in the UI.
+         * @param {Function} fetchPrice - async (context) => number|null, where context is { chainId, breakdowns }.
+         * @param {Object} [options]
+         * @param {boolean} [options.preferred=false] - Try this source before the on-chain reserves.
+         */
+        registerSource(name, fetchPrice, { preferred = false } = {}) {
+            if (!name || typeof fetchPrice !== 'function') {
+                throw new Error('Price source requires a name and a fetch function');
+            }
+
+            this.sources = this.sources.filter(source => source.name !== name);
+            const entry = { name, fetchPrice };
+
+            if (preferred) {
+                this.sources.unshift(entry);
+            } else {
+                this.sources.push(entry);
+            }
+
+            this.cache.clear();
+            console.log(`💲 Price source registered: ${name}${preferred ? ' (preferred)' : ''}`);
+        }
+
+        unregisterSource(name) {
+            this.sources = this.sources.filter(source => source.name !== name);
+            this.cache.clear();
+        }
+
+        /**
+         * Resolve the LIB/USD price for the selected network.
+         *
+         * @param {Object} [options]
+         * @param {Array<Object>} [options.breakdowns] - Already-loaded LP breakdowns, used to auto-detect a stablecoin pair.
+         * @param {boolean} [options.forceRefresh=false] - Ignore the cached value.
+         * @returns {Promise<{price: number, source: string, timestamp: number}|null>}
+         */
+        async getLibUsdPrice({ breakdowns = [], forceRefresh = false } = {}) {
+            const chainId = global.networkSelector?.getCurrentChainId() || null;
+            const ttl = global.CONFIG?.PRICING?.CACHE_TTL || 60000;
+
+            const cached = this.cache.get(chainId);
+            if (!forceRefresh && cached && (Date.now() - cached.timestamp) < ttl) {
+                return cached;
+            }
+
+            const context = { chainId, breakdowns };
+
+            for (const source of this.sources) {
+                try {
+                    const price = Number(await source.fetchPrice(context));
+                    if (Number.isFinite(price) && price > 0) {
+                        const result = { price, source: source.name, timestamp: Date.now() };
+                        this.cache.set(chainId, result);
+                        console.log(`💲 LIB/USD ${price} from ${source.name}`);
+                        return result;
+                    }
+                } catch (error) {
+                    console.warn(`⚠️ Price source ${source.name} failed:`, error.message);
+                }
+            }
+
+            console.warn('⚠️ No price source returned a LIB/USD price');
+            return null;
+        }
+
+        /**
+         * Built-in source: LIB price from a LIB/stablecoin pair's reserves.
+         * Uses CONTRACTS.LIB_USD_PAIR when configured, otherwise the deepest staking pair
+         * whose counter token is a known stablecoin.
+         */
+        async getOnChainLibUsdPrice({ breakdowns = [] } = {}) {
+            const rewardTokenAddress = this.getRewardTokenAddress();
+            if (!rewardTokenAddress) {
+                return null;
+            }
+
+            const configuredPair = global.networkSelector?.getCurrentContracts()?.LIB_USD_PAIR;
+            if (configuredPair) {
+                const contractManager = this.contractManager || global.contractManager;
+                if (!contractManager) {
+                    return null;
+                }
+                const breakdown = await contractManager.getLPStakeBreakdown(configuredPair);
+                return this.priceFromBreakdown(breakdown, rewardTokenAddress);
+            }
+
+            let best = null;
+            for (const breakdown of breakdowns) {
+                const quote = this.quoteFromBreakdown(breakdown, rewardTokenAddress);
+                if (quote && (!best || quote.stableReserve > best.stableReserve)) {
+                    best = quote;
+                }
+            }
+
+            return best ? best.price : null;
+        }
+
+        /**
+         * LIB/USD price at a past block, read from the same pair the built-in source would use.
+         * Requires an archive-capable RPC for old blocks; registered sources are not consulted
+         * since they only report the current price.
+         *
+         * @param {number} blockNumber
+         * @param {Object} [options]
+         * @param {Array<Object>} [options.breakdowns] - Current LP breakdowns, used to pick the stablecoin pair.
+         * @returns {Promise<number|null>}
+         */
+        async getLibUsdPriceAtBlock(blockNumber, { breakdowns = [] } = {}) {
+            const contractManager = this.contractManager || global.contractManager;
+            const rewardTokenAddress = this.getRewardTokenAddress();
+            if (!contractManager || !rewardTokenAddress || !blockNumber) {
+                return null;
+            }
+
+            const chainId = global.networkSelector?.getCurrentChainId() || null;
+            const cacheKey = `${chainId}:${blockNumber}`;
+            if (this.historicalCache.has(cacheKey)) {
+                return this.historicalCache.get(cacheKey);
+            }
+
+            let pairAddress = global.networkSelector?.getCurrentContracts()?.LIB_USD_PAIR || null;
+            if (!pairAddress) {
+                let best = null;
+                for (const breakdown of breakdowns) {
+                    const quote = this.quoteFromBreakdown(breakdown, rewardTokenAddress);
+                    if (quote && (!best || quote.stableReserve > best.stableReserve)) {
+                        best = { ...quote, pairAddress: breakdown.lpTokenAddress };
+                    }
+                }
+                pairAddress = best?.pairAddress || null;
+            }
+
+            if (!pairAddress) {
+                return null;
+            }
+
+            try {
+                const breakdown = await contractManager.getLPStakeBreakdown(pairAddress, { blockTag: blockNumber });
+                const price = this.priceFromBreakdown(breakdown, rewardTokenAddress);
+                this.historicalCache.set(cacheKey, price);
+                return price;
+            } catch (error) {
+                console.warn(`⚠️ Unable to read LIB/USD at block ${blockNumber}:`, error.message);
+                return null;
+            }
+        }
+
+        priceFromBreakdown(breakdown, rewardTokenAddress) {
+            return this.quoteFromBreakdown(breakdown, rewardTokenAddress)?.price ?? null;
+        }
+
+        /**
+         * @returns {{price: number, stableReserve: number}|null} null when the pair is not LIB/stablecoin
+         */
+        quoteFromBreakdown(breakdown, rewardTokenAddress) {
+            const tokens = Array.isArray(breakdown?.tokens)
+                ? breakdown.tokens
+                : [breakdown?.token0, breakdown?.token1].filter(Boolean);
+
+            const rewardLower = rewardTokenAddress.toLowerCase();
+            const libToken = tokens.find(token => token.address?.toLowerCase() === rewardLower);
+            if (!libToken) {
+                return null;
+            }
+
+            const stableToken = tokens.find(token => token !== libToken && this.isStablecoin(token.symbol));
+            if (!stableToken) {
+                return null;
+            }
+
+            const libReserve = Number(libToken.reserve?.formatted) || 0;
+            const stableReserve = Number(stableToken.reserve?.formatted) || 0;
+            if (libReserve <= 0 || stableReserve <= 0) {
+                return null;
+            }
+
+            // Weighted and Curve pools don't price by plain reserve ratio
+            const price = global.rewardsCalculator?.getExchangeRate
+                ? global.rewardsCalculator.getExchangeRate(breakdown, libToken, stableToken, rewardTokenAddress)
+                : stableReserve / libReserve;
+            if (!(price > 0)) {
+                return null;
+            }
+
+            return { price, stableReserve };
+        }
+
+        isStablecoin(symbol) {
+            const symbols = global.CONFIG?.PRICING?.STABLECOIN_SYMBOLS || [];
+            return typeof symbol === 'string' && symbols.includes(symbol.trim().toUpperCase());
+        }
+
+        getRewardTokenAddress() {
+            const contractManager = this.contractManager || global.contractManager;
+            return (contractManager?.contractAddresses instanceof Map)
+                ? contractManager.contractAddresses.get('REWARD_TOKEN')
+                : null;
+        }
+
+        /**
+         * Convert a LIB amount to USD using the last resolved price for the selected network.
+         * @param {number} libAmount
+         * @returns {number|null} null when no price has been resolved yet
+         */
+        toUsd(libAmount) {
+            const chainId = global.networkSelector?.getCurrentChainId() || null;
+            const cached = this.cache.get(chainId);
+            if (!cached) {
+                return null;
+            }
+            return (Number(libAmount) || 0) * cached.price;
+        }
+
+        clearCache() {
+            this.cache.clear();
+            this.historicalCache.clear();
+        }
+    }
+
+    global.PriceService = PriceService;
+    console.log('✅ PriceService class registered globally');
+})(typeof window !== 'undefined' ? window : global);
@@ -1,5 +1,5 @@
 /**
- * RewardsCalculator - Minimal APR helper used by the active homepage flow.
+ * RewardsCalculator - Minimal APR and LIB valuation helpers used by the active homepage flow.
  */
 (function(global) {
     'use strict';
@@ -47,6 +47,13 @@
             };
         }
 
+        getRewardTokenAddress() {
+            const contractManager = this.contractManager || global.contractManager;
+            return (contractManager?.contractAddresses instanceof Map)
+                ? contractManager.contractAddresses.get('REWARD_TOKEN')
+                : null;
+        }
+
         /**
          * Calculate APR from the on-chain LIB-per-LP ratio.
          *
@@ -77,6 +84,179 @@
             const annualRewards = hourlyRate * 8760 * pairPct;
             return (annualRewards / (tvlLpTokens * libPerLp)) * 100;
         }
+
+        /**
+         * Inverse of calcAPR: LIB per hour a pool must receive to reach a target APR.
+         *
+         * @param {number} targetAPR - APR percentage (e.g., 150 equals 150%).
+         * @param {number} tvlLpTokens - Total LP tokens staked in this pool (formatted, not wei).
+         * @param {number} libPerLp - LIB-equivalent value backing one LP token.
+         * @returns {number} LIB per hour for this pool, or 0 when there is no stake to value.
+         */
+        calcHourlyRewardsForAPR(targetAPR, tvlLpTokens, libPerLp) {
+            if (!targetAPR || !tvlLpTokens || !libPerLp) {
+                return 0;
+            }
+
+            return (targetAPR / 100) * tvlLpTokens * libPerLp / 8760;
+        }
+
+        /**
+         * Project LIB rewards for staking an additional amount of LP tokens.
+         * The new stake is added to the pool's TVL first, so the projection includes the
+         * dilution it causes for every staker (the user's existing stake included).
+         *
+         * @param {Object} params
+         * @param {number} params.hourlyRate - Total LIB distributed per hour across all pools.
+         * @param {number} params.poolWeight - Pool-specific weight used for reward distribution.
+         * @param {number} params.totalWeight - Sum of all pool weights.
+         * @param {number} params.tvlLpTokens - LP tokens currently staked in this pool.
+         * @param {number} [params.userStakedLp=0] - LP tokens the user already has staked in this pool.
+         * @param {number} params.stakeAmountLp - LP tokens about to be staked.
+         * @param {number} [params.libPerLp=0] - LIB-equivalent value backing one LP token, for the post-stake APR.
+         * @returns {Object|null} Share before/after, per-period rewards for the new amount and the whole position, or null without emissions.
+         */
+        calcRewardsProjection({ hourlyRate, poolWeight, totalWeight, tvlLpTokens, userStakedLp = 0, stakeAmountLp, libPerLp = 0 }) {
+            const amount = Number(stakeAmountLp) || 0;
+            const tvl = Math.max(Number(tvlLpTokens) || 0, 0);
+            const existing = Math.max(Number(userStakedLp) || 0, 0);
+            if (!hourlyRate || !poolWeight || !totalWeight || amount <= 0) {
+                return null;
+            }
+
+            const poolHourly = hourlyRate * (poolWeight / totalWeight);
+            const tvlAfter = tvl + amount;
+
+            const shareBefore = tvl > 0 ? existing / tvl : 0;
+            const shareAfter = (existing + amount) / tvlAfter;
+            const stakeHourly = poolHourly * (amount / tvlAfter);
+            const positionHourly = poolHourly * shareAfter;
+
+            const periods = hourly => ({
+                daily: hourly * 24,
+                weekly: hourly * 24 * 7,
+                monthly: hourly * 24 * 30,
+                yearly: hourly * 8760
+            });
+
+            return {
+                tvlAfter,
+                shareBefore: shareBefore * 100,
+                shareAfter: shareAfter * 100,
+                stake: periods(stakeHourly),
+                position: periods(positionHourly),
+                aprBefore: this.calcAPR(hourlyRate, tvl, libPerLp, poolWeight, totalWeight),
+                aprAfter: this.calcAPR(hourlyRate, tvlAfter, libPerLp, poolWeight, totalWeight)
+            };
+        }
+
+        /**
+         * How many quoteToken one unit of token is worth inside the pool
+         * @param {Object} breakdown - From ContractManager.getLPStakeBreakdown()
+         * @param {Object} token - Entry of breakdown.tokens
+         * @param {Object} quoteToken - Entry of breakdown.tokens
+         * @param {string} [rewardTokenAddress] - LIB token of the breakdown's network; defaults to the current one
+         * @returns {number|null} null when the pool cannot price the pair
+         */
+        getExchangeRate(breakdown, token, quoteToken, rewardTokenAddress = this.getRewardTokenAddress()) {
+            const reserve = Number(token?.reserve?.formatted) || 0;
+            const quoteReserve = Number(quoteToken?.reserve?.formatted) || 0;
+            const tokens = breakdown?.tokens || [];
+
+            switch (breakdown?.pricing) {
+                case 'stable': {
+                    // Pegged coins trade 1:1, but LIB isn't pegged to any of them
+                    const rewardLower = rewardTokenAddress?.toLowerCase();
+                    const hasLib = !rewardLower || tokens.some(item => item?.address?.toLowerCase() === rewardLower);
+                    return hasLib ? null : 1;
+                }
+                case 'crypto': {
+                    // Curve price_oracle(k) is the price of coins(k + 1) in coins(0); older
+                    // breakdowns carry a single oracle value for two-coin pools
+                    const oracles = [].concat(breakdown.priceOracle ?? []);
+                    const priceInCoin0 = (item) => {
+                        const index = tokens.indexOf(item);
+                        if (index < 0) return 0;
+                        return index === 0 ? 1 : Number(oracles[index - 1]) || 0;
+                    };
+                    const price = priceInCoin0(token);
+                    const quotePrice = priceInCoin0(quoteToken);
+                    return price > 0 && quotePrice > 0 ? price / quotePrice : null;
+                }
+                case 'weighted': {
+                    // Balancer spot price: (quoteBalance / quoteWeight) / (balance / weight)
+                    const weight = Number(token?.weight) || 0;
+                    const quoteWeight = Number(quoteToken?.weight) || 0;
+                    if (reserve <= 0 || quoteReserve <= 0 || weight <= 0 || quoteWeight <= 0) return null;
+                    return (quoteReserve / quoteWeight) / (reserve / weight);
+                }
+                default:
+                    // Constant product: the reserve ratio
+                    return reserve > 0 && quoteReserve > 0 ? quoteReserve / reserve : null;
+            }
+        }
+
+        /**
+         * Value the staked side of an LP stake breakdown in LIB using the pool's pricing model
+         * (reserve ratio, Balancer weights, or Curve price oracle).
+         *
+         * @param {Object} breakdown - Result of ContractManager.getLPStakeBreakdown().
+         * @param {string} rewardTokenAddress - LIB token address used to pick the LIB side of the pool.
+         * @returns {Object|null} Staked amounts and LIB-per-LP value, or null when the pool does not contain LIB
+         *   or cannot price one of its other tokens in LIB (e.g. a pegged/stable pool).
+         */
+        calcStakeValueInLib(breakdown, rewardTokenAddress) {
+            const rewardTokenLower = typeof rewardTokenAddress === 'string' ? rewardTokenAddress.toLowerCase() : null;
+            if (!breakdown || !rewardTokenLower) {
+                return null;
+            }
+
+            const lpDecimals = Number.isInteger(breakdown.lpToken?.decimals) ? breakdown.lpToken.decimals : 18;
+            const stakedBn = global.ethers.BigNumber.from(breakdown.lpToken?.stakedBalance?.raw || '0');
+            const tvlInTokens = Number(global.ethers.utils.formatUnits(stakedBn, lpDecimals)) || 0;
+
+            const tokens = Array.isArray(breakdown.tokens)
+                ? breakdown.tokens
+                : [breakdown.token0, breakdown.token1].filter(Boolean);
+
+            const libToken = tokens.find(token => token?.address?.toLowerCase?.() === rewardTokenLower);
+            if (!libToken) {
+                return null;
+            }
+
+            const libStaked = Number(libToken.staked?.formatted) || 0;
+
+            // Convert the other pool tokens to a LIB-equivalent amount using the pool's pricing model
+            let otherStaked = 0;
+            let otherTokenLibEquivalent = 0;
+            for (const token of tokens) {
+                if (token === libToken) continue;
+
+                const staked = Number(token?.staked?.formatted) || 0;
+                if (staked <= 0) continue;
+
+                // Leaving an unpriced token out would understate TVL and inflate APR
+                const rate = this.getExchangeRate(breakdown, token, libToken, rewardTokenAddress);
+                if (rate === null) {
+                    console.warn(`⚠️ No ${token.symbol || token.address} → LIB rate for ${breakdown.lpTokenAddress} (${breakdown.pricing} pool)`);
+                    return null;
+                }
+                otherStaked += staked;
+                otherTokenLibEquivalent += staked * rate;
+            }
+
+            // Curve's virtual price is in the pool's peg unit, not LIB, so it isn't used here
+            const totalStakeValueInLib = libStaked + otherTokenLibEquivalent;
+
+            return {
+                tvlInTokens,
+                libStaked,
+                otherStaked,
+                otherTokenLibEquivalent,
+                totalStakeValueInLib,
+                stakeValuePerLpInLib: tvlInTokens > 0 ? totalStakeValueInLib / tvlInTokens : 0
+            };
+        }
     }
 
     global.RewardsCalculator = RewardsCalculator;
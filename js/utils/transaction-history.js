@@ -0,0 +1,563 @@
+/**
+ * TransactionHistory - Local ledger of stake, unstake, claim and approve transactions
+ * Persists one ledger per chain and address in localStorage (storage model carried over
+ * from the legacy RewardsHistory) and can be rebuilt from on-chain staking events.
+ */
+(function(global) {
+    'use strict';
+
+    if (global.TransactionHistory) {
+        console.warn('TransactionHistory already registered, skipping redeclaration');
+        return;
+    }
+
+    if (global.transactionHistory) {
+        console.warn('TransactionHistory instance already exists, preserving existing instance');
+        return;
+    }
+
+    const DATA_VERSION = '1.0';
+
+    class TransactionHistory {
+        constructor() {
+            this.isInitialized = false;
+            this.ledgers = new Map(); // storageKey -> ledger
+            this.changeListeners = new Set();
+            this.isRebuilding = false;
+        }
+
+        async initialize() {
+            this.isInitialized = true;
+
+            // Ledgers are keyed by account and chain, so drop cached copies when either changes
+            document.addEventListener('walletAccountChanged', () => this.ledgers.clear());
+            document.addEventListener('walletDisconnected', () => this.ledgers.clear());
+
+            return { isInitialized: true };
+        }
+
+        getConfig() {
+            return global.CONFIG?.LEDGER || {};
+        }
+
+        getCurrentScope() {
+            const address = global.walletManager?.getAddress?.() || global.walletManager?.address || null;
+            const chainId = global.networkSelector?.getCurrentChainId() || null;
+            return address && chainId ? { address: address.toLowerCase(), chainId } : null;
+        }
+
+        getStorageKey(scope) {
+            const prefix = this.getConfig().STORAGE_KEY_PREFIX || 'lp_staking_tx_ledger';
+            return `${prefix}:${scope.chainId}:${scope.address}`;
+        }
+
+        /**
+         * Load (or create) the ledger for the connected account on the selected network
+         * @returns {Object|null} Ledger with version, address, chainId, entries and the synced block range
+         */
+        getLedger(scope = this.getCurrentScope()) {
+            if (!scope) return null;
+
+            const storageKey = this.getStorageKey(scope);
+            if (this.ledgers.has(storageKey)) {
+                return this.ledgers.get(storageKey);
+            }
+
+            let ledger = {
+                version: DATA_VERSION,
+                address: scope.address,
+                chainId: scope.chainId,
+                entries: [],
+                firstSyncedBlock: null,
+                lastSyncedBlock: null,
+                lastUpdated: Date.now()
+            };
+
+            try {
+                const stored = localStorage.getItem(storageKey);
+                if (stored) {
+                    const parsed = JSON.parse(stored);
+                    if (this.validateStoredData(parsed)) {
+                        ledger = parsed;
+                    } else {
+                        console.warn('⚠️ Invalid stored transaction ledger, starting fresh');
+                    }
+                }
+            } catch (error) {
+                console.error('❌ Failed to load transaction ledger:', error);
+            }
+
+            this.ledgers.set(storageKey, ledger);
+            return ledger;
+        }
+
+        validateStoredData(data) {
+            return data &&
+                   data.version &&
+                   Array.isArray(data.entries) &&
+                   typeof data.address === 'string';
+        }
+
+        saveLedger(ledger) {
+            const storageKey = this.getStorageKey(ledger);
+            ledger.lastUpdated = Date.now();
+
+            try {
+                localStorage.setItem(storageKey, JSON.stringify(ledger));
+            } catch (error) {
+                console.error('❌ Failed to save transaction ledger:', error);
+
+                // Handle quota exceeded error by trimming the oldest half and retrying once
+                if (error.name === 'QuotaExceededError') {
+                    ledger.entries.splice(Math.floor(ledger.entries.length / 2));
+                    try {
+                        localStorage.setItem(storageKey, JSON.stringify(ledger));
+                        console.log('💾 Transaction ledger saved after cleanup');
+                    } catch (retryError) {
+                        console.error('❌ Failed to save even after cleanup:', retryError);
+                    }
+                }
+            }
+        }
+
+        /**
+         * Record a transaction sent from the app
+         * @param {Object} data
+         * @param {string} data.type - stake | unstake | claim | approve
+         * @param {string} [data.pairAddress]
+         * @param {string} [data.pairName]
+         * @param {string} [data.amount] - Human-readable amount (LP for stake/unstake/approve, LIB for claim)
+         * @param {Object} [data.receipt] - Transaction receipt (hash, block, gas)
+         * @param {string} [data.hash] - Transaction hash when no receipt is available
+         * @param {string} [data.status] - confirmed | failed
+         * @returns {Object|null} The stored entry
+         */
+        record(data) {
+            const ledger = this.getLedger();
+            if (!ledger || !data?.type) return null;
+
+            const receipt = data.receipt || null;
+            const entry = {
+                id: `${data.type}:${receipt?.transactionHash || data.hash || Date.now()}`,
+                type: data.type,
+                hash: receipt?.transactionHash || data.hash || null,
+                pairAddress: data.pairAddress || null,
+                pairName: data.pairName || null,
+                amount: data.amount != null ? String(data.amount) : null,
+                status: data.status || (receipt?.status === 0 ? 'failed' : 'confirmed'),
+                blockNumber: receipt?.blockNumber || null,
+                gasUsed: receipt?.gasUsed ? receipt.gasUsed.toString() : null,
+                effectiveGasPrice: receipt?.effectiveGasPrice ? receipt.effectiveGasPrice.toString() : null,
+                timestamp: Date.now(),
+                source: 'app'
+            };
+
+            this.upsertEntries(ledger, [entry]);
+            this.saveLedger(ledger);
+            this.notifyChangeListeners('entry_added', entry);
+            return entry;
+        }
+
+        /**
+         * Merge entries, replacing any existing entry with the same id
+         */
+        upsertEntries(ledger, entries) {
+            const byId = new Map(ledger.entries.map(entry => [entry.id, entry]));
+            entries.forEach(entry => {
+                const existing = byId.get(entry.id);
+                byId.set(entry.id, existing ? this.mergeEntry(existing, entry) : entry);
+            });
+
+            // The cap only trims stakes, unstakes and approvals; claims feed the tax export
+            const maxEntries = this.getConfig().MAX_ENTRIES || 500;
+            const sorted = [...byId.values()].sort((a, b) => (b.timestamp || 0) - (a.timestamp || 0));
+            const kept = new Set(sorted.filter(entry => entry.type !== 'claim').slice(0, maxEntries));
+            ledger.entries = sorted.filter(entry => entry.type === 'claim' || kept.has(entry));
+        }
+
+        /**
+         * Merge two records of the same transaction
+         * Chain data wins for amount, block, timestamp, gas and status: app entries record the
+         * pre-transaction estimate (e.g. pending rewards for a claim) and the local send time.
+         * The app entry only contributes UI fields the logs don't carry, such as the pair name.
+         */
+        mergeEntry(existing, incoming) {
+            const chain = incoming.source === 'chain' ? incoming : existing.source === 'chain' ? existing : null;
+            if (!chain) {
+                return { ...existing, ...this.pickDefined(incoming) };
+            }
+
+            const app = chain === incoming ? existing : incoming;
+            if (app.source === 'chain') {
+                return { ...existing, ...this.pickDefined(incoming) };
+            }
+
+            return {
+                ...app,
+                ...this.pickDefined(chain),
+                pairName: app.pairName || chain.pairName || null
+            };
+        }
+
+        pickDefined(entry) {
+            return Object.fromEntries(Object.entries(entry).filter(([, value]) => value !== null && value !== undefined));
+        }
+
+        /**
+         * Filtered entries for the connected account, newest first
+         * @param {Object} [filters]
+         * @param {string} [filters.type] - stake | unstake | claim | approve
+         * @param {string} [filters.pairAddress]
+         * @param {string} [filters.status] - confirmed | failed
+         * @returns {Array<Object>}
+         */
+        getEntries(filters = {}) {
+            const ledger = this.getLedger();
+            if (!ledger) return [];
+
+            return ledger.entries.filter(entry =>
+                (!filters.type || entry.type === filters.type) &&
+                (!filters.pairAddress || entry.pairAddress?.toLowerCase() === filters.pairAddress.toLowerCase()) &&
+                (!filters.status || entry.status === filters.status)
+            );
+        }
+
+        /**
+         * Pairs that appear in the ledger, for the pair filter
+         * @returns {Array<{address: string, name: string}>}
+         */
+        getPairs() {
+            const pairs = new Map();
+            this.getEntries().forEach(entry => {
+                if (entry.pairAddress && !pairs.has(entry.pairAddress.toLowerCase())) {
+                    pairs.set(entry.pairAddress.toLowerCase(), { address: entry.pairAddress, name: entry.pairName || entry.pairAddress });
+                }
+            });
+            return [...pairs.values()];
+        }
+
+        /**
+         * Rebuild the ledger from StakeAdded / StakeRemoved / RewardsClaimed logs.
+         * Continues from the last synced block unless a full rescan or an explicit range is requested.
+         * @param {Object} [options]
+         * @param {boolean} [options.full=false] - Rescan the whole lookback window
+         * @param {number} [options.fromBlock] - Scan from this block instead (used to backfill older history)
+         * @param {number} [options.toBlock] - Last block to scan (defaults to latest)
+         * @param {Function} [options.onProgress] - (scannedBlocks, totalBlocks) callback
+         * @returns {Promise<number>} Number of chain events merged
+         */
+        async rebuildFromChain(options = {}) {
+            const scope = this.getCurrentScope();
+            const ledger = this.getLedger(scope);
+            const contractManager = global.contractManager;
+            if (!ledger || !contractManager?.isReady()) {
+                throw new Error('Connect your wallet to rebuild transaction history');
+            }
+
+            if (this.isRebuilding) {
+                throw new Error('History rebuild already in progress');
+            }
+
+            this.isRebuilding = true;
+            try {
+                const fromBlock = options.fromBlock ?? (!options.full && ledger.lastSyncedBlock ? ledger.lastSyncedBlock + 1 : undefined);
+                const { events, fromBlock: scannedFrom, toBlock } = await contractManager.getUserStakingLogs(scope.address, {
+                    fromBlock,
+                    toBlock: options.toBlock,
+                    onProgress: options.onProgress
+                });
+
+                const pairNames = this.getKnownPairNames();
+                // Stake/unstake amounts are in LP token units; claims are reward tokens (18 decimals)
+                const lpDecimals = await contractManager.getLPTokenDecimalsForPairs(events
+                    .filter(event => event.type !== 'claim')
+                    .map(event => event.pairAddress));
+                const formatAmount = (event) => event.type === 'claim'
+                    ? ethers.utils.formatEther(event.amount)
+                    : ethers.utils.formatUnits(event.amount, lpDecimals.get(event.pairAddress.toLowerCase()) ?? 18);
+
+                const entries = events.map(event => ({
+                    id: `${event.type}:${event.hash}`,
+                    type: event.type,
+                    hash: event.hash,
+                    pairAddress: event.pairAddress,
+                    pairName: pairNames.get(event.pairAddress.toLowerCase()) || null,
+                    amount: formatAmount(event),
+                    status: 'confirmed',
+                    blockNumber: event.blockNumber,
+                    gasUsed: event.gasUsed,
+                    effectiveGasPrice: event.effectiveGasPrice,
+                    timestamp: event.timestamp || Date.now(),
+                    source: 'chain'
+                }));
+
+                this.upsertEntries(ledger, entries);
+                ledger.firstSyncedBlock = Math.min(ledger.firstSyncedBlock ?? scannedFrom, scannedFrom);
+                ledger.lastSyncedBlock = Math.max(ledger.lastSyncedBlock ?? toBlock, toBlock);
+                this.saveLedger(ledger);
+                this.notifyChangeListeners('rebuilt', { count: entries.length });
+
+                console.log(`✅ Transaction ledger rebuilt with ${entries.length} on-chain events`);
+
+                await this.verifyStakeEvents(ledger, scope.address, contractManager);
+                return entries.length;
+            } finally {
+                this.isRebuilding = false;
+            }
+        }
+
+        /**
+         * A wallet with LP staked must have StakeAdded logs once the ledger reaches back to the
+         * contract's deployment. Finding none means the event signatures don't match the deployed
+         * contract, so report that rather than show an empty history.
+         */
+        async verifyStakeEvents(ledger, address, contractManager) {
+            if (ledger.entries.some(entry => entry.source === 'chain' && entry.type === 'stake')) {
+                return;
+            }
+
+            const deployBlock = await contractManager.getStakingDeployBlock();
+            if (deployBlock === null || !Number.isInteger(ledger.firstSyncedBlock) || ledger.firstSyncedBlock > deployBlock) {
+                return;
+            }
+
+            const pairs = await contractManager.getAllPairsInfo();
+            const userData = pairs.length > 0
+                ? await contractManager.getUserDataForAllPairs(address, pairs)
+                : new Map();
+            const hasStake = [...userData.values()].some(data => data.stake && !data.stake.isZero());
+            if (hasStake) {
+                throw new Error('No stake events were found for this wallet although it has LP staked. The staking contract\'s event signatures may not match this app, so the history is incomplete.');
+            }
+        }
+
+        getKnownPairNames() {
+            const names = new Map();
+            (global.homePage?.pairs || []).forEach(pair => {
+                if (pair.address) names.set(pair.address.toLowerCase(), pair.name);
+            });
+            return names;
+        }
+
+        /**
+         * Scan older blocks until the ledger covers a date range's start
+         * The scan starts at the block for startDate, or at the staking contract's deploy block.
+         * @param {string} [startDate] - Local date (YYYY-MM-DD)
+         * @param {Function} [onProgress] - (scannedBlocks, totalBlocks) callback
+         * @returns {Promise<{complete: boolean, coveredFrom: number|null}>} coveredFrom is the
+         *   timestamp (ms) of the first scanned block
+         */
+        async ensureHistoryCoverage(startDate, onProgress) {
+            const contractManager = global.contractManager;
+            const ledger = this.getLedger();
+
+            // Nothing to scan before the staking contract existed
+            const deployBlock = await contractManager.getStakingDeployBlock();
+            const targetBlock = startDate
+                ? Math.max(await contractManager.findBlockByTimestamp(Math.floor(new Date(`${startDate}T00:00:00`).getTime() / 1000)), deployBlock ?? 0)
+                : deployBlock;
+
+            if (targetBlock !== null && (ledger.firstSyncedBlock === null || ledger.firstSyncedBlock === undefined || ledger.firstSyncedBlock > targetBlock)) {
+                await this.rebuildFromChain({
+                    fromBlock: targetBlock,
+                    toBlock: Number.isInteger(ledger.firstSyncedBlock) ? ledger.firstSyncedBlock - 1 : undefined,
+                    onProgress
+                });
+            }
+
+            const firstBlock = Number.isInteger(ledger.firstSyncedBlock)
+                ? await contractManager.provider.getBlock(ledger.firstSyncedBlock)
+                : null;
+
+            return {
+                complete: targetBlock !== null && Number.isInteger(ledger.firstSyncedBlock) && ledger.firstSyncedBlock <= targetBlock,
+                coveredFrom: firstBlock ? firstBlock.timestamp * 1000 : null
+            };
+        }
+
+        /**
+         * Build a claims report for tax reporting.
+         * Syncs RewardsClaimed logs into the ledger first, back to startDate (or the staking
+         * contract's deployment), so the report covers claims made outside this browser.
+         * @param {Object} [options]
+         * @param {string} [options.format='csv'] - csv | json
+         * @param {string} [options.startDate] - Inclusive local date (YYYY-MM-DD)
+         * @param {string} [options.endDate] - Inclusive local date (YYYY-MM-DD)
+         * @param {boolean} [options.includeUsd=false] - Add the LIB/USD price at each claim's block
+         * @param {boolean} [options.sync=true] - Pull on-chain events before exporting
+         * @param {Function} [options.onProgress] - (scannedBlocks, totalBlocks) callback while syncing
+         * @returns {Promise<{filename: string, mimeType: string, content: string, count: number, coverage: Object|null}>}
+         *   coverage is { complete, coveredFrom } from the sync; null when not synced
+         */
+        async buildClaimsExport(options = {}) {
+            const format = options.format === 'json' ? 'json' : 'csv';
+            const scope = this.getCurrentScope();
+            if (!scope) {
+                throw new Error('Connect your wallet to export rewards history');
+            }
+
+            let coverage = null;
+            if (options.sync !== false && !this.isRebuilding && global.contractManager?.isReady()) {
+                await this.rebuildFromChain({ onProgress: options.onProgress });
+                coverage = await this.ensureHistoryCoverage(options.startDate, options.onProgress);
+            }
+
+            const from = options.startDate ? new Date(`${options.startDate}T00:00:00`).getTime() : null;
+            const to = options.endDate ? new Date(`${options.endDate}T23:59:59.999`).getTime() : null;
+            if (from !== null && to !== null && from > to) {
+                throw new Error('Start date must be before end date');
+            }
+
+            const claims = this.getEntries({ type: 'claim', status: 'confirmed' })
+                .filter(entry => (from === null || entry.timestamp >= from) && (to === null || entry.timestamp <= to))
+                .sort((a, b) => (a.timestamp || 0) - (b.timestamp || 0));
+
+            const networkName = global.networkSelector?.getCurrentNetworkName() || '';
+            const pairInfo = this.getKnownPairs();
+            const breakdowns = [...(global.homePage?.pairBreakdowns?.values() || [])];
+
+            const rows = [];
+            for (const entry of claims) {
+                const row = {
+                    date: new Date(entry.timestamp).toISOString(),
+                    chainId: scope.chainId,
+                    network: networkName,
+                    pair: this.getPairLabel(entry, pairInfo),
+                    pairAddress: entry.pairAddress || '',
+                    amountLib: entry.amount || '0',
+                    txHash: entry.hash || '',
+                    blockNumber: entry.blockNumber || ''
+                };
+
+                if (options.includeUsd) {
+                    const price = global.priceService && entry.blockNumber
+                        ? await global.priceService.getLibUsdPriceAtBlock(entry.blockNumber, { breakdowns })
+                        : null;
+                    row.libUsdPrice = price ?? '';
+                    row.valueUsd = price ? Number(entry.amount || 0) * price : '';
+                }
+
+                rows.push(row);
+            }
+
+            const range = `${options.startDate || 'start'}_${options.endDate || 'now'}`;
+            const filename = `liberdus-rewards-${scope.chainId}-${scope.address.slice(0, 8)}-${range}.${format}`;
+
+            if (format === 'json') {
+                const content = JSON.stringify({
+                    address: scope.address,
+                    chainId: scope.chainId,
+                    network: networkName,
+                    startDate: options.startDate || null,
+                    endDate: options.endDate || null,
+                    includeUsd: !!options.includeUsd,
+                    exportedAt: new Date().toISOString(),
+                    historyComplete: coverage ? coverage.complete : null,
+                    historyScannedFrom: coverage?.coveredFrom ? new Date(coverage.coveredFrom).toISOString() : null,
+                    claims: rows
+                }, null, 2);
+                return { filename, mimeType: 'application/json', content, count: rows.length, coverage };
+            }
+
+            return { filename, mimeType: 'text/csv', content: this.convertToCSV(rows, !!options.includeUsd), count: rows.length, coverage };
+        }
+
+        /**
+         * Build a claims report and hand it to the browser as a file download
+         * @param {Object} [options] - See buildClaimsExport()
+         * @returns {Promise<{count: number, coverage: Object|null}>} Number of claims exported and the sync coverage
+         */
+        async downloadClaimsExport(options = {}) {
+            const { filename, mimeType, content, count, coverage } = await this.buildClaimsExport(options);
+
+            const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = filename;
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+            setTimeout(() => URL.revokeObjectURL(url), 0);
+
+            console.log(`📤 Exported ${count} claims to ${filename}`);
+            return { count, coverage };
+        }
+
+        convertToCSV(rows, includeUsd) {
+            const headers = ['Date', 'Chain ID', 'Network', 'Pair', 'Pair Address', 'Amount LIB', 'Transaction Hash', 'Block Number'];
+            const keys = ['date', 'chainId', 'network', 'pair', 'pairAddress', 'amountLib', 'txHash', 'blockNumber'];
+            if (includeUsd) {
+                headers.push('LIB/USD Price', 'Value USD');
+                keys.push('libUsdPrice', 'valueUsd');
+            }
+
+            const escape = value => `"${String(value ?? '').replace(/"/g, '""')}"`;
+            return [headers.map(escape).join(','), ...rows.map(row => keys.map(key => escape(row[key])).join(','))]
+                .join('\n');
+        }
+
+        getKnownPairs() {
+            const pairs = new Map();
+            (global.homePage?.pairs || []).forEach(pair => {
+                if (pair.address) pairs.set(pair.address.toLowerCase(), pair);
+            });
+            return pairs;
+        }
+
+        /**
+         * Plain-text pair name as rendered by Formatter.formatPairName()
+         */
+        getPairLabel(entry, pairInfo) {
+            const pair = entry.pairAddress ? pairInfo.get(entry.pairAddress.toLowerCase()) : null;
+            const name = entry.pairName || pair?.name;
+            if (!name) return entry.pairAddress || '';
+
+            // formatPairName reports unconfigured platforms as errors, so only route configured ones through it
+            const platform = pair?.platform;
+            if (!global.Formatter || !platform || !global.CONFIG?.PLATFORMS?.BASE_URLS?.[platform]) {
+                return name;
+            }
+
+            const container = document.createElement('div');
+            container.innerHTML = global.Formatter.formatPairName(name, entry.pairAddress, platform);
+            return container.textContent.trim() || name;
+        }
+
+        clear() {
+            const ledger = this.getLedger();
+            if (!ledger) return;
+
+            ledger.entries = [];
+            ledger.lastSyncedBlock = null;
+            this.saveLedger(ledger);
+            this.notifyChangeListeners('cleared', null);
+        }
+
+        addChangeListener(callback) {
+            if (typeof callback === 'function') {
+                this.changeListeners.add(callback);
+            }
+        }
+
+        removeChangeListener(callback) {
+            this.changeListeners.delete(callback);
+        }
+
+        notifyChangeListeners(eventType, data) {
+            for (const callback of this.changeListeners) {
+                try {
+                    callback(eventType, data);
+                } catch (error) {
+                    console.error('Change listener error:', error);
+                }
+            }
+
+            document.dispatchEvent(new CustomEvent('transactionHistoryUpdated', {
+                detail: { event: eventType, data }
+            }));
+        }
+    }
+
+    global.TransactionHistory = TransactionHistory;
+    console.log('✅ TransactionHistory class registered globally');
+})(typeof window !== 'undefined' ? window : global);
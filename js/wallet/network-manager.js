@@ -46,19 +46,27 @@ class NetworkManager {
      */
     async hasRequiredNetworkPermission() {
         try {
-            if (!window.ethereum) return false;
+            const walletProvider = this.getWalletProvider();
+            if (!walletProvider) return false;
 
-            // Check if wallet is connected to dApp
-            const permissions = await window.ethereum.request({
-                method: 'wallet_getPermissions'
-            });
+            if (this.isWalletConnect()) {
+                // WalletConnect has no wallet_getPermissions: an active session is the permission
+                if (!window.walletManager.isConnected()) {
+                    return false;
+                }
+            } else {
+                // Check if wallet is connected to dApp
+                const permissions = await walletProvider.request({
+                    method: 'wallet_getPermissions'
+                });
 
-            if (!permissions.some(p => p.parentCapability === 'eth_accounts')) {
-                return false; // Not connected to dApp
+                if (!permissions.some(p => p.parentCapability === 'eth_accounts')) {
+                    return false; // Not connected to dApp
+                }
             }
 
             // Check if wallet is on the correct network for the selected app network
-            const currentChainId = await window.ethereum.request({ method: 'eth_chainId' });
+            const currentChainId = this.normalizeHexChainId(await walletProvider.request({ method: 'eth_chainId' }));
             const expectedChainIdHex = this.getChainIdHex();
             
             // If wallet is on wrong network, we need permission to switch
@@ -76,6 +84,41 @@ class NetworkManager {
         }
     }
 
+    /**
+     * Get the EIP-1193 provider of the active wallet (injected or WalletConnect)
+     * @returns {Object|null}
+     */
+    getWalletProvider() {
+        if (window.walletManager && typeof window.walletManager.getEthereumProvider === 'function') {
+            return window.walletManager.getEthereumProvider();
+        }
+        return window.ethereum || null;
+    }
+
+    /**
+     * @returns {boolean} True when the active wallet is a WalletConnect session
+     */
+    isWalletConnect() {
+        return window.walletManager?.getWalletType() === 'walletconnect';
+    }
+
+    /**
+     * @returns {boolean} True when the active wallet is not window.ethereum (WalletConnect or
+     *   an EIP-6963 wallet), so its events only arrive through WalletManager
+     */
+    usesManagedProvider() {
+        const walletProvider = this.getWalletProvider();
+        return !!walletProvider && walletProvider !== window.ethereum;
+    }
+
+    /**
+     * Normalize a chain ID reported by a wallet to lowercase hex
+     */
+    normalizeHexChainId(chainId) {
+        if (typeof chainId === 'number') return '0x' + chainId.toString(16);
+        return typeof chainId === 'string' ? chainId.toLowerCase() : chainId;
+    }
+
     /**
      * Get current chain ID from wallet
      */
@@ -151,9 +194,10 @@ class NetworkManager {
      */
     async requestNetworkSwitch(chainId) {
         const hexChainId = `0x${chainId.toString(16)}`;
+        const walletProvider = this.getWalletProvider();
         
-        if (window.ethereum) {
-            await window.ethereum.request({
+        if (walletProvider) {
+            await walletProvider.request({
                 method: 'wallet_switchEthereumChain',
                 params: [{ chainId: hexChainId }]
             });
@@ -166,7 +210,8 @@ class NetworkManager {
      * Add the configured network to wallet
      */
     async addNetwork() {
-        if (!window.ethereum) {
+        const walletProvider = this.getWalletProvider();
+        if (!walletProvider) {
             throw new Error('MetaMask not installed');
         }
 
@@ -174,7 +219,7 @@ class NetworkManager {
         const networkName = window.networkSelector?.getCurrentNetworkName();
 
         try {
-            await window.ethereum.request({
+            await walletProvider.request({
                 method: 'wallet_addEthereumChain',
                 params: [networkConfig]
             });
@@ -421,12 +466,19 @@ class NetworkManager {
     /**
      * Request permission to use the configured network
      * This adds the network to MetaMask and ensures we can interact with it
-     * @param {string} walletType - Type of wallet ('metamask')
+     * @param {string} [walletType] - Type of wallet ('metamask' or 'walletconnect'), defaults to the connected one
      * @returns {Promise<boolean>} True if permission granted
      */
-    async requestNetworkPermission(walletType = 'metamask') {
+    async requestNetworkPermission(walletType = null) {
         try {
-            if (walletType === 'metamask') {
+            const type = walletType || window.walletManager?.getWalletType() || 'metamask';
+
+            if (type === 'walletconnect') {
+                return await this._requestWalletConnectPermission();
+            }
+
+            // Any injected wallet goes through the MetaMask-compatible flow
+            if (type === 'metamask' || this.getWalletProvider()) {
                 return await this._requestMetaMaskPermission();
             }
 
@@ -444,7 +496,8 @@ class NetworkManager {
      * @returns {Promise<boolean>}
      */
     async _requestMetaMaskPermission() {
-        if (!window.ethereum) {
+        const walletProvider = this.getWalletProvider();
+        if (!walletProvider) {
             throw new Error('MetaMask not installed');
         }
 
@@ -454,7 +507,7 @@ class NetworkManager {
 
             // First, ensure we have account permissions
             try {
-                await window.ethereum.request({
+                await walletProvider.request({
                     method: 'wallet_requestPermissions',
                     params: [{ eth_accounts: {} }]
                 });
@@ -476,6 +529,35 @@ class NetworkManager {
         }
     }
 
+    /**
+     * Request WalletConnect-specific permission
+     * The session already grants accounts, so only the chain needs switching (or adding).
+     * @private
+     * @returns {Promise<boolean>}
+     */
+    async _requestWalletConnectPermission() {
+        if (!window.walletManager?.isConnected()) {
+            throw new Error('WalletConnect session not connected');
+        }
+
+        const networkName = window.networkSelector?.getCurrentNetworkName();
+        console.log(`🔐 Requesting ${networkName} network on WalletConnect wallet...`);
+
+        const chainId = window.networkSelector?.getCurrentChainId();
+        try {
+            await this.requestNetworkSwitch(chainId);
+        } catch (error) {
+            if (error.code === 4001) {
+                throw new Error('User rejected network switch');
+            }
+            if (error.code !== 4902 && !error.message?.includes('Unrecognized chain ID')) {
+                throw error;
+            }
+            await this.addNetwork();
+        }
+        return true;
+    }
+
     /**
      * Centralized permission request with UI updates
      * Replaces duplicate logic in admin/ and index.html
@@ -489,7 +571,7 @@ class NetworkManager {
             const networkName = window.networkSelector?.getCurrentNetworkName();
 
             // Request permission using modern approach
-            await this.requestNetworkPermission('metamask');
+            await this.requestNetworkPermission();
 
             // Update UI based on context
             if (context === 'admin' && window.NetworkIndicator) {
@@ -541,12 +623,23 @@ class NetworkManager {
      * Centralized UI state management for network and permission changes
      */
     setupPermissionChangeListener() {
+        // WalletConnect and EIP-6963 wallets report account/chain changes through WalletManager
+        if (window.walletManager && !this.managedProviderUnsubscribe) {
+            this.managedProviderUnsubscribe = window.walletManager.subscribe(async (event) => {
+                if (this.usesManagedProvider() && (event === 'chainChanged' || event === 'accountChanged')) {
+                    console.log(`🔐 Wallet ${event}, checking permissions...`);
+                    await this.checkAndUpdatePermissionState();
+                }
+            });
+        }
+
         if (!window.ethereum) return;
         
         console.log('🔍 Setting up permission change listener...');
         
         // Listen for account changes (permission removal)
         window.ethereum.on('accountsChanged', async (accounts) => {
+            if (this.usesManagedProvider()) return;
             console.log('🔐 Account change detected:', accounts);
             
             if (!accounts || accounts.length === 0) {
@@ -561,12 +654,14 @@ class NetworkManager {
         
         // Listen for network changes
         window.ethereum.on('chainChanged', async (chainId) => {
+            if (this.usesManagedProvider()) return;
             console.log('🌐 Network changed to:', chainId);
             await this.checkAndUpdatePermissionState();
         });
         
         // Listen for permission changes
         window.ethereum.on('disconnect', () => {
+            if (this.usesManagedProvider()) return;
             console.log('🔌 Wallet disconnected - switching to read-only mode');
             this.handleWalletDisconnected();
         });
@@ -623,7 +718,8 @@ class NetworkManager {
             
             // Check if we have permission for the selected network
             const hasPermission = await this.hasRequiredNetworkPermission();
-            const currentChainId = window.ethereum ? parseInt(await window.ethereum.request({ method: 'eth_chainId' }), 16) : null;
+            const walletProvider = this.getWalletProvider();
+            const currentChainId = walletProvider ? parseInt(await walletProvider.request({ method: 'eth_chainId' }), 16) : null;
             const network = window.networkSelector?.getCurrentNetworkConfig();
             const expectedChainId = network?.CHAIN_ID;
             
@@ -14,6 +14,14 @@ class WalletManager {
         this.isConnecting = false;
         this.listeners = new Set();
         this.eventListeners = [];
+        this.walletConnectConnector = null;
+        this.walletConnectUnsubscribers = [];
+
+        // EIP-6963 injected wallet discovery
+        this.discoveredProviders = new Map(); // rdns -> { info, provider }
+        this.injectedProvider = null; // Selected injected provider (null = window.ethereum)
+        this.injectedProviderInfo = null;
+        this.boundInjectedProvider = null;
 
         // Rate limiting for MetaMask requests
         this.lastRequestTime = 0;
@@ -25,6 +33,8 @@ class WalletManager {
         // Connection state management
         this.connectionPromise = null; // Track ongoing connection attempts
 
+        // Start discovery first so checkPreviousConnection() can find the remembered wallet
+        this.startProviderDiscovery();
         this.init();
     }
 
@@ -48,7 +58,7 @@ class WalletManager {
 
         try {
             console.log(`Making MetaMask request: ${method} (attempt ${retryCount + 1})`);
-            return await window.ethereum.request({ method, params });
+            return await this.getInjectedProvider().request({ method, params });
         } catch (error) {
             console.error(`MetaMask request failed (attempt ${retryCount + 1}):`, error);
 
@@ -96,15 +106,26 @@ class WalletManager {
 
     /**
      * General connect method that chooses the best available wallet
+     * @param {string} [preferredType='auto'] - 'auto', 'metamask' (any injected wallet) or 'walletconnect'
+     * @param {Object} [options]
+     * @param {string} [options.rdns] - EIP-6963 wallet to use for an injected connection
      */
-    async connectWallet(preferredType = 'auto') {
+    async connectWallet(preferredType = 'auto', { rdns = null } = {}) {
         try {
-            this.log(`Connecting wallet (preferred: ${preferredType})...`);
+            this.log(`Connecting wallet (preferred: ${preferredType}${rdns ? `, ${rdns}` : ''})...`);
 
             const normalizedPreference = (preferredType || 'auto').toLowerCase();
 
+            if (normalizedPreference === 'walletconnect') {
+                return await this.connectWalletConnect();
+            }
+
             if (normalizedPreference === 'metamask' || normalizedPreference === 'auto') {
-                if (window.ethereum) {
+                if (rdns) {
+                    this.selectInjectedProvider(rdns);
+                }
+
+                if (this.getInjectedProvider()) {
                     return await this.connectMetaMask();
                 }
 
@@ -113,6 +134,11 @@ class WalletManager {
                 }
             }
 
+            // No injected wallet: fall back to WalletConnect when it is configured
+            if (normalizedPreference === 'auto' && this.isWalletConnectAvailable()) {
+                return await this.connectWalletConnect();
+            }
+
             throw new Error('No supported wallet found');
         } catch (error) {
             this.logError('Wallet connection failed:', error);
@@ -171,7 +197,8 @@ class WalletManager {
         }
 
         // Check MetaMask availability
-        if (!window.ethereum) {
+        const injectedProvider = this.getInjectedProvider();
+        if (!injectedProvider) {
             this.connectionAttempts++;
             throw new Error('MetaMask not installed. Please install MetaMask browser extension.');
         }
@@ -203,7 +230,7 @@ class WalletManager {
             }
 
             // Create provider and signer
-            this.provider = new ethers.providers.Web3Provider(window.ethereum);
+            this.provider = new ethers.providers.Web3Provider(injectedProvider);
             this.signer = this.provider.getSigner();
             this.address = accounts[0];
             this.walletType = 'metamask';
@@ -263,6 +290,140 @@ class WalletManager {
             this.isConnecting = false;
         }
     }
+
+    /**
+     * Check whether WalletConnect is loaded and configured
+     */
+    isWalletConnectAvailable() {
+        return typeof window.WalletConnectConnector !== 'undefined' &&
+            new window.WalletConnectConnector().isAvailable();
+    }
+
+    /**
+     * Connect through WalletConnect v2 (QR code / mobile wallet pairing)
+     */
+    async connectWalletConnect() {
+        // Share the in-flight attempt with any concurrent caller
+        if (this.connectionPromise) {
+            console.log('Connection already in progress, returning existing promise...');
+            return this.connectionPromise;
+        }
+
+        this.connectionPromise = this._performWalletConnectConnection();
+
+        try {
+            return await this.connectionPromise;
+        } finally {
+            this.connectionPromise = null;
+        }
+    }
+
+    /**
+     * Internal method to perform the WalletConnect pairing
+     */
+    async _performWalletConnectConnection() {
+        if (this.isConnected()) {
+            console.log('Wallet already connected:', this.address);
+            return {
+                success: true,
+                address: this.address,
+                chainId: this.chainId,
+                walletType: this.walletType
+            };
+        }
+
+        if (!this.isWalletConnectAvailable()) {
+            throw new Error('WalletConnect is not configured');
+        }
+
+        this.isConnecting = true;
+
+        try {
+            this.log('Connecting with WalletConnect...');
+
+            const connector = new window.WalletConnectConnector();
+            const session = await connector.connect({
+                chainId: window.networkSelector?.getCurrentChainId()
+            });
+
+            this.attachWalletConnectSession(connector, session);
+            this.storeConnectionInfo();
+
+            this.notifyListeners('connected', {
+                address: this.address,
+                chainId: this.chainId,
+                walletType: this.walletType
+            });
+
+            if (window.notificationManager && typeof window.notificationManager.success === 'function') {
+                window.notificationManager.success(
+                    'Wallet Connected Successfully!',
+                    `Address: ${this.address.slice(0, 6)}...${this.address.slice(-4)}`,
+                    { duration: 3000 }
+                );
+            }
+
+            this.log('WalletConnect connected successfully:', this.address);
+
+            return {
+                success: true,
+                address: this.address,
+                chainId: this.chainId,
+                walletType: this.walletType
+            };
+
+        } catch (error) {
+            this.logError('WalletConnect connection failed:', error);
+
+            if (window.notificationManager) {
+                if (error.code === 4001 || /rejected|closed/i.test(error.message || '')) {
+                    window.notificationManager.warning('You cancelled the connection request');
+                } else {
+                    window.notificationManager.error(error.message || 'An error occurred while connecting');
+                }
+            }
+
+            throw error;
+        } finally {
+            this.isConnecting = false;
+        }
+    }
+
+    /**
+     * Adopt a connected WalletConnect session as the active wallet
+     * @private
+     */
+    attachWalletConnectSession(connector, session) {
+        this.detachWalletConnect();
+
+        this.walletConnectConnector = connector;
+        this.provider = connector.getProvider();
+        this.signer = connector.getSigner();
+        this.address = session.account;
+        this.chainId = parseInt(session.chainId, 16);
+        this.walletType = 'walletconnect';
+
+        this.walletConnectUnsubscribers = [
+            connector.on('accountsChanged', (accounts) => this.handleAccountsChanged(accounts)),
+            connector.on('chainChanged', (chainId) => this.handleChainChanged(chainId)),
+            // A session ended from the phone is a real disconnect, unlike MetaMask's transient events
+            connector.on('disconnect', () => this.disconnect())
+        ];
+    }
+
+    /**
+     * Drop the WalletConnect session listeners and return the connector, if any
+     * @private
+     */
+    detachWalletConnect() {
+        this.walletConnectUnsubscribers.forEach(unsubscribe => unsubscribe());
+        this.walletConnectUnsubscribers = [];
+
+        const connector = this.walletConnectConnector;
+        this.walletConnectConnector = null;
+        return connector;
+    }
+
     /**
      * Disconnect wallet
      */
@@ -270,6 +431,12 @@ class WalletManager {
         try {
             this.log('Disconnecting wallet...');
 
+            // End the WalletConnect session so the phone wallet drops it too
+            const walletConnectConnector = this.detachWalletConnect();
+            if (walletConnectConnector) {
+                await walletConnectConnector.disconnect();
+            }
+
             // Clear stored connection info
             this.clearConnectionInfo();
 
@@ -347,6 +514,116 @@ class WalletManager {
         return this.signer;
     }
 
+    /**
+     * Get the raw EIP-1193 provider of the active wallet, for wallet_* requests
+     */
+    getEthereumProvider() {
+        if (this.walletType === 'walletconnect') {
+            return this.walletConnectConnector?.getEthereumProvider() || null;
+        }
+        return this.getInjectedProvider();
+    }
+
+    /**
+     * Get the selected injected provider, falling back to window.ethereum
+     */
+    getInjectedProvider() {
+        return this.injectedProvider || window.ethereum || null;
+    }
+
+    /**
+     * Get name/icon/rdns of the selected injected wallet (null for plain window.ethereum)
+     */
+    getInjectedProviderInfo() {
+        return this.injectedProviderInfo;
+    }
+
+    /**
+     * Listen for EIP-6963 wallet announcements and ask installed wallets to announce themselves
+     */
+    startProviderDiscovery() {
+        window.addEventListener('eip6963:announceProvider', (event) => {
+            const { info, provider } = event.detail || {};
+            if (!info?.rdns || !provider || typeof provider.request !== 'function') return;
+
+            const isNew = !this.discoveredProviders.has(info.rdns);
+            this.discoveredProviders.set(info.rdns, { info, provider });
+
+            if (isNew) {
+                this.log('EIP-6963 wallet discovered:', info.name, info.rdns);
+                document.dispatchEvent(new CustomEvent('walletProvidersChanged', {
+                    detail: { providers: this.getInjectedProviders() }
+                }));
+            }
+        });
+
+        window.dispatchEvent(new Event('eip6963:requestProvider'));
+    }
+
+    /**
+     * List injected wallets for the wallet picker
+     * Falls back to window.ethereum when no wallet implements EIP-6963.
+     * @returns {Array<{info: {uuid?: string, name: string, icon: string|null, rdns: string|null}, provider: Object}>}
+     */
+    getInjectedProviders() {
+        const providers = Array.from(this.discoveredProviders.values());
+        if (providers.length > 0 || !window.ethereum) {
+            return providers;
+        }
+
+        return [{
+            info: {
+                name: window.ethereum.isMetaMask ? 'MetaMask' : 'Browser Wallet',
+                icon: null,
+                rdns: null
+            },
+            provider: window.ethereum
+        }];
+    }
+
+    /**
+     * Use a discovered EIP-6963 wallet for injected connections
+     * @param {string} rdns - Reverse-DNS id announced by the wallet (e.g. 'io.metamask')
+     */
+    selectInjectedProvider(rdns) {
+        const entry = this.discoveredProviders.get(rdns);
+        if (!entry) {
+            throw new Error(`Wallet ${rdns} is not available. Is the extension still installed?`);
+        }
+
+        if (entry.provider !== this.injectedProvider) {
+            this.injectedProvider = entry.provider;
+            this.injectedProviderInfo = entry.info;
+            this.setupEventListeners();
+        }
+        return entry;
+    }
+
+    /**
+     * Wait briefly for a wallet to announce itself (extensions can announce after page scripts run)
+     * @private
+     */
+    waitForInjectedProvider(rdns, timeoutMs = 500) {
+        if (this.discoveredProviders.has(rdns)) {
+            return Promise.resolve(this.discoveredProviders.get(rdns));
+        }
+
+        return new Promise(resolve => {
+            const onAnnounce = () => {
+                if (!this.discoveredProviders.has(rdns)) return;
+                clearTimeout(timer);
+                window.removeEventListener('eip6963:announceProvider', onAnnounce);
+                resolve(this.discoveredProviders.get(rdns));
+            };
+            const timer = setTimeout(() => {
+                window.removeEventListener('eip6963:announceProvider', onAnnounce);
+                resolve(null);
+            }, timeoutMs);
+
+            window.addEventListener('eip6963:announceProvider', onAnnounce);
+        });
+    }
+
     /**
      * Subscribe to wallet events
      */
@@ -370,17 +647,28 @@ class WalletManager {
                                  localStorage.getItem(storageKey);
             if (!connectionInfo) return false;
 
-            const { walletType, address } = JSON.parse(connectionInfo);
+            const { walletType, address, providerRdns } = JSON.parse(connectionInfo);
+
+            // Reconnect to the same extension the user picked, never to whichever owns window.ethereum
+            let injectedProvider = null;
+            if (walletType === 'metamask') {
+                if (providerRdns) {
+                    const entry = await this.waitForInjectedProvider(providerRdns);
+                    injectedProvider = entry ? this.selectInjectedProvider(providerRdns).provider : null;
+                } else {
+                    injectedProvider = this.getInjectedProvider();
+                }
+            }
             
-            if (walletType === 'metamask' && window.ethereum) {
+            if (injectedProvider) {
                 // Check if MetaMask is still connected (use eth_accounts to avoid popup)
                 try {
-                const accounts = await window.ethereum.request({ method: 'eth_accounts' });
+                const accounts = await injectedProvider.request({ method: 'eth_accounts' });
                     if (accounts && accounts.length > 0 && accounts[0].toLowerCase() === address.toLowerCase()) {
                         console.log('✅ Previous MetaMask connection found, restoring...');
                         
                         // Restore connection without triggering new request
-                        this.provider = new ethers.providers.Web3Provider(window.ethereum);
+                        this.provider = new ethers.providers.Web3Provider(injectedProvider);
                         this.signer = this.provider.getSigner();
                         this.address = accounts[0];
                         this.walletType = 'metamask';
@@ -405,6 +693,27 @@ class WalletManager {
                 }
             }
 
+            if (walletType === 'walletconnect' && this.isWalletConnectAvailable()) {
+                // The provider persists the session itself; restoring it never prompts
+                const connector = new window.WalletConnectConnector();
+                const session = await connector.restore();
+                if (session && session.account.toLowerCase() === address.toLowerCase()) {
+                    console.log('✅ Previous WalletConnect session found, restoring...');
+                    this.attachWalletConnectSession(connector, session);
+
+                    this.notifyListeners('connected', {
+                        address: this.address,
+                        chainId: this.chainId,
+                        walletType: this.walletType,
+                        restored: true
+                    });
+                    return true;
+                }
+                if (session) {
+                    await connector.disconnect();
+                }
+            }
+
             // Clear invalid connection info
             this.clearConnectionInfo();
             return false;
@@ -422,6 +731,7 @@ class WalletManager {
     storeConnectionInfo() {
         const connectionInfo = {
             walletType: this.walletType,
+            providerRdns: this.walletType === 'walletconnect' ? null : (this.injectedProviderInfo?.rdns || null),
             address: this.address,
             chainId: this.chainId,
             timestamp: Date.now()
@@ -459,25 +769,35 @@ class WalletManager {
 
     /**
      * Set up event listeners for wallet changes
+     * Listens on the selected injected provider; called again whenever the selection changes.
      */
     setupEventListeners() {
-        if (window.ethereum) {
-            // MetaMask event listeners
-            const accountsChangedHandler = (accounts) => this.handleAccountsChanged(accounts);
-            const chainChangedHandler = (chainId) => this.handleChainChanged(chainId);
-            const disconnectHandler = () => this.handleDisconnect();
-
-            window.ethereum.on('accountsChanged', accountsChangedHandler);
-            window.ethereum.on('chainChanged', chainChangedHandler);
-            window.ethereum.on('disconnect', disconnectHandler);
-
-            // Store references for cleanup
-            this.eventListeners.push(
-                { target: window.ethereum, event: 'accountsChanged', handler: accountsChangedHandler },
-                { target: window.ethereum, event: 'chainChanged', handler: chainChangedHandler },
-                { target: window.ethereum, event: 'disconnect', handler: disconnectHandler }
-            );
-        }
+        const injectedProvider = this.getInjectedProvider();
+        if (!injectedProvider || injectedProvider === this.boundInjectedProvider) return;
+
+        // Stop listening to the previously selected wallet
+        this.eventListeners.forEach(({ target, event, handler }) => {
+            target.removeListener?.(event, handler);
+        });
+        this.eventListeners = [];
+
+        // Injected-wallet events are ignored while a WalletConnect session is active
+        const isWalletConnect = () => this.walletType === 'walletconnect';
+        const accountsChangedHandler = (accounts) => !isWalletConnect() && this.handleAccountsChanged(accounts);
+        const chainChangedHandler = (chainId) => !isWalletConnect() && this.handleChainChanged(chainId);
+        const disconnectHandler = () => !isWalletConnect() && this.handleDisconnect();
+
+        injectedProvider.on('accountsChanged', accountsChangedHandler);
+        injectedProvider.on('chainChanged', chainChangedHandler);
+        injectedProvider.on('disconnect', disconnectHandler);
+
+        // Store references for cleanup
+        this.eventListeners.push(
+            { target: injectedProvider, event: 'accountsChanged', handler: accountsChangedHandler },
+            { target: injectedProvider, event: 'chainChanged', handler: chainChangedHandler },
+            { target: injectedProvider, event: 'disconnect', handler: disconnectHandler }
+        );
+        this.boundInjectedProvider = injectedProvider;
     }
 
     /**
@@ -503,18 +823,19 @@ class WalletManager {
             this.address = accounts[0];
             
             // Re-initialize provider/signer if reconnecting after disconnect
-            if (wasDisconnected && window.ethereum) {
+            const injectedProvider = this.getInjectedProvider();
+            if (wasDisconnected && injectedProvider) {
                 this.log('Re-initializing provider and signer after reconnection');
                 try {
-                    this.provider = new ethers.providers.Web3Provider(window.ethereum);
+                    this.provider = new ethers.providers.Web3Provider(injectedProvider);
                     this.signer = this.provider.getSigner();
                     this.chainId = (await this.provider.getNetwork()).chainId;
                     
                     // Detect wallet type: prioritize specific wallet flags, fallback to metamask/injected
-                    this.walletType = window.ethereum.isTrust ? 'trust' : 
-                                     window.ethereum.isCoinbaseWallet ? 'coinbase' :
-                                     window.ethereum.isBraveWallet ? 'brave' :
-                                     window.ethereum.isMetaMask ? 'metamask' : 'injected';
+                    this.walletType = injectedProvider.isTrust ? 'trust' : 
+                                     injectedProvider.isCoinbaseWallet ? 'coinbase' :
+                                     injectedProvider.isBraveWallet ? 'brave' :
+                                     injectedProvider.isMetaMask ? 'metamask' : 'injected';
                 } catch (error) {
                     this.logError('Failed to re-initialize provider/signer:', error);
                 }
@@ -613,6 +934,7 @@ class WalletManager {
             target.removeListener(event, handler);
         });
         this.eventListeners = [];
+        this.boundInjectedProvider = null;
         this.listeners.clear();
     }
 
@@ -0,0 +1,437 @@
+/**
+ * WalletConnect Connector
+ * Handles WalletConnect v2 sessions through @walletconnect/ethereum-provider.
+ * Exposes the same surface as MetaMaskConnector (connect, disconnect, switchNetwork,
+ * getSigner, events) so WalletManager can treat both wallets the same way.
+ */
+
+class WalletConnectConnector {
+    /**
+     * @param {Object} [options]
+     * @param {Function} [options.providerFactory] - async (initOptions) => EIP-1193 provider.
+     *   Defaults to EthereumProvider.init(); override to point at a mock provider in tests.
+     */
+    constructor({ providerFactory = null } = {}) {
+        this.isConnected = false;
+        this.account = null;
+        this.chainId = null;
+        this.provider = null;
+        this.wcProvider = null;
+        this.providerFactory = providerFactory;
+        this.listeners = new Map(); // event -> Set<handler>
+        this.providerHandlers = null;
+        this.pairingUri = null;
+    }
+
+    get config() {
+        return window.CONFIG?.WALLETCONNECT || {};
+    }
+
+    /**
+     * Check if WalletConnect is configured
+     */
+    isAvailable() {
+        return !!this.config.PROJECT_ID || !!this.config.RELAY_URL || typeof this.providerFactory === 'function';
+    }
+
+    /**
+     * Connect through WalletConnect, prompting the user to pair a wallet
+     * @param {Object} [options]
+     * @param {number} [options.chainId] - Chain to request (defaults to the selected network)
+     */
+    async connect({ chainId = null } = {}) {
+        if (!this.isAvailable()) {
+            throw new Error('WalletConnect is not configured');
+        }
+
+        try {
+            const wcProvider = await this.createProvider(chainId);
+
+            const accounts = typeof wcProvider.enable === 'function'
+                ? await wcProvider.enable()
+                : await wcProvider.request({ method: 'eth_requestAccounts' });
+
+            if (!accounts || accounts.length === 0) {
+                throw new Error('No accounts found');
+            }
+
+            return await this.attachSession(wcProvider, accounts);
+        } catch (error) {
+            await this.reset();
+            throw error;
+        }
+    }
+
+    /**
+     * Restore a session persisted by the WalletConnect provider, without prompting
+     * @returns {Promise<Object|null>} Same shape as connect(), or null when no session exists
+     */
+    async restore() {
+        if (!this.isAvailable()) {
+            return null;
+        }
+
+        try {
+            const wcProvider = await this.createProvider();
+            const accounts = wcProvider.session ? (wcProvider.accounts || []) : [];
+
+            if (accounts.length === 0) {
+                await this.reset();
+                return null;
+            }
+
+            return await this.attachSession(wcProvider, accounts);
+        } catch (error) {
+            console.warn('⚠️ Unable to restore WalletConnect session:', error.message);
+            await this.reset();
+            return null;
+        }
+    }
+
+    /**
+     * Disconnect the WalletConnect session
+     */
+    async disconnect() {
+        const wcProvider = this.wcProvider;
+        this.detachProviderListeners();
+
+        if (wcProvider && typeof wcProvider.disconnect === 'function') {
+            try {
+                await wcProvider.disconnect();
+            } catch (error) {
+                console.warn('⚠️ WalletConnect disconnect failed:', error.message);
+            }
+        }
+
+        await this.reset();
+    }
+
+    /**
+     * Setup event listeners for WalletConnect provider events
+     */
+    setupEventListeners() {
+        if (!this.wcProvider || this.providerHandlers) return;
+
+        this.providerHandlers = {
+            accountsChanged: (accounts) => {
+                if (!accounts || accounts.length === 0) {
+                    this.handleSessionEnded();
+                    return;
+                }
+                this.account = accounts[0];
+                this.emit('accountsChanged', accounts);
+            },
+            chainChanged: (chainId) => {
+                this.chainId = this.toHexChainId(chainId);
+                this.emit('chainChanged', this.chainId);
+            },
+            disconnect: () => this.handleSessionEnded(),
+            session_delete: () => this.handleSessionEnded()
+        };
+
+        Object.entries(this.providerHandlers).forEach(([event, handler]) => {
+            this.wcProvider.on(event, handler);
+        });
+    }
+
+    /**
+     * Switch to a specific network
+     * @param {string} chainId - Hex chain ID
+     */
+    async switchNetwork(chainId) {
+        if (!this.wcProvider) {
+            throw new Error('WalletConnect is not connected');
+        }
+
+        try {
+            await this.wcProvider.request({
+                method: 'wallet_switchEthereumChain',
+                params: [{ chainId }]
+            });
+        } catch (switchError) {
+            // This error code indicates that the chain has not been added to the wallet
+            if (switchError.code === 4902) {
+                throw new Error('Network not added to wallet');
+            }
+            throw switchError;
+        }
+    }
+
+    /**
+     * Add a network to the connected wallet
+     */
+    async addNetwork(networkConfig) {
+        if (!this.wcProvider) {
+            throw new Error('WalletConnect is not connected');
+        }
+
+        await this.wcProvider.request({
+            method: 'wallet_addEthereumChain',
+            params: [networkConfig]
+        });
+    }
+
+    /**
+     * Subscribe to connector events: accountsChanged, chainChanged, disconnect, display_uri
+     * @returns {Function} Unsubscribe function
+     */
+    on(event, handler) {
+        if (!this.listeners.has(event)) {
+            this.listeners.set(event, new Set());
+        }
+        this.listeners.get(event).add(handler);
+        return () => this.off(event, handler);
+    }
+
+    off(event, handler) {
+        this.listeners.get(event)?.delete(handler);
+    }
+
+    emit(event, data) {
+        this.listeners.get(event)?.forEach(handler => {
+            try {
+                handler(data);
+            } catch (error) {
+                console.error(`WalletConnect ${event} listener error:`, error);
+            }
+        });
+    }
+
+    /**
+     * Get current account
+     */
+    getAccount() {
+        return this.account;
+    }
+
+    /**
+     * Get current chain ID (hex)
+     */
+    getChainId() {
+        return this.chainId;
+    }
+
+    /**
+     * Get provider
+     */
+    getProvider() {
+        return this.provider;
+    }
+
+    /**
+     * Get signer
+     */
+    getSigner() {
+        return this.provider ? this.provider.getSigner() : null;
+    }
+
+    /**
+     * Get the raw EIP-1193 provider, for callers that talk to the wallet directly
+     */
+    getEthereumProvider() {
+        return this.wcProvider;
+    }
+
+    /**
+     * Build and initialise the EIP-1193 provider
+     * @private
+     */
+    async createProvider(chainId = null) {
+        await this.reset();
+
+        const initOptions = this.buildInitOptions(chainId);
+        const factory = this.providerFactory || (async (options) => {
+            const EthereumProvider = await this.loadProviderClass();
+            return EthereumProvider.init(options);
+        });
+
+        const wcProvider = await factory(initOptions);
+        if (!wcProvider || typeof wcProvider.request !== 'function') {
+            throw new Error('WalletConnect provider failed to initialise');
+        }
+
+        wcProvider.on('display_uri', (uri) => {
+            this.pairingUri = uri;
+            this.emit('display_uri', uri);
+            document.dispatchEvent(new CustomEvent('walletConnectUri', {
+                detail: { uri }
+            }));
+        });
+
+        this.wcProvider = wcProvider;
+        return wcProvider;
+    }
+
+    /**
+     * @private
+     */
+    async attachSession(wcProvider, accounts) {
+        this.wcProvider = wcProvider;
+        this.account = accounts[0];
+        this.chainId = this.toHexChainId(wcProvider.chainId || await wcProvider.request({ method: 'eth_chainId' }));
+        this.isConnected = true;
+        this.pairingUri = null;
+
+        if (window.ethers) {
+            this.provider = new ethers.providers.Web3Provider(wcProvider, 'any');
+        }
+
+        this.setupEventListeners();
+
+        return {
+            account: this.account,
+            chainId: this.chainId,
+            provider: this.provider
+        };
+    }
+
+    /**
+     * Options for EthereumProvider.init() built from CONFIG.WALLETCONNECT and CONFIG.NETWORKS
+     * @private
+     */
+    buildInitOptions(chainId = null) {
+        const networks = Object.values(window.CONFIG?.NETWORKS || {});
+        const requiredChainId = Number(chainId || window.networkSelector?.getCurrentChainId() || networks[0]?.CHAIN_ID);
+
+        const rpcMap = {};
+        networks.forEach(network => {
+            if (network.CHAIN_ID && network.RPC_URL) {
+                rpcMap[network.CHAIN_ID] = network.RPC_URL;
+            }
+        });
+
+        const metadata = {
+            ...(this.config.METADATA || {}),
+            url: this.config.METADATA?.url || window.location.origin
+        };
+
+        const options = {
+            // A local mock relay doesn't check project IDs, but init() requires one
+            projectId: this.config.PROJECT_ID || 'local-relay',
+            chains: [requiredChainId],
+            optionalChains: networks.map(network => network.CHAIN_ID).filter(id => id && id !== requiredChainId),
+            rpcMap,
+            showQrModal: this.config.SHOW_QR_MODAL !== false,
+            metadata
+        };
+
+        if (this.config.RELAY_URL) {
+            options.relayUrl = this.config.RELAY_URL;
+        }
+
+        return options;
+    }
+
+    /**
+     * Load the UMD build of @walletconnect/ethereum-provider on first use
+     * @private
+     */
+    async loadProviderClass() {
+        const existing = this.resolveProviderClass();
+        if (existing) return existing;
+
+        const scriptUrl = this.config.PROVIDER_SCRIPT_URL;
+        if (!scriptUrl) {
+            throw new Error('WalletConnect provider library is not configured');
+        }
+
+        const isRemote = /^(https?:)?\/\//.test(scriptUrl);
+        if (isRemote && !this.config.PROVIDER_SCRIPT_INTEGRITY) {
+            throw new Error('Remote WalletConnect provider library needs PROVIDER_SCRIPT_INTEGRITY');
+        }
+
+        await new Promise((resolve, reject) => {
+            const script = document.createElement('script');
+            // Vendored copy lives in libs/, one level up from the admin page
+            script.src = !isRemote && window.masterInitializer?.isAdminPage && scriptUrl.startsWith('libs/')
+                ? `../${scriptUrl}`
+                : scriptUrl;
+            if (this.config.PROVIDER_SCRIPT_INTEGRITY) {
+                script.integrity = this.config.PROVIDER_SCRIPT_INTEGRITY;
+                script.crossOrigin = 'anonymous';
+            }
+            script.async = true;
+            script.onload = resolve;
+            script.onerror = () => reject(new Error('Failed to load WalletConnect provider library'));
+            document.head.appendChild(script);
+        });
+
+        const loaded = this.resolveProviderClass();
+        if (!loaded) {
+            throw new Error('WalletConnect provider library did not register a global');
+        }
+        return loaded;
+    }
+
+    /**
+     * @private
+     */
+    resolveProviderClass() {
+        const candidates = [
+            window.WalletConnectEthereumProvider,
+            window['@walletconnect/ethereum-provider'],
+            window.EthereumProvider
+        ];
+
+        for (const candidate of candidates) {
+            const providerClass = candidate?.EthereumProvider || candidate?.default || candidate;
+            if (providerClass && typeof providerClass.init === 'function') {
+                return providerClass;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * @private
+     */
+    handleSessionEnded() {
+        if (!this.isConnected) return;
+        this.detachProviderListeners();
+        this.reset();
+        this.emit('disconnect');
+    }
+
+    /**
+     * @private
+     */
+    detachProviderListeners() {
+        if (!this.wcProvider || !this.providerHandlers) return;
+
+        const remove = (this.wcProvider.removeListener || this.wcProvider.off)?.bind(this.wcProvider);
+        if (remove) {
+            Object.entries(this.providerHandlers).forEach(([event, handler]) => remove(event, handler));
+        }
+        this.providerHandlers = null;
+    }
+
+    /**
+     * @private
+     */
+    async reset() {
+        this.detachProviderListeners();
+        this.isConnected = false;
+        this.account = null;
+        this.chainId = null;
+        this.provider = null;
+        this.wcProvider = null;
+        this.pairingUri = null;
+    }
+
+    /**
+     * @private
+     */
+    toHexChainId(chainId) {
+        if (chainId === null || chainId === undefined) return null;
+        if (typeof chainId === 'string' && chainId.startsWith('0x')) return chainId;
+        return '0x' + Number(chainId).toString(16);
+    }
+}
+
+// Global WalletConnect connector class
+window.WalletConnectConnector = WalletConnectConnector;
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = WalletConnectConnector;
+}